@@ -0,0 +1,383 @@
+#!/usr/bin/env node
+
+/**
+ * Headless planner CLI: runs scenario files without Mongo or the web UI.
+ *
+ * Usage:
+ *   node bdi-plan.js <scenario.json|yaml>... [options]
+ *
+ * Options:
+ *   --output moves|steps|stats   What to print per scenario (default: moves)
+ *   --format text|json|csv       How to print it (default: text)
+ *   --planner bdi|multi-agent    Override the planner named in the files
+ *   --verbose                    Pass planner logging through to stderr
+ *
+ * Exits 1 when a scenario fails or misses its expectations, 2 on bad arguments
+ * or unreadable scenario files. See scenarios/ for the file format.
+ */
+
+const { planBlocksWorld } = require('./bdi/blocksWorldAgent');
+const { trueBDIPlan } = require('./bdi/multiAgentEnvironment');
+const { SCENARIO_PLANNERS, ScenarioFileError, loadScenarioFile } = require('./bdi/utils/scenarioFile');
+
+const OUTPUTS = ['moves', 'steps', 'stats'];
+const FORMATS = ['text', 'json', 'csv'];
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = 'Usage: node bdi-plan.js <scenario.json|yaml>... [--output moves|steps|stats] '
+  + '[--format text|json|csv] [--planner bdi|multi-agent] [--verbose]';
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { files: [], output: 'moves', format: 'text', planner: null, verbose: false, help: false };
+  const readChoice = (flag, value, choices) => {
+    if (!choices.includes(value)) {
+      throw new UsageError(`${flag} must be one of: ${choices.join(', ')}.`);
+    }
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].startsWith('--') ? argv[i].split(/=(.*)/s) : [argv[i]];
+    const takeValue = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+    switch (flag) {
+      case '--output':
+        args.output = readChoice(flag, takeValue(), OUTPUTS);
+        break;
+      case '--format':
+        args.format = readChoice(flag, takeValue(), FORMATS);
+        break;
+      case '--planner':
+        args.planner = readChoice(flag, takeValue(), Object.values(SCENARIO_PLANNERS));
+        break;
+      case '--verbose':
+        args.verbose = true;
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        if (flag.startsWith('-')) {
+          throw new UsageError(`Unknown option ${flag}.`);
+        }
+        args.files.push(flag);
+    }
+  }
+
+  if (!args.help && args.files.length === 0) {
+    throw new UsageError('Name at least one scenario file.');
+  }
+  return args;
+}
+
+// Planner modules log progress to the console; keep stdout to the report
+async function withPlannerLogging(verbose, run) {
+  const originals = { log: console.log, info: console.info, warn: console.warn };
+  const sink = verbose ? (...parts) => console.error(...parts) : () => {};
+  console.log = sink;
+  console.info = sink;
+  console.warn = sink;
+  try {
+    return await run();
+  } finally {
+    Object.assign(console, originals);
+  }
+}
+
+function stacksFromOnMap(onMap = {}) {
+  const above = new Map(Object.entries(onMap).map(([block, below]) => [below, block]));
+  return Object.keys(onMap)
+    .filter(block => onMap[block] === 'Table')
+    .map((base) => {
+      const stack = [base];
+      while (above.has(stack[stack.length - 1])) {
+        stack.push(above.get(stack[stack.length - 1]));
+      }
+      return stack;
+    });
+}
+
+// One shape for both planners: flat moves with their cycle, plus scalar statistics
+function summarizeRun(planner, result, elapsedMs) {
+  if (planner === SCENARIO_PLANNERS.MULTI_AGENT) {
+    const moves = (result.moves || []).flatMap(cycle => (cycle.moves || []).map(move => ({ ...move, cycle: cycle.cycle })));
+    const stats = result.statistics || {};
+    return {
+      goalAchieved: result.goalAchieved,
+      iterations: result.iterations,
+      moves,
+      finalStacks: result.finalStacks || [],
+      statistics: {
+        moves: moves.length,
+        cycles: (result.moves || []).length,
+        iterations: result.iterations,
+        goalAchieved: result.goalAchieved,
+        clawSteps: moves.reduce((sum, move) => sum + (move.clawSteps?.length || 0), 0),
+        agentCount: result.agentCount,
+        planningApproach: result.planningApproach,
+        resolutionStrategy: stats.resolutionStrategy ?? null,
+        conflicts: stats.totalConflicts ?? 0,
+        negotiations: stats.totalNegotiations ?? 0,
+        parallelCycles: stats.totalParallelExecutions ?? 0,
+        capabilityReassignments: stats.capabilityReassignments ?? 0,
+        messages: stats.messagesSent ?? 0,
+        agentMoves: Object.entries(stats.agentMoves || {}).map(([agent, count]) => `${agent}:${count}`).join(' '),
+        elapsedMs
+      }
+    };
+  }
+
+  const moves = (result.moves || []).map((move, index) => ({ ...move, cycle: index + 1 }));
+  return {
+    goalAchieved: result.goalAchieved,
+    iterations: result.iterations,
+    moves,
+    finalStacks: stacksFromOnMap(result.beliefs?.onMap),
+    statistics: {
+      moves: moves.length,
+      iterations: result.iterations,
+      goalAchieved: result.goalAchieved,
+      clawSteps: moves.reduce((sum, move) => sum + (move.clawSteps?.length || 0), 0),
+      ...(result.optimalityGap ? { optimalityGap: result.optimalityGap.gap } : {}),
+      ...(result.executionMonitoring ? {
+        failures: result.executionMonitoring.failures,
+        recoveries: result.executionMonitoring.recoveries
+      } : {}),
+      ...(result.intentionReconsideration ? {
+        reconsiderations: result.intentionReconsideration.reconsiderations,
+        wastedMoves: result.intentionReconsideration.wastedMoves
+      } : {}),
+      elapsedMs
+    }
+  };
+}
+
+const formatMove = move => `${move.block} -> ${move.to}`;
+const sortStacks = stacks => stacks.map(stack => stack.map(String).join(',')).sort();
+
+function checkExpectations(expect, run) {
+  const failures = [];
+  if (!expect) {
+    return failures;
+  }
+
+  if (typeof expect.goalAchieved === 'boolean' && run.goalAchieved !== expect.goalAchieved) {
+    failures.push(`goalAchieved expected ${expect.goalAchieved}, got ${run.goalAchieved}`);
+  }
+  if (Number.isFinite(expect.iterations) && run.iterations !== expect.iterations) {
+    failures.push(`iterations expected ${expect.iterations}, got ${run.iterations}`);
+  }
+  if (Number.isFinite(expect.moveCount) && run.moves.length !== expect.moveCount) {
+    failures.push(`moveCount expected ${expect.moveCount}, got ${run.moves.length}`);
+  }
+  if (Number.isFinite(expect.maxMoveCount) && run.moves.length > expect.maxMoveCount) {
+    failures.push(`moveCount expected <= ${expect.maxMoveCount}, got ${run.moves.length}`);
+  }
+  if (Array.isArray(expect.moves)) {
+    const expected = expect.moves.map(move => (typeof move === 'string' ? move.replace(/\s+/g, ' ').trim() : formatMove(move)));
+    const actual = run.moves.map(formatMove);
+    const mismatch = expected.findIndex((move, index) => move !== actual[index]);
+    if (mismatch !== -1 || expected.length !== actual.length) {
+      const index = mismatch !== -1 ? mismatch : Math.min(expected.length, actual.length);
+      failures.push(`move ${index + 1} expected ${expected[index] ?? 'none'}, got ${actual[index] ?? 'none'}`);
+    }
+  }
+  if (Array.isArray(expect.finalStacks)) {
+    const expected = sortStacks(expect.finalStacks);
+    const actual = sortStacks(run.finalStacks);
+    if (expected.join(' | ') !== actual.join(' | ')) {
+      failures.push(`finalStacks expected ${expected.join(' | ')}, got ${actual.join(' | ')}`);
+    }
+  }
+  if (expect.stats && typeof expect.stats === 'object') {
+    Object.entries(expect.stats).forEach(([key, value]) => {
+      if (run.statistics[key] !== value) {
+        failures.push(`stats.${key} expected ${value}, got ${run.statistics[key] ?? 'n/a'}`);
+      }
+    });
+  }
+  return failures;
+}
+
+async function runScenario(scenario, { planner: plannerOverride, verbose }) {
+  const planner = plannerOverride || scenario.planner;
+  const start = Date.now();
+  let result;
+
+  try {
+    result = await withPlannerLogging(verbose, () => (planner === SCENARIO_PLANNERS.MULTI_AGENT
+      ? trueBDIPlan(scenario.stacks, scenario.goal, scenario.options)
+      : planBlocksWorld(scenario.stacks, scenario.goal, scenario.options)));
+  } catch (error) {
+    const expected = scenario.expectFailure;
+    const matches = expected
+      && (!Number.isFinite(expected.status) || error.status === expected.status)
+      && (!expected.messageIncludes || String(error.message).toLowerCase().includes(expected.messageIncludes.toLowerCase()));
+    return {
+      scenario: scenario.name,
+      source: scenario.source,
+      planner,
+      passed: Boolean(matches),
+      expectedFailure: Boolean(matches),
+      error: error.message,
+      failures: matches ? [] : [expected ? `wrong error: ${error.message}` : error.message],
+      run: null
+    };
+  }
+
+  const run = summarizeRun(planner, result, Date.now() - start);
+  const failures = scenario.expectFailure
+    ? ['expected the planner to fail, but it succeeded']
+    : checkExpectations(scenario.expect, run);
+  return {
+    scenario: scenario.name,
+    source: scenario.source,
+    planner,
+    passed: failures.length === 0,
+    expectedFailure: false,
+    error: null,
+    failures,
+    run
+  };
+}
+
+function moveRows(outcome) {
+  return (outcome.run?.moves || []).map((move, index) => ({
+    step: index + 1,
+    cycle: move.cycle,
+    actor: move.actor || '',
+    block: move.block,
+    to: move.to,
+    reason: move.reason || ''
+  }));
+}
+
+function clawStepRows(outcome) {
+  return (outcome.run?.moves || []).flatMap((move, index) => (move.clawSteps || []).map((step, stepIndex) => ({
+    step: `${index + 1}.${stepIndex + 1}`,
+    cycle: move.cycle,
+    actor: move.actor || '',
+    type: step.type,
+    block: step.block || step.carrying || '',
+    at: step.at || step.to || '',
+    description: step.description || ''
+  })));
+}
+
+function outputRows(outcome, output) {
+  if (output === 'steps') return clawStepRows(outcome);
+  if (output === 'stats') return outcome.run ? [outcome.run.statistics] : [];
+  return moveRows(outcome);
+}
+
+function formatText(outcomes, output) {
+  const lines = [];
+  outcomes.forEach((outcome) => {
+    const status = outcome.passed ? '✔' : '✖';
+    const note = outcome.expectedFailure ? ' (expected failure)' : '';
+    lines.push(`${status} ${outcome.scenario} [${outcome.planner}]${note}`);
+    outcome.failures.forEach(failure => lines.push(`  ! ${failure}`));
+    if (outcome.expectedFailure) {
+      lines.push(`  Error: ${outcome.error}`);
+    }
+
+    const rows = outputRows(outcome, output);
+    if (output === 'stats') {
+      rows.forEach(row => Object.entries(row).forEach(([key, value]) => lines.push(`  ${key}: ${value}`)));
+    } else if (output === 'steps') {
+      rows.forEach(row => lines.push(`  ${row.step.padEnd(6)} ${row.actor ? `${row.actor}  ` : ''}${row.type.padEnd(10)} ${row.description}`));
+    } else {
+      rows.forEach(row => lines.push(`  ${String(row.step).padStart(3)}. ${row.actor ? `[${row.actor}] ` : ''}${formatMove(row)}`));
+    }
+    lines.push('');
+  });
+
+  const passed = outcomes.filter(outcome => outcome.passed).length;
+  lines.push(`${passed}/${outcomes.length} scenario(s) passed.`);
+  return lines.join('\n');
+}
+
+function formatJson(outcomes, output) {
+  const key = { moves: 'moves', steps: 'clawSteps', stats: 'statistics' }[output];
+  return JSON.stringify(outcomes.map(outcome => ({
+    scenario: outcome.scenario,
+    source: outcome.source,
+    planner: outcome.planner,
+    passed: outcome.passed,
+    ...(outcome.expectedFailure ? { expectedFailure: true } : {}),
+    ...(outcome.error ? { error: outcome.error } : {}),
+    failures: outcome.failures,
+    ...(outcome.run ? { goalAchieved: outcome.run.goalAchieved } : {}),
+    [key]: output === 'stats' ? (outcome.run?.statistics ?? null) : outputRows(outcome, output)
+  })), null, 2);
+}
+
+const csvCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function formatCsv(outcomes, output) {
+  const rows = outcomes.flatMap(outcome => outputRows(outcome, output).map(row => ({
+    scenario: outcome.scenario,
+    planner: outcome.planner,
+    passed: outcome.passed,
+    ...row
+  })));
+  // Statistics differ between planners, so take the union of columns
+  const columns = [...new Set(['scenario', 'planner', 'passed', ...rows.flatMap(row => Object.keys(row))])];
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\n');
+}
+
+const FORMATTERS = { text: formatText, json: formatJson, csv: formatCsv };
+
+async function main(argv = process.argv.slice(2)) {
+  let args;
+  let scenarios;
+  try {
+    args = parseArgs(argv);
+    if (args.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    scenarios = args.files.flatMap(loadScenarioFile);
+  } catch (error) {
+    if (error instanceof UsageError || error instanceof ScenarioFileError) {
+      console.error(error.message);
+      if (error instanceof UsageError) {
+        console.error(USAGE);
+      }
+      return EXIT_USAGE;
+    }
+    throw error;
+  }
+
+  const outcomes = [];
+  for (const scenario of scenarios) {
+    outcomes.push(await runScenario(scenario, args));
+  }
+
+  console.log(FORMATTERS[args.format](outcomes, args.output));
+  return outcomes.every(outcome => outcome.passed) ? 0 : EXIT_FAILED;
+}
+
+if (require.main === module) {
+  main().then((code) => {
+    process.exitCode = code;
+  }, (error) => {
+    console.error(error);
+    process.exitCode = EXIT_FAILED;
+  });
+}
+
+module.exports = {
+  main,
+  runScenario,
+  withPlannerLogging,
+  checkExpectations
+};
@@ -0,0 +1,341 @@
+/**
+ * Planner Benchmark
+ *
+ * Runs a batch of generated problems through several planner configurations
+ * and reports plan length, iterations, conflicts, parallel executions and
+ * wall time per run. The BDI planner builds the goal towers one after another
+ * from the world the previous tower left; the optimal planner searches for all
+ * towers at once (as one predicate goal), as does the multi-agent planner.
+ * runBenchmarkInWorker does the same work on a worker thread.
+ */
+
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { Worker } = require('worker_threads');
+const { planBlocksWorld, PlanningError, PLANNER_STRATEGIES } = require('./blocksWorldAgent');
+const { trueBDIPlan } = require('./multiAgentEnvironment');
+const { GENERATOR_LIMITS, generateProblem } = require('./utils/problemGenerator');
+const createBlocksHelpers = require('./utils/blocks');
+
+const { applyMove, goalAchieved } = createBlocksHelpers(PlanningError);
+
+const PLANNER_KINDS = {
+  SINGLE_AGENT: 'single-agent',
+  MULTI_AGENT: 'multi-agent'
+};
+
+const BENCHMARK_PLANNERS = {
+  bdi: { label: 'BDI (single agent)', kind: PLANNER_KINDS.SINGLE_AGENT, options: {} },
+  optimal: {
+    label: 'Optimal A* (single agent)',
+    kind: PLANNER_KINDS.SINGLE_AGENT,
+    options: { strategy: PLANNER_STRATEGIES.OPTIMAL },
+    jointGoal: true
+  },
+  'multi-agent': { label: 'Multi-agent, negotiation', kind: PLANNER_KINDS.MULTI_AGENT, options: {} },
+  'multi-agent-no-negotiation': {
+    label: 'Multi-agent, fixed priority (no negotiation)',
+    kind: PLANNER_KINDS.MULTI_AGENT,
+    options: { enableNegotiation: false }
+  },
+  'multi-agent-auction': { label: 'Multi-agent, auction', kind: PLANNER_KINDS.MULTI_AGENT, options: { resolution: 'auction' } },
+  'multi-agent-round-robin': {
+    label: 'Multi-agent, round-robin',
+    kind: PLANNER_KINDS.MULTI_AGENT,
+    options: { resolution: 'round-robin' }
+  },
+  'multi-agent-token-passing': {
+    label: 'Multi-agent, token passing',
+    kind: PLANNER_KINDS.MULTI_AGENT,
+    options: { resolution: 'token-passing' }
+  }
+};
+
+const DEFAULT_BENCHMARK_PLANNERS = ['bdi', 'multi-agent', 'multi-agent-no-negotiation'];
+
+const BENCHMARK_LIMITS = {
+  ...GENERATOR_LIMITS,
+  MAX_INSTANCES: 50
+};
+
+const BENCHMARK_DEFAULTS = {
+  blocks: 6,
+  stacks: 3,
+  towers: 1,
+  instances: 5,
+  seed: 1
+};
+
+const CSV_COLUMNS = [
+  'problem', 'seed', 'blocks', 'stacks', 'towers', 'planner', 'goalAchieved', 'planLength',
+  'iterations', 'conflicts', 'negotiations', 'parallelExecutions', 'wallTimeMs', 'error'
+];
+
+function readCount(raw, name, min, max) {
+  const value = raw[name] ?? BENCHMARK_DEFAULTS[name];
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new PlanningError(`${name} must be a whole number between ${min} and ${max}.`, 400);
+  }
+  return value;
+}
+
+/**
+ * Validate a benchmark request and fill in defaults
+ *
+ * @param {Object} [raw] - `{ blocks, stacks, towers, instances, seed, planners }`
+ * @returns {Object}
+ */
+function resolveBenchmarkSpec(raw = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new PlanningError('Benchmark settings must be an object.', 400);
+  }
+
+  const blocks = readCount(raw, 'blocks', BENCHMARK_LIMITS.MIN_BLOCKS, BENCHMARK_LIMITS.MAX_BLOCKS);
+  const stacks = readCount(raw, 'stacks', 1, blocks);
+  const towers = readCount(raw, 'towers', 1, Math.floor(blocks / 2));
+  const instances = readCount(raw, 'instances', 1, BENCHMARK_LIMITS.MAX_INSTANCES);
+  const seed = readCount(raw, 'seed', 0, BENCHMARK_LIMITS.MAX_SEED - instances + 1);
+
+  const planners = raw.planners ?? DEFAULT_BENCHMARK_PLANNERS;
+  if (!Array.isArray(planners) || planners.length === 0) {
+    throw new PlanningError('planners must be a non-empty list.', 400);
+  }
+  const unknown = planners.find(id => !Object.prototype.hasOwnProperty.call(BENCHMARK_PLANNERS, id));
+  if (unknown !== undefined) {
+    throw new PlanningError(
+      `Unknown benchmark planner "${unknown}". Use any of: ${Object.keys(BENCHMARK_PLANNERS).join(', ')}.`,
+      400
+    );
+  }
+
+  return { blocks, stacks, towers, instances, seed, planners: [...new Set(planners)] };
+}
+
+// Every tower as one predicate goal, e.g. "on(A,B) and onTable(B) and on(C,D) and onTable(D)"
+const towersAsPredicateGoal = goalChains => goalChains
+  .flatMap(chain => chain.slice(0, -1).map((block, index) => (
+    chain[index + 1] === 'Table' ? `onTable(${block})` : `on(${block},${chain[index + 1]})`
+  )))
+  .join(' and ');
+
+function runSingleAgent(problem, { options, jointGoal = false }) {
+  const stacks = problem.stacks.map(stack => [...stack]);
+  let planLength = 0;
+  let iterations = 0;
+
+  const goals = jointGoal && problem.goalChains.length > 1
+    ? [towersAsPredicateGoal(problem.goalChains)]
+    : problem.goalChains;
+  goals.forEach((chain) => {
+    const plan = planBlocksWorld(stacks, chain, options);
+    plan.moves.forEach(move => applyMove(stacks, move.block, move.to));
+    planLength += plan.moves.length;
+    iterations += plan.iterations;
+  });
+
+  return {
+    goalAchieved: problem.goalChains.every(chain => goalAchieved(stacks, chain)),
+    planLength,
+    iterations,
+    conflicts: 0,
+    negotiations: 0,
+    parallelExecutions: 0
+  };
+}
+
+async function runMultiAgent(problem, options) {
+  const goal = problem.goalChains.length === 1 ? problem.goalChains[0] : problem.goalChains;
+  const result = await trueBDIPlan(problem.stacks, goal, options);
+  const stats = result.statistics || {};
+  return {
+    goalAchieved: Boolean(result.goalAchieved),
+    planLength: (result.moves || []).reduce((sum, cycle) => sum + (cycle.moves?.length || 0), 0),
+    iterations: result.iterations,
+    conflicts: stats.totalConflicts ?? 0,
+    negotiations: stats.totalNegotiations ?? 0,
+    parallelExecutions: stats.totalParallelExecutions ?? 0
+  };
+}
+
+async function runPlanner(problem, plannerId) {
+  const planner = BENCHMARK_PLANNERS[plannerId];
+  const start = performance.now();
+  const row = {
+    problem: problem.id,
+    seed: problem.seed,
+    blocks: problem.stacks.flat().length,
+    stacks: problem.stacks.length,
+    towers: problem.goalChains.length,
+    planner: plannerId
+  };
+
+  try {
+    const metrics = planner.kind === PLANNER_KINDS.MULTI_AGENT
+      ? await runMultiAgent(problem, planner.options)
+      : runSingleAgent(problem, planner);
+    return { ...row, ...metrics, wallTimeMs: Math.round((performance.now() - start) * 10) / 10, error: null };
+  } catch (error) {
+    return {
+      ...row,
+      goalAchieved: false,
+      planLength: null,
+      iterations: null,
+      conflicts: null,
+      negotiations: null,
+      parallelExecutions: null,
+      wallTimeMs: Math.round((performance.now() - start) * 10) / 10,
+      error: error.message
+    };
+  }
+}
+
+const mean = values => (values.length > 0
+  ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+  : null);
+
+/**
+ * Per-planner averages; plan length and iterations count solved runs only
+ *
+ * @param {Array<Object>} results
+ * @param {Array<string>} planners
+ * @returns {Array<Object>}
+ */
+function summarizeBenchmark(results, planners) {
+  return planners.map((plannerId) => {
+    const runs = results.filter(result => result.planner === plannerId);
+    const solved = runs.filter(result => result.goalAchieved);
+    return {
+      planner: plannerId,
+      label: BENCHMARK_PLANNERS[plannerId].label,
+      runs: runs.length,
+      solved: solved.length,
+      meanPlanLength: mean(solved.map(result => result.planLength)),
+      meanIterations: mean(solved.map(result => result.iterations)),
+      meanConflicts: mean(solved.map(result => result.conflicts)),
+      meanParallelExecutions: mean(solved.map(result => result.parallelExecutions)),
+      meanWallTimeMs: mean(runs.map(result => result.wallTimeMs))
+    };
+  });
+}
+
+const generateProblems = spec => Array.from({ length: spec.instances }, (_, index) => generateProblem({
+  blocks: spec.blocks,
+  stacks: spec.stacks,
+  towers: spec.towers,
+  seed: spec.seed + index
+}));
+
+/**
+ * Generate the problems and run every planner on each
+ *
+ * @param {Object} rawSpec - See resolveBenchmarkSpec
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.onResult] - Called with each result row as it completes
+ * @param {AbortSignal} [hooks.signal] - Stops the run between planner runs; the rows so far are returned
+ * @returns {Promise<{spec: Object, problems: Array<Object>, results: Array<Object>, summary: Array<Object>}>}
+ */
+async function runBenchmark(rawSpec, { onResult = null, signal = null } = {}) {
+  const spec = resolveBenchmarkSpec(rawSpec);
+  const problems = generateProblems(spec);
+
+  const results = [];
+  for (const problem of problems) {
+    for (const plannerId of spec.planners) {
+      if (signal?.aborted) {
+        break;
+      }
+      const result = await runPlanner(problem, plannerId);
+      results.push(result);
+      if (onResult) {
+        onResult(result);
+      }
+    }
+  }
+
+  return { spec, problems, results, summary: summarizeBenchmark(results, spec.planners) };
+}
+
+/**
+ * runBenchmark on a worker thread, so long planner runs do not block the caller's event loop
+ *
+ * Aborting the signal terminates the worker, including a planner run in progress;
+ * the rows received so far are returned. A failed benchmark rejects with the
+ * worker's error, as a PlanningError with its status when it had one.
+ *
+ * @param {Object} rawSpec - See resolveBenchmarkSpec
+ * @param {Object} [hooks] - Same as runBenchmark
+ * @returns {Promise<{spec: Object, problems: Array<Object>, results: Array<Object>, summary: Array<Object>}>}
+ */
+function runBenchmarkInWorker(rawSpec, { onResult = null, signal = null } = {}) {
+  const spec = resolveBenchmarkSpec(rawSpec);
+  const results = [];
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'benchmarkWorker.js'), { workerData: { spec } });
+    let settled = false;
+    const settle = (callback) => {
+      if (!settled) {
+        settled = true;
+        signal?.removeEventListener('abort', stop);
+        callback();
+      }
+    };
+    const stop = () => settle(() => {
+      worker.terminate();
+      resolve({ spec, problems: generateProblems(spec), results, summary: summarizeBenchmark(results, spec.planners) });
+    });
+
+    worker.on('message', (message) => {
+      if (message.type === 'run') {
+        results.push(message.result);
+        if (onResult) {
+          onResult(message.result);
+        }
+      } else if (message.type === 'report') {
+        settle(() => resolve(message.report));
+      } else if (message.type === 'error') {
+        // Errors do not keep their class across threads; a status marks a PlanningError
+        settle(() => reject(typeof message.status === 'number'
+          ? new PlanningError(message.message, message.status)
+          : new Error(message.message)));
+      }
+    });
+    worker.on('error', error => settle(() => reject(error)));
+    worker.on('exit', code => settle(() => reject(new Error(`Benchmark worker stopped with exit code ${code}.`))));
+
+    if (signal?.aborted) {
+      stop();
+    } else {
+      signal?.addEventListener('abort', stop, { once: true });
+    }
+  });
+}
+
+const csvCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV row per planner run
+ *
+ * @param {Array<Object>} results
+ * @returns {string}
+ */
+function benchmarkToCsv(results) {
+  return [CSV_COLUMNS, ...results.map(result => CSV_COLUMNS.map(column => result[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\n');
+}
+
+module.exports = {
+  BENCHMARK_PLANNERS,
+  BENCHMARK_LIMITS,
+  BENCHMARK_DEFAULTS,
+  DEFAULT_BENCHMARK_PLANNERS,
+  resolveBenchmarkSpec,
+  runBenchmark,
+  runBenchmarkInWorker,
+  summarizeBenchmark,
+  benchmarkToCsv
+};
@@ -0,0 +1,18 @@
+/**
+ * Worker thread entry for runBenchmarkInWorker
+ *
+ * Runs the resolved spec from workerData, posting a "run" message per planner
+ * run and a final "report" message, or an "error" message with the error's
+ * message and status if the benchmark fails.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { runBenchmark } = require('./benchmark');
+
+runBenchmark(workerData.spec, {
+  onResult: result => parentPort.postMessage({ type: 'run', result })
+}).then((report) => {
+  parentPort.postMessage({ type: 'report', report });
+}).catch((error) => {
+  parentPort.postMessage({ type: 'error', message: error.message, status: error.status });
+});
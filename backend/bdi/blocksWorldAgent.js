@@ -7,6 +7,31 @@ const {
 } = require('js-son-agent');
 
 const createBlocksHelpers = require('./utils/blocks');
+const {
+  searchOptimalPlan,
+  buildGoalSupportMap,
+  stateKey,
+  resolveExpansionBudget,
+  MAX_GENERATED_STATES,
+  DEFAULT_TIME_LIMIT_MS,
+  SEARCH_LIMITS
+} = require('./utils/optimalSearch');
+const { createGoalPredicateHelpers, formatAlternative } = require('./utils/goalPredicates');
+const {
+  ACTION_OUTCOMES,
+  MAX_FAILURE_PROBABILITY,
+  MAX_SEED,
+  hasUncertainty,
+  createOutcomeModel
+} = require('./utils/actionOutcomes');
+const {
+  COMMITMENT_STRATEGIES,
+  DEFAULT_RECONSIDERATION_INTERVAL,
+  MAX_RECONSIDERATION_INTERVAL,
+  holdsPlan,
+  reconsiderationTrigger,
+  summarizeCommitment
+} = require('./utils/commitment');
 
 class PlanningError extends Error {
   constructor(message, status = 400) {
@@ -20,6 +45,7 @@ const {
   deepCloneStacks,
   normalizeStacks,
   sanitizeGoalChain,
+  findStackIndex,
   blockExists,
   topMostAbove,
   isBlockClear,
@@ -28,28 +54,50 @@ const {
   selectNextRelation,
   goalAchieved,
   applyMove,
+  normalizeTableSlots,
+  findFreeSlots,
+  applySlottedMove,
   ensureGoalFeasible
 } = createBlocksHelpers(PlanningError);
 
+const {
+  parseGoalPredicates,
+  predicatesSatisfied,
+  listUnsatisfiedPredicates,
+  findContradiction,
+  estimateRemainingMoves,
+  rankPredicateMoves
+} = createGoalPredicateHelpers(PlanningError);
+
 const MOVE_REASONS = {
   CLEAR_BLOCK: 'clear-block',
   CLEAR_TARGET: 'clear-target',
   STACK: 'stack'
 };
 
+const PLANNER_STRATEGIES = {
+  BDI: 'bdi',
+  OPTIMAL: 'optimal'
+};
+
 const AGENT_ID = 'builder-agent';
 const MAX_ITERATIONS_CAP = 5000;
 const DEFAULT_MAX_ITERATIONS = 2500;
+const MAX_TABLE_SLOTS = 64;
 
 function clonePendingRelation(relation) {
   if (!relation) {
     return null;
   }
 
-  return {
+  const clone = {
     block: relation.block,
     destination: relation.destination
   };
+  if (Number.isInteger(relation.slot)) {
+    clone.slot = relation.slot;
+  }
+  return clone;
 }
 
 function extractChainBaseBlocks(goalChain) {
@@ -91,7 +139,7 @@ function normalizeRequiredBaseBlocks(requiredGroundBlocks = []) {
     .map(block => block.trim().toUpperCase());
 }
 
-function computeStateFacts(stacks, goalChain, requiredGroundBlocks = []) {
+function computeStateFacts(stacks, goalChain, requiredGroundBlocks = [], goalSlots = null, goalPredicates = null) {
   const onMap = deriveOnMap(stacks);
   const clearBlocks = Object.keys(onMap)
     .filter(block => isBlockClear(stacks, block))
@@ -124,7 +172,7 @@ function computeStateFacts(stacks, goalChain, requiredGroundBlocks = []) {
   groundedBaseBlocks.sort();
   missingBaseBlocks.sort();
 
-  let pendingRelation = selectNextRelation(stacks, goalChain);
+  let pendingRelation = selectNextRelation(stacks, goalChain, goalSlots);
 
   if (!pendingRelation && missingBaseBlocks.length > 0) {
     pendingRelation = {
@@ -133,7 +181,7 @@ function computeStateFacts(stacks, goalChain, requiredGroundBlocks = []) {
     };
   }
 
-  return {
+  const facts = {
     onMap,
     clearBlocks,
     pendingRelation: clonePendingRelation(pendingRelation),
@@ -141,6 +189,12 @@ function computeStateFacts(stacks, goalChain, requiredGroundBlocks = []) {
     groundedBaseBlocks,
     missingBaseBlocks
   };
+
+  if (goalPredicates) {
+    facts.unsatisfiedPredicates = listUnsatisfiedPredicates(stacks, goalPredicates);
+  }
+
+  return facts;
 }
 
 function resolvePlannerOptions(options = {}) {
@@ -148,12 +202,155 @@ function resolvePlannerOptions(options = {}) {
     ? Math.max(1, Math.min(Math.floor(options.maxIterations), MAX_ITERATIONS_CAP))
     : DEFAULT_MAX_ITERATIONS;
 
-  return { maxIterations };
+  const strategy = options.strategy == null
+    ? PLANNER_STRATEGIES.BDI
+    : String(options.strategy).trim().toLowerCase();
+
+  if (!Object.values(PLANNER_STRATEGIES).includes(strategy)) {
+    throw new PlanningError(`Unknown planner strategy "${options.strategy}". Use "bdi" or "optimal".`);
+  }
+
+  let tableSlots = null;
+  if (options.tableSlots != null) {
+    tableSlots = Number(options.tableSlots);
+    if (!Number.isInteger(tableSlots) || tableSlots < 1 || tableSlots > MAX_TABLE_SLOTS) {
+      throw new PlanningError(`tableSlots must be a whole number between 1 and ${MAX_TABLE_SLOTS}.`);
+    }
+  }
+
+  return {
+    maxIterations,
+    strategy,
+    tableSlots,
+    uncertainty: resolveUncertainty(options.uncertainty, strategy),
+    commitment: resolveCommitment(options.commitment, strategy)
+  };
+}
+
+// Stochastic outcomes only make sense while the agent is acting, so the optimal search rejects them
+function resolveUncertainty(rawUncertainty, strategy) {
+  if (rawUncertainty == null) {
+    return null;
+  }
+  if (typeof rawUncertainty !== 'object' || Array.isArray(rawUncertainty)) {
+    throw new PlanningError('uncertainty must be an object.');
+  }
+  if (strategy !== PLANNER_STRATEGIES.BDI) {
+    throw new PlanningError('uncertainty applies to the "bdi" strategy only.');
+  }
+
+  const probability = (value, label) => {
+    const parsed = value == null ? 0 : Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0 || parsed > MAX_FAILURE_PROBABILITY) {
+      throw new PlanningError(`${label} must be between 0 and ${MAX_FAILURE_PROBABILITY}.`);
+    }
+    return parsed;
+  };
+  const uncertainty = {
+    graspFailureProbability: probability(rawUncertainty.graspFailureProbability, 'graspFailureProbability'),
+    dropProbability: probability(rawUncertainty.dropProbability, 'dropProbability')
+  };
+  if (!hasUncertainty(uncertainty)) {
+    return null;
+  }
+
+  if (rawUncertainty.seed != null) {
+    const seed = Number(rawUncertainty.seed);
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+      throw new PlanningError(`seed must be a whole number between 0 and ${MAX_SEED}.`);
+    }
+    uncertainty.seed = seed;
+  } else {
+    uncertainty.seed = Math.floor(Math.random() * MAX_SEED);
+  }
+  return uncertainty;
+}
+
+// Commitment shapes how the agent acts on a plan over time, which the optimal search does not do
+function resolveCommitment(rawCommitment, strategy) {
+  if (rawCommitment == null) {
+    return null;
+  }
+  if (typeof rawCommitment !== 'object' || Array.isArray(rawCommitment)) {
+    throw new PlanningError('commitment must be an object.');
+  }
+  if (strategy !== PLANNER_STRATEGIES.BDI) {
+    throw new PlanningError('commitment applies to the "bdi" strategy only.');
+  }
+
+  const commitmentStrategy = rawCommitment.strategy == null
+    ? COMMITMENT_STRATEGIES.OPEN_MINDED
+    : String(rawCommitment.strategy).trim().toLowerCase();
+  const knownStrategies = Object.values(COMMITMENT_STRATEGIES);
+  if (!knownStrategies.includes(commitmentStrategy)) {
+    throw new PlanningError(`Unknown commitment strategy "${rawCommitment.strategy}". Use one of: ${knownStrategies.join(', ')}.`);
+  }
+
+  if (commitmentStrategy !== COMMITMENT_STRATEGIES.PERIODIC) {
+    if (rawCommitment.interval != null) {
+      throw new PlanningError('interval applies to the "periodic" commitment strategy only.');
+    }
+    return { strategy: commitmentStrategy };
+  }
+
+  const interval = rawCommitment.interval == null ? DEFAULT_RECONSIDERATION_INTERVAL : Number(rawCommitment.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_RECONSIDERATION_INTERVAL) {
+    throw new PlanningError(`interval must be a whole number between 1 and ${MAX_RECONSIDERATION_INTERVAL}.`);
+  }
+  return { strategy: commitmentStrategy, interval };
+}
+
+// Slot goals pin a tower base to a 1-based table slot; only blocks that rest on the table qualify
+function sanitizeGoalSlots(rawGoalSlots, goalChain, tableSlots, requiredBaseBlocks = []) {
+  if (rawGoalSlots == null) {
+    return null;
+  }
+  if (typeof rawGoalSlots !== 'object' || Array.isArray(rawGoalSlots)) {
+    throw new PlanningError('goalSlots must map block names to slot numbers.');
+  }
+
+  const entries = Object.entries(rawGoalSlots);
+  if (entries.length === 0) {
+    return null;
+  }
+  if (!tableSlots) {
+    throw new PlanningError('goalSlots require tableSlots to be set.');
+  }
+
+  const tableBlocks = new Set([
+    ...extractChainBaseBlocks(goalChain),
+    ...normalizeRequiredBaseBlocks(requiredBaseBlocks)
+  ]);
+  const owners = new Map();
+  const goalSlots = {};
+
+  entries.forEach(([rawBlock, rawSlot]) => {
+    const block = rawBlock.trim().toUpperCase();
+    const slot = Number(rawSlot);
+
+    if (!tableBlocks.has(block)) {
+      throw new PlanningError(`Goal slot for "${block}" requires that block to rest on the table in the goal.`);
+    }
+    if (!Number.isInteger(slot) || slot < 1 || slot > tableSlots) {
+      throw new PlanningError(`Goal slot for "${block}" must be between 1 and ${tableSlots}.`);
+    }
+    if (owners.has(slot)) {
+      throw new PlanningError(`Table slot ${slot} is assigned to both "${owners.get(slot)}" and "${block}".`);
+    }
+
+    owners.set(slot, block);
+    goalSlots[block] = slot;
+  });
+
+  return goalSlots;
 }
 
 function sanitizePlannerInputs(rawStacks, rawGoalChain, options = {}) {
-  const { maxIterations } = resolvePlannerOptions(options);
-  const { stacks: normalizedStacks } = normalizeStacks(rawStacks);
+  const { maxIterations, strategy, tableSlots, uncertainty, commitment } = resolvePlannerOptions(options);
+  const { stacks: parsedStacks } = normalizeStacks(rawStacks);
+  const normalizedStacks = tableSlots
+    ? normalizeTableSlots(parsedStacks, tableSlots)
+    : parsedStacks;
 
   const sanitizedGoal = sanitizeGoalChain(
     rawGoalChain,
@@ -166,12 +363,15 @@ function sanitizePlannerInputs(rawStacks, rawGoalChain, options = {}) {
 
   ensureGoalFeasible(goalChain, normalizedStacks);
 
-  return { normalizedStacks, goalChain, maxIterations };
+  const goalSlots = sanitizeGoalSlots(options.goalSlots, goalChain, tableSlots, options.requiredBaseBlocks);
+
+  return { normalizedStacks, goalChain, maxIterations, strategy, tableSlots, goalSlots, uncertainty, commitment };
 }
 
-function createInitialPlannerState(stacks, goalChain, requiredGroundBlocks = []) {
-  const baselineFacts = computeStateFacts(stacks, goalChain, requiredGroundBlocks);
-  const alreadySatisfied = goalAchieved(stacks, goalChain) && baselineFacts.missingBaseBlocks.length === 0;
+function createInitialPlannerState(stacks, goalChain, requiredGroundBlocks = [], slotOptions = {}) {
+  const { tableSlots = null, goalSlots = null } = slotOptions;
+  const baselineFacts = computeStateFacts(stacks, goalChain, requiredGroundBlocks, goalSlots);
+  const alreadySatisfied = goalAchieved(stacks, goalChain, goalSlots) && baselineFacts.missingBaseBlocks.length === 0;
 
   if (alreadySatisfied) {
     return {
@@ -183,7 +383,7 @@ function createInitialPlannerState(stacks, goalChain, requiredGroundBlocks = [])
   }
 
   const workingStacks = deepCloneStacks(stacks);
-  const initialFacts = computeStateFacts(workingStacks, goalChain, requiredGroundBlocks);
+  const initialFacts = computeStateFacts(workingStacks, goalChain, requiredGroundBlocks, goalSlots);
 
   const initialState = {
     stacks: workingStacks,
@@ -197,7 +397,9 @@ function createInitialPlannerState(stacks, goalChain, requiredGroundBlocks = [])
     pendingRelation: initialFacts.pendingRelation,
     onTableBlocks: initialFacts.onTableBlocks,
     groundedBaseBlocks: initialFacts.groundedBaseBlocks,
-    missingBaseBlocks: initialFacts.missingBaseBlocks
+    missingBaseBlocks: initialFacts.missingBaseBlocks,
+    tableSlots,
+    goalSlots
   };
 
   return {
@@ -208,7 +410,7 @@ function createInitialPlannerState(stacks, goalChain, requiredGroundBlocks = [])
   };
 }
 
-function buildPlannerResponse(state, goalChain, maxIterations, agentCount = 1) {
+function buildPlannerResponse(state, goalChain, plannerOptionsUsed, agentCount = 1) {
   return {
     moves: Array.isArray(state?.moves) ? state.moves : [],
     iterations: Number.isFinite(state?.iterations) ? state.iterations : 0,
@@ -216,7 +418,7 @@ function buildPlannerResponse(state, goalChain, maxIterations, agentCount = 1) {
     relationsResolved: Math.max(goalChain.length - 1, 0),
     agentCount,
     intentionLog: Array.isArray(state?.intentionLog) ? state.intentionLog : [],
-    plannerOptionsUsed: { maxIterations },
+    plannerOptionsUsed: { ...plannerOptionsUsed },
     beliefs: {
       onMap: { ...(state?.onMap || {}) },
       clearBlocks: [...(state?.clearBlocks || [])],
@@ -225,19 +427,243 @@ function buildPlannerResponse(state, goalChain, maxIterations, agentCount = 1) {
         : null,
       onTableBlocks: [...(state?.onTableBlocks || [])],
       groundedBaseBlocks: [...(state?.groundedBaseBlocks || [])],
-      missingBaseBlocks: [...(state?.missingBaseBlocks || [])]
+      missingBaseBlocks: [...(state?.missingBaseBlocks || [])],
+      ...(Array.isArray(state?.unsatisfiedPredicates)
+        ? { unsatisfiedPredicates: [...state.unsatisfiedPredicates] }
+        : {})
     }
   };
 }
 
-function createPlannerAgent(initialBeliefs, agentId = AGENT_ID) {
+// On a limited table a cleared block takes a free unreserved slot, otherwise it is parked on
+// the stack that buries the fewest goal blocks. Stacks the current relation needs are off limits.
+function chooseClearingDestination(stacks, blocker, relation, goalChain, goalSlots) {
+  const reservedSlots = new Set(Object.values(goalSlots || {}));
+  const freeSlots = findFreeSlots(stacks).filter(slot => slot !== relation.slot);
+  const openSlot = freeSlots.find(slot => !reservedSlots.has(slot));
+  if (openSlot !== undefined) {
+    return { to: 'Table', slot: openSlot };
+  }
+
+  const protectedStacks = new Set([
+    findStackIndex(stacks, blocker),
+    findStackIndex(stacks, relation.block)
+  ]);
+  if (relation.destination !== 'Table') {
+    protectedStacks.add(findStackIndex(stacks, relation.destination));
+  }
+  if (Number.isInteger(relation.slot)) {
+    protectedStacks.add(relation.slot - 1);
+  }
+
+  const goalBlocks = new Set(goalChain.filter(token => token !== 'Table'));
+  const parkingStacks = stacks
+    .map((stack, index) => ({
+      index,
+      top: stack[stack.length - 1],
+      height: stack.length,
+      buriedGoalBlocks: stack.filter(block => goalBlocks.has(block)).length
+    }))
+    .filter(entry => entry.height > 0 && !protectedStacks.has(entry.index))
+    .sort((a, b) => a.buriedGoalBlocks - b.buriedGoalBlocks || a.height - b.height || a.index - b.index);
+
+  if (parkingStacks.length > 0) {
+    return { to: parkingStacks[0].top };
+  }
+
+  return freeSlots.length > 0 ? { to: 'Table', slot: freeSlots[0] } : null;
+}
+
+// Table relation on a limited table: returns the move to make next, or a slot that must be emptied first
+function planSlottedTableRelation(stacks, relation, goalSlots) {
+  const { block } = relation;
+
+  if (Number.isInteger(relation.slot)) {
+    const slotStack = stacks[relation.slot - 1];
+    return slotStack.length > 0
+      ? { clearSlot: relation.slot }
+      : { move: { block, to: 'Table', slot: relation.slot } };
+  }
+
+  const reservedSlots = new Set(Object.values(goalSlots || {}));
+  const freeSlots = findFreeSlots(stacks);
+  const slot = freeSlots.find(candidate => !reservedSlots.has(candidate)) ?? freeSlots[0];
+  if (slot !== undefined) {
+    return { move: { block, to: 'Table', slot } };
+  }
+
+  // Table is full: empty the shortest stack that neither holds the block nor a placed slot goal
+  const blockStackIndex = findStackIndex(stacks, block);
+  const candidates = stacks
+    .map((stack, index) => ({ stack, index }))
+    .filter(({ stack, index }) => (
+      index !== blockStackIndex
+      && stack.length > 0
+      && !(goalSlots && goalSlots[stack[0]] === index + 1)
+    ))
+    .sort((a, b) => a.stack.length - b.stack.length || a.index - b.index);
+
+  return candidates.length > 0 ? { clearSlot: candidates[0].index + 1 } : null;
+}
+
+const countSatisfiedPredicates = (stacks, literals) => literals.length - listUnsatisfiedPredicates(stacks, literals).length;
+
+// Searched plan for predicate goals as steps of { from: state key, move }, or null when the search finds none
+function searchPredicatePlan(stacks, literals, tableSlots = null) {
+  const search = searchOptimalPlan(stacks, [], {
+    tableSlots,
+    heuristic: candidate => estimateRemainingMoves(candidate, literals)
+  });
+  if (!search.found || search.moves.length === 0) {
+    return null;
+  }
+
+  const workingStacks = deepCloneStacks(stacks);
+  return search.moves.map((move) => {
+    const from = stateKey(workingStacks);
+    const satisfiedBefore = countSatisfiedPredicates(workingStacks, literals);
+    applyPlannerMove(workingStacks, move, tableSlots);
+    const reason = countSatisfiedPredicates(workingStacks, literals) > satisfiedBefore
+      ? MOVE_REASONS.STACK
+      : MOVE_REASONS.CLEAR_BLOCK;
+    return { from, move: { ...move, reason, target: null } };
+  });
+}
+
+// Predicate goals: follow the searched plan while the world is where it expects, else take the
+// best-ranked move that does not lead back to a configuration seen before. When every ranked move
+// does, the greedy walk is at a dead end; unless told not to, the agent then searches for a plan
+// from where it stands, so it only stalls when the search finds none.
+function proposePredicateMove(beliefs) {
+  const { stacks, goalPredicates, tableSlots = null, visitedStates = [] } = beliefs;
+
+  const [planned] = beliefs.searchedPlan;
+  if (planned && planned.from === stateKey(stacks)) {
+    beliefs.searchedPlan = beliefs.searchedPlan.slice(1);
+    return planned.move;
+  }
+  // A failed grasp, a drop or an injected move left the world somewhere the plan did not expect
+  beliefs.searchedPlan = [];
+
+  const visited = new Set(visitedStates);
+  const ranked = rankPredicateMoves(stacks, goalPredicates, { tableSlots }).find((move) => {
+    const nextStacks = deepCloneStacks(stacks);
+    applyPlannerMove(nextStacks, move, tableSlots);
+    return !visited.has(stateKey(nextStacks));
+  });
+  if (ranked || !beliefs.searchOnDeadEnd) {
+    return ranked || null;
+  }
+
+  const plan = searchPredicatePlan(stacks, goalPredicates, tableSlots);
+  if (!plan) {
+    return null;
+  }
+  beliefs.searchedPlan = plan.slice(1);
+  return plan[0].move;
+}
+
+/**
+ * Execution monitoring around a plan body. Each proposal leaves an expectation
+ * of where the moved block will rest; on the next cycle the agent compares it
+ * with what it perceives. On a mismatch (a failed grasp or a dropped block)
+ * it drops its committed relation and deliberates again from the perceived
+ * stacks, and reports the divergence next to its new proposal.
+ */
+function monitorExecution(planBody) {
+  return function monitoredPlan(...args) {
+    if (!this.beliefs.monitorExecution) {
+      return planBody.apply(this, args);
+    }
+
+    const expected = this.beliefs.expectedOutcome;
+    let divergence = null;
+    if (expected) {
+      const perceivedOn = deriveOnMap(this.beliefs.stacks)[expected.block] || null;
+      if (perceivedOn !== expected.on) {
+        divergence = { block: expected.block, expectedOn: expected.on, perceivedOn };
+        delete this.beliefs.pendingRelation;
+      }
+      delete this.beliefs.expectedOutcome;
+    }
+
+    const actions = planBody.apply(this, args);
+    const proposal = Array.isArray(actions) ? actions.find(action => action && action.move) : null;
+    if (proposal) {
+      this.beliefs.expectedOutcome = { block: proposal.move.block, on: proposal.move.to };
+    }
+
+    return divergence ? [...(actions || []), { divergence }] : actions;
+  };
+}
+
+/**
+ * Commitment around a plan body. Without a commitment strategy, or with an
+ * open-minded one, the body runs every cycle. Any other strategy makes the
+ * agent work out a whole plan from its beliefs with `planAhead` and carry it
+ * out move by move, replanning only when the strategy calls for it. Each
+ * reconsideration is reported next to the proposal it leads to.
+ */
+function commitToPlan(planBody, planAhead) {
+  return function committedPlan(...args) {
+    const { commitment } = this.beliefs;
+    if (!commitment) {
+      return planBody.apply(this, args);
+    }
+
+    const trigger = reconsiderationTrigger(
+      commitment,
+      { plan: this.beliefs.intendedPlan, movesSinceReconsideration: this.beliefs.movesSinceReconsideration },
+      move => validateMoveCandidate(move, this.beliefs.stacks).ok
+    );
+
+    if (!holdsPlan(commitment)) {
+      return [...(planBody.apply(this, args) || []), { reconsideration: { trigger } }];
+    }
+
+    if (trigger) {
+      this.beliefs.intendedPlan = planAhead(this.beliefs.stacks);
+      this.beliefs.movesSinceReconsideration = 0;
+    }
+    const [move, ...remaining] = this.beliefs.intendedPlan;
+    this.beliefs.intendedPlan = remaining;
+    this.beliefs.movesSinceReconsideration += 1;
+
+    const actions = move ? [{ move: { ...move } }] : [];
+    return trigger
+      ? [...actions, { reconsideration: { trigger, plannedMoves: remaining.length + actions.length } }]
+      : actions;
+  };
+}
+
+/**
+ * @param {Object} initialBeliefs
+ * @param {string} [agentId]
+ * @param {Object} [options]
+ * @param {Function} [options.planAhead] - `(stacks) => moves`; required when the beliefs carry a commitment
+ *   strategy that holds plans
+ */
+function createPlannerAgent(initialBeliefs, agentId = AGENT_ID, { planAhead = null } = {}) {
+  const goalPending = beliefs => {
+    if (beliefs.goalPredicates) {
+      return !predicatesSatisfied(beliefs.stacks, beliefs.goalPredicates);
+    }
+    const pendingBaseCount = Array.isArray(beliefs.missingBaseBlocks)
+      ? beliefs.missingBaseBlocks.length
+      : 0;
+    return pendingBaseCount > 0 || !goalAchieved(beliefs.stacks, beliefs.goalChain, beliefs.goalSlots);
+  };
+
+  // Sensing agents only see part of the world, so a goal they believe holds may not
   const plannerDesires = {
-    ...Desire('achieveGoal', beliefs => {
-      const pendingBaseCount = Array.isArray(beliefs.missingBaseBlocks)
-        ? beliefs.missingBaseBlocks.length
-        : 0;
-      return pendingBaseCount > 0 || !goalAchieved(beliefs.stacks, beliefs.goalChain);
-    })
+    ...Desire('achieveGoal', goalPending),
+    ...Desire('lookAround', beliefs => Boolean(beliefs.sensing) && !goalPending(beliefs)),
+    ...Desire('shareObservations', beliefs => (
+      Boolean(beliefs.sensing)
+      && beliefs.teammates.length > 0
+      && Array.isArray(beliefs.observation?.columns)
+      && beliefs.observation.columns.length > 0
+    ))
   };
 
   const beliefEntries = [
@@ -248,7 +674,21 @@ function createPlannerAgent(initialBeliefs, agentId = AGENT_ID) {
     Belief('onTableBlocks', [...(initialBeliefs.onTableBlocks || [])]),
     Belief('groundedBaseBlocks', [...(initialBeliefs.groundedBaseBlocks || [])]),
     Belief('missingBaseBlocks', [...(initialBeliefs.missingBaseBlocks || [])]),
-    Belief('goalAchieved', initialBeliefs.goalAchieved)
+    Belief('goalAchieved', initialBeliefs.goalAchieved),
+    Belief('tableSlots', initialBeliefs.tableSlots || null),
+    Belief('goalSlots', initialBeliefs.goalSlots ? { ...initialBeliefs.goalSlots } : null),
+    Belief('goalPredicates', initialBeliefs.goalPredicates
+      ? initialBeliefs.goalPredicates.map(literal => ({ ...literal, args: [...literal.args] }))
+      : null),
+    Belief('visitedStates', [...(initialBeliefs.visitedStates || [])]),
+    Belief('searchedPlan', (initialBeliefs.searchedPlan || []).map(step => ({ from: step.from, move: { ...step.move } }))),
+    Belief('searchOnDeadEnd', initialBeliefs.searchOnDeadEnd !== false),
+    Belief('monitorExecution', Boolean(initialBeliefs.monitorExecution)),
+    Belief('commitment', initialBeliefs.commitment ? { ...initialBeliefs.commitment } : null),
+    Belief('intendedPlan', []),
+    Belief('movesSinceReconsideration', 0),
+    Belief('sensing', Boolean(initialBeliefs.sensing)),
+    Belief('teammates', [...(initialBeliefs.teammates || [])])
   ];
 
   if (initialBeliefs.pendingRelation) {
@@ -264,16 +704,23 @@ function createPlannerAgent(initialBeliefs, agentId = AGENT_ID) {
     plans: [
       Plan(
         intentions => intentions.achieveGoal,
-        function planAchieveGoal() {
+        monitorExecution(commitToPlan(function planAchieveGoal() {
+          if (this.beliefs.goalPredicates) {
+            const move = proposePredicateMove(this.beliefs);
+            return move ? [{ move }] : null;
+          }
+
           const {
             stacks,
             clearBlocks = [],
-            onMap = {}
+            onMap = {},
+            tableSlots = null,
+            goalSlots = null
           } = this.beliefs;
 
           const nextRelation = this.beliefs.pendingRelation
             ? { ...this.beliefs.pendingRelation }
-            : selectNextRelation(stacks, this.beliefs.goalChain);
+            : selectNextRelation(stacks, this.beliefs.goalChain, goalSlots);
 
           if (!nextRelation) {
             this.beliefs.goalAchieved = true;
@@ -294,20 +741,47 @@ function createPlannerAgent(initialBeliefs, agentId = AGENT_ID) {
             throw new PlanningError(`Planner beliefs missing destination "${destination}".`, 500);
           }
 
-          const blockIsClear = clearBlocks.includes(block) || isBlockClear(stacks, block);
-          if (!blockIsClear) {
-            const blocker = topMostAbove(stacks, block);
-            if (!blocker) return null;
+          const proposeClearingMove = (blocker, reason, target, relation = nextRelation) => {
+            const destinationChoice = tableSlots
+              ? chooseClearingDestination(stacks, blocker, relation, this.beliefs.goalChain, goalSlots)
+              : { to: 'Table' };
+            if (!destinationChoice) return null;
             return [
               {
                 move: {
                   block: blocker,
-                  to: 'Table',
-                  reason: MOVE_REASONS.CLEAR_BLOCK,
-                  target: block
+                  ...destinationChoice,
+                  reason,
+                  target
                 }
               }
             ];
+          };
+
+          const blockIsClear = clearBlocks.includes(block) || isBlockClear(stacks, block);
+          if (!blockIsClear) {
+            const blocker = topMostAbove(stacks, block);
+            if (!blocker) return null;
+            return proposeClearingMove(blocker, MOVE_REASONS.CLEAR_BLOCK, block);
+          }
+
+          if (destination === 'Table' && tableSlots) {
+            if (!Number.isInteger(nextRelation.slot) && (onMap[block] === 'Table' || isOn(stacks, block, 'Table'))) {
+              return null;
+            }
+
+            const tableStep = planSlottedTableRelation(stacks, nextRelation, goalSlots);
+            if (!tableStep) return null;
+            if (tableStep.clearSlot) {
+              const slotStack = stacks[tableStep.clearSlot - 1];
+              return proposeClearingMove(
+                slotStack[slotStack.length - 1],
+                MOVE_REASONS.CLEAR_TARGET,
+                'Table',
+                { ...nextRelation, slot: tableStep.clearSlot }
+              );
+            }
+            return [{ move: { ...tableStep.move, reason: MOVE_REASONS.STACK } }];
           }
 
           const destinationIsClear = destination === 'Table'
@@ -316,16 +790,7 @@ function createPlannerAgent(initialBeliefs, agentId = AGENT_ID) {
           if (destination !== 'Table' && !destinationIsClear) {
             const blocker = topMostAbove(stacks, destination);
             if (!blocker) return null;
-            return [
-              {
-                move: {
-                  block: blocker,
-                  to: 'Table',
-                  reason: MOVE_REASONS.CLEAR_TARGET,
-                  target: destination
-                }
-              }
-            ];
+            return proposeClearingMove(blocker, MOVE_REASONS.CLEAR_TARGET, destination);
           }
 
           const blockAlreadyOnDestination = onMap[block] === destination || isOn(stacks, block, destination);
@@ -342,6 +807,23 @@ function createPlannerAgent(initialBeliefs, agentId = AGENT_ID) {
               }
             }
           ];
+        }, planAhead))
+      ),
+      Plan(
+        intentions => intentions.lookAround,
+        () => [{ look: true }]
+      ),
+      // js-son delivers `messages` from plain action objects, not action arrays
+      Plan(
+        intentions => intentions.shareObservations,
+        function planShareObservations() {
+          const { cycle, columns } = this.beliefs.observation;
+          return {
+            messages: this.beliefs.teammates.map(teammate => ({
+              agentId: teammate,
+              message: { type: 'observation', cycle, columns }
+            }))
+          };
         }
       )
     ]
@@ -361,12 +843,16 @@ function extractMove(actions) {
           ? action.move.to.trim().toUpperCase()
           : 'TABLE';
 
-        return {
+        const extracted = {
           block: action.move.block.trim().toUpperCase(),
           to: destination === 'TABLE' ? 'Table' : destination,
           reason: action.move.reason || 'unspecified',
           target: action.move.target || null
         };
+        if (extracted.to === 'Table' && Number.isInteger(action.move.slot)) {
+          extracted.slot = action.move.slot;
+        }
+        return extracted;
       }
     }
   }
@@ -374,9 +860,30 @@ function extractMove(actions) {
   return null;
 }
 
+// The divergence a monitored agent reported alongside its proposal, if any
+function extractDivergence(actions) {
+  if (!Array.isArray(actions)) {
+    return null;
+  }
+  const report = actions.flat().find(action => action && action.divergence);
+  return report ? { ...report.divergence } : null;
+}
+
+// The reconsideration a committed agent reported alongside its proposal, if any
+function extractReconsideration(actions) {
+  if (!Array.isArray(actions)) {
+    return null;
+  }
+  const report = actions.flat().find(action => action && action.reconsideration);
+  return report ? { ...report.reconsideration } : null;
+}
+
 // Convert a logical move into 4 physical claw steps
 function expandMoveToClawSteps(move, stacks) {
   const steps = [];
+  const destinationLabel = move.to === 'Table' && Number.isInteger(move.slot)
+    ? `Table slot ${move.slot}`
+    : move.to;
   
   // Step 1: Move claw to source block position
   steps.push({
@@ -397,7 +904,7 @@ function expandMoveToClawSteps(move, stacks) {
     type: 'MOVE_CLAW',
     to: move.to,
     carrying: move.block,
-    description: `Move ${move.block} to ${move.to}`
+    description: `Move ${move.block} to ${destinationLabel}`
   });
   
   // Step 4: Drop the block (detach from claw)
@@ -405,12 +912,47 @@ function expandMoveToClawSteps(move, stacks) {
     type: 'DROP',
     block: move.block,
     at: move.to,
-    description: `Drop ${move.block} on ${move.to}`
+    description: `Drop ${move.block} on ${destinationLabel}`
   });
   
   return steps;
 }
 
+function snapshotLogBeliefs(stateFacts) {
+  return {
+    pendingRelation: stateFacts.pendingRelation
+      ? { ...stateFacts.pendingRelation }
+      : null,
+    clearBlocks: [...stateFacts.clearBlocks],
+    onMap: { ...stateFacts.onMap },
+    onTableBlocks: [...stateFacts.onTableBlocks],
+    groundedBaseBlocks: [...stateFacts.groundedBaseBlocks],
+    missingBaseBlocks: [...stateFacts.missingBaseBlocks],
+    ...(stateFacts.unsatisfiedPredicates
+      ? { unsatisfiedPredicates: [...stateFacts.unsatisfiedPredicates] }
+      : {})
+  };
+}
+
+// One intention log cycle per claw step of an applied move
+function buildClawStepLogEntries(appliedMove, actorId, resultingStacks, stateFacts, cycleOffset = 0) {
+  return appliedMove.clawSteps.map((step, stepIdx) => ({
+    cycle: cycleOffset + stepIdx + 1,
+    moves: [{
+      actor: actorId,
+      block: step.block || appliedMove.block,
+      to: step.to || (step.type === 'PICK_UP' ? 'claw' : appliedMove.to),
+      reason: step.type.toLowerCase().replace('_', '-'),
+      stepType: step.type,
+      stepDescription: step.description,
+      stepNumber: stepIdx + 1,
+      totalSteps: appliedMove.clawSteps.length
+    }],
+    resultingStacks: deepCloneStacks(resultingStacks),
+    beliefs: snapshotLogBeliefs(stateFacts)
+  }));
+}
+
 function validateMoveCandidate(move, stacks) {
   if (!blockExists(stacks, move.block)) {
     return { ok: false, code: 'BLOCK_NOT_FOUND', fatal: true };
@@ -425,7 +967,15 @@ function validateMoveCandidate(move, stacks) {
   }
 
   if (move.to === 'Table') {
-    return { ok: true };
+    if (move.slot == null) {
+      return { ok: true };
+    }
+    if (!Number.isInteger(move.slot) || !stacks[move.slot - 1]) {
+      return { ok: false, code: 'SLOT_NOT_FOUND', fatal: true };
+    }
+    return stacks[move.slot - 1].length === 0
+      ? { ok: true }
+      : { ok: false, code: 'SLOT_OCCUPIED' };
   }
 
   if (!blockExists(stacks, move.to)) {
@@ -439,41 +989,239 @@ function validateMoveCandidate(move, stacks) {
   return { ok: true };
 }
 
-function planBlocksWorld(rawStacks, rawGoalChain, options = {}) {
-  const { normalizedStacks, goalChain, maxIterations } = sanitizePlannerInputs(rawStacks, rawGoalChain, options);
-  const requiredBaseBlocks = Array.isArray(options.requiredBaseBlocks)
-    ? options.requiredBaseBlocks
-    : [];
-  const { alreadySatisfied, baselineFacts, initialState } = createInitialPlannerState(
-    normalizedStacks,
-    goalChain,
-    requiredBaseBlocks
-  );
+// Limited-table worlds keep emptied slots in place, so their moves use the slotted variant
+function applyPlannerMove(stacks, move, tableSlots) {
+  if (tableSlots) {
+    applySlottedMove(stacks, move.block, move.to, move.slot);
+  } else {
+    applyMove(stacks, move.block, move.to);
+  }
+}
 
-  if (alreadySatisfied) {
-    return buildPlannerResponse({
-      moves: [],
-      iterations: 0,
-      goalAchieved: true,
-      intentionLog: [],
-      onMap: { ...baselineFacts.onMap },
-      clearBlocks: [...baselineFacts.clearBlocks],
-      pendingRelation: null,
-      onTableBlocks: [...baselineFacts.onTableBlocks],
-      groundedBaseBlocks: [...baselineFacts.groundedBaseBlocks],
-      missingBaseBlocks: [...baselineFacts.missingBaseBlocks]
-    }, goalChain, maxIterations);
+// Compare the regression planner against the optimum; a failed BDI run reports null
+function measureOptimalityGap(planWithBdi, optimalMoves) {
+  let bdiMoves;
+  try {
+    bdiMoves = planWithBdi().moves.length;
+  } catch (error) {
+    return { optimalMoves, bdiMoves: null, gap: null, ratio: null };
   }
 
-  const builderAgent = createPlannerAgent(initialState);
+  return {
+    optimalMoves,
+    bdiMoves,
+    gap: bdiMoves - optimalMoves,
+    ratio: optimalMoves === 0 ? 1 : Number((bdiMoves / optimalMoves).toFixed(3))
+  };
+}
+
+function assertSearchSucceeded(search, exhaustedMessage) {
+  if (search.exhausted) {
+    throw new PlanningError(exhaustedMessage, 422);
+  }
+
+  if (search.limit === SEARCH_LIMITS.TIME) {
+    throw new PlanningError(
+      `Optimal search found no plan within ${DEFAULT_TIME_LIMIT_MS / 1000} s. Use the "bdi" strategy for larger worlds.`,
+      422
+    );
+  }
+  if (search.limit === SEARCH_LIMITS.STATES) {
+    throw new PlanningError(
+      `Optimal search found no plan within ${MAX_GENERATED_STATES} generated states. Use the "bdi" strategy for larger worlds.`,
+      422
+    );
+  }
+  if (!search.found) {
+    throw new PlanningError(
+      `Optimal search exceeded its budget of ${search.maxExpansions} expanded states. Use the "bdi" strategy for larger worlds.`,
+      422
+    );
+  }
+}
+
+// Replays searched moves through the same belief/intention bookkeeping as the BDI loop
+function replaySearchMoves(stacks, searchMoves, tableSlots, computeFacts, labelMove) {
+  const workingStacks = deepCloneStacks(stacks);
+  const moves = [];
+  const intentionLog = [];
+
+  searchMoves.forEach(move => {
+    const validation = validateMoveCandidate(move, workingStacks);
+    if (!validation.ok) {
+      throw new PlanningError(`Optimal search produced an invalid move (${validation.code}).`, 500);
+    }
+
+    const clawSteps = expandMoveToClawSteps(move, workingStacks);
+    const previousStacks = deepCloneStacks(workingStacks);
+    applyPlannerMove(workingStacks, move, tableSlots);
+
+    const appliedMove = {
+      block: move.block,
+      to: move.to,
+      ...(move.slot ? { slot: move.slot } : {}),
+      reason: labelMove(move, previousStacks, workingStacks),
+      actor: AGENT_ID,
+      clawSteps
+    };
+    moves.push(appliedMove);
+
+    const stateFacts = computeFacts(workingStacks);
+    intentionLog.push(...buildClawStepLogEntries(appliedMove, AGENT_ID, workingStacks, stateFacts, intentionLog.length));
+  });
+
+  return { workingStacks, moves, intentionLog };
+}
+
+function planOptimalBlocksWorld(stacks, goalChain, requiredBaseBlocks, plannerOptionsUsed, options) {
+  const { tableSlots = null, goalSlots = null } = plannerOptionsUsed;
+  const search = searchOptimalPlan(stacks, goalChain, {
+    requiredBaseBlocks,
+    maxExpansions: options.maxExpansions,
+    tableSlots,
+    goalSlots
+  });
+  assertSearchSucceeded(search, `No sequence of moves reaches the goal with ${tableSlots} table slots.`);
+
+  const goalSupports = buildGoalSupportMap(goalChain, requiredBaseBlocks);
+  const computeFacts = workingStacks => computeStateFacts(workingStacks, goalChain, requiredBaseBlocks, goalSlots);
+  const { workingStacks, moves, intentionLog } = replaySearchMoves(stacks, search.moves, tableSlots, computeFacts, (move) => {
+    const requiredSlot = goalSlots ? goalSlots[move.block] : undefined;
+    const reachesGoal = goalSupports.get(move.block) === move.to
+      && (requiredSlot === undefined || requiredSlot === move.slot);
+    return reachesGoal ? MOVE_REASONS.STACK : MOVE_REASONS.CLEAR_BLOCK;
+  });
+
+  const finalFacts = computeFacts(workingStacks);
+  if (!goalAchieved(workingStacks, goalChain, goalSlots) || finalFacts.missingBaseBlocks.length > 0) {
+    throw new PlanningError('Optimal search returned a plan that does not reach the goal.', 500);
+  }
+
+  const response = buildPlannerResponse({
+    moves,
+    iterations: moves.length,
+    goalAchieved: true,
+    intentionLog,
+    ...finalFacts
+  }, goalChain, plannerOptionsUsed);
+
+  response.optimalityGap = measureOptimalityGap(
+    () => planBlocksWorld(stacks, goalChain, { ...options, strategy: PLANNER_STRATEGIES.BDI }),
+    moves.length
+  );
+  response.searchStatistics = {
+    expansions: search.expansions,
+    generated: search.generated,
+    maxExpansions: search.maxExpansions
+  };
+
+  return response;
+}
+
+// Builder agent plus its environment, ready to be run to completion or one cycle at a time
+function createPlannerEnvironment(initialState, context) {
+  const {
+    requiredBaseBlocks = [],
+    maxIterations,
+    tableSlots = null,
+    goalSlots = null,
+    goalPredicates = null,
+    uncertainty = null,
+    commitment = null
+  } = context;
+
+  const computeFacts = stacks => computeStateFacts(stacks, initialState.goalChain, requiredBaseBlocks, goalSlots, goalPredicates);
+  const isGoalReached = (stacks, stateFacts) => (goalPredicates
+    ? predicatesSatisfied(stacks, goalPredicates)
+    : goalAchieved(stacks, initialState.goalChain, goalSlots) && stateFacts.missingBaseBlocks.length === 0);
+
+  const outcomeModel = hasUncertainty(uncertainty) ? createOutcomeModel(uncertainty) : null;
+
+  // A committed agent plans by running an unperturbed agent ahead from the stacks it perceives
+  const planAhead = stacks => {
+    const { alreadySatisfied, initialState: planningState } = createInitialPlannerState(
+      stacks,
+      initialState.goalChain,
+      requiredBaseBlocks,
+      { tableSlots, goalSlots }
+    );
+    if (alreadySatisfied) {
+      return [];
+    }
+    return runPlannerEnvironment(planningState, { requiredBaseBlocks, maxIterations, tableSlots, goalSlots })
+      .moves.map(({ block, to, slot, reason }) => ({ block, to, ...(slot ? { slot } : {}), reason }));
+  };
+
+  // Agents holding a plan notice failures through their commitment strategy instead of monitoring
+  const builderAgent = createPlannerAgent({
+    ...initialState,
+    monitorExecution: Boolean(outcomeModel) && !holdsPlan(commitment),
+    commitment
+  }, AGENT_ID, { planAhead });
   const stateRef = { goalAchieved: false };
 
+  // Where a dropped block lands: anywhere on an unlimited table, else a free slot (unreserved first)
+  const chooseDropSlot = stacks => {
+    const freeSlots = findFreeSlots(stacks);
+    const reservedSlots = new Set(Object.values(goalSlots || {}));
+    return freeSlots.find(slot => !reservedSlots.has(slot)) || freeSlots[0] || null;
+  };
+
+  // Carry out a valid move, possibly failing; returns the move that really happened (if any)
+  const attemptMove = (move, stacks) => {
+    const clawSteps = expandMoveToClawSteps(move, stacks);
+    if (!outcomeModel) {
+      return { performed: move, outcome: null, clawSteps };
+    }
+
+    const dropSlot = tableSlots ? chooseDropSlot(stacks) : null;
+    const outcome = outcomeModel.sample(move, !tableSlots || dropSlot !== null);
+    if (outcome === ACTION_OUTCOMES.GRASP_FAILED) {
+      return {
+        performed: null,
+        outcome,
+        clawSteps: [
+          clawSteps[0],
+          { ...clawSteps[1], failed: true, description: `Grasp on ${move.block} failed` }
+        ]
+      };
+    }
+    if (outcome === ACTION_OUTCOMES.DROPPED) {
+      const performed = { block: move.block, to: 'Table', ...(dropSlot ? { slot: dropSlot } : {}) };
+      return {
+        performed,
+        outcome,
+        clawSteps: [
+          ...clawSteps.slice(0, 3),
+          {
+            type: 'DROP',
+            block: move.block,
+            at: 'Table',
+            slipped: true,
+            description: `${move.block} slipped onto ${dropSlot ? `Table slot ${dropSlot}` : 'the Table'}`
+          }
+        ]
+      };
+    }
+    return { performed: move, outcome, clawSteps };
+  };
+
   const updateState = (actions, actorId, currentState) => {
     const nextStacks = deepCloneStacks(currentState.stacks);
     const proposedMove = extractMove(actions);
     const nextMoves = [...currentState.moves];
     const nextIntentionLog = [...currentState.intentionLog];
 
+    const executionEvents = outcomeModel ? [...(currentState.executionEvents || [])] : undefined;
+    const divergence = outcomeModel ? extractDivergence(actions) : null;
+    const commitmentEvents = commitment ? [...(currentState.commitmentEvents || [])] : undefined;
+    const reconsideration = commitment ? extractReconsideration(actions) : null;
+    let wastedMove = false;
+
+    if (reconsideration) {
+      commitmentEvents.push({ iteration: currentState.iterations + 1, type: 'reconsideration', ...reconsideration });
+    }
+
     let appliedMove = null;
     let skippedReason = 'no-proposal';
 
@@ -484,87 +1232,108 @@ function planBlocksWorld(rawStacks, rawGoalChain, options = {}) {
         if (validation.fatal) {
           throw new PlanningError(`Planner produced an invalid move (${validation.code}).`, 422);
         }
+        // A committed agent attempts planned moves the world no longer allows; the cycle is lost, not stalled
+        wastedMove = holdsPlan(commitment);
+        if (wastedMove) {
+          commitmentEvents.push({
+            iteration: currentState.iterations + 1,
+            type: 'wasted',
+            move: { block: proposedMove.block, to: proposedMove.to, ...(proposedMove.slot ? { slot: proposedMove.slot } : {}) },
+            reason: skippedReason
+          });
+        }
       } else {
-        applyMove(nextStacks, proposedMove.block, proposedMove.to);
-        
-        // Generate 4-step claw movement sequence
-        const clawSteps = expandMoveToClawSteps(proposedMove, currentState.stacks);
-        
+        // Generate 4-step claw movement sequence (fewer when a grasp fails)
+        const { performed, outcome, clawSteps } = attemptMove(proposedMove, currentState.stacks);
+        if (performed) {
+          applyPlannerMove(nextStacks, performed, tableSlots);
+        }
+        const failed = outcome && outcome !== ACTION_OUTCOMES.SUCCEEDED;
+        const landed = performed || proposedMove;
+
         appliedMove = {
           block: proposedMove.block,
-          to: proposedMove.to,
+          to: landed.to,
+          ...(landed.slot ? { slot: landed.slot } : {}),
           reason: proposedMove.reason,
           actor: actorId,
-          clawSteps: clawSteps  // Include detailed claw steps
+          clawSteps: clawSteps,  // Include detailed claw steps
+          ...(outcome ? { outcome } : {}),
+          ...(failed ? { intended: { to: proposedMove.to, ...(proposedMove.slot ? { slot: proposedMove.slot } : {}) } } : {}),
+          ...(divergence ? { recovery: { ...divergence } } : {})
         };
         nextMoves.push(appliedMove);
+
+        if (failed) {
+          executionEvents.push({
+            iteration: currentState.iterations + 1,
+            type: 'failure',
+            outcome,
+            block: proposedMove.block,
+            intendedTo: proposedMove.to,
+            actualTo: performed ? performed.to : null
+          });
+        }
       }
     }
 
-    const stateFacts = computeStateFacts(nextStacks, currentState.goalChain, requiredBaseBlocks);
-    const structureSatisfied = goalAchieved(nextStacks, currentState.goalChain);
-    const baseSatisfied = stateFacts.missingBaseBlocks.length === 0;
-    const reachedGoal = structureSatisfied && baseSatisfied;
+    if (divergence) {
+      executionEvents.push({
+        iteration: currentState.iterations + 1,
+        type: 'recovery',
+        ...divergence,
+        nextMove: appliedMove ? { block: appliedMove.block, to: appliedMove.to } : null
+      });
+    }
+
+    const stateFacts = computeFacts(nextStacks);
+    const reachedGoal = isGoalReached(nextStacks, stateFacts);
     stateRef.goalAchieved = reachedGoal;
 
     // If move was applied, create 4 separate cycles (one for each claw step)
     if (appliedMove && appliedMove.clawSteps) {
-      appliedMove.clawSteps.forEach((step, stepIdx) => {
-        nextIntentionLog.push({
-          cycle: nextIntentionLog.length + 1,
-          moves: [{
-            actor: actorId,
-            block: step.block || appliedMove.block,
-            to: step.to || (step.type === 'PICK_UP' ? 'claw' : appliedMove.to),
-            reason: step.type.toLowerCase().replace('_', '-'),
-            stepType: step.type,
-            stepDescription: step.description,
-            stepNumber: stepIdx + 1,
-            totalSteps: 4
-          }],
-          resultingStacks: deepCloneStacks(nextStacks),
-          beliefs: {
-            pendingRelation: stateFacts.pendingRelation
-              ? { ...stateFacts.pendingRelation }
-              : null,
-            clearBlocks: [...stateFacts.clearBlocks],
-            onMap: { ...stateFacts.onMap },
-            onTableBlocks: [...stateFacts.onTableBlocks],
-            groundedBaseBlocks: [...stateFacts.groundedBaseBlocks],
-            missingBaseBlocks: [...stateFacts.missingBaseBlocks]
-          }
-        });
-      });
+      nextIntentionLog.push(...buildClawStepLogEntries(appliedMove, actorId, nextStacks, stateFacts, nextIntentionLog.length));
     } else {
       // No move applied, single skip cycle
       nextIntentionLog.push({
         cycle: nextIntentionLog.length + 1,
-        moves: [{ actor: actorId, skipped: true, reason: skippedReason }],
+        moves: [{ actor: actorId, skipped: true, reason: skippedReason, ...(wastedMove ? { wasted: true } : {}) }],
         resultingStacks: deepCloneStacks(nextStacks),
-        beliefs: {
-          pendingRelation: stateFacts.pendingRelation
-            ? { ...stateFacts.pendingRelation }
-            : null,
-          clearBlocks: [...stateFacts.clearBlocks],
-          onMap: { ...stateFacts.onMap },
-          onTableBlocks: [...stateFacts.onTableBlocks],
-          groundedBaseBlocks: [...stateFacts.groundedBaseBlocks],
-          missingBaseBlocks: [...stateFacts.missingBaseBlocks]
-        }
+        beliefs: snapshotLogBeliefs(stateFacts)
       });
     }
 
-    if (!appliedMove && !reachedGoal) {
-      throw new PlanningError('Planner stalled before achieving the goal.', 422);
+    if (!appliedMove && !wastedMove && !reachedGoal) {
+      throw new PlanningError(goalPredicates
+        ? 'Planner stalled before achieving the goal; the predicates may be unsatisfiable in this world.'
+        : 'Planner stalled before achieving the goal.', 422);
     }
 
-    return {
-      stacks: nextStacks,
-      goalChain: currentState.goalChain,
+    return buildNextState(currentState, nextStacks, stateFacts, {
       moves: nextMoves,
-      goalAchieved: reachedGoal,
-      iterations: currentState.iterations + 1,
       intentionLog: nextIntentionLog,
+      iterations: currentState.iterations + 1,
+      visitedStates: goalPredicates ? [...currentState.visitedStates, stateKey(nextStacks)] : undefined,
+      executionEvents,
+      commitmentEvents
+    });
+  };
+
+  const buildNextState = (currentState, nextStacks, stateFacts, {
+    moves,
+    intentionLog,
+    iterations,
+    visitedStates,
+    executionEvents,
+    commitmentEvents
+  }) => {
+    const nextState = {
+      stacks: nextStacks,
+      goalChain: currentState.goalChain,
+      moves,
+      goalAchieved: isGoalReached(nextStacks, stateFacts),
+      iterations,
+      intentionLog,
       onMap: stateFacts.onMap,
       clearBlocks: stateFacts.clearBlocks,
       pendingRelation: stateFacts.pendingRelation,
@@ -572,10 +1341,67 @@ function planBlocksWorld(rawStacks, rawGoalChain, options = {}) {
       groundedBaseBlocks: stateFacts.groundedBaseBlocks,
       missingBaseBlocks: stateFacts.missingBaseBlocks
     };
+
+    if (goalPredicates) {
+      nextState.unsatisfiedPredicates = stateFacts.unsatisfiedPredicates;
+      nextState.visitedStates = visitedStates;
+    }
+    if (executionEvents) {
+      nextState.executionEvents = executionEvents;
+    }
+    if (commitmentEvents) {
+      nextState.commitmentEvents = commitmentEvents;
+    }
+
+    return nextState;
+  };
+
+  // A move made outside the agent (e.g. by a user); an open-minded agent replans from the new stacks
+  // next cycle, an agent holding a plan keeps it until its commitment strategy says otherwise
+  const injectMove = (move, actorId) => {
+    const currentState = environment.state;
+    const validation = validateMoveCandidate(move, currentState.stacks);
+    if (!validation.ok) {
+      throw new PlanningError(`Move ${move.block} -> ${move.to} cannot be applied (${validation.code}).`, 409);
+    }
+
+    const nextStacks = deepCloneStacks(currentState.stacks);
+    applyPlannerMove(nextStacks, move, tableSlots);
+    const appliedMove = {
+      block: move.block,
+      to: move.to,
+      ...(move.slot ? { slot: move.slot } : {}),
+      reason: 'manual',
+      actor: actorId,
+      manual: true,
+      clawSteps: expandMoveToClawSteps(move, currentState.stacks)
+    };
+
+    const stateFacts = computeFacts(nextStacks);
+    const intentionLog = [
+      ...currentState.intentionLog,
+      ...buildClawStepLogEntries(appliedMove, actorId, nextStacks, stateFacts, currentState.intentionLog.length)
+    ];
+    environment.state = {
+      ...currentState,
+      ...buildNextState(currentState, nextStacks, stateFacts, {
+        moves: [...currentState.moves, appliedMove],
+        intentionLog,
+        iterations: currentState.iterations,
+        visitedStates: goalPredicates ? [stateKey(nextStacks)] : undefined,
+        executionEvents: currentState.executionEvents,
+        commitmentEvents: currentState.commitmentEvents
+      })
+    };
+    stateRef.goalAchieved = environment.state.goalAchieved;
+    delete builderAgent.beliefs.pendingRelation;
+    delete builderAgent.beliefs.expectedOutcome;
+
+    return appliedMove;
   };
 
   const stateFilter = state => {
-    const facts = computeStateFacts(state.stacks, state.goalChain, requiredBaseBlocks);
+    const facts = computeFacts(state.stacks);
 
     const filtered = {
       stacks: deepCloneStacks(state.stacks),
@@ -592,6 +1418,10 @@ function planBlocksWorld(rawStacks, rawGoalChain, options = {}) {
       filtered.pendingRelation = { ...facts.pendingRelation };
     }
 
+    if (goalPredicates) {
+      filtered.visitedStates = [...state.visitedStates];
+    }
+
     return filtered;
   };
 
@@ -611,6 +1441,15 @@ function planBlocksWorld(rawStacks, rawGoalChain, options = {}) {
     stateFilter,
     runner
   );
+  stateRef.goalAchieved = Boolean(initialState.goalAchieved);
+
+  return { environment, agent: builderAgent, injectMove };
+}
+
+// Drive the builder agent until the goal holds; throws when the iteration budget runs out
+function runPlannerEnvironment(initialState, context) {
+  const { maxIterations } = context;
+  const { environment } = createPlannerEnvironment(initialState, context);
 
   environment.run(maxIterations);
 
@@ -620,17 +1459,406 @@ function planBlocksWorld(rawStacks, rawGoalChain, options = {}) {
     throw new PlanningError(`Unable to achieve goal within ${maxIterations} iterations.`, 422);
   }
 
-  return buildPlannerResponse(finalState, goalChain, maxIterations);
+  return finalState;
+}
+
+function planBlocksWorld(rawStacks, rawGoalChain, options = {}) {
+  if (typeof rawGoalChain === 'string') {
+    return planPredicateGoal(rawStacks, rawGoalChain, options);
+  }
+
+  const {
+    normalizedStacks,
+    goalChain,
+    maxIterations,
+    strategy,
+    tableSlots,
+    goalSlots,
+    uncertainty,
+    commitment
+  } = sanitizePlannerInputs(rawStacks, rawGoalChain, options);
+  const requiredBaseBlocks = Array.isArray(options.requiredBaseBlocks)
+    ? options.requiredBaseBlocks
+    : [];
+  const plannerOptionsUsed = strategy === PLANNER_STRATEGIES.OPTIMAL
+    ? { maxIterations, strategy, maxExpansions: resolveExpansionBudget(options.maxExpansions) }
+    : { maxIterations };
+  if (tableSlots) {
+    plannerOptionsUsed.tableSlots = tableSlots;
+    if (goalSlots) {
+      plannerOptionsUsed.goalSlots = { ...goalSlots };
+    }
+  }
+  if (uncertainty) {
+    plannerOptionsUsed.uncertainty = { ...uncertainty };
+  }
+  if (commitment) {
+    plannerOptionsUsed.commitment = { ...commitment };
+  }
+  const { alreadySatisfied, baselineFacts, initialState } = createInitialPlannerState(
+    normalizedStacks,
+    goalChain,
+    requiredBaseBlocks,
+    { tableSlots, goalSlots }
+  );
+
+  if (alreadySatisfied) {
+    const response = buildPlannerResponse({
+      moves: [],
+      iterations: 0,
+      goalAchieved: true,
+      intentionLog: [],
+      onMap: { ...baselineFacts.onMap },
+      clearBlocks: [...baselineFacts.clearBlocks],
+      pendingRelation: null,
+      onTableBlocks: [...baselineFacts.onTableBlocks],
+      groundedBaseBlocks: [...baselineFacts.groundedBaseBlocks],
+      missingBaseBlocks: [...baselineFacts.missingBaseBlocks]
+    }, goalChain, plannerOptionsUsed);
+
+    if (strategy === PLANNER_STRATEGIES.OPTIMAL) {
+      response.optimalityGap = { optimalMoves: 0, bdiMoves: 0, gap: 0, ratio: 1 };
+    }
+    if (commitment) {
+      response.intentionReconsideration = summarizeCommitment(commitment);
+    }
+
+    return response;
+  }
+
+  if (strategy === PLANNER_STRATEGIES.OPTIMAL) {
+    return planOptimalBlocksWorld(normalizedStacks, goalChain, requiredBaseBlocks, plannerOptionsUsed, options);
+  }
+
+  const finalState = runPlannerEnvironment(initialState, {
+    requiredBaseBlocks,
+    maxIterations,
+    tableSlots,
+    goalSlots,
+    uncertainty,
+    commitment
+  });
+
+  const response = buildPlannerResponse(finalState, goalChain, plannerOptionsUsed);
+  if (uncertainty) {
+    response.executionMonitoring = summarizeExecutionEvents(finalState.executionEvents);
+  }
+  if (commitment) {
+    response.intentionReconsideration = summarizeCommitment(commitment, finalState.commitmentEvents);
+  }
+  return response;
+}
+
+// Failures the world caused and the recoveries the agent made after noticing them
+function summarizeExecutionEvents(events = []) {
+  return {
+    failures: events.filter(event => event.type === 'failure').length,
+    recoveries: events.filter(event => event.type === 'recovery').length,
+    events: events.map(event => ({ ...event }))
+  };
+}
+
+// searchedPlan seeds the agent with a plan from searchPredicatePlan; searchOnDeadEnd: false makes it stall instead
+function createPredicatePlannerState(stacks, goalPredicates, tableSlots, { searchedPlan = [], searchOnDeadEnd = true } = {}) {
+  const workingStacks = deepCloneStacks(stacks);
+  const facts = computeStateFacts(workingStacks, [], [], null, goalPredicates);
+
+  return {
+    stacks: workingStacks,
+    goalChain: [],
+    moves: [],
+    goalAchieved: false,
+    iterations: 0,
+    intentionLog: [],
+    ...facts,
+    tableSlots,
+    goalSlots: null,
+    goalPredicates,
+    visitedStates: [stateKey(workingStacks)],
+    searchedPlan,
+    searchOnDeadEnd
+  };
+}
+
+// Each consistent alternative is planned separately and the shortest plan wins. An alternative the
+// greedy walk cannot reach is planned by search from the start, so no detour precedes the searched moves.
+function planPredicateAlternatives(stacks, alternatives, maxIterations, tableSlots) {
+  let best = null;
+  let lastError = null;
+
+  const runAlternative = (literals, plannerState) => runPlannerEnvironment(plannerState, {
+    maxIterations,
+    tableSlots,
+    goalPredicates: literals
+  });
+
+  alternatives.forEach(({ literals, index }) => {
+    try {
+      let searchedPlan = [];
+      let finalState;
+      try {
+        finalState = runAlternative(literals, createPredicatePlannerState(stacks, literals, tableSlots, { searchOnDeadEnd: false }));
+      } catch (error) {
+        searchedPlan = error instanceof PlanningError && error.status === 422
+          ? searchPredicatePlan(stacks, literals, tableSlots)
+          : null;
+        if (!searchedPlan) {
+          throw error;
+        }
+        finalState = runAlternative(literals, createPredicatePlannerState(stacks, literals, tableSlots, { searchedPlan }));
+      }
+      if (!best || finalState.moves.length < best.state.moves.length) {
+        best = { state: finalState, literals, index, searchedPlan };
+      }
+    } catch (error) {
+      if (!(error instanceof PlanningError) || error.status !== 422) {
+        throw error;
+      }
+      lastError = error;
+    }
+  });
+
+  if (!best) {
+    throw lastError;
+  }
+  return best;
+}
+
+function planOptimalPredicateGoal(stacks, alternatives, plannerOptionsUsed, options) {
+  const { tableSlots = null, maxIterations } = plannerOptionsUsed;
+  const search = searchOptimalPlan(stacks, [], {
+    maxExpansions: options.maxExpansions,
+    tableSlots,
+    heuristic: candidate => Math.min(...alternatives.map(({ literals }) => estimateRemainingMoves(candidate, literals)))
+  });
+  assertSearchSucceeded(search, 'No sequence of moves satisfies the goal predicates.');
+
+  const finalStacks = deepCloneStacks(stacks);
+  search.moves.forEach(move => applyPlannerMove(finalStacks, move, tableSlots));
+  const selected = alternatives.find(({ literals }) => predicatesSatisfied(finalStacks, literals));
+  if (!selected) {
+    throw new PlanningError('Optimal search returned a plan that does not reach the goal.', 500);
+  }
+
+  const countSatisfied = candidate => countSatisfiedPredicates(candidate, selected.literals);
+  const computeFacts = workingStacks => computeStateFacts(workingStacks, [], [], null, selected.literals);
+  const { workingStacks, moves, intentionLog } = replaySearchMoves(stacks, search.moves, tableSlots, computeFacts, (move, before, after) => (
+    countSatisfied(after) > countSatisfied(before) ? MOVE_REASONS.STACK : MOVE_REASONS.CLEAR_BLOCK
+  ));
+
+  const response = buildPlannerResponse({
+    moves,
+    iterations: moves.length,
+    goalAchieved: true,
+    intentionLog,
+    ...computeFacts(workingStacks)
+  }, [], plannerOptionsUsed);
+
+  response.optimalityGap = measureOptimalityGap(
+    () => planPredicateAlternatives(stacks, alternatives, maxIterations, tableSlots).state,
+    moves.length
+  );
+  response.searchStatistics = {
+    expansions: search.expansions,
+    generated: search.generated,
+    maxExpansions: search.maxExpansions
+  };
+
+  return { response, selected };
+}
+
+// Parse a predicate goal against the world and drop alternatives that can never hold
+function preparePredicateGoal(rawStacks, expression, options) {
+  const { maxIterations, strategy, tableSlots, uncertainty, commitment } = resolvePlannerOptions(options);
+  if (options.goalSlots && Object.keys(options.goalSlots).length > 0) {
+    throw new PlanningError('goalSlots apply to tower goals only; predicate goals cannot pin table slots.');
+  }
+  if (uncertainty) {
+    throw new PlanningError('uncertainty applies to tower goals only; predicate goals are planned without failures.');
+  }
+  if (commitment) {
+    throw new PlanningError('commitment applies to tower goals only; predicate goals are replanned every cycle.');
+  }
+
+  const { stacks: parsedStacks } = normalizeStacks(rawStacks);
+  const stacks = tableSlots ? normalizeTableSlots(parsedStacks, tableSlots) : parsedStacks;
+  const parsedAlternatives = parseGoalPredicates(expression, stacks.flat());
+  const contradictions = parsedAlternatives.map(findContradiction);
+  const alternatives = parsedAlternatives
+    .map((literals, index) => ({ literals, index }))
+    .filter(({ index }) => contradictions[index] === null);
+
+  if (alternatives.length === 0) {
+    throw new PlanningError(`Goal cannot be satisfied: ${contradictions[0]}`, 422);
+  }
+
+  const plannerOptionsUsed = strategy === PLANNER_STRATEGIES.OPTIMAL
+    ? { maxIterations, strategy, maxExpansions: resolveExpansionBudget(options.maxExpansions) }
+    : { maxIterations };
+  if (tableSlots) {
+    plannerOptionsUsed.tableSlots = tableSlots;
+  }
+
+  return { stacks, parsedAlternatives, alternatives, plannerOptionsUsed, maxIterations, strategy, tableSlots };
+}
+
+// Predicate goals such as "on(A,B) and clear(C) or onTable(D)"; any alternative may be satisfied
+function planPredicateGoal(rawStacks, expression, options = {}) {
+  const {
+    stacks,
+    parsedAlternatives,
+    alternatives,
+    plannerOptionsUsed,
+    maxIterations,
+    strategy,
+    tableSlots
+  } = preparePredicateGoal(rawStacks, expression, options);
+
+  const finalizeResponse = (response, selected) => ({
+    ...response,
+    relationsResolved: selected.literals.length,
+    goalPredicates: {
+      alternatives: parsedAlternatives.map(formatAlternative),
+      selectedAlternative: selected.index
+    }
+  });
+
+  const satisfied = alternatives.find(({ literals }) => predicatesSatisfied(stacks, literals));
+  if (satisfied) {
+    const response = buildPlannerResponse({
+      moves: [],
+      iterations: 0,
+      goalAchieved: true,
+      intentionLog: [],
+      ...computeStateFacts(stacks, [], [], null, satisfied.literals)
+    }, [], plannerOptionsUsed);
+
+    if (strategy === PLANNER_STRATEGIES.OPTIMAL) {
+      response.optimalityGap = { optimalMoves: 0, bdiMoves: 0, gap: 0, ratio: 1 };
+    }
+
+    return finalizeResponse(response, satisfied);
+  }
+
+  if (strategy === PLANNER_STRATEGIES.OPTIMAL) {
+    const { response, selected } = planOptimalPredicateGoal(stacks, alternatives, plannerOptionsUsed, options);
+    return finalizeResponse(response, selected);
+  }
+
+  const best = planPredicateAlternatives(stacks, alternatives, maxIterations, tableSlots);
+  return finalizeResponse(buildPlannerResponse(best.state, [], plannerOptionsUsed), best);
+}
+
+/**
+ * Prepare a BDI run that is advanced one agent cycle at a time (planner sessions)
+ *
+ * Takes the same goals and options as planBlocksWorld; predicate goals follow
+ * the alternative planBlocksWorld would select.
+ *
+ * @returns {Object} environment, agent and injectMove from createPlannerEnvironment,
+ *   plus plannerOptionsUsed, maxIterations and the resolved goal
+ */
+function createPlannerRun(rawStacks, rawGoal, options = {}) {
+  if (options.strategy != null && String(options.strategy).trim().toLowerCase() !== PLANNER_STRATEGIES.BDI) {
+    throw new PlanningError('Stepwise runs use the "bdi" strategy; request optimal plans in a single call.');
+  }
+
+  if (typeof rawGoal === 'string') {
+    const {
+      stacks,
+      parsedAlternatives,
+      alternatives,
+      plannerOptionsUsed,
+      maxIterations,
+      tableSlots
+    } = preparePredicateGoal(rawStacks, rawGoal, options);
+    const selected = alternatives.find(({ literals }) => predicatesSatisfied(stacks, literals))
+      || planPredicateAlternatives(stacks, alternatives, maxIterations, tableSlots);
+
+    const initialState = createPredicatePlannerState(stacks, selected.literals, tableSlots, {
+      searchedPlan: selected.searchedPlan || []
+    });
+    initialState.goalAchieved = predicatesSatisfied(stacks, selected.literals);
+
+    return {
+      ...createPlannerEnvironment(initialState, { maxIterations, tableSlots, goalPredicates: selected.literals }),
+      plannerOptionsUsed,
+      maxIterations,
+      goal: {
+        goalPredicates: {
+          alternatives: parsedAlternatives.map(formatAlternative),
+          selectedAlternative: selected.index
+        }
+      }
+    };
+  }
+
+  const {
+    normalizedStacks,
+    goalChain,
+    maxIterations,
+    tableSlots,
+    goalSlots,
+    uncertainty,
+    commitment
+  } = sanitizePlannerInputs(rawStacks, rawGoal, options);
+  const requiredBaseBlocks = Array.isArray(options.requiredBaseBlocks)
+    ? options.requiredBaseBlocks
+    : [];
+  const plannerOptionsUsed = { maxIterations };
+  if (tableSlots) {
+    plannerOptionsUsed.tableSlots = tableSlots;
+    if (goalSlots) {
+      plannerOptionsUsed.goalSlots = { ...goalSlots };
+    }
+  }
+  if (uncertainty) {
+    plannerOptionsUsed.uncertainty = { ...uncertainty };
+  }
+  if (commitment) {
+    plannerOptionsUsed.commitment = { ...commitment };
+  }
+
+  const { baselineFacts, initialState } = createInitialPlannerState(
+    normalizedStacks,
+    goalChain,
+    requiredBaseBlocks,
+    { tableSlots, goalSlots }
+  );
+  const startState = initialState || {
+    stacks: deepCloneStacks(normalizedStacks),
+    goalChain: [...goalChain],
+    moves: [],
+    goalAchieved: true,
+    iterations: 0,
+    intentionLog: [],
+    ...baselineFacts,
+    tableSlots,
+    goalSlots
+  };
+
+  return {
+    ...createPlannerEnvironment(startState, { requiredBaseBlocks, maxIterations, tableSlots, goalSlots, uncertainty, commitment }),
+    plannerOptionsUsed,
+    maxIterations,
+    goal: { goalChain }
+  };
 }
 
 module.exports = {
   planBlocksWorld,
+  createPlannerRun,
+  buildPlannerResponse,
+  summarizeExecutionEvents,
+  summarizeCommitment,
   PlanningError,
+  PLANNER_STRATEGIES,
   createPlannerAgent,
   computeStateFacts,
   extractMove,
   expandMoveToClawSteps,
   validateMoveCandidate,
+  applyPlannerMove,
   sanitizePlannerInputs,
   createInitialPlannerState
 };
@@ -3,7 +3,7 @@
  * 
  * Detects all types of conflicts between agent proposals:
  * 1. Resource Conflict - Both agents want same block
- * 2. Destination Conflict - Both agents want to stack on same target
+ * 2. Destination Conflict - Both agents want to stack on same target (or table slot)
  * 3. Ordering Conflict - One agent clears what another needs
  * 4. Goal Conflict - Both working on same goal relation
  */
@@ -36,6 +36,7 @@ class ConflictDetector {
         );
 
         if (conflict) {
+          conflict.agents = [proposals[i].agentId, proposals[j].agentId];
           conflicts.push(conflict);
           this.conflictHistory.push({
             ...conflict,
@@ -89,6 +90,18 @@ class ConflictDetector {
       };
     }
 
+    // Both agents want the same free slot on a limited table
+    if (moveA.to === 'Table' && moveB.to === 'Table' && moveA.slot != null && moveA.slot === moveB.slot) {
+      return {
+        type: 'DESTINATION_CONFLICT',
+        destination: `Table slot ${moveA.slot}`,
+        proposalA,
+        proposalB,
+        description: `Both agents want table slot ${moveA.slot}`,
+        severity: 'HIGH'
+      };
+    }
+
     // TYPE 3: ORDERING CONFLICT
     // Agent A clears a block that Agent B wants to use as destination
     // Or vice versa
@@ -0,0 +1,163 @@
+/**
+ * Contract-Net Protocol for Multi-Agent Task Allocation
+ *
+ * An auctioneer announces tasks (tower goals or single goal relations) one at
+ * a time. Every agent answers with a bid built from its utility estimate for
+ * the task's moves and the work it has already been awarded; the auctioneer
+ * awards the contract to the highest bid and the winner's workload grows by
+ * the task's cost (its move count). Faster agents feel their workload less.
+ *
+ * Every round is a conversation on the message bus: the auctioneer sends each
+ * agent a `cfp`, the agents answer with a `propose` carrying their bid, and the
+ * auctioneer answers the bids with one `accept-proposal` and `reject-proposal`s.
+ */
+
+const NegotiationProtocol = require('./NegotiationProtocol');
+const MessageBus = require('./MessageBus');
+const { PERFORMATIVES, COORDINATION_ROLES } = MessageBus;
+
+const TOWER_ALLOCATIONS = {
+  ROUND_ROBIN: 'round-robin',
+  CONTRACT_NET: 'contract-net'
+};
+
+const CONTRACT_TASK_TYPES = {
+  TOWER: 'tower',
+  RELATION: 'relation'
+};
+
+class ContractNetProtocol {
+  constructor(options = {}) {
+    this.negotiator = options.negotiator || new NegotiationProtocol();
+    this.bus = options.bus || new MessageBus();
+    this.contracts = [];
+  }
+
+  /**
+   * Run one Contract-Net round over all tasks
+   *
+   * @param {Array<{id: string, label: string, goalChain: Array<string>, steps: Array<{move: Object, stacks: Array}>}>} tasks
+   *   Tasks in announcement order; each step is a planned move and the stacks it starts from
+   * @param {Array<string>} agentIds - Bidders; earlier agents win ties
+   * @param {Object<string, number>} [speeds] - Relative agent speeds (default 1)
+   * @returns {{tasks: Array, bids: Array, awards: Array}}
+   */
+  allocate(tasks, agentIds, speeds = {}) {
+    const workload = new Map(agentIds.map(agentId => [agentId, 0]));
+    const announced = [];
+    const bids = [];
+    const awards = [];
+
+    // Each contractor bids from its own workload and speed
+    agentIds.forEach(agentId => {
+      this.bus.register(agentId, message => (message.performative === PERFORMATIVES.CFP
+        ? {
+            performative: PERFORMATIVES.PROPOSE,
+            content: {
+              task: message.content.task,
+              workload: workload.get(agentId),
+              bid: roundBid(message.content.utility / (1 + workload.get(agentId) / (speeds[agentId] || 1)))
+            }
+          }
+        : null));
+    });
+
+    tasks.forEach(task => {
+      const utility = this.estimateUtility(task);
+      const cost = task.steps.length;
+      announced.push({ id: task.id, label: task.label, cost, utility: roundBid(utility) });
+
+      const conversationId = this.bus.startConversation('contract-net');
+      const proposals = agentIds.flatMap(agentId => this.bus.send({
+        performative: PERFORMATIVES.CFP,
+        sender: COORDINATION_ROLES.AUCTIONEER,
+        receiver: agentId,
+        conversationId,
+        content: { task: task.id, label: task.label, cost, utility }
+      }).filter(reply => reply.performative === PERFORMATIVES.PROPOSE));
+
+      const taskBids = proposals.map(proposal => ({
+        task: task.id,
+        agent: proposal.sender,
+        utility: roundBid(utility),
+        workload: proposal.content.workload,
+        bid: proposal.content.bid
+      }));
+      bids.push(...taskBids);
+
+      const winningBid = taskBids.reduce((best, bid) => (bid.bid > best.bid ? bid : best));
+      proposals.forEach(proposal => this.bus.send({
+        performative: proposal.sender === winningBid.agent
+          ? PERFORMATIVES.ACCEPT_PROPOSAL
+          : PERFORMATIVES.REJECT_PROPOSAL,
+        sender: COORDINATION_ROLES.AUCTIONEER,
+        receiver: proposal.sender,
+        conversationId,
+        inReplyTo: proposal.id,
+        content: { task: task.id, winner: winningBid.agent, bid: winningBid.bid }
+      }));
+      const award = {
+        task: task.id,
+        label: task.label,
+        agent: winningBid.agent,
+        bid: winningBid.bid,
+        cost,
+        bidders: taskBids.length
+      };
+      workload.set(winningBid.agent, workload.get(winningBid.agent) + cost);
+      awards.push(award);
+      this.contracts.push(award);
+    });
+
+    return { tasks: announced, bids, awards };
+  }
+
+  /**
+   * Mean utility of a task's moves, each judged against the stacks it starts from
+   *
+   * @param {Object} task
+   * @returns {number} Utility estimate (0-1)
+   */
+  estimateUtility(task) {
+    if (!task.steps.length) {
+      return 0;
+    }
+    const total = task.steps.reduce((sum, step) => sum + this.negotiator.calculateUtility(
+      { move: step.move },
+      { stacks: step.stacks, goalChain: task.goalChain }
+    ), 0);
+    return total / task.steps.length;
+  }
+
+  /**
+   * Get contract statistics
+   *
+   * @returns {Object}
+   */
+  getStatistics() {
+    const byAgent = {};
+    this.contracts.forEach(contract => {
+      byAgent[contract.agent] = (byAgent[contract.agent] || 0) + 1;
+    });
+
+    return {
+      total: this.contracts.length,
+      byAgent
+    };
+  }
+
+  /**
+   * Reset contract history
+   */
+  reset() {
+    this.contracts = [];
+  }
+}
+
+function roundBid(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = ContractNetProtocol;
+module.exports.TOWER_ALLOCATIONS = TOWER_ALLOCATIONS;
+module.exports.CONTRACT_TASK_TYPES = CONTRACT_TASK_TYPES;
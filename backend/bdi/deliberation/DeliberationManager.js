@@ -4,13 +4,24 @@
  * Orchestrates the deliberation cycle:
  * 1. Collect proposals from agents
  * 2. Detect conflicts
- * 3. Negotiate resolutions
+ * 3. Resolve conflicts with the configured strategy (ResolutionStrategies.js)
  * 4. Broadcast decisions
+ *
+ * Proposals and decisions travel over the message bus: every agent sends its
+ * move to the coordinator as a `propose`, and the coordinator answers with a
+ * `request` to carry out an approved move, an `inform` about a blocked or
+ * deferred one, or a `reject-proposal` for a move that is not legal.
  */
 
 const EventEmitter = require('events');
 const ConflictDetector = require('./ConflictDetector');
 const NegotiationProtocol = require('./NegotiationProtocol');
+const MessageBus = require('./MessageBus');
+const { PERFORMATIVES, COORDINATION_ROLES } = MessageBus;
+const {
+  RESOLUTION_STRATEGIES,
+  createResolutionStrategy
+} = require('./ResolutionStrategies');
 
 class DeliberationManager extends EventEmitter {
   constructor(options = {}) {
@@ -20,9 +31,19 @@ class DeliberationManager extends EventEmitter {
     this.enableNegotiation = options.enableNegotiation !== false;
     this.timeout = options.timeout || 5000;
     this.conflictDetector = new ConflictDetector();
+    this.bus = options.bus || new MessageBus();
     this.negotiator = new NegotiationProtocol({
       utilityThreshold: options.utilityThreshold || 0.1,
-      enableCooperative: options.enableCooperative !== false
+      enableCooperative: options.enableCooperative !== false,
+      bus: this.bus
+    });
+
+    // Without an explicit strategy, disabling negotiation falls back to fixed priority
+    const strategyName = options.resolution
+      || (this.enableNegotiation ? RESOLUTION_STRATEGIES.UTILITY : RESOLUTION_STRATEGIES.PRIORITY);
+    this.strategy = createResolutionStrategy(strategyName, {
+      negotiator: this.negotiator,
+      agentIds: this.agents.map(agent => agent.id)
     });
     
     this.deliberationHistory = [];
@@ -47,9 +68,14 @@ class DeliberationManager extends EventEmitter {
       cycle: currentState.cycle || 0
     });
 
+    this.bus.setCycle(currentState.cycle || 0);
+    const conversationId = this.bus.startConversation('deliberation');
+    const proposalMessages = this.sendProposals(proposals, conversationId);
+
     try {
       // Phase 1: Validate proposals
       const validProposals = this.validateProposals(proposals, currentState);
+      this.rejectIllegalProposals(proposals, validProposals, proposalMessages, conversationId);
       
       if (validProposals.length === 0) {
         // No valid proposals - agents may be done
@@ -70,24 +96,14 @@ class DeliberationManager extends EventEmitter {
         count: conflicts.length
       });
 
-      // Phase 3: Negotiate resolutions (if conflicts exist and negotiation enabled)
+      // Phase 3: Resolve conflicts with the configured strategy
       let decisions;
       let negotiations = [];
 
-      if (conflicts.length > 0 && this.enableNegotiation) {
-        const negotiationResult = this.negotiateWithTimeout(
-          validProposals,
-          conflicts,
-          currentState
-        );
-        
-        decisions = negotiationResult.decisions;
-        negotiations = negotiationResult.negotiations;
-
-      } else if (conflicts.length > 0) {
-        // No negotiation - use simple priority resolution
-        const resolutionResult = this.resolveByPriority(validProposals, conflicts);
+      if (conflicts.length > 0) {
+        const resolutionResult = this.resolveConflicts(validProposals, conflicts, currentState);
         decisions = resolutionResult.decisions;
+        negotiations = resolutionResult.negotiations || [];
 
       } else {
         // No conflicts - approve all proposals
@@ -100,9 +116,12 @@ class DeliberationManager extends EventEmitter {
       }
 
       const elapsedMs = Date.now() - startTime;
+      this.announceDecisions(decisions, proposalMessages, conversationId);
 
       const result = {
         id: deliberationId,
+        conversationId,
+        strategy: this.strategy.name,
         decisions,
         conflicts,
         negotiations,
@@ -129,11 +148,81 @@ class DeliberationManager extends EventEmitter {
         })),
         conflicts: [],
         negotiations: [],
+        strategy: this.strategy.name,
         error: error.message
       };
     }
   }
 
+  /**
+   * Each agent proposes its move to the coordinator
+   *
+   * @param {Array<Object>} proposals
+   * @param {string} conversationId
+   * @returns {Map<string, Object>} The `propose` message of each agent
+   */
+  sendProposals(proposals, conversationId) {
+    const messages = new Map();
+    proposals.filter(proposal => proposal.move).forEach(proposal => {
+      const message = this.bus.record({
+        performative: PERFORMATIVES.PROPOSE,
+        sender: proposal.agentId,
+        receiver: COORDINATION_ROLES.COORDINATOR,
+        conversationId,
+        content: { move: proposal.move }
+      });
+      this.bus.deliver(message);
+      messages.set(proposal.agentId, message);
+    });
+    return messages;
+  }
+
+  /**
+   * Turn down proposals that failed validation
+   *
+   * @param {Array<Object>} proposals
+   * @param {Array<Object>} validProposals
+   * @param {Map<string, Object>} proposalMessages
+   * @param {string} conversationId
+   */
+  rejectIllegalProposals(proposals, validProposals, proposalMessages, conversationId) {
+    proposals
+      .filter(proposal => proposal.move && !validProposals.includes(proposal))
+      .forEach(proposal => {
+        this.bus.send({
+          performative: PERFORMATIVES.REJECT_PROPOSAL,
+          sender: COORDINATION_ROLES.COORDINATOR,
+          receiver: proposal.agentId,
+          conversationId,
+          inReplyTo: proposalMessages.get(proposal.agentId)?.id,
+          content: { move: proposal.move, reason: 'illegal-move' }
+        });
+      });
+  }
+
+  /**
+   * Ask approved agents to act and tell the others why they wait
+   *
+   * @param {Array<Object>} decisions
+   * @param {Map<string, Object>} proposalMessages
+   * @param {string} conversationId
+   */
+  announceDecisions(decisions, proposalMessages, conversationId) {
+    decisions.forEach(decision => {
+      const approved = decision.status === 'approved' || decision.status === 'approved-alternative';
+      this.bus.send({
+        performative: approved ? PERFORMATIVES.REQUEST : PERFORMATIVES.INFORM,
+        sender: COORDINATION_ROLES.COORDINATOR,
+        receiver: decision.agentId,
+        conversationId,
+        inReplyTo: proposalMessages.get(decision.agentId)?.id,
+        content: approved
+          ? { action: 'move', move: decision.move, reason: decision.reason }
+          : { status: decision.status, move: decision.move, reason: decision.reason }
+      });
+    });
+  }
+
   /**
    * Validate that proposals are legal moves
    * 
@@ -145,10 +234,10 @@ class DeliberationManager extends EventEmitter {
     return proposals.filter(proposal => {
       if (!proposal.move) return false;
 
-      const { block, to } = proposal.move;
+      const { block, to, slot } = proposal.move;
       
       // Basic validation - block must be clear and destination valid
-      return this.isValidMove(block, to, currentState.stacks);
+      return this.isValidMove(block, to, currentState.stacks, slot);
     });
   }
 
@@ -158,9 +247,10 @@ class DeliberationManager extends EventEmitter {
    * @param {string} block
    * @param {string} to
    * @param {Array} stacks
+   * @param {number} [slot] - Target table slot (1-based) on a limited table
    * @returns {boolean}
    */
-  isValidMove(block, to, stacks) {
+  isValidMove(block, to, stacks, slot) {
     // Block must exist and be clear (on top of a stack)
     let blockIsClear = false;
     
@@ -173,8 +263,10 @@ class DeliberationManager extends EventEmitter {
 
     if (!blockIsClear) return false;
 
-    // Destination must be 'Table' or a clear block
-    if (to === 'Table') return true;
+    // Destination must be 'Table' (a free slot, when slots are fixed) or a clear block
+    if (to === 'Table') {
+      return slot == null || (Array.isArray(stacks[slot - 1]) && stacks[slot - 1].length === 0);
+    }
 
     // Check if destination block exists and is clear
     for (const stack of stacks) {
@@ -186,6 +278,24 @@ class DeliberationManager extends EventEmitter {
     return false;
   }
 
+  /**
+   * Resolve conflicting proposals with the configured strategy
+   * 
+   * @param {Array} proposals
+   * @param {Array} conflicts
+   * @param {Object} currentState
+  * @returns {{decisions: Array, negotiations: Array}}
+   */
+  resolveConflicts(proposals, conflicts, currentState) {
+    const result = this.strategy.resolve(proposals, conflicts, currentState);
+
+    if (!result || !Array.isArray(result.decisions)) {
+      throw new Error(`Resolution strategy "${this.strategy.name}" returned invalid result`);
+    }
+
+    return result;
+  }
+
   /**
    * Run negotiation with timeout protection
    * 
@@ -212,15 +322,8 @@ class DeliberationManager extends EventEmitter {
    * @returns {Object}
    */
   resolveByPriority(proposals, conflicts) {
-    // Simple: First proposal wins conflicts
-    const decisions = proposals.map((p, idx) => ({
-      agentId: p.agentId,
-      move: p.move,
-      status: idx === 0 ? 'approved' : 'blocked',
-      reason: idx === 0 ? 'priority-first' : 'priority-blocked'
-    }));
-
-    return { decisions, negotiations: [] };
+    // Simple: earlier proposals win conflicts; later ones go ahead unless they clash with an approved one
+    return createResolutionStrategy(RESOLUTION_STRATEGIES.PRIORITY, {}).resolve(proposals, conflicts);
   }
 
   /**
@@ -236,6 +339,7 @@ class DeliberationManager extends EventEmitter {
     const totalNegotiations = this.deliberationHistory.reduce((sum, d) => sum + d.negotiations.length, 0);
 
     return {
+      strategy: this.strategy.name,
       totalDeliberations: this.deliberationHistory.length,
       averageElapsedMs: avgElapsed.toFixed(2),
       totalConflicts,
@@ -252,6 +356,7 @@ class DeliberationManager extends EventEmitter {
     this.deliberationHistory = [];
     this.conflictDetector.reset();
     this.negotiator.reset();
+    this.bus.reset();
   }
 }
 
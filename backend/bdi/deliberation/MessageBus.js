@@ -0,0 +1,169 @@
+/**
+ * Message Bus for Agent Communication
+ *
+ * Carries FIPA-ACL style messages between agents and the coordination roles
+ * (coordinator, negotiator, auctioneer). Messages are delivered synchronously:
+ * a participant's handler answers a message by returning its replies, which
+ * are sent back to the sender in the same conversation. Every message is kept
+ * in the transcript in the order it was sent.
+ */
+
+const PERFORMATIVES = {
+  INFORM: 'inform',
+  REQUEST: 'request',
+  PROPOSE: 'propose',
+  ACCEPT_PROPOSAL: 'accept-proposal',
+  REJECT_PROPOSAL: 'reject-proposal',
+  CFP: 'cfp'
+};
+
+const COORDINATION_ROLES = {
+  COORDINATOR: 'Coordinator',
+  NEGOTIATOR: 'Negotiator',
+  AUCTIONEER: 'Auctioneer'
+};
+
+const KNOWN_PERFORMATIVES = new Set(Object.values(PERFORMATIVES));
+
+class MessageBus {
+  constructor() {
+    this.transcript = [];
+    this.handlers = new Map();
+    this.cycle = 0;
+    this.conversationCount = 0;
+  }
+
+  /**
+   * Register the handler that answers messages sent to a participant
+   *
+   * @param {string} participant
+   * @param {Function} handler - `(message) => reply | Array<reply> | null`; a reply is
+   *   `{ performative, content }` and goes back to the sender
+   */
+  register(participant, handler) {
+    this.handlers.set(participant, handler);
+  }
+
+  /**
+   * Stamp following messages with a deliberation cycle
+   *
+   * @param {number} cycle
+   */
+  setCycle(cycle) {
+    this.cycle = cycle;
+  }
+
+  /**
+   * Open a new conversation
+   *
+   * @param {string} protocol - Prefix naming the interaction, e.g. "negotiation"
+   * @returns {string} Conversation id
+   */
+  startConversation(protocol) {
+    this.conversationCount += 1;
+    return `${protocol}-${this.conversationCount}`;
+  }
+
+  /**
+   * Send a message and deliver it to the receiver's handler
+   *
+   * @param {Object} message
+   * @param {string} message.performative - One of PERFORMATIVES
+   * @param {string} message.sender
+   * @param {string} message.receiver
+   * @param {Object} [message.content]
+   * @param {string} [message.conversationId]
+   * @param {number} [message.inReplyTo] - Id of the message being answered
+   * @returns {Array<Object>} The receiver's replies, as sent
+   */
+  send(message) {
+    return this.deliver(this.record(message));
+  }
+
+  /**
+   * Append a message to the transcript without delivering it
+   *
+   * @param {Object} message - As for send()
+   * @returns {Object} The recorded message with its id and cycle
+   */
+  record({ performative, sender, receiver, content = {}, conversationId = null, inReplyTo = null }) {
+    if (!KNOWN_PERFORMATIVES.has(performative)) {
+      throw new Error(`Unknown performative "${performative}". Use one of: ${[...KNOWN_PERFORMATIVES].join(', ')}.`);
+    }
+
+    const message = {
+      id: this.transcript.length + 1,
+      cycle: this.cycle,
+      performative,
+      sender,
+      receiver,
+      conversationId,
+      ...(inReplyTo ? { inReplyTo } : {}),
+      content
+    };
+    this.transcript.push(message);
+    return message;
+  }
+
+  // Hand a recorded message to its receiver and send back whatever it answers
+  deliver(message) {
+    const handler = this.handlers.get(message.receiver);
+    const answer = handler ? handler(message) : null;
+    const replies = Array.isArray(answer) ? answer : (answer ? [answer] : []);
+
+    return replies.map(reply => {
+      const sent = this.record({
+        performative: reply.performative,
+        sender: message.receiver,
+        receiver: message.sender,
+        content: reply.content,
+        conversationId: message.conversationId,
+        inReplyTo: message.id
+      });
+      this.deliver(sent);
+      return sent;
+    });
+  }
+
+  /**
+   * Messages sent so far, optionally for one cycle
+   *
+   * @param {{cycle?: number}} [filter]
+   * @returns {Array<Object>}
+   */
+  getTranscript(filter = {}) {
+    return Number.isInteger(filter.cycle)
+      ? this.transcript.filter(message => message.cycle === filter.cycle)
+      : [...this.transcript];
+  }
+
+  /**
+   * Count messages by performative
+   *
+   * @returns {Object}
+   */
+  getStatistics() {
+    const byPerformative = {};
+    this.transcript.forEach(message => {
+      byPerformative[message.performative] = (byPerformative[message.performative] || 0) + 1;
+    });
+
+    return {
+      total: this.transcript.length,
+      byPerformative
+    };
+  }
+
+  /**
+   * Reset transcript and conversation numbering (handlers stay registered)
+   */
+  reset() {
+    this.transcript = [];
+    this.cycle = 0;
+    this.conversationCount = 0;
+  }
+}
+
+module.exports = MessageBus;
+module.exports.PERFORMATIVES = PERFORMATIVES;
+module.exports.COORDINATION_ROLES = COORDINATION_ROLES;
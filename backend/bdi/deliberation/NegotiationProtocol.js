@@ -1,9 +1,16 @@
 /**
  * Negotiation Protocol for Multi-Agent Conflict Resolution
  * 
- * Implements utility-based negotiation with cooperative solution finding
+ * Implements utility-based negotiation with cooperative solution finding.
+ * Each conflict is a conversation on the message bus: the negotiator sends a
+ * `cfp` to both agents, each answers with a `propose` carrying the utility of
+ * its move, and the negotiator settles the conflict from those proposals with
+ * an `accept-proposal` and a `reject-proposal`.
  */
 
+const MessageBus = require('./MessageBus');
+const { PERFORMATIVES, COORDINATION_ROLES } = MessageBus;
+
 function computeClearBlocks(stacks) {
   if (!Array.isArray(stacks)) {
     return [];
@@ -19,6 +26,8 @@ class NegotiationProtocol {
     this.utilityThreshold = options.utilityThreshold || 0.1;
     this.enableCooperative = options.enableCooperative !== false;
     this.negotiations = [];
+    this.bus = options.bus || new MessageBus();
+    this.state = null;
   }
 
   /**
@@ -31,7 +40,12 @@ class NegotiationProtocol {
    */
   negotiate(proposals, conflicts, currentState) {
     const negotiations = [];
-    const decisions = [];
+
+    // Agents judge calls for proposals against the world being negotiated over
+    this.state = currentState;
+    proposals.forEach(proposal => {
+      this.bus.register(proposal.agentId, message => this.answerCallForProposal(message));
+    });
 
     // Process each conflict through negotiation
     for (const conflict of conflicts) {
@@ -42,22 +56,106 @@ class NegotiationProtocol {
 
       negotiations.push(negotiation);
       this.negotiations.push(negotiation);
-      this.applyNegotiationResult(negotiation, decisions);
     }
 
-    // Mark non-conflicted proposals as approved
-    proposals.forEach(proposal => {
-      if (!decisions.find(d => d.agentId === proposal.agentId)) {
+    const decisions = this.resolveDecisions(proposals, negotiations, currentState);
+
+    return { decisions, negotiations };
+  }
+
+  /**
+   * Combine pairwise negotiation outcomes into one decision per agent
+   *
+   * With more than two agents a proposal can be party to several conflicts.
+   * Proposals are approved one at a time: a proposal is ready once every
+   * negotiation it lost was against a proposal that has itself been turned
+   * down; approving it turns down every remaining proposal it conflicts with,
+   * using the decision from their negotiation. Circular outcomes (A beats B,
+   * B beats C, C beats A) are broken by utility. With two agents this is
+   * exactly the outcome of their single negotiation.
+   *
+   * @param {Array<Object>} proposals
+   * @param {Array<Object>} negotiations - Completed pairwise negotiations
+   * @param {Object} state - World state
+   * @returns {Array<Object>} Decisions in approval order
+   */
+  resolveDecisions(proposals, negotiations, state) {
+    const outcomes = negotiations.map(negotiation => {
+      const pairDecisions = [];
+      this.applyNegotiationResult(negotiation, pairDecisions);
+      const [winnerDecision, loserDecision] = pairDecisions;
+      return {
+        winnerDecision,
+        loserDecision,
+        // Cooperative alternatives let both agents proceed
+        decisive: loserDecision.status !== 'approved' && loserDecision.status !== 'approved-alternative'
+      };
+    }).filter(outcome => outcome.winnerDecision && outcome.loserDecision);
+
+    const decisions = [];
+    const rejected = new Set();
+    let remaining = proposals.map(proposal => proposal.agentId);
+
+    const involves = (outcome, agentId) => (
+      outcome.winnerDecision.agentId === agentId || outcome.loserDecision.agentId === agentId
+    );
+    const isReady = agentId => !outcomes.some(outcome => (
+      outcome.decisive
+      && outcome.loserDecision.agentId === agentId
+      && !rejected.has(outcome.winnerDecision.agentId)
+    ));
+
+    while (remaining.length > 0) {
+      let nextAgentId = remaining.find(isReady);
+      if (!nextAgentId) {
+        nextAgentId = remaining.reduce((best, agentId) => {
+          const utilityOf = id => this.calculateUtility(proposals.find(p => p.agentId === id), state);
+          return utilityOf(agentId) > utilityOf(best) ? agentId : best;
+        });
+      }
+      remaining = remaining.filter(agentId => agentId !== nextAgentId);
+
+      const proposal = proposals.find(p => p.agentId === nextAgentId);
+      const ownOutcomes = outcomes.filter(outcome => involves(outcome, nextAgentId));
+      const won = ownOutcomes.find(outcome => outcome.winnerDecision.agentId === nextAgentId);
+      const approvedAsLoser = ownOutcomes.find(outcome => (
+        !outcome.decisive && outcome.loserDecision.agentId === nextAgentId
+      ));
+
+      if (won) {
+        decisions.push(won.winnerDecision);
+      } else if (approvedAsLoser) {
+        decisions.push(approvedAsLoser.loserDecision);
+      } else {
         decisions.push({
-          agentId: proposal.agentId,
+          agentId: nextAgentId,
           move: proposal.move,
           status: 'approved',
-          reason: 'no-conflict'
+          reason: ownOutcomes.length > 0 ? 'opponents-blocked' : 'no-conflict'
         });
       }
-    });
 
-    return { decisions, negotiations };
+      // Everyone still waiting who conflicts with the approved proposal stands down
+      ownOutcomes.forEach(outcome => {
+        if (!outcome.decisive) {
+          return;
+        }
+        const winnerId = outcome.winnerDecision.agentId;
+        const loserId = outcome.loserDecision.agentId;
+        const opponentId = winnerId === nextAgentId ? loserId : winnerId;
+        if (!remaining.includes(opponentId)) {
+          return;
+        }
+
+        remaining = remaining.filter(agentId => agentId !== opponentId);
+        rejected.add(opponentId);
+        decisions.push(opponentId === loserId
+          ? outcome.loserDecision
+          : { ...outcome.winnerDecision, status: 'blocked', reason: 'circular-conflict' });
+      });
+    }
+
+    return decisions;
   }
 
   /**
@@ -69,21 +167,110 @@ class NegotiationProtocol {
    */
   negotiateConflict(conflict, state) {
     const { proposalA, proposalB, type } = conflict;
+    const conversationId = this.bus.startConversation('negotiation');
 
-    // Calculate utilities for both proposals
-    const utilityA = this.calculateUtility(proposalA, state);
-    const utilityB = this.calculateUtility(proposalB, state);
+    // Ask both agents for the utility of their move
+    const replyA = this.callForProposal(proposalA, type, conversationId);
+    const replyB = this.callForProposal(proposalB, type, conversationId);
 
     const negotiation = {
       conflictId: `${type}-${Date.now()}`,
+      conversationId,
       type,
       proposalA,
       proposalB,
-      utilityA,
-      utilityB,
+      utilityA: replyA ? replyA.content.utility : 0,
+      utilityB: replyB ? replyB.content.utility : 0,
       phases: []
     };
 
+    negotiation.resolution = this.settleConflict(negotiation, conflict, state);
+    this.announceResolution(negotiation, new Map([
+      [proposalA.agentId, replyA],
+      [proposalB.agentId, replyB]
+    ]));
+
+    return negotiation;
+  }
+
+  /**
+   * Send a call for proposals to one party of a conflict
+   *
+   * @param {Object} proposal - The party's proposal
+   * @param {string} conflictType
+   * @param {string} conversationId
+   * @returns {Object|null} The agent's `propose` reply, or null when it made none
+   */
+  callForProposal(proposal, conflictType, conversationId) {
+    const replies = this.bus.send({
+      performative: PERFORMATIVES.CFP,
+      sender: COORDINATION_ROLES.NEGOTIATOR,
+      receiver: proposal.agentId,
+      conversationId,
+      content: { conflictType, move: proposal.move }
+    });
+    return replies.find(reply => (
+      reply.performative === PERFORMATIVES.PROPOSE && Number.isFinite(reply.content?.utility)
+    )) || null;
+  }
+
+  /**
+   * An agent's answer to a call for proposals: its move and that move's utility
+   *
+   * @param {Object} message
+   * @returns {Object|null} Reply for the message bus
+   */
+  answerCallForProposal(message) {
+    if (message.performative !== PERFORMATIVES.CFP) {
+      return null;
+    }
+    const { move } = message.content;
+    return {
+      performative: PERFORMATIVES.PROPOSE,
+      content: { move, utility: this.calculateUtility({ move }, this.state || {}) }
+    };
+  }
+
+  /**
+   * Tell both parties how their conflict was settled
+   *
+   * @param {Object} negotiation - Settled negotiation
+   * @param {Map<string, Object|null>} replies - Each agent's `propose` reply
+   */
+  announceResolution(negotiation, replies) {
+    const { resolution } = negotiation;
+    const accepted = resolution.winner || resolution.first;
+    const rejected = resolution.loser || resolution.second;
+
+    [[accepted, PERFORMATIVES.ACCEPT_PROPOSAL], [rejected, PERFORMATIVES.REJECT_PROPOSAL]].forEach(([proposal, performative]) => {
+      const reply = replies.get(proposal.agentId);
+      this.bus.send({
+        performative,
+        sender: COORDINATION_ROLES.NEGOTIATOR,
+        receiver: proposal.agentId,
+        conversationId: negotiation.conversationId,
+        inReplyTo: reply ? reply.id : null,
+        content: {
+          move: proposal.move,
+          resolution: resolution.type,
+          reason: resolution.reason
+        }
+      });
+    });
+  }
+
+  /**
+   * Decide a conflict from the utilities the agents proposed
+   *
+   * @param {Object} negotiation - Negotiation record; phases are appended
+   * @param {Object} conflict
+   * @param {Object} state - Current world state
+   * @returns {Object} Resolution
+   */
+  settleConflict(negotiation, conflict, state) {
+    const { proposalA, proposalB, type } = conflict;
+    const { utilityA, utilityB } = negotiation;
+
     const moveA = proposalA?.move || null;
     const moveB = proposalB?.move || null;
     const reasonA = moveA?.reason ? String(moveA.reason).toLowerCase() : '';
@@ -108,25 +295,22 @@ class NegotiationProtocol {
         winner: winner.agentId
       });
 
-      negotiation.resolution = {
+      return {
         type: 'clear-priority',
         winner,
         loser,
         reason: 'Clearing move takes precedence over stacking'
       };
-
-      return negotiation;
     }
 
     // If utilities are significantly different, winner is clear
     if (Math.abs(utilityA - utilityB) > this.utilityThreshold) {
-      negotiation.resolution = {
+      return {
         type: 'utility-winner',
         winner: utilityA > utilityB ? proposalA : proposalB,
         loser: utilityA > utilityB ? proposalB : proposalA,
         reason: `Higher utility (${Math.max(utilityA, utilityB).toFixed(2)} vs ${Math.min(utilityA, utilityB).toFixed(2)})`
       };
-      return negotiation;
     }
 
     // PHASE 2: Equal utility - try to find cooperative solution
@@ -143,8 +327,7 @@ class NegotiationProtocol {
       );
 
       if (cooperativeSolution) {
-        negotiation.resolution = cooperativeSolution;
-        return negotiation;
+        return cooperativeSolution;
       }
     }
 
@@ -156,14 +339,12 @@ class NegotiationProtocol {
     const winner = Math.random() > 0.5 ? proposalA : proposalB;
     const loser = winner === proposalA ? proposalB : proposalA;
 
-    negotiation.resolution = {
+    return {
       type: 'random-tiebreak',
       winner,
       loser,
       reason: 'Equal utility, random selection'
     };
-
-    return negotiation;
   }
 
   /**
@@ -0,0 +1,181 @@
+/**
+ * Conflict-Resolution Strategies for Multi-Agent Deliberation
+ *
+ * Each strategy turns a set of conflicting proposals into one decision per
+ * agent. Strategies are created per deliberation manager (round-robin and
+ * token-passing keep state between cycles) from a factory in the registry:
+ *
+ * - utility:       pairwise utility negotiation (NegotiationProtocol)
+ * - priority:      fixed agent order, earlier proposals win
+ * - auction:       agents bid the utility of their move, highest bid wins
+ * - round-robin:   priority rotates to the next agent every cycle
+ * - token-passing: the token holder wins and passes the token on once it moves
+ *
+ * Apart from utility, strategies approve proposals greedily in their chosen
+ * order: a proposal is blocked only if it conflicts with one already approved.
+ */
+
+const RESOLUTION_STRATEGIES = {
+  UTILITY: 'utility',
+  PRIORITY: 'priority',
+  AUCTION: 'auction',
+  ROUND_ROBIN: 'round-robin',
+  TOKEN_PASSING: 'token-passing'
+};
+
+const DEFAULT_RESOLUTION_STRATEGY = RESOLUTION_STRATEGIES.UTILITY;
+
+const conflictPair = conflict => [conflict.proposalA?.agentId, conflict.proposalB?.agentId];
+
+/**
+ * Approve proposals in the given order unless they clash with an approved one
+ *
+ * @param {Array<Object>} orderedProposals - Proposals, highest priority first
+ * @param {Array<Object>} conflicts - Detected pairwise conflicts
+ * @param {Object} reasons - Decision reasons: `first`, `free` and `blocked`
+ * @param {Function} [annotate] - Extra decision fields for a proposal
+ * @returns {Array<Object>} Decisions in approval order
+ */
+function approveInOrder(orderedProposals, conflicts, reasons, annotate = () => ({})) {
+  const approved = new Set();
+  const conflictsWithApproved = agentId => conflicts.some(conflict => {
+    const pair = conflictPair(conflict);
+    return pair.includes(agentId) && pair.some(id => id !== agentId && approved.has(id));
+  });
+
+  return orderedProposals.map((proposal, idx) => {
+    const blocked = conflictsWithApproved(proposal.agentId);
+    if (!blocked) {
+      approved.add(proposal.agentId);
+    }
+    return {
+      agentId: proposal.agentId,
+      move: proposal.move,
+      status: blocked ? 'blocked' : 'approved',
+      reason: blocked ? reasons.blocked : (idx === 0 ? reasons.first : reasons.free),
+      ...annotate(proposal)
+    };
+  });
+}
+
+// Proposals ordered by team position, starting with `leadIndex` and wrapping around
+function orderFromLead(proposals, agentIds, leadIndex) {
+  const teamSize = agentIds.length || 1;
+  const rank = proposal => {
+    const position = agentIds.indexOf(proposal.agentId);
+    return position < 0 ? teamSize : (position - leadIndex + teamSize) % teamSize;
+  };
+  return [...proposals].sort((a, b) => rank(a) - rank(b));
+}
+
+const strategyFactories = {
+  [RESOLUTION_STRATEGIES.UTILITY]: ({ negotiator }) => ({
+    resolve(proposals, conflicts, state) {
+      return negotiator.negotiate(proposals, conflicts, state);
+    }
+  }),
+
+  [RESOLUTION_STRATEGIES.PRIORITY]: () => ({
+    resolve(proposals, conflicts) {
+      const decisions = approveInOrder(proposals, conflicts, {
+        first: 'priority-first',
+        free: 'no-conflict',
+        blocked: 'priority-blocked'
+      });
+      return { decisions, negotiations: [] };
+    }
+  }),
+
+  // Sealed-bid auction; equal bids keep proposal order
+  [RESOLUTION_STRATEGIES.AUCTION]: ({ negotiator }) => ({
+    resolve(proposals, conflicts, state) {
+      const bids = new Map(proposals.map(proposal => [
+        proposal.agentId,
+        negotiator.calculateUtility(proposal, state)
+      ]));
+      const ordered = [...proposals].sort((a, b) => bids.get(b.agentId) - bids.get(a.agentId));
+      const decisions = approveInOrder(ordered, conflicts, {
+        first: 'auction-winner',
+        free: 'no-conflict',
+        blocked: 'outbid'
+      }, proposal => ({ bid: bids.get(proposal.agentId) }));
+      return { decisions, negotiations: [] };
+    }
+  }),
+
+  [RESOLUTION_STRATEGIES.ROUND_ROBIN]: ({ agentIds }) => ({
+    resolve(proposals, conflicts, state) {
+      const leadIndex = Math.max(0, (state.cycle || 1) - 1) % (agentIds.length || 1);
+      const decisions = approveInOrder(orderFromLead(proposals, agentIds, leadIndex), conflicts, {
+        first: 'turn-holder',
+        free: 'no-conflict',
+        blocked: 'awaiting-turn'
+      });
+      return { decisions, negotiations: [] };
+    }
+  }),
+
+  // The token only moves on once its holder has used it to win a conflict
+  [RESOLUTION_STRATEGIES.TOKEN_PASSING]: ({ agentIds }) => {
+    let holderIndex = 0;
+    return {
+      resolve(proposals, conflicts) {
+        const ordered = orderFromLead(proposals, agentIds, holderIndex);
+        const decisions = approveInOrder(ordered, conflicts, {
+          first: 'token-holder',
+          free: 'no-conflict',
+          blocked: 'awaiting-token'
+        });
+
+        const userIndex = agentIds.indexOf(ordered[0].agentId);
+        if (userIndex >= 0) {
+          holderIndex = (userIndex + 1) % agentIds.length;
+        }
+        return { decisions, negotiations: [] };
+      }
+    };
+  }
+};
+
+/**
+ * Create a resolution strategy instance by name
+ *
+ * @param {string} name - A registered strategy name
+ * @param {Object} context
+ * @param {NegotiationProtocol} context.negotiator - Shared negotiation protocol
+ * @param {Array<string>} context.agentIds - Team in priority order
+ * @returns {{name: string, resolve: Function}}
+ */
+function createResolutionStrategy(name, context) {
+  const factory = strategyFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown conflict-resolution strategy "${name}". Use one of: ${listResolutionStrategies().join(', ')}.`);
+  }
+  return { name, ...factory(context) };
+}
+
+/**
+ * Register (or replace) a strategy factory for experiments
+ *
+ * @param {string} name
+ * @param {Function} factory - `(context) => ({ resolve(proposals, conflicts, state) })`
+ */
+function registerResolutionStrategy(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error('Resolution strategy factory must be a function.');
+  }
+  strategyFactories[name] = factory;
+}
+
+function listResolutionStrategies() {
+  return Object.keys(strategyFactories);
+}
+
+module.exports = {
+  RESOLUTION_STRATEGIES,
+  DEFAULT_RESOLUTION_STRATEGY,
+  approveInOrder,
+  createResolutionStrategy,
+  registerResolutionStrategy,
+  listResolutionStrategies
+};
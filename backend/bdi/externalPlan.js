@@ -0,0 +1,96 @@
+/**
+ * External Plan Playback
+ *
+ * Turns a plan from an external classical planner into the planner response
+ * the dashboard animates: moves with claw steps, replayed against the world
+ * by the plan validator first. On a limited table, put-down actions take the
+ * lowest free slot, since PDDL has no notion of table positions.
+ */
+
+const { PlanningError, expandMoveToClawSteps } = require('./blocksWorldAgent');
+const { validatePlan } = require('./planValidator');
+const createBlocksHelpers = require('./utils/blocks');
+const { createPddlHelpers } = require('./utils/pddl');
+
+const { normalizeStacks, normalizeTableSlots, findFreeSlots, applyMove, applySlottedMove } = createBlocksHelpers(PlanningError);
+const { parsePddlPlan } = createPddlHelpers(PlanningError);
+
+const EXTERNAL_PLANNER = 'external-pddl';
+
+// Slots are chosen on a scratch copy; the first move that cannot be applied is left for the validator to report
+function assignTableSlots(stacks, moves) {
+  const scratch = stacks.map(stack => [...stack]);
+  for (const [index, move] of moves.entries()) {
+    if (move.to === 'Table') {
+      const [slot] = findFreeSlots(scratch);
+      if (slot === undefined) {
+        throw new PlanningError(`Move ${index + 1} ${move.action} cannot be played: every table slot is occupied.`, 422);
+      }
+      move.slot = slot;
+    }
+    try {
+      applySlottedMove(scratch, move.block, move.to, move.slot);
+    } catch (error) {
+      return;
+    }
+  }
+}
+
+/**
+ * Check an external plan against the world and shape it for playback
+ *
+ * @param {Object} request
+ * @param {Array<Array<string>>} request.stacks - Current stacks, bottom block first
+ * @param {string} request.plan - Actions such as "(unstack a b) (put-down a)"
+ * @param {Array<string>|Array<Array<string>>|string} [request.goal] - Reported as `goalAchieved` when given
+ * @param {number} [request.tableSlots]
+ * @returns {Object} Planner-style response: moves (with clawSteps), iterations, goalAchieved, validation
+ */
+function ingestExternalPlan({ stacks: rawStacks, plan, goal = null, tableSlots = null }) {
+  const { stacks: parsedStacks } = normalizeStacks(rawStacks);
+  const stacks = tableSlots ? normalizeTableSlots(parsedStacks, tableSlots) : parsedStacks;
+  const moves = parsePddlPlan(plan);
+  if (tableSlots) {
+    assignTableSlots(stacks, moves);
+  }
+
+  const validation = validatePlan({ stacks, goal, moves, tableSlots });
+  if (validation.firstIllegalMove) {
+    const { index, reason } = validation.firstIllegalMove;
+    throw new PlanningError(`Move ${index + 1} ${moves[index].action} cannot be played: ${reason}`, 422);
+  }
+
+  // Claw steps are expanded against the world each move starts from, as for the planner's own moves
+  const working = stacks.map(stack => [...stack]);
+  const playback = moves.map((move) => {
+    const clawSteps = expandMoveToClawSteps(move, working);
+    if (tableSlots) {
+      applySlottedMove(working, move.block, move.to, move.slot);
+    } else {
+      applyMove(working, move.block, move.to);
+    }
+    return {
+      block: move.block,
+      to: move.to,
+      ...(move.slot != null ? { slot: move.slot } : {}),
+      reason: 'external-plan',
+      action: move.action,
+      clawSteps
+    };
+  });
+
+  return {
+    moves: playback,
+    iterations: moves.length,
+    goalAchieved: validation.goalAchieved,
+    agentCount: 1,
+    intentionLog: [],
+    planner: EXTERNAL_PLANNER,
+    validation
+  };
+}
+
+module.exports = {
+  ingestExternalPlan,
+  EXTERNAL_PLANNER
+};
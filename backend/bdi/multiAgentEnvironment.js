@@ -1,20 +1,46 @@
 /**
  * Multi-Agent BDI planner using js-son Environment orchestration.
  *
- * Two autonomous agents pursue complementary goal chains, deliberate on
- * conflicts, and execute moves while the js-son Environment keeps beliefs
- * in sync. Deliberation remains external (async) so we can negotiate before
+ * A team of autonomous agents (two by default, up to six) pursue
+ * complementary goal chains, deliberate on conflicts, and execute moves
+ * while the js-son Environment keeps beliefs in sync. Deliberation remains external (async) so we can negotiate before
  * each cycle completes.
  */
 
 const { Environment } = require('js-son-agent');
-const { decomposeGoals } = require('./utils/goalDecomposer');
+const { decomposeGoalsForAgents } = require('./utils/goalDecomposer');
+const {
+  DEFAULT_AGENT_COUNT,
+  AGENT_COLORS,
+  agentIdForIndex,
+  agentNamesForCount,
+  normalizeActorId
+} = require('./utils/agentIds');
 const DeliberationManager = require('./deliberation/DeliberationManager');
+const ContractNetProtocol = require('./deliberation/ContractNetProtocol');
+const { TOWER_ALLOCATIONS, CONTRACT_TASK_TYPES } = ContractNetProtocol;
+const MessageBus = require('./deliberation/MessageBus');
+const { PERFORMATIVES, COORDINATION_ROLES } = MessageBus;
+const { createAsyncRunner } = require('./utils/asyncRunner');
+const {
+  DEFAULT_AGENT_SPEED,
+  hasMovementLimits,
+  checkMoveCapability
+} = require('./utils/agentCapabilities');
+const {
+  OBSERVATION_MODES,
+  visibleColumns,
+  observeColumns,
+  mergeObservations,
+  findStaleBeliefs
+} = require('./utils/partialObservability');
 const {
   createPlannerAgent,
   computeStateFacts,
   extractMove,
   expandMoveToClawSteps,
+  validateMoveCandidate,
+  applyPlannerMove,
   sanitizePlannerInputs,
   createInitialPlannerState,
   planBlocksWorld
@@ -67,23 +93,6 @@ const flattenGoalChains = (chains = []) => {
   return flattened;
 };
 
-const normalizeActorId = (actor) => {
-  if (typeof actor !== 'string') {
-    return 'Agent-A';
-  }
-  const trimmed = actor.trim();
-  if (!trimmed) {
-    return 'Agent-A';
-  }
-
-  const lower = trimmed.toLowerCase();
-  if (lower === 'agent-b' || lower === 'b') {
-    return 'Agent-B';
-  }
-
-  return 'Agent-A';
-};
-
 const normalizeBlockId = (block) => {
   if (typeof block !== 'string') {
     return null;
@@ -168,8 +177,8 @@ const normalizeBaseBlocksForState = (baseBlocks, stacks, goalChain) => {
   return Array.from(normalized);
 };
 
-const isGoalSatisfied = (stacks, goalChain, baseBlocks = []) => {
-  if (!goalAchieved(stacks, goalChain)) {
+const isGoalSatisfied = (stacks, goalChain, baseBlocks = [], goalSlots = null) => {
+  if (!goalAchieved(stacks, goalChain, goalSlots)) {
     return false;
   }
 
@@ -239,6 +248,112 @@ function hasTowerDependencies(stacks, goalChains) {
   return false;
 }
 
+/**
+ * Split independently planned towers into Contract-Net tasks.
+ *
+ * Tower tasks cover a tower's whole plan. Relation tasks end with the move
+ * that achieves one goal relation and include the clearing moves before it;
+ * moves after the last relation join the final task.
+ */
+function buildContractTasks(plannedTowers, taskType, referenceStacks) {
+  const tasks = [];
+
+  plannedTowers.forEach((tower, towerIndex) => {
+    const stacks = deepCloneStacks(referenceStacks);
+    const steps = (tower.raw.moves || []).map((move, moveIndex) => {
+      const step = { move, moveIndex, towerIndex, stacks: deepCloneStacks(stacks) };
+      applyMove(stacks, move.block, move.to);
+      return step;
+    });
+    if (steps.length === 0) {
+      return;
+    }
+
+    const towerId = `tower-${towerIndex + 1}`;
+    if (taskType !== CONTRACT_TASK_TYPES.RELATION) {
+      tasks.push({ id: towerId, label: tower.towerLabel, goalChain: tower.goalChain, steps });
+      return;
+    }
+
+    const chain = tower.goalChain;
+    const achievesRelation = move => chain.some((block, i) => (
+      i < chain.length - 1 && move.block === block && move.to === chain[i + 1]
+    ));
+    const towerTasks = [];
+    let pending = [];
+    steps.forEach(step => {
+      pending.push(step);
+      if (achievesRelation(step.move)) {
+        const { block, to } = step.move;
+        towerTasks.push({ id: `${towerId}/${block}-on-${to}`, label: `${block} on ${to}`, goalChain: chain, steps: pending });
+        pending = [];
+      }
+    });
+    if (pending.length > 0) {
+      if (towerTasks.length > 0) {
+        towerTasks[towerTasks.length - 1].steps.push(...pending);
+      } else {
+        towerTasks.push({ id: towerId, label: tower.towerLabel, goalChain: chain, steps: pending });
+      }
+    }
+    tasks.push(...towerTasks);
+  });
+
+  return tasks;
+}
+
+/**
+ * Decide which agent performs each planned tower move.
+ *
+ * `round-robin` (default) hands whole towers to agents in turn, with a
+ * `request` from the coordinator for each tower;
+ * `contract-net` auctions towers or goal relations (`options.contractTasks`)
+ * over the message bus and reports the bids and awards.
+ */
+function allocateTowerWork(plannedTowers, agentNames, referenceStacks, options = {}, bus = new MessageBus()) {
+  const moveAssignments = plannedTowers.map((tower, idx) => (
+    (tower.raw.moves || []).map(() => ({ actor: agentNames[idx % agentNames.length] }))
+  ));
+
+  if (options.allocation !== TOWER_ALLOCATIONS.CONTRACT_NET) {
+    plannedTowers.forEach((tower, idx) => {
+      if (!tower.raw.moves?.length) {
+        return;
+      }
+      bus.send({
+        performative: PERFORMATIVES.REQUEST,
+        sender: COORDINATION_ROLES.COORDINATOR,
+        receiver: agentNames[idx % agentNames.length],
+        conversationId: bus.startConversation('assignment'),
+        content: { action: 'build-tower', tower: tower.towerLabel, moves: tower.raw.moves.length }
+      });
+    });
+    return { moveAssignments, contractNet: null };
+  }
+
+  const taskType = options.contractTasks === CONTRACT_TASK_TYPES.RELATION
+    ? CONTRACT_TASK_TYPES.RELATION
+    : CONTRACT_TASK_TYPES.TOWER;
+  const tasks = buildContractTasks(plannedTowers, taskType, referenceStacks);
+  const speeds = Object.fromEntries(agentNames.map(name => [name, options.capabilities?.[name]?.speed || DEFAULT_AGENT_SPEED]));
+  const { tasks: announced, bids, awards } = new ContractNetProtocol({ bus }).allocate(tasks, agentNames, speeds);
+
+  tasks.forEach((task, taskIdx) => {
+    const award = awards[taskIdx];
+    task.steps.forEach(step => {
+      moveAssignments[step.towerIndex][step.moveIndex] = {
+        actor: award.agent,
+        contract: { task: award.task, bid: award.bid }
+      };
+    });
+  });
+
+  return {
+    moveAssignments,
+    contractNet: { taskType, tasks: announced, bids, awards }
+  };
+}
+
 function planIndependentTowers(initialStacks, goalChains, options = {}) {
   if (!Array.isArray(goalChains) || goalChains.length === 0) {
     throw new PlanningError('Independent tower planning requires at least one goal chain.', 400);
@@ -257,27 +372,52 @@ function planIndependentTowers(initialStacks, goalChains, options = {}) {
     return goalChain;
   });
 
-  const agentIds = sanitizedChains.map((_, idx) => (idx % 2 === 0 ? 'Agent-A' : 'Agent-B'));
-  const towerPlans = sanitizedChains.map((goalChainForTower, idx) => {
+  const teamSize = Math.max(1, Math.min(options.agentCount || DEFAULT_AGENT_COUNT, sanitizedChains.length));
+  const agentNames = agentNamesForCount(teamSize);
+  const plannedTowers = sanitizedChains.map((goalChainForTower, idx) => {
     const response = planBlocksWorld(initialStacks, goalChainForTower, options);
     if (!response.goalAchieved) {
       throw new PlanningError(`Unable to achieve tower goal ${idx + 1} with provided configuration.`, 422);
     }
 
-    const agentId = agentIds[idx];
     const towerBlocks = goalChainForTower.filter(isTowerBlockToken);
     const towerSummary = towerBlocks.length ? towerBlocks.join(', ') : 'Table';
-    const towerLabel = `Tower ${idx + 1}: ${towerSummary}`;
+    return {
+      towerLabel: `Tower ${idx + 1}: ${towerSummary}`,
+      goalChain: goalChainForTower,
+      raw: response
+    };
+  });
+
+  const messageBus = new MessageBus();
+  const { moveAssignments, contractNet } = allocateTowerWork(
+    plannedTowers,
+    agentNames,
+    normalizedReferenceStacks || initialStacks,
+    options,
+    messageBus
+  );
+
+  const towerPlans = plannedTowers.map(({ towerLabel, goalChain: goalChainForTower, raw: response }, idx) => {
+    const assignments = moveAssignments[idx];
+    const agentId = assignments.length ? assignments[0].actor : agentNames[idx % teamSize];
 
     const moves = Array.isArray(response.moves)
-      ? response.moves.map(move => ({ ...move, actor: agentId }))
+      ? response.moves.map((move, moveIdx) => ({ ...move, ...assignments[moveIdx] }))
       : [];
 
+    // Claw steps are logged one entry per step, so each move spans several entries
+    let moveCursor = 0;
     const intentionLog = Array.isArray(response.intentionLog)
       ? response.intentionLog.map((entry, entryIdx) => {
+          const actor = (assignments[moveCursor] || assignments[assignments.length - 1] || { actor: agentId }).actor;
           const movesForEntry = Array.isArray(entry.moves)
-            ? entry.moves.map(move => ({ ...move, actor: agentId }))
+            ? entry.moves.map(move => ({ ...move, actor }))
             : [];
+          const lastStep = movesForEntry[movesForEntry.length - 1];
+          if (!lastStep || lastStep.stepNumber == null || lastStep.stepNumber >= lastStep.totalSteps) {
+            moveCursor += 1;
+          }
           const clonedEntry = {
             ...entry,
             cycle: entryIdx + 1,
@@ -369,18 +509,25 @@ function planIndependentTowers(initialStacks, goalChains, options = {}) {
 
   const parallelExecutions = combinedMoves.filter(entry => Array.isArray(entry.moves) && entry.moves.length > 1).length;
 
-  const agentGoalChains = {
-    'Agent-A': [],
-    'Agent-B': []
-  };
-  towerPlans.forEach(plan => {
-    agentGoalChains[plan.agentId].push(plan.goalChain.join(' -> '));
-  });
+  const agentGoalChains = Object.fromEntries(agentNames.map(name => [name, []]));
+  if (contractNet) {
+    contractNet.awards.forEach(award => {
+      agentGoalChains[award.agent].push(award.label);
+    });
+  } else {
+    towerPlans.forEach(plan => {
+      agentGoalChains[plan.agentId].push(plan.goalChain.join(' -> '));
+    });
+  }
+  const agentGoals = Object.fromEntries(
+    agentNames.map(name => [name, agentGoalChains[name].join(' | ') || 'Table'])
+  );
 
   const goalDecomposition = {
     overlap: null,
-    agentA: agentGoalChains['Agent-A'].join(' | ') || 'Table',
-    agentB: agentGoalChains['Agent-B'].join(' | ') || 'Table'
+    agentA: agentGoals['Agent-A'],
+    agentB: agentGoals['Agent-B'] || null,
+    agents: agentGoals
   };
 
   const agentMoveTotals = combinedMoves.reduce((acc, entry) => {
@@ -397,12 +544,15 @@ function planIndependentTowers(initialStacks, goalChains, options = {}) {
     totalParallelExecutions: parallelExecutions,
     conflictDetails: [],
     negotiationDetails: [],
+    resolutionStrategy: null,
     agentAMoves: agentMoveTotals['Agent-A'] || 0,
-    agentBMoves: agentMoveTotals['Agent-B'] || 0
+    agentBMoves: agentMoveTotals['Agent-B'] || 0,
+    agentMoves: Object.fromEntries(agentNames.map(name => [name, agentMoveTotals[name] || 0])),
+    towerAllocation: contractNet ? TOWER_ALLOCATIONS.CONTRACT_NET : TOWER_ALLOCATIONS.ROUND_ROBIN,
+    ...summarizeMessages(messageBus)
   };
 
   const iterations = Math.max(0, ...towerPlans.map(plan => plan.raw.iterations || 0));
-  const agentCount = Math.min(2, Math.max(1, sanitizedChains.length));
 
   return {
     moves: combinedMoves,
@@ -411,10 +561,13 @@ function planIndependentTowers(initialStacks, goalChains, options = {}) {
     intentionLog: combinedIntentionLog,
     finalStacks,
     planningApproach: 'multi-tower-independent',
-    agentCount,
+    agentCount: teamSize,
     relationsResolved: sanitizedChains.reduce((total, chain) => total + Math.max(chain.length - 1, 0), 0),
     goalDecomposition,
     statistics,
+    contractNet,
+    agentCapabilities: describeAgentCapabilities(agentNames, options.capabilities),
+    transcript: messageBus.getTranscript().map(describeMessage),
     plannerOptionsUsed: {
       maxIterations: options.maxIterations || 2500
     },
@@ -435,11 +588,20 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
     maxIterations = 1000,
     deliberationTimeout = 5000,
     enableNegotiation = true,
-    towerBaseBlocks = []
+    towerBaseBlocks = [],
+    agentCount = DEFAULT_AGENT_COUNT,
+    resolution = null,
+    capabilities = null,
+    observability = null
   } = options;
 
   // Use existing sanitization and validation
-  const { normalizedStacks, goalChain: fullGoalChain } = sanitizePlannerInputs(
+  const {
+    normalizedStacks,
+    goalChain: fullGoalChain,
+    tableSlots,
+    goalSlots
+  } = sanitizePlannerInputs(
     initialStacks,
     goalChain,
     options
@@ -452,9 +614,11 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
   );
 
   const enrichStateWithFacts = (state, goal) => {
-    const facts = computeStateFacts(state.stacks, goal, requiredBaseBlocks);
+    const facts = computeStateFacts(state.stacks, goal, requiredBaseBlocks, goalSlots);
     return {
       ...state,
+      tableSlots,
+      goalSlots,
       onMap: facts.onMap,
       clearBlocks: facts.clearBlocks,
       pendingRelation: facts.pendingRelation,
@@ -464,65 +628,176 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
     };
   };
 
-  // Decompose goals between agents with staging information
-  const decomposition = decomposeGoals(fullGoalChain);
-  const goalChainA = decomposition.goalChainA;
-  const goalChainB = decomposition.goalChainB;
-  const stageBlueprint = decomposition.stages || {
-    foundationChain: goalChainB,
-    assemblyChain: goalChainA,
-    pivot: Array.isArray(decomposition.overlap?.blocks)
-      ? decomposition.overlap.blocks[decomposition.overlap.blocks.length - 1]
-      : decomposition.overlap
+  // Decompose the goal into stages, one per agent (bottom stage first)
+  const decomposition = decomposeGoalsForAgents(fullGoalChain, agentCount);
+  const stageChains = decomposition.stages;
+  const topStage = stageChains.length - 1;
+  const pivotBlock = decomposition.pivots[0] || stageChains[0][0];
+  const agentIds = Array.from({ length: agentCount }, (_, index) => agentIdForIndex(index));
+  const agentStageById = new Map(agentIds.map((agentId, index) => [agentId, decomposition.agentStages[index]]));
+
+  const stageLabel = (stageIndex) => {
+    if (stageIndex > topStage) {
+      return 'complete';
+    }
+    if (stageIndex === 0) {
+      return 'foundation';
+    }
+    return stageIndex === topStage ? 'assembly' : `stage-${stageIndex + 1}`;
   };
-  const foundationCompleteInitial = goalAchieved(normalizedStacks, stageBlueprint.foundationChain);
-  const assemblyCompleteInitial = goalAchieved(normalizedStacks, stageBlueprint.assemblyChain);
-  const initialStage = foundationCompleteInitial ? 'assembly' : 'foundation';
-
-  // Create initial state for Agent A
-  const initialGoalChainA = initialStage === 'foundation'
-    ? stageBlueprint.foundationChain
-    : stageBlueprint.assemblyChain;
-
-  const stateResultA = createInitialPlannerState(normalizedStacks, initialGoalChainA, requiredBaseBlocks);
-  const initialStateA = stateResultA.alreadySatisfied
-    ? enrichStateWithFacts({
-        stacks: normalizedStacks,
-        goalChain: [...initialGoalChainA],
-        moves: [],
-        goalAchieved: true,
-        iterations: 0,
-        intentionLog: []
-      }, initialGoalChainA)
-    : enrichStateWithFacts({
-        ...stateResultA.initialState,
-        goalChain: [...initialGoalChainA]
-      }, initialGoalChainA);
-
-  // Create initial state for Agent B  
-  const stateResultB = createInitialPlannerState(normalizedStacks, goalChainB, requiredBaseBlocks);
-  const initialStateB = stateResultB.alreadySatisfied
-    ? enrichStateWithFacts({
-        stacks: normalizedStacks,
-        goalChain: [...goalChainB],
-        moves: [],
-        goalAchieved: true,
-        iterations: 0,
-        intentionLog: []
-      }, goalChainB)
-    : enrichStateWithFacts({
-        ...stateResultB.initialState,
-        goalChain: [...goalChainB]
-      }, goalChainB);
 
-  // Create two agents using existing agent creator
-  const agentA = createPlannerAgent(initialStateA, 'agent-a');
-  agentA._color = '#4FD1C5'; // Store color for visualization
+  // Stages are finished bottom-up; the top stage only completes once the whole goal holds
+  const advanceStaging = (staging, stacks, goalSatisfied) => {
+    const stagesComplete = stageChains.map(chain => goalAchieved(stacks, chain, goalSlots));
+    let stageIndex = staging ? staging.stageIndex : 0;
+    while (stageIndex < topStage && stagesComplete[stageIndex]) {
+      stageIndex += 1;
+    }
+    if (stagesComplete[topStage] && goalSatisfied) {
+      stageIndex = topStage + 1;
+    }
 
-  const agentB = createPlannerAgent(initialStateB, 'agent-b');
-  agentB._color = '#F46036'; // Store color for visualization
+    return {
+      currentStage: stageLabel(stageIndex),
+      stageIndex,
+      stageChains: stageChains.map(chain => [...chain]),
+      stagesComplete,
+      foundationChain: [...stageChains[0]],
+      assemblyChain: [...stageChains[topStage]],
+      pivotBlock,
+      foundationComplete: stagesComplete[0],
+      assemblyComplete: stagesComplete[topStage]
+    };
+  };
 
-  const globalFacts = computeStateFacts(normalizedStacks, fullGoalChain, requiredBaseBlocks);
+  // Agents work on the lowest unfinished stage until it reaches their own. Once
+  // their stage is finished they hold it and everything below it in place, so
+  // the top-stage agent ends up with the full goal. Middle stages have no table
+  // anchor, so holding one on its own would read its lowest block as a base
+  // that belongs on the table.
+  const chainForAgent = (agentId, staging) => {
+    const agentStage = agentStageById.get(agentId) ?? 0;
+    const stageIndex = staging ? staging.stageIndex : 0;
+    if (agentStage < stageIndex) {
+      return fullGoalChain.slice(decomposition.stageOffsets[agentStage]);
+    }
+    return stageChains[stageIndex];
+  };
+
+  const initialStaging = advanceStaging(null, normalizedStacks, false);
+
+  const createInitialAgentState = (agentGoalChain) => {
+    const stateResult = createInitialPlannerState(normalizedStacks, agentGoalChain, requiredBaseBlocks, { tableSlots, goalSlots });
+    return stateResult.alreadySatisfied
+      ? enrichStateWithFacts({
+          stacks: normalizedStacks,
+          goalChain: [...agentGoalChain],
+          moves: [],
+          goalAchieved: true,
+          iterations: 0,
+          intentionLog: []
+        }, agentGoalChain)
+      : enrichStateWithFacts({
+          ...stateResult.initialState,
+          goalChain: [...agentGoalChain]
+        }, agentGoalChain);
+  };
+
+  // Create one agent per team member using existing agent creator
+  const agents = agentIds.map((agentId, index) => {
+    const agent = createPlannerAgent({
+      ...createInitialAgentState(chainForAgent(agentId, initialStaging)),
+      sensing: Boolean(observability),
+      teammates: observability?.shareBeliefs ? agentIds.filter(id => id !== agentId) : []
+    }, agentId);
+    agent._color = AGENT_COLORS[index]; // Store color for visualization
+    return agent;
+  });
+  const agentById = new Map(agents.map(agent => [agent.id, agent]));
+
+  const profileByAgentId = new Map(agentIds.map(agentId => [
+    agentId,
+    capabilities?.[normalizeActorId(agentId)] || null
+  ]));
+  const reservedGoalSlots = new Set(Object.values(goalSlots || {}));
+  const sameMove = (a, b) => a.block === b.block && a.to === b.to && (a.slot ?? null) === (b.slot ?? null);
+
+  // A clearing move onto an unreachable table slot can use another free slot the claw reaches
+  const rerouteTableMove = (profile, move, stacks) => {
+    if (!tableSlots || move.to !== 'Table' || goalSlots?.[move.block] === move.slot || !Array.isArray(profile?.reach)) {
+      return null;
+    }
+    const slot = profile.reach.find(candidate => (
+      candidate !== move.slot
+      && !reservedGoalSlots.has(candidate)
+      && Array.isArray(stacks[candidate - 1])
+      && stacks[candidate - 1].length === 0
+      && !checkMoveCapability(profile, { ...move, slot: candidate }, stacks, tableSlots)
+    ));
+    return slot ? { ...move, slot } : null;
+  };
+
+  /**
+   * Withdraw proposals an agent is not capable of. Each withdrawn move is
+   * left to a capable agent proposing the same move, rerouted to a reachable
+   * slot, handed to a capable agent without a proposal, or deferred.
+   */
+  const assignCapableProposals = (proposals, stacks, cycle) => {
+    const assigned = [];
+    const withdrawn = [];
+    proposals.forEach(proposal => {
+      const reason = checkMoveCapability(profileByAgentId.get(proposal.agentId), proposal.move, stacks, tableSlots);
+      if (reason) {
+        withdrawn.push({ ...proposal, reason });
+      } else {
+        assigned.push(proposal);
+      }
+    });
+
+    const events = [];
+    withdrawn.forEach(({ reason, ...proposal }) => {
+      const event = { cycle, from: proposal.agentId, move: proposal.move, reason };
+      const sameIndex = assigned.findIndex(entry => sameMove(entry.move, proposal.move));
+      if (sameIndex >= 0) {
+        const capability = { ...event, type: 'reassigned', to: assigned[sameIndex].agentId };
+        assigned[sameIndex] = { capability, ...assigned[sameIndex] };
+        events.push(capability);
+        return;
+      }
+
+      const rerouted = rerouteTableMove(profileByAgentId.get(proposal.agentId), proposal.move, stacks);
+      if (rerouted) {
+        const capability = { ...event, type: 'rerouted', to: proposal.agentId, reroutedMove: rerouted };
+        assigned.push({ ...proposal, move: rerouted, capability });
+        events.push(capability);
+        return;
+      }
+
+      const helperId = agentIds.find(agentId => (
+        !assigned.some(entry => entry.agentId === agentId)
+        && !checkMoveCapability(profileByAgentId.get(agentId), proposal.move, stacks, tableSlots)
+      ));
+      if (helperId) {
+        const capability = { ...event, type: 'reassigned', to: helperId };
+        assigned.push({ ...proposal, agentId: helperId, capability });
+        events.push(capability);
+        return;
+      }
+
+      events.push({ ...event, type: 'deferred', to: null });
+    });
+
+    if (assigned.length === 0 && withdrawn.length > 0) {
+      const details = withdrawn
+        .map(entry => `${normalizeActorId(entry.agentId)} ${entry.reason}`)
+        .join('; ');
+      throw new PlanningError(`No agent is capable of the next move (${details}).`, 422);
+    }
+
+    return { proposals: assigned, events };
+  };
+
+  const globalFacts = computeStateFacts(normalizedStacks, fullGoalChain, requiredBaseBlocks, goalSlots);
 
   const sharedState = {
     stacks: deepCloneStacks(normalizedStacks),
@@ -533,6 +808,7 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
     conflicts: [],
     negotiations: [],
     deliberations: [],
+    capabilityEvents: [],
     pendingProposals: [],
     onMap: globalFacts.onMap,
     clearBlocks: globalFacts.clearBlocks,
@@ -540,27 +816,127 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
     onTableBlocks: globalFacts.onTableBlocks,
     groundedBaseBlocks: globalFacts.groundedBaseBlocks,
     missingBaseBlocks: globalFacts.missingBaseBlocks,
-    goalAchieved: isGoalSatisfied(normalizedStacks, fullGoalChain, requiredBaseBlocks),
+    goalAchieved: isGoalSatisfied(normalizedStacks, fullGoalChain, requiredBaseBlocks, goalSlots),
     iterations: 0,
     baseBlocks: requiredBaseBlocks,
-    staging: {
-      currentStage: initialStage,
-      foundationChain: [...stageBlueprint.foundationChain],
-      assemblyChain: [...stageBlueprint.assemblyChain],
-      pivotBlock: stageBlueprint.pivot,
-      foundationComplete: foundationCompleteInitial,
-      assemblyComplete: assemblyCompleteInitial
-    }
+    staging: initialStaging
   };
 
-  // Create deliberation manager
+  // What each agent's sensors cover next turn: claw column, a pending look and
+  // the blocks of its last proposal
+  if (observability) {
+    const columnCount = Math.max(1, tableSlots || normalizedStacks.length);
+    sharedState.sensors = Object.fromEntries(agentIds.map((agentId, index) => [
+      agentId,
+      { column: Math.min(index + 1, columnCount), looked: false, touched: [] }
+    ]));
+    sharedState.beliefHistory = [];
+    sharedState.beliefEvents = [];
+  }
+
+  // Create deliberation manager; proposals, negotiations and decisions go over the bus
+  const messageBus = new MessageBus();
   const deliberationManager = new DeliberationManager({
-    agents: [agentA, agentB],
+    agents,
     enableNegotiation,
-    timeout: deliberationTimeout
+    resolution,
+    timeout: deliberationTimeout,
+    bus: messageBus
+  });
+
+  // Shared observations are `inform`s between teammates
+  const sendObservations = (entries, cycle) => {
+    messageBus.setCycle(cycle);
+    entries.forEach(entry => entry.turn.outbox.forEach(({ agentId: receiver, message }) => {
+      messageBus.send({
+        performative: PERFORMATIVES.INFORM,
+        sender: entry.agentId,
+        receiver,
+        content: { observation: message.columns }
+      });
+    }));
+  };
+
+
+  const factsSnapshot = facts => ({
+    pendingRelation: facts.pendingRelation ? { ...facts.pendingRelation } : null,
+    clearBlocks: [...facts.clearBlocks],
+    onMap: { ...facts.onMap },
+    onTableBlocks: [...facts.onTableBlocks],
+    groundedBaseBlocks: [...facts.groundedBaseBlocks],
+    missingBaseBlocks: [...facts.missingBaseBlocks]
   });
 
-  const agentCount = deliberationManager.agents.length || 0;
+  const logSkippedTurn = (state, agentId, reason, facts) => {
+    state.intentionLog.push({
+      cycle: state.intentionLog.length + 1,
+      moves: [{
+        actor: agentId,
+        skipped: true,
+        reason
+      }],
+      resultingStacks: deepCloneStacks(state.stacks),
+      beliefs: factsSnapshot(facts)
+    });
+  };
+
+  // What a sensing agent believed and did on its turn, recorded with its proposal
+  const describeAgentTurn = (agentId, actions) => {
+    const { stacks, onMap = {}, clearBlocks = [], observation } = agentById.get(agentId).beliefs;
+    const actionList = Array.isArray(actions) ? actions.flat() : [];
+    const outbox = actionList.flatMap(action => action?.messages || []);
+    return {
+      looked: actionList.some(action => action && action.look),
+      messagesSent: outbox.length,
+      outbox,
+      stacks: deepCloneStacks(stacks),
+      onMap: { ...onMap },
+      clearBlocks: [...clearBlocks],
+      observedColumns: [...(observation?.observedColumns || [])],
+      messagesReceived: observation?.messagesReceived || 0
+    };
+  };
+
+  // Each agent's beliefs next to the ground truth they were formed against
+  const snapshotBeliefs = (entries, stacks, cycle) => {
+    const actualOnMap = deriveOnMap(stacks);
+    return {
+      cycle,
+      stacks: deepCloneStacks(stacks),
+      agents: Object.fromEntries(entries.map(entry => {
+        const { looked, messagesSent, outbox, ...beliefs } = entry.turn;
+        return [normalizeActorId(entry.agentId), {
+          ...beliefs,
+          action: looked ? 'look' : (entry.move ? 'move' : 'idle'),
+          messagesSent,
+          staleBlocks: findStaleBeliefs(deriveOnMap(beliefs.stacks), actualOnMap)
+        }];
+      }))
+    };
+  };
+
+  // Sensor coverage for the next turn. Agents see the columns of a move they
+  // made or failed to make; an agent whose proposal lost deliberation did not act.
+  const nextSensors = (state, entries, appliedMoves, staleProposals) => {
+    const sensors = { ...state.sensors };
+    entries.forEach(entry => {
+      sensors[entry.agentId] = { ...sensors[entry.agentId], looked: entry.turn.looked, touched: [], touchedSlots: [] };
+    });
+    const touch = (agentId, move) => ({
+      ...sensors[agentId],
+      touched: [move.block, ...(move.to !== 'Table' ? [move.to] : [])],
+      touchedSlots: Number.isInteger(move.slot) ? [move.slot] : []
+    });
+    staleProposals.forEach(({ agentId, move }) => {
+      sensors[agentId] = touch(agentId, move);
+    });
+    // The claw stays over the block it last put down
+    appliedMoves.forEach(({ actor, move }) => {
+      const index = state.stacks.findIndex(stack => stack.includes(move.block));
+      sensors[actor] = { ...touch(actor, move), column: index + 1 };
+    });
+    return sensors;
+  };
 
   const updateState = (actions, actorId, currentState) => {
     const agentId = Array.isArray(actorId) ? actorId[0] : actorId;
@@ -572,7 +948,8 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
       agentId,
       move: extractMove(actions),
       timestamp: Date.now(),
-      deliberationCycle: (currentState.cycle || 0) + 1
+      deliberationCycle: (currentState.cycle || 0) + 1,
+      ...(observability ? { turn: describeAgentTurn(agentId, actions) } : {})
     };
 
     const pendingProposals = [...filteredBuffer, proposalEntry];
@@ -585,6 +962,11 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
       };
     }
 
+    // Sensing agents keep looking around after the goal holds; that is not a cycle
+    if (observability && currentState.goalAchieved) {
+      return { ...currentState, pendingProposals: [] };
+    }
+
     const nextCycle = (currentState.cycle || 0) + 1;
 
     const nextState = {
@@ -598,49 +980,63 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
       conflicts: Array.isArray(currentState.conflicts) ? [...currentState.conflicts] : [],
       negotiations: Array.isArray(currentState.negotiations) ? [...currentState.negotiations] : [],
       deliberations: Array.isArray(currentState.deliberations) ? [...currentState.deliberations] : [],
-      staging: currentState.staging
-        ? {
-            currentStage: currentState.staging.currentStage,
-            foundationChain: [...currentState.staging.foundationChain],
-            assemblyChain: [...currentState.staging.assemblyChain],
-            pivotBlock: currentState.staging.pivotBlock,
-            foundationComplete: currentState.staging.foundationComplete,
-            assemblyComplete: currentState.staging.assemblyComplete
-          }
-        : null
+      capabilityEvents: Array.isArray(currentState.capabilityEvents) ? [...currentState.capabilityEvents] : [],
+      staging: currentState.staging || null
     };
 
-    const proposals = pendingProposals.filter(entry => entry.move);
+    // Agents acting on stale beliefs can propose moves the real stacks do not allow
+    const staleProposals = [];
+    let feasibleProposals = pendingProposals.filter(entry => entry.move);
+    if (observability) {
+      feasibleProposals = feasibleProposals.filter(entry => {
+        const validation = validateMoveCandidate(entry.move, nextState.stacks);
+        if (!validation.ok) {
+          staleProposals.push({ cycle: nextCycle, agentId: entry.agentId, move: entry.move, reason: validation.code });
+        }
+        return validation.ok;
+      });
+      sendObservations(pendingProposals, nextCycle);
+      nextState.beliefEvents = [...currentState.beliefEvents, ...staleProposals];
+      nextState.beliefHistory = [
+        ...currentState.beliefHistory,
+        snapshotBeliefs(pendingProposals, currentState.stacks, nextCycle)
+      ];
+    }
+    const lookers = pendingProposals.filter(entry => entry.turn?.looked);
+    const sensingOnly = lookers.length > 0 || staleProposals.length > 0;
+
+    const { proposals, events: capabilityEvents } = assignCapableProposals(
+      feasibleProposals,
+      nextState.stacks,
+      nextCycle
+    );
+    nextState.capabilityEvents.push(...capabilityEvents);
+
+    const logSensingTurns = (facts) => {
+      lookers.forEach(entry => logSkippedTurn(nextState, entry.agentId, 'looking', facts));
+      staleProposals.forEach(entry => logSkippedTurn(nextState, entry.agentId, 'stale-belief', facts));
+    };
 
     if (proposals.length === 0) {
       const baseBlocksForState = nextState.baseBlocks || requiredBaseBlocks;
-      const facts = computeStateFacts(nextState.stacks, nextState.goalChain, baseBlocksForState);
+      const facts = computeStateFacts(nextState.stacks, nextState.goalChain, baseBlocksForState, goalSlots);
       nextState.onMap = facts.onMap;
       nextState.clearBlocks = facts.clearBlocks;
       nextState.pendingRelation = facts.pendingRelation;
       nextState.onTableBlocks = facts.onTableBlocks;
       nextState.groundedBaseBlocks = facts.groundedBaseBlocks;
       nextState.missingBaseBlocks = facts.missingBaseBlocks;
-      nextState.goalAchieved = isGoalSatisfied(nextState.stacks, nextState.goalChain, baseBlocksForState);
+      nextState.goalAchieved = isGoalSatisfied(nextState.stacks, nextState.goalChain, baseBlocksForState, goalSlots);
 
       if (nextState.staging) {
-        const foundationComplete = goalAchieved(nextState.stacks, nextState.staging.foundationChain);
-        const assemblyComplete = goalAchieved(nextState.stacks, nextState.staging.assemblyChain);
-        let stageLabel = nextState.staging.currentStage;
-
-        if (stageLabel === 'foundation' && foundationComplete) {
-          stageLabel = 'assembly';
-        }
-        if (assemblyComplete && nextState.goalAchieved) {
-          stageLabel = 'complete';
-        }
+        nextState.staging = advanceStaging(nextState.staging, nextState.stacks, nextState.goalAchieved);
+      }
 
-        nextState.staging = {
-          ...nextState.staging,
-          currentStage: stageLabel,
-          foundationComplete,
-          assemblyComplete
-        };
+      // A cycle spent looking or failing on stale beliefs still counts
+      if (sensingOnly) {
+        logSensingTurns(facts);
+        nextState.sensors = nextSensors(nextState, pendingProposals, [], staleProposals);
+        return nextState;
       }
 
       if (!nextState.goalAchieved) {
@@ -656,6 +1052,8 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
     const deliberationResult = deliberationManager.deliberate(proposals, nextState);
     const deliberationEntry = {
       ...deliberationResult,
+      proposals: proposals.map(({ agentId, move }) => ({ agentId, move })),
+      capabilityEvents,
       cycle: nextState.cycle
     };
     nextState.deliberations.push(deliberationEntry);
@@ -671,8 +1069,12 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
     (deliberationResult.decisions || []).forEach(decision => {
       decisionByAgent.set(decision.agentId, decision);
     });
+    const capabilityByAgent = new Map(proposals
+      .filter(proposal => proposal.capability)
+      .map(proposal => [proposal.agentId, proposal.capability]));
 
     const appliedActors = new Set();
+    const appliedMoves = [];
 
     (deliberationResult.decisions || []).forEach(decision => {
       if (decision.status !== 'approved' && decision.status !== 'approved-alternative') {
@@ -681,15 +1083,17 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
 
       const moveToApply = decision.move;
       const stacksBeforeMove = deepCloneStacks(nextState.stacks);
-      applyMove(nextState.stacks, moveToApply.block, moveToApply.to);
+      applyPlannerMove(nextState.stacks, moveToApply, tableSlots);
       const stacksAfterMove = deepCloneStacks(nextState.stacks);
 
       const clawSteps = expandMoveToClawSteps(moveToApply, stacksBeforeMove);
       appliedActors.add(decision.agentId);
+      appliedMoves.push({ actor: decision.agentId, move: moveToApply });
 
       nextState.moves.push({
         block: moveToApply.block,
         to: moveToApply.to,
+        ...(moveToApply.slot ? { slot: moveToApply.slot } : {}),
         reason: moveToApply.reason,
         actor: decision.agentId,
         clawSteps,
@@ -698,14 +1102,16 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
           reason: decision.reason,
           negotiationId: decision.negotiationId,
           cycle: nextState.cycle
-        }
+        },
+        ...(capabilityByAgent.has(decision.agentId) ? { capability: capabilityByAgent.get(decision.agentId) } : {})
       });
 
       const baseBlocksForState = nextState.baseBlocks || requiredBaseBlocks;
       const beliefsAfterMove = computeStateFacts(
         stacksAfterMove,
         nextState.goalChain,
-        baseBlocksForState
+        baseBlocksForState,
+        goalSlots
       );
 
       clawSteps.forEach((step, idx) => {
@@ -725,14 +1131,7 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
             to: step.to || (step.type === 'PICK_UP' ? 'claw' : moveToApply.to)
           }],
           resultingStacks,
-          beliefs: {
-            pendingRelation: beliefsAfterMove.pendingRelation ? { ...beliefsAfterMove.pendingRelation } : null,
-            clearBlocks: [...beliefsAfterMove.clearBlocks],
-            onMap: { ...beliefsAfterMove.onMap },
-            onTableBlocks: [...beliefsAfterMove.onTableBlocks],
-            groundedBaseBlocks: [...beliefsAfterMove.groundedBaseBlocks],
-            missingBaseBlocks: [...beliefsAfterMove.missingBaseBlocks]
-          }
+          beliefs: factsSnapshot(beliefsAfterMove)
         });
       });
     });
@@ -741,7 +1140,8 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
     const finalFacts = computeStateFacts(
       nextState.stacks,
       nextState.goalChain,
-      baseBlocksForState
+      baseBlocksForState,
+      goalSlots
     );
     nextState.onMap = finalFacts.onMap;
     nextState.clearBlocks = finalFacts.clearBlocks;
@@ -749,26 +1149,10 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
     nextState.onTableBlocks = finalFacts.onTableBlocks;
     nextState.groundedBaseBlocks = finalFacts.groundedBaseBlocks;
     nextState.missingBaseBlocks = finalFacts.missingBaseBlocks;
-    nextState.goalAchieved = isGoalSatisfied(nextState.stacks, nextState.goalChain, baseBlocksForState);
+    nextState.goalAchieved = isGoalSatisfied(nextState.stacks, nextState.goalChain, baseBlocksForState, goalSlots);
 
     if (nextState.staging) {
-      const foundationComplete = goalAchieved(nextState.stacks, nextState.staging.foundationChain);
-      const assemblyComplete = goalAchieved(nextState.stacks, nextState.staging.assemblyChain);
-      let stageLabel = nextState.staging.currentStage;
-
-      if (stageLabel === 'foundation' && foundationComplete) {
-        stageLabel = 'assembly';
-      }
-      if (assemblyComplete && nextState.goalAchieved) {
-        stageLabel = 'complete';
-      }
-
-      nextState.staging = {
-        ...nextState.staging,
-        currentStage: stageLabel,
-        foundationComplete,
-        assemblyComplete
-      };
+      nextState.staging = advanceStaging(nextState.staging, nextState.stacks, nextState.goalAchieved);
     }
 
     proposals.forEach(proposal => {
@@ -778,61 +1162,67 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
 
       const decision = decisionByAgent.get(proposal.agentId);
       const skippedReason = decision?.reason || (!proposal.move ? 'no-proposal' : 'blocked');
-
-      nextState.intentionLog.push({
-        cycle: nextState.intentionLog.length + 1,
-        moves: [{
-          actor: proposal.agentId,
-          skipped: true,
-          reason: skippedReason
-        }],
-        resultingStacks: deepCloneStacks(nextState.stacks),
-        beliefs: {
-          pendingRelation: finalFacts.pendingRelation ? { ...finalFacts.pendingRelation } : null,
-          clearBlocks: [...finalFacts.clearBlocks],
-          onMap: { ...finalFacts.onMap },
-          onTableBlocks: [...finalFacts.onTableBlocks],
-          groundedBaseBlocks: [...finalFacts.groundedBaseBlocks],
-          missingBaseBlocks: [...finalFacts.missingBaseBlocks]
-        }
-      });
+      logSkippedTurn(nextState, proposal.agentId, skippedReason, finalFacts);
     });
 
-    if (appliedActors.size === 0 && !nextState.goalAchieved) {
+    if (observability) {
+      logSensingTurns(finalFacts);
+      nextState.sensors = nextSensors(nextState, pendingProposals, appliedMoves, staleProposals);
+    }
+
+    if (appliedActors.size === 0 && !nextState.goalAchieved && !sensingOnly) {
       throw new PlanningError('Planner stalled before achieving the goal.', 422);
     }
 
     return nextState;
   };
 
-  const stateFilter = (state, agentId, agentBeliefs) => {
-    const staging = state?.staging;
-    let agentGoalChain;
+  /**
+   * A sensing agent's picture of the stacks: what it believed, updated with
+   * teammates' messages and then with what it sees itself this turn
+   */
+  const perceiveStacks = (state, agentId, agentBeliefs) => {
+    const columns = visibleColumns(state.stacks, observability, state.sensors[agentId]);
+    const ownObservation = observeColumns(state.stacks, columns);
+    // js-son hands each sender's messages to only one of its recipients, so
+    // read the inbox from the mailbox it keeps on the shared state instead
+    const inbox = sharedState.messages?.[agentId] || {};
+    const received = Object.values(inbox)
+      .flat()
+      .filter(message => message && message.type === 'observation')
+      .sort((a, b) => a.cycle - b.cycle);
+    const observations = [...received.flatMap(message => message.columns), ...ownObservation];
 
-    if (agentId === 'agent-a') {
-      if (staging?.currentStage === 'foundation') {
-        agentGoalChain = staging?.foundationChain || goalChainB;
-      } else if (staging?.currentStage === 'complete') {
-        agentGoalChain = fullGoalChain;
-      } else {
-        agentGoalChain = stageBlueprint.assemblyChain || goalChainA;
+    return {
+      stacks: mergeObservations(agentBeliefs.stacks, observations, tableSlots),
+      observation: {
+        cycle: (state.cycle || 0) + 1,
+        columns: ownObservation,
+        observedColumns: columns,
+        messagesReceived: received.length
       }
-    } else {
-      agentGoalChain = staging?.foundationChain || goalChainB;
-    }
+    };
+  };
+
+  const stateFilter = (state, agentId, agentBeliefs) => {
+    const staging = state?.staging;
+    const agentGoalChain = chainForAgent(agentId, staging);
+    const perception = observability ? perceiveStacks(state, agentId, agentBeliefs) : null;
+    const stacks = perception ? perception.stacks : state.stacks;
 
     const baseBlocksForState = state.baseBlocks || requiredBaseBlocks;
-    const facts = computeStateFacts(state.stacks, agentGoalChain, baseBlocksForState);
+    const facts = computeStateFacts(stacks, agentGoalChain, baseBlocksForState, goalSlots);
 
     const filtered = {
-      stacks: deepCloneStacks(state.stacks),
+      stacks: deepCloneStacks(stacks),
       goalChain: [...agentGoalChain],
-      goalAchieved: isGoalSatisfied(state.stacks, agentGoalChain, baseBlocksForState),
+      goalAchieved: isGoalSatisfied(stacks, agentGoalChain, baseBlocksForState, goalSlots),
       onMap: { ...facts.onMap },
       clearBlocks: [...facts.clearBlocks],
       onTableBlocks: [...facts.onTableBlocks],
       groundedBaseBlocks: [...facts.groundedBaseBlocks],
-      missingBaseBlocks: [...facts.missingBaseBlocks]
+      missingBaseBlocks: [...facts.missingBaseBlocks],
+      ...(perception ? { observation: perception.observation } : {})
     };
 
     if (facts.pendingRelation) {
@@ -868,7 +1258,7 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
 
   // Create js-son-agent environment
   const environment = new Environment(
-    [agentA, agentB],
+    agents,
     sharedState,
     updateState,
     () => {}, // goal generator not used
@@ -879,23 +1269,178 @@ function createMultiAgentEnvironment(initialStacks, goalChain, options = {}) {
   return {
     environment,
     deliberationManager,
-    agents: { agentA, agentB },
+    messageBus,
+    agents,
     goalDecomposition: {
-      goalChainA,
-      goalChainB,
-      overlap: decomposition.overlap,
-      stages: stageBlueprint
+      goalChainA: decomposition.agentChains[0],
+      goalChainB: decomposition.agentChains[1] || null,
+      agentChains: decomposition.agentChains,
+      overlap: topStage > 0
+        ? { pivot: pivotBlock, blocks: [...decomposition.pivots] }
+        : pivotBlock,
+      stages: stageChains
     }
   };
 }
+
+// Every team member's profile, with the default speed filled in for the dashboard
+function describeAgentCapabilities(agentNames, capabilities) {
+  return Object.fromEntries(agentNames.map(name => [
+    name,
+    { speed: DEFAULT_AGENT_SPEED, ...(capabilities?.[name] || {}) }
+  ]));
+}
+
+// Capability events in response form: display names and the move that was handed over
+function describeCapabilityEvent(event) {
+  return {
+    cycle: event.cycle,
+    type: event.type,
+    from: normalizeActorId(event.from),
+    to: event.to ? normalizeActorId(event.to) : null,
+    move: {
+      block: event.move.block,
+      to: event.move.to,
+      ...(event.move.slot ? { slot: event.move.slot } : {})
+    },
+    reason: event.reason,
+    ...(event.reroutedMove ? { reroutedSlot: event.reroutedMove.slot } : {})
+  };
+}
+
+// Looks, messages and stale proposals over a partially observable run
+function summarizeSensing(beliefHistory, beliefEvents) {
+  const turns = beliefHistory.flatMap(snapshot => Object.values(snapshot.agents));
+  return {
+    looks: turns.filter(turn => turn.action === 'look').length,
+    beliefMessages: turns.reduce((count, turn) => count + turn.messagesSent, 0),
+    staleProposals: beliefEvents.length
+  };
+}
+
+const COORDINATION_ROLE_NAMES = new Set(Object.values(COORDINATION_ROLES));
+const describeParticipant = name => (COORDINATION_ROLE_NAMES.has(name) ? name : normalizeActorId(name));
+
+// Bus messages in response form: agents by display name
+function describeMessage(message) {
+  return {
+    ...message,
+    sender: describeParticipant(message.sender),
+    receiver: describeParticipant(message.receiver)
+  };
+}
+
+function summarizeMessages(bus) {
+  const { total, byPerformative } = bus.getStatistics();
+  return { messagesSent: total, messagesByPerformative: byPerformative };
+}
+
+// Stale proposals in response form
+function describeBeliefEvent(event) {
+  return {
+    cycle: event.cycle,
+    agent: normalizeActorId(event.agentId),
+    move: {
+      block: event.move.block,
+      to: event.move.to,
+      ...(event.move.slot ? { slot: event.move.slot } : {})
+    },
+    reason: event.reason
+  };
+}
+
+// What one deliberation cycle proposed, contested, negotiated and committed
+function describeDeliberationCycle(previousState, state, messages = []) {
+  const deliberation = state.deliberations.length > previousState.deliberations.length
+    ? state.deliberations[state.deliberations.length - 1]
+    : null;
+  const summarizeMove = move => (move
+    ? { block: move.block, to: move.to, ...(move.slot ? { slot: move.slot } : {}), reason: move.reason }
+    : null);
+
+  return {
+    cycle: state.cycle,
+    strategy: deliberation?.strategy || null,
+    proposals: (deliberation?.proposals || []).map(proposal => ({
+      actor: normalizeActorId(proposal.agentId),
+      move: summarizeMove(proposal.move)
+    })),
+    conflicts: (deliberation?.conflicts || []).map(conflict => ({
+      type: conflict.type,
+      description: conflict.description
+    })),
+    negotiations: (deliberation?.negotiations || []).map(negotiation => ({
+      conflictType: negotiation.type,
+      resolution: negotiation.resolution?.type || null,
+      winner: negotiation.resolution?.winner ? normalizeActorId(negotiation.resolution.winner.agentId) : null,
+      reason: negotiation.resolution?.reason || null
+    })),
+    decisions: (deliberation?.decisions || []).map(decision => ({
+      actor: normalizeActorId(decision.agentId),
+      status: decision.status,
+      reason: decision.reason
+    })),
+    capabilityEvents: (deliberation?.capabilityEvents || []).map(describeCapabilityEvent),
+    moves: state.moves.slice(previousState.moves.length).map(move => ({
+      ...summarizeMove(move),
+      actor: normalizeActorId(move.actor)
+    })),
+    ...(state.beliefHistory
+      ? { beliefs: state.beliefHistory.find(snapshot => snapshot.cycle === state.cycle)?.agents || null }
+      : {}),
+    messages: messages.map(describeMessage),
+    stacks: deepCloneStacks(state.stacks),
+    goalAchieved: Boolean(state.goalAchieved)
+  };
+}
+
+// Step the environment one deliberation cycle at a time, reporting each cycle and
+// yielding to the event loop in between so the report can be flushed to the client
+async function runReportedCycles(environment, maxIterations, onCycle, signal, messageBus) {
+  const runCycles = createAsyncRunner(maxIterations, () => Boolean(environment.state.goalAchieved));
+
+  await runCycles(async () => {
+    if (signal?.aborted) {
+      throw new PlanningError('Planning was cancelled.', 499);
+    }
+
+    const previousState = environment.state;
+    environment.run(1);
+    environment.reset();
+    if (environment.state.cycle !== previousState.cycle) {
+      await onCycle(describeDeliberationCycle(
+        previousState,
+        environment.state,
+        messageBus.getTranscript({ cycle: environment.state.cycle })
+      ));
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  })(maxIterations);
+}
+
 /**
  * Runs the true multi-agent BDI planner and formats the planning report.
+ *
+ * `options.agentCount` sets the team size (default 2) and `options.resolution`
+ * the conflict-resolution strategy (see deliberation/ResolutionStrategies.js;
+ * "utility" unless negotiation is disabled). `options.onCycle`
+ * receives a summary of every deliberation cycle as it completes (streaming
+ * clients); `options.signal` (an AbortSignal) stops a reported run between
+ * cycles.
  */
 async function trueBDIPlan(initialStacks, goalPayload, options = {}) {
   const {
     maxIterations = 2500,
     deliberationTimeout = 5000,
-    enableNegotiation = true
+    enableNegotiation = true,
+    tableSlots = null,
+    goalSlots = null,
+    agentCount = DEFAULT_AGENT_COUNT,
+    resolution = null,
+    capabilities = null,
+    observability = null,
+    onCycle = null,
+    signal = null
   } = options;
 
   const initialBaseBlocks = extractTowerBaseBlocks(goalPayload);
@@ -905,8 +1450,14 @@ async function trueBDIPlan(initialStacks, goalPayload, options = {}) {
 
   if (isNestedGoal) {
     if (goalPayload.length > 1) {
-      // Check if towers have dependencies that prevent independent planning
-      const hasDependencies = hasTowerDependencies(initialStacks, goalPayload);
+      // Check if towers have dependencies that prevent independent planning.
+      // A limited table couples every tower through the shared free slots,
+      // capability limits through the columns and blocks each claw can handle,
+      // and partial observability needs agents that sense as they go.
+      const hasDependencies = Boolean(tableSlots)
+        || hasMovementLimits(capabilities)
+        || Boolean(observability)
+        || hasTowerDependencies(initialStacks, goalPayload);
       
       if (hasDependencies) {
         console.log('[Multi-Agent] Towers have dependencies, using negotiation-based planning');
@@ -932,7 +1483,7 @@ async function trueBDIPlan(initialStacks, goalPayload, options = {}) {
     ...extractTowerBaseBlocks(goalChain)
   ].filter(Boolean)));
 
-  const { environment, goalDecomposition } = createMultiAgentEnvironment(
+  const { environment, deliberationManager, messageBus, goalDecomposition } = createMultiAgentEnvironment(
     initialStacks,
     goalChain,
     {
@@ -940,14 +1491,27 @@ async function trueBDIPlan(initialStacks, goalPayload, options = {}) {
       deliberationTimeout,
       enableNegotiation,
       towerBaseBlocks: combinedBaseBlocks,
-      allowIntermediateTable
+      allowIntermediateTable,
+      tableSlots,
+      goalSlots,
+      agentCount,
+      resolution,
+      capabilities,
+      observability
     }
   );
 
   try {
-    await environment.run(maxIterations);
+    if (onCycle) {
+      await runReportedCycles(environment, maxIterations, onCycle, signal, messageBus);
+    } else {
+      await environment.run(maxIterations);
+    }
   } catch (error) {
-    throw new PlanningError(`Multi-agent planning failed: ${error.message}`, 500);
+    throw new PlanningError(
+      `Multi-agent planning failed: ${error.message}`,
+      typeof error.status === 'number' ? error.status : 500
+    );
   }
 
   const finalState = environment.state;
@@ -957,8 +1521,11 @@ async function trueBDIPlan(initialStacks, goalPayload, options = {}) {
     throw new PlanningError(`Unable to achieve goal within ${maxIterations} iterations.`, 422);
   }
 
-  const agentAMoves = finalState.moves.filter(move => normalizeActorId(move.actor) === 'Agent-A').length;
-  const agentBMoves = finalState.moves.filter(move => normalizeActorId(move.actor) === 'Agent-B').length;
+  const agentNames = agentNamesForCount(agentCount);
+  const agentMoves = Object.fromEntries(agentNames.map(name => [
+    name,
+    finalState.moves.filter(move => normalizeActorId(move.actor) === name).length
+  ]));
 
   const cycleParticipation = {};
   finalState.moves.forEach((move, index) => {
@@ -985,10 +1552,12 @@ async function trueBDIPlan(initialStacks, goalPayload, options = {}) {
     acc[cycle].moves.push({
       block: move.block,
       to: move.to,
+      ...(move.slot ? { slot: move.slot } : {}),
       reason: move.reason,
       actor: normalizedActor,
       planner: 'true-multi-agent-bdi',
-      clawSteps: move.clawSteps || []
+      clawSteps: move.clawSteps || [],
+      ...(move.capability ? { capability: describeCapabilityEvent(move.capability) } : {})
     });
     return acc;
   }, {});
@@ -1000,32 +1569,53 @@ async function trueBDIPlan(initialStacks, goalPayload, options = {}) {
     intentionLog: finalState.intentionLog || [],
     finalStacks: finalState.stacks,
     planningApproach: 'true-multi-agent-bdi',
-    agentCount: 2,
+    agentCount,
     goalDecomposition: {
       agentA: goalDecomposition.goalChainA.join(' -> '),
-      agentB: goalDecomposition.goalChainB.join(' -> '),
+      agentB: goalDecomposition.goalChainB ? goalDecomposition.goalChainB.join(' -> ') : null,
+      agents: Object.fromEntries(agentNames.map((name, index) => [
+        name,
+        goalDecomposition.agentChains[index].join(' -> ')
+      ])),
       overlap: goalDecomposition.overlap
     },
     statistics: {
-      agentAMoves,
-      agentBMoves,
+      agentAMoves: agentMoves['Agent-A'],
+      agentBMoves: agentMoves['Agent-B'] || 0,
+      agentMoves,
       totalConflicts: finalState.conflicts.length,
       totalNegotiations: finalState.negotiations.length,
       totalDeliberations: finalState.deliberations.length,
       totalParallelExecutions,
+      capabilityReassignments: finalState.capabilityEvents.filter(event => event.type === 'reassigned').length,
+      ...(observability ? summarizeSensing(finalState.beliefHistory, finalState.beliefEvents) : {}),
+      ...summarizeMessages(messageBus),
+      resolutionStrategy: deliberationManager.strategy.name,
       conflictDetails: finalState.conflicts.map(conflict => ({
         type: conflict.type,
-        agents: conflict.agents,
+        agents: (conflict.agents || []).map(normalizeActorId),
         blocks: conflict.blocks
       })),
-      negotiationDetails: finalState.negotiations.map(negotiation => ({
-        id: negotiation.id,
-        outcome: negotiation.outcome,
-        winner: negotiation.winner
-      }))
+      negotiationDetails: finalState.negotiations.map(negotiation => {
+        const winner = negotiation.resolution?.winner || negotiation.resolution?.first;
+        return {
+          id: negotiation.conflictId,
+          outcome: negotiation.resolution?.type || null,
+          winner: winner ? normalizeActorId(winner.agentId) : null
+        };
+      })
     },
+    agentCapabilities: describeAgentCapabilities(agentNames, capabilities),
+    capabilityEvents: finalState.capabilityEvents.map(describeCapabilityEvent),
+    transcript: messageBus.getTranscript().map(describeMessage),
+    ...(observability ? {
+      observability: { ...observability },
+      beliefHistory: finalState.beliefHistory,
+      beliefEvents: finalState.beliefEvents.map(describeBeliefEvent)
+    } : {}),
     deliberationHistory: finalState.deliberations.map(entry => ({
       cycle: entry.cycle,
+      strategy: entry.strategy,
       proposals: entry.proposals?.length || 0,
       conflicts: entry.conflicts?.length || 0,
       decisions: entry.decisions?.length || 0
@@ -0,0 +1,238 @@
+/**
+ * Plan Explanations
+ *
+ * Answers "why did the agent make this move?" after the fact. The moves are
+ * replayed from the initial stacks and each one is read against the goal that
+ * was still open when it was made: it either achieves a goal relation itself,
+ * or it removes a block standing in the way of one. The belief that made it
+ * necessary is the `on` fact under the moved block (for a clearing move, the
+ * blocks between it and the cleared block are named as well).
+ */
+
+const { PlanningError } = require('./blocksWorldAgent');
+const createBlocksHelpers = require('./utils/blocks');
+const { createGoalPredicateHelpers, formatLiteral } = require('./utils/goalPredicates');
+const { ACTION_OUTCOMES } = require('./utils/actionOutcomes');
+
+const {
+  normalizeStacks,
+  sanitizeGoalChain,
+  findStackIndex,
+  listPendingRelations,
+  applyMove,
+  applySlottedMove,
+  normalizeTableSlots
+} = createBlocksHelpers(PlanningError);
+const { parseGoalPredicates, isLiteralSatisfied } = createGoalPredicateHelpers(PlanningError);
+
+const EXPLANATION_KINDS = {
+  ACHIEVES_GOAL: 'achieves-goal',
+  CLEARS_BLOCK: 'clears-block',
+  CLEARS_DESTINATION: 'clears-destination',
+  CLEARS_SLOT: 'clears-slot',
+  REPOSITIONS: 'repositions',
+  MANUAL: 'manual',
+  UNRELATED: 'unrelated'
+};
+
+const formatRelation = ({ block, destination, slot }) => (destination === 'Table'
+  ? `onTable(${block})${slot ? ` in slot ${slot}` : ''}`
+  : `on(${block},${destination})`);
+
+// Where `block` stands: the belief a move that achieves a relation replaces
+function supportFact(stacks, block) {
+  const stack = stacks[findStackIndex(stacks, block)];
+  const below = stack[stack.indexOf(block) - 1];
+  return below === undefined ? `onTable(${block})` : `on(${block},${below})`;
+}
+
+// When `mover` is somewhere above `covered`: the fact under the mover, and the blocks between the two, bottom first
+function coverFact(stacks, mover, covered) {
+  const index = findStackIndex(stacks, covered);
+  if (index === -1) return null;
+  const stack = stacks[index];
+  const position = stack.indexOf(covered);
+  const moverPosition = stack.indexOf(mover);
+  if (moverPosition <= position) return null;
+  return { belief: `on(${mover},${stack[moverPosition - 1]})`, between: stack.slice(position + 1, moverPosition) };
+}
+
+function explainChainMove(stacks, intent, goalChain, goalSlots) {
+  const pending = listPendingRelations(stacks, goalChain, goalSlots);
+  const achieved = pending.find(relation => relation.block === intent.block
+    && relation.destination === intent.to
+    && (relation.slot == null || relation.slot === intent.slot));
+  if (achieved) {
+    return { kind: EXPLANATION_KINDS.ACHIEVES_GOAL, goalRelation: formatRelation(achieved), belief: supportFact(stacks, intent.block) };
+  }
+
+  // Relations are listed bottom-up, so the first one the move helps is the one the agent was working on
+  for (const relation of pending) {
+    const goalRelation = formatRelation(relation);
+    const blockCover = coverFact(stacks, intent.block, relation.block);
+    if (blockCover) {
+      return { kind: EXPLANATION_KINDS.CLEARS_BLOCK, goalRelation, cleared: relation.block, ...blockCover };
+    }
+    if (relation.destination !== 'Table') {
+      const destinationCover = coverFact(stacks, intent.block, relation.destination);
+      if (destinationCover) {
+        return { kind: EXPLANATION_KINDS.CLEARS_DESTINATION, goalRelation, cleared: relation.destination, ...destinationCover };
+      }
+    } else if (relation.slot != null && stacks[relation.slot - 1]?.includes(intent.block)) {
+      return {
+        kind: EXPLANATION_KINDS.CLEARS_SLOT,
+        goalRelation,
+        cleared: `Table slot ${relation.slot}`,
+        belief: `onTable(${stacks[relation.slot - 1][0]})`
+      };
+    }
+  }
+
+  const own = pending.find(relation => relation.block === intent.block);
+  if (own) {
+    return { kind: EXPLANATION_KINDS.REPOSITIONS, goalRelation: formatRelation(own), belief: supportFact(stacks, intent.block) };
+  }
+  return { kind: EXPLANATION_KINDS.UNRELATED };
+}
+
+function explainPredicateMove(stacks, intent, literals, applyTo) {
+  const pending = literals.filter(literal => !isLiteralSatisfied(stacks, literal));
+  const after = stacks.map(stack => [...stack]);
+  applyTo(after, intent);
+  const achieved = pending.find(literal => isLiteralSatisfied(after, literal));
+  if (achieved) {
+    return { kind: EXPLANATION_KINDS.ACHIEVES_GOAL, goalRelation: formatLiteral(achieved), belief: supportFact(stacks, intent.block) };
+  }
+
+  // Only the support of on() needs clearing; above() and the rest are reached from the block's side.
+  // A negated on() or onTable() holds once its block moves, so that block needs clearing too.
+  const blocksToClear = (literal) => {
+    if (!literal.negated) {
+      return literal.predicate === 'on' ? literal.args : literal.args.slice(0, 1);
+    }
+    return literal.predicate === 'on' || literal.predicate === 'onTable' ? literal.args.slice(0, 1) : [];
+  };
+  for (const literal of pending) {
+    for (const [position, covered] of blocksToClear(literal).entries()) {
+      const cover = coverFact(stacks, intent.block, covered);
+      if (cover) {
+        return {
+          kind: position === 0 ? EXPLANATION_KINDS.CLEARS_BLOCK : EXPLANATION_KINDS.CLEARS_DESTINATION,
+          goalRelation: formatLiteral(literal),
+          cleared: covered,
+          ...cover
+        };
+      }
+    }
+  }
+
+  // Parking a block that still has to reach its own goal relation later, or placing one another literal builds on
+  const own = pending.find(literal => blocksToClear(literal)[0] === intent.block)
+    || pending.find(literal => !literal.negated && literal.args.includes(intent.block));
+  if (own) {
+    return { kind: EXPLANATION_KINDS.REPOSITIONS, goalRelation: formatLiteral(own), belief: supportFact(stacks, intent.block) };
+  }
+  return { kind: EXPLANATION_KINDS.UNRELATED };
+}
+
+const listBlocks = blocks => (blocks.length === 1 ? blocks[0] : `${blocks.slice(0, -1).join(', ')} and ${blocks[blocks.length - 1]}`);
+
+function summarize({ kind, goalRelation, cleared, belief, between = [] }, intent) {
+  switch (kind) {
+    case EXPLANATION_KINDS.ACHIEVES_GOAL:
+      return `Achieves the goal relation ${goalRelation}: the agent believed ${belief}, so it did not hold yet.`;
+    case EXPLANATION_KINDS.CLEARS_BLOCK:
+    case EXPLANATION_KINDS.CLEARS_DESTINATION:
+      if (between.length > 0) {
+        return `Removes ${intent.block} from above ${cleared}: the agent believed ${belief}, with ${listBlocks(between)} `
+          + `still above ${cleared}, so ${cleared} was not clear, and ${goalRelation} needs ${cleared} clear.`;
+      }
+      return `Removes ${intent.block} from above ${cleared}: the agent believed ${belief}, so ${cleared} was not clear, `
+        + `and ${goalRelation} needs ${cleared} clear.`;
+    case EXPLANATION_KINDS.CLEARS_SLOT:
+      return `Empties ${cleared}: the agent believed ${belief} there, and ${goalRelation} needs the slot.`;
+    case EXPLANATION_KINDS.REPOSITIONS:
+      return `Takes ${intent.block} off its current support: the agent believed ${belief}, but the goal needs ${goalRelation}.`;
+    case EXPLANATION_KINDS.MANUAL:
+      return 'Made by the user, not the agent; the agent replans from the stacks it leaves.';
+    default:
+      return 'Serves no goal relation that was still open when it was made.';
+  }
+}
+
+/**
+ * Explain every move of a single-agent plan
+ *
+ * @param {Object} request
+ * @param {Array<Array<string>>} request.stacks - Initial stacks, bottom block first
+ * @param {Array<string>|Array<Array<string>>|string} request.goal - Goal chain, goal chains or predicate expression
+ * @param {Array<Object>} request.moves - Planner moves in order (`{ block, to, slot?, reason?, manual?, outcome?, intended? }`)
+ * @param {number} [request.tableSlots]
+ * @param {Object} [request.goalSlots] - Tower base to table slot
+ * @param {number} [request.alternative] - Predicate alternative the planner chose; defaults to the first
+ * @returns {Array<{step: number, block: string, to: string, reason: string|null, kind: string,
+ *   goalRelation: string|null, blocker: string|null, cleared: string|null, between: Array<string>|null,
+ *   belief: string|null, summary: string}>}
+ */
+function explainPlan({ stacks: rawStacks, goal, moves, tableSlots = null, goalSlots = null, alternative = 0 }) {
+  const { stacks: parsedStacks, blocks } = normalizeStacks(rawStacks);
+  const stacks = tableSlots ? normalizeTableSlots(parsedStacks, tableSlots) : parsedStacks;
+  if (!Array.isArray(moves)) {
+    throw new PlanningError('moves must be an array of moves.');
+  }
+
+  const applyTo = (target, { block, to, slot }) => (tableSlots
+    ? applySlottedMove(target, block, to, slot)
+    : applyMove(target, block, to));
+
+  let explainMove;
+  if (typeof goal === 'string') {
+    const alternatives = parseGoalPredicates(goal, blocks);
+    const literals = alternatives[alternative] || alternatives[0];
+    explainMove = (state, intent) => explainPredicateMove(state, intent, literals, applyTo);
+  } else {
+    if (!Array.isArray(goal) || goal.length === 0) {
+      throw new PlanningError('A goal chain, a list of goal chains or a predicate goal is required.');
+    }
+    const goalChain = (Array.isArray(goal[0]) ? goal : [goal])
+      .flatMap(chain => sanitizeGoalChain(chain, blocks, { allowIntermediateTable: true }));
+    explainMove = (state, intent) => explainChainMove(state, intent, goalChain, goalSlots);
+  }
+
+  return moves.map((move, index) => {
+    // A failed attempt is explained by what the agent intended, and only what happened is replayed
+    const intent = {
+      block: move.block,
+      to: move.intended ? move.intended.to : move.to,
+      slot: move.intended ? move.intended.slot : move.slot
+    };
+    const explanation = move.manual
+      ? { kind: EXPLANATION_KINDS.MANUAL }
+      : explainMove(stacks, intent);
+    const clearing = Boolean(explanation.cleared);
+
+    if (move.outcome !== ACTION_OUTCOMES.GRASP_FAILED) {
+      applyTo(stacks, move);
+    }
+
+    return {
+      step: index + 1,
+      block: intent.block,
+      to: intent.to,
+      ...(intent.slot != null ? { slot: intent.slot } : {}),
+      reason: move.reason || null,
+      kind: explanation.kind,
+      goalRelation: explanation.goalRelation || null,
+      blocker: clearing ? intent.block : null,
+      cleared: explanation.cleared || null,
+      between: explanation.between || null,
+      belief: explanation.belief || null,
+      summary: summarize(explanation, intent)
+    };
+  });
+}
+
+module.exports = {
+  explainPlan,
+  EXPLANATION_KINDS
+};
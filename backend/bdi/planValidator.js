@@ -0,0 +1,224 @@
+/**
+ * Plan Validator
+ *
+ * Replays a move list against the Blocks World rules without consulting a
+ * planner. Moves are grouped into cycles: a plain list runs one move per
+ * cycle, multi-agent plans list `{ cycle, moves }` entries. Every move of a
+ * cycle must be legal in the world as it stood when the cycle began, and no
+ * two moves of a cycle may touch the same block, destination, table slot or
+ * claw. A move may also say where its block starts (`from`), as actions of
+ * external planners do. Replay stops at the first cycle with a problem.
+ */
+
+const { PlanningError, validateMoveCandidate } = require('./blocksWorldAgent');
+const createBlocksHelpers = require('./utils/blocks');
+const { createGoalPredicateHelpers } = require('./utils/goalPredicates');
+
+const {
+  normalizeStacks,
+  sanitizeGoalChain,
+  goalAchieved,
+  applyMove,
+  applySlottedMove,
+  normalizeTableSlots
+} = createBlocksHelpers(PlanningError);
+const { parseGoalPredicates, predicatesSatisfied } = createGoalPredicateHelpers(PlanningError);
+
+const MOVE_VIOLATIONS = {
+  BLOCK_NOT_FOUND: move => `Block ${move.block} is not in the world.`,
+  BLOCK_NOT_CLEAR: move => `Block ${move.block} has another block on top of it.`,
+  SOURCE_MISMATCH: move => (move.from === 'Table'
+    ? `Block ${move.block} is not on the table.`
+    : `Block ${move.block} is not on ${move.from}.`),
+  BLOCK_EQUALS_DESTINATION: move => `Block ${move.block} cannot be placed on itself.`,
+  DESTINATION_NOT_FOUND: move => `Destination ${move.to} is not in the world.`,
+  DESTINATION_NOT_CLEAR: move => `Destination ${move.to} has another block on top of it.`,
+  SLOT_REQUIRED: move => `Moving ${move.block} to the table needs a slot because the table is limited.`,
+  SLOT_NOT_FOUND: move => `Table slot ${move.slot} does not exist.`,
+  SLOT_OCCUPIED: move => `Table slot ${move.slot} is already occupied.`
+};
+
+const CLASH_TYPES = {
+  SAME_BLOCK: 'same-block',
+  SAME_DESTINATION: 'same-destination',
+  SAME_SLOT: 'same-slot',
+  DESTINATION_MOVED: 'destination-moved',
+  SAME_ACTOR: 'same-actor'
+};
+
+const cloneMove = ({ block, to, from, slot, actor }) => ({
+  block,
+  to,
+  ...(from != null ? { from } : {}),
+  ...(slot != null ? { slot } : {}),
+  ...(actor != null ? { actor } : {})
+});
+
+// Cycle entries keep their number; loose moves share a cycle only when they carry the same `cycle`
+function groupIntoCycles(moves) {
+  if (!Array.isArray(moves)) {
+    throw new PlanningError('moves must be an array of moves or of { cycle, moves } entries.');
+  }
+
+  const cycles = [];
+  moves.forEach((entry, position) => {
+    if (Array.isArray(entry?.moves)) {
+      cycles.push({ cycle: Number.isInteger(entry.cycle) ? entry.cycle : position + 1, moves: entry.moves });
+      return;
+    }
+    const previous = cycles[cycles.length - 1];
+    if (Number.isInteger(entry?.cycle) && previous && previous.cycle === entry.cycle && previous.loose) {
+      previous.moves.push(entry);
+      return;
+    }
+    const cycle = Number.isInteger(entry?.cycle) ? entry.cycle : (previous ? previous.cycle + 1 : 1);
+    cycles.push({ cycle, moves: [entry], loose: true });
+  });
+  return cycles.map(({ cycle, moves: cycleMoves }) => ({ cycle, moves: cycleMoves }));
+}
+
+// Goal chains (towers may be joined by "Table"), several chains or a predicate expression
+function resolveGoalCheck(goal, blocks) {
+  if (typeof goal === 'string') {
+    const alternatives = parseGoalPredicates(goal, blocks);
+    return stacks => alternatives.some(literals => predicatesSatisfied(stacks, literals));
+  }
+  if (!Array.isArray(goal) || goal.length === 0) {
+    throw new PlanningError('A goal chain, a list of goal chains or a predicate goal is required.');
+  }
+  const chains = (Array.isArray(goal[0]) ? goal : [goal])
+    .map(chain => sanitizeGoalChain(chain, blocks, { allowIntermediateTable: true }));
+  return stacks => chains.every(chain => goalAchieved(stacks, chain));
+}
+
+function isOnSource(stacks, { block, from }) {
+  const stack = stacks.find(candidate => candidate.includes(block));
+  const below = stack[stack.indexOf(block) - 1];
+  return from === 'Table' ? below === undefined : below === from;
+}
+
+function checkMove(move, stacks, tableSlots) {
+  if (tableSlots && move.to === 'Table' && move.slot == null) {
+    return 'SLOT_REQUIRED';
+  }
+  const verdict = validateMoveCandidate(move, stacks);
+  if (!verdict.ok) {
+    return verdict.code;
+  }
+  return move.from != null && !isOnSource(stacks, move) ? 'SOURCE_MISMATCH' : null;
+}
+
+function findClashes(cycle, entries) {
+  const clashes = [];
+  const claimed = { block: new Map(), destination: new Map(), slot: new Map(), actor: new Map() };
+  const movedBlocks = new Map(entries.map(({ move, index }) => [move.block, index]));
+
+  const claim = (kind, key, index, type, reason) => {
+    if (key == null) return;
+    if (claimed[kind].has(key)) {
+      clashes.push({ cycle, type, moveIndices: [claimed[kind].get(key), index], reason });
+    } else {
+      claimed[kind].set(key, index);
+    }
+  };
+
+  entries.forEach(({ move, index }) => {
+    claim('block', move.block, index, CLASH_TYPES.SAME_BLOCK, `Block ${move.block} is moved twice in one cycle.`);
+    if (move.to === 'Table') {
+      claim('slot', move.slot, index, CLASH_TYPES.SAME_SLOT, `Two blocks are placed in table slot ${move.slot}.`);
+    } else {
+      claim('destination', move.to, index, CLASH_TYPES.SAME_DESTINATION, `Two blocks are placed on ${move.to}.`);
+      if (movedBlocks.has(move.to) && movedBlocks.get(move.to) !== index) {
+        clashes.push({
+          cycle,
+          type: CLASH_TYPES.DESTINATION_MOVED,
+          moveIndices: [index, movedBlocks.get(move.to)],
+          reason: `${move.block} is placed on ${move.to} while ${move.to} is being moved.`
+        });
+      }
+    }
+    claim('actor', move.actor, index, CLASH_TYPES.SAME_ACTOR, `${move.actor} makes two moves in one cycle.`);
+  });
+  return clashes;
+}
+
+/**
+ * Replay a move list from the initial world and grade it
+ *
+ * @param {Object} request
+ * @param {Array<Array<string>>} request.stacks - Initial stacks, bottom block first
+ * @param {Array<string>|Array<Array<string>>|string} [request.goal] - Goal chain, goal chains or predicate
+ *   expression; without one `goalAchieved` is null and a legal plan is valid
+ * @param {Array<Object>} request.moves - `{ block, to, from?, slot?, actor?, cycle? }` moves or `{ cycle, moves }` entries
+ * @param {number} [request.tableSlots] - Limited table; table moves must then name a free slot
+ * @returns {{valid: boolean, goalAchieved: boolean|null, completed: boolean, cyclesChecked: number,
+ *   movesChecked: number, firstIllegalMove: Object|null, clashes: Array<Object>, finalStacks: Array<Array<string>>}}
+ */
+function validatePlan({ stacks: rawStacks, goal = null, moves, tableSlots = null }) {
+  const { stacks: parsedStacks, blocks } = normalizeStacks(rawStacks);
+  const stacks = tableSlots ? normalizeTableSlots(parsedStacks, tableSlots) : parsedStacks;
+  const goalHolds = goal == null ? null : resolveGoalCheck(goal, blocks);
+  const cycles = groupIntoCycles(moves);
+
+  let index = 0;
+  let cyclesChecked = 0;
+  let firstIllegalMove = null;
+  let clashes = [];
+
+  for (const { cycle, moves: cycleMoves } of cycles) {
+    const entries = cycleMoves.map((move) => {
+      if (!move || typeof move.block !== 'string' || typeof move.to !== 'string') {
+        throw new PlanningError(`Move ${index + 1} must name a block and a destination.`);
+      }
+      if (!tableSlots && move.slot != null) {
+        throw new PlanningError(`Move ${index + 1} names a table slot but the world has no tableSlots.`);
+      }
+      return { move: cloneMove(move), index: index++ };
+    });
+    cyclesChecked += 1;
+
+    const illegal = entries
+      .map(entry => ({ ...entry, code: checkMove(entry.move, stacks, tableSlots) }))
+      .find(entry => entry.code !== null);
+    if (illegal) {
+      firstIllegalMove = {
+        index: illegal.index,
+        cycle,
+        move: illegal.move,
+        code: illegal.code,
+        reason: MOVE_VIOLATIONS[illegal.code](illegal.move)
+      };
+    }
+    clashes = entries.length > 1 ? findClashes(cycle, entries) : [];
+    if (firstIllegalMove || clashes.length > 0) {
+      break;
+    }
+
+    entries.forEach(({ move }) => {
+      if (tableSlots) {
+        applySlottedMove(stacks, move.block, move.to, move.slot);
+      } else {
+        applyMove(stacks, move.block, move.to);
+      }
+    });
+  }
+
+  const completed = cyclesChecked === cycles.length && !firstIllegalMove && clashes.length === 0;
+  const goalMet = goalHolds ? goalHolds(stacks) : null;
+  return {
+    valid: completed && goalMet !== false,
+    goalAchieved: goalMet,
+    completed,
+    cyclesChecked,
+    movesChecked: index,
+    firstIllegalMove,
+    clashes,
+    finalStacks: stacks.map(stack => [...stack])
+  };
+}
+
+module.exports = {
+  validatePlan,
+  MOVE_VIOLATIONS,
+  CLASH_TYPES
+};
@@ -0,0 +1,258 @@
+/**
+ * Planner Sessions
+ *
+ * Server-side execution of a single-agent BDI plan, one agent cycle per step.
+ * Clients can pause and resume a session and inject moves of their own; the
+ * agent replans from the resulting stacks on its next cycle. Sessions live in
+ * memory, belong to the user that created them and expire when idle.
+ */
+
+const { randomUUID } = require('crypto');
+const {
+  createPlannerRun,
+  buildPlannerResponse,
+  summarizeExecutionEvents,
+  summarizeCommitment,
+  PlanningError
+} = require('./blocksWorldAgent');
+const { explainPlan } = require('./planExplainer');
+
+const SESSION_STATUS = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const MAX_SESSIONS_PER_USER = 10;
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const MAX_CYCLES_PER_STEP = 100;
+const MANUAL_ACTOR_ID = 'user';
+
+class PlannerSession {
+  constructor(id, ownerId, run, now = Date.now) {
+    this.id = id;
+    this.ownerId = ownerId;
+    this.run = run;
+    this.initialStacks = run.environment.state.stacks.map(stack => [...stack]);
+    this.now = now;
+    this.status = run.environment.state.goalAchieved ? SESSION_STATUS.COMPLETED : SESSION_STATUS.RUNNING;
+    this.error = null;
+    this.createdAt = now();
+    this.updatedAt = this.createdAt;
+  }
+
+  touch() {
+    this.updatedAt = this.now();
+  }
+
+  /**
+   * Advance the agent by up to `cycles` BDI cycles
+   *
+   * Stops early when the goal is reached or the agent fails; a failure marks
+   * the session failed instead of throwing so earlier cycles are still returned.
+   */
+  step(cycles = 1) {
+    this.touch();
+    if (this.status === SESSION_STATUS.PAUSED) {
+      throw new PlanningError('Session is paused; resume it before stepping.', 409);
+    }
+    if (this.status === SESSION_STATUS.COMPLETED) {
+      throw new PlanningError('Session goal already achieved.', 409);
+    }
+    if (this.status === SESSION_STATUS.FAILED) {
+      throw new PlanningError(`Session failed: ${this.error}`, 409);
+    }
+
+    const { environment, agent, maxIterations } = this.run;
+    const results = [];
+
+    while (results.length < cycles && this.status === SESSION_STATUS.RUNNING) {
+      const before = environment.state;
+      if (before.iterations >= maxIterations) {
+        this.fail(`Unable to achieve goal within ${maxIterations} iterations.`);
+        break;
+      }
+
+      try {
+        environment.run(1);
+      } catch (error) {
+        if (!(error instanceof PlanningError)) {
+          throw error;
+        }
+        this.fail(error.message);
+        break;
+      }
+      // Sessions only need the current state; the environment would otherwise keep every cycle
+      environment.reset();
+
+      const state = environment.state;
+      const move = state.moves.length > before.moves.length ? state.moves[state.moves.length - 1] : null;
+      results.push({
+        cycle: state.iterations,
+        move,
+        clawSteps: move ? move.clawSteps : [],
+        intentions: { ...(agent.intentions || {}) },
+        beliefs: this.describeBeliefs(state),
+        intentionLog: state.intentionLog.slice(before.intentionLog.length)
+      });
+
+      if (state.goalAchieved) {
+        this.status = SESSION_STATUS.COMPLETED;
+      }
+    }
+
+    return { cycles: results, session: this.getState() };
+  }
+
+  pause() {
+    this.touch();
+    this.ensureActive('paused');
+    this.status = SESSION_STATUS.PAUSED;
+    return this.getState();
+  }
+
+  resume() {
+    this.touch();
+    this.ensureActive('resumed');
+    this.status = SESSION_STATUS.RUNNING;
+    return this.getState();
+  }
+
+  // Apply a move on the agent's behalf; finished sessions reopen when the move undoes the goal
+  injectMove(move) {
+    this.touch();
+    const appliedMove = this.run.injectMove(move, MANUAL_ACTOR_ID);
+
+    if (this.run.environment.state.goalAchieved) {
+      this.status = SESSION_STATUS.COMPLETED;
+    } else if (this.status !== SESSION_STATUS.PAUSED) {
+      this.status = SESSION_STATUS.RUNNING;
+    }
+    this.error = null;
+
+    return { move: appliedMove, session: this.getState() };
+  }
+
+  // Why each move so far was made; `step` (1-based) picks a single move
+  explain(step = null) {
+    this.touch();
+    const { state } = this.run.environment;
+    if (step !== null && step > state.moves.length) {
+      throw new PlanningError(`Step ${step} has not been played; the session has ${state.moves.length} move(s).`, 404);
+    }
+
+    const { goalPredicates } = this.run.goal;
+    const { tableSlots, goalSlots } = this.run.plannerOptionsUsed;
+    const explanations = explainPlan({
+      stacks: this.initialStacks,
+      goal: goalPredicates ? goalPredicates.alternatives[goalPredicates.selectedAlternative] : this.run.goal.goalChain,
+      moves: step === null ? state.moves : state.moves.slice(0, step),
+      tableSlots,
+      goalSlots
+    });
+    return step === null ? explanations : explanations[step - 1];
+  }
+
+  ensureActive(action) {
+    if (this.status === SESSION_STATUS.COMPLETED || this.status === SESSION_STATUS.FAILED) {
+      throw new PlanningError(`A ${this.status} session cannot be ${action}.`, 409);
+    }
+  }
+
+  fail(message) {
+    this.status = SESSION_STATUS.FAILED;
+    this.error = message;
+  }
+
+  describeBeliefs(state) {
+    return {
+      stacks: state.stacks.map(stack => [...stack]),
+      ...buildPlannerResponse(state, state.goalChain, this.run.plannerOptionsUsed).beliefs
+    };
+  }
+
+  getState() {
+    const state = this.run.environment.state;
+    return {
+      id: this.id,
+      status: this.status,
+      error: this.error,
+      createdAt: new Date(this.createdAt).toISOString(),
+      updatedAt: new Date(this.updatedAt).toISOString(),
+      ...this.run.goal,
+      plannerOptionsUsed: { ...this.run.plannerOptionsUsed },
+      iterations: state.iterations,
+      goalAchieved: Boolean(state.goalAchieved),
+      moves: state.moves,
+      intentionLog: state.intentionLog,
+      beliefs: this.describeBeliefs(state),
+      ...(this.run.plannerOptionsUsed.uncertainty
+        ? { executionMonitoring: summarizeExecutionEvents(state.executionEvents) }
+        : {}),
+      ...(this.run.plannerOptionsUsed.commitment
+        ? { intentionReconsideration: summarizeCommitment(this.run.plannerOptionsUsed.commitment, state.commitmentEvents) }
+        : {})
+    };
+  }
+}
+
+/**
+ * In-memory session registry
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxSessionsPerUser] - Open sessions allowed per user
+ * @param {number} [options.idleTimeoutMs] - Sessions untouched for this long are dropped
+ * @param {Function} [options.now] - Clock, injectable for tests
+ */
+function createSessionStore({
+  maxSessionsPerUser = MAX_SESSIONS_PER_USER,
+  idleTimeoutMs = SESSION_IDLE_TIMEOUT_MS,
+  now = Date.now
+} = {}) {
+  const sessions = new Map();
+
+  const sweep = () => {
+    const cutoff = now() - idleTimeoutMs;
+    sessions.forEach((session, id) => {
+      if (session.updatedAt < cutoff) {
+        sessions.delete(id);
+      }
+    });
+  };
+
+  return {
+    create(ownerId, stacks, goal, options = {}) {
+      sweep();
+      const owned = Array.from(sessions.values()).filter(session => session.ownerId === ownerId).length;
+      if (owned >= maxSessionsPerUser) {
+        throw new PlanningError(`At most ${maxSessionsPerUser} planner sessions can be open at once; delete one first.`, 429);
+      }
+
+      const session = new PlannerSession(randomUUID(), ownerId, createPlannerRun(stacks, goal, options), now);
+      sessions.set(session.id, session);
+      return session;
+    },
+
+    get(ownerId, id) {
+      sweep();
+      const session = sessions.get(id);
+      if (!session || session.ownerId !== ownerId) {
+        throw new PlanningError('Planner session not found.', 404);
+      }
+      return session;
+    },
+
+    remove(ownerId, id) {
+      this.get(ownerId, id);
+      sessions.delete(id);
+    }
+  };
+}
+
+module.exports = {
+  createSessionStore,
+  PlannerSession,
+  SESSION_STATUS,
+  MAX_CYCLES_PER_STEP
+};
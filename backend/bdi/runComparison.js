@@ -0,0 +1,105 @@
+/**
+ * Run Comparison
+ *
+ * Lines up the recorded runs of one world so they can be read side by side.
+ * Every run is flattened to its executed moves in order (the moves of a
+ * multi-agent cycle keep their plan order), step n of each run is put next to
+ * step n of the others, and the first step where they stop agreeing on block,
+ * destination and slot is the point where the plans diverge. Which agent made
+ * a move does not count, so a single-agent and a multi-agent run that move the
+ * same blocks in the same order agree. Statistics the planner did not report
+ * (single-agent runs have no per-agent totals) are counted from the moves;
+ * actors are normalized first, so a single agent's moves count as Agent-A's.
+ */
+
+const { PlanningError } = require('./blocksWorldAgent');
+const { normalizeActorId } = require('./utils/agentIds');
+
+const MIN_COMPARED_RUNS = 2;
+const MAX_COMPARED_RUNS = 6;
+
+const flattenSteps = (moves = []) => moves.flatMap((entry) => {
+  const group = Array.isArray(entry?.moves) ? entry.moves : [entry];
+  return group
+    .filter(move => move && typeof move.block === 'string')
+    .map(move => ({
+      block: move.block,
+      to: move.to,
+      ...(move.slot != null ? { slot: move.slot } : {}),
+      actor: normalizeActorId(move.actor),
+      ...(Array.isArray(entry?.moves) && entry.cycle != null ? { cycle: entry.cycle } : {}),
+      ...(move.outcome ? { outcome: move.outcome } : {})
+    }));
+});
+
+const countParallelCycles = (moves = []) => moves
+  .filter(entry => Array.isArray(entry?.moves) && entry.moves.length > 1)
+  .length;
+
+const sameMove = (a, b) => Boolean(a && b)
+  && a.block === b.block
+  && a.to === b.to
+  && (a.slot ?? null) === (b.slot ?? null);
+
+// Reported totals win; the dashboard's `conflicts` also counts conflicts met while executing
+const METRICS = [
+  { metric: 'moves', read: (run, steps) => (Number.isFinite(run.moveCount) ? run.moveCount : steps.length) },
+  { metric: 'agentAMoves', read: (run, steps) => run.statistics?.agentAMoves ?? steps.filter(step => step.actor === 'Agent-A').length },
+  { metric: 'agentBMoves', read: (run, steps) => run.statistics?.agentBMoves ?? steps.filter(step => step.actor === 'Agent-B').length },
+  { metric: 'totalConflicts', read: run => run.statistics?.conflicts ?? run.statistics?.totalConflicts ?? 0 },
+  { metric: 'totalNegotiations', read: run => run.statistics?.totalNegotiations ?? 0 },
+  { metric: 'totalParallelExecutions', read: run => run.statistics?.totalParallelExecutions ?? countParallelCycles(run.moves) },
+  { metric: 'elapsedMs', read: run => (Number.isFinite(run.durationMs) ? run.durationMs : null) }
+];
+
+/**
+ * Align the executed moves of several runs and diff their statistics
+ *
+ * @param {Array<Object>} runs - Recorded runs (`{ _id, planner, goal, outcome, createdAt, moves, statistics, moveCount, durationMs }`)
+ * @returns {{runs: Array<Object>, statistics: Array<{metric: string, values: Array<number|null>, spread: number|null}>,
+ *   alignment: Array<{step: number, moves: Array<Object|null>, agreed: boolean}>, firstDivergence: number|null}}
+ *   `firstDivergence` is the 1-based step where the runs first differ, or null when they made the same moves
+ */
+function compareRuns(runs) {
+  if (!Array.isArray(runs) || runs.length < MIN_COMPARED_RUNS || runs.length > MAX_COMPARED_RUNS) {
+    throw new PlanningError(`Compare between ${MIN_COMPARED_RUNS} and ${MAX_COMPARED_RUNS} runs.`);
+  }
+
+  const steps = runs.map(run => flattenSteps(Array.isArray(run.moves) ? run.moves : []));
+  const length = Math.max(...steps.map(list => list.length));
+
+  const alignment = Array.from({ length }, (_, index) => {
+    const moves = steps.map(list => list[index] || null);
+    return { step: index + 1, moves, agreed: moves.every(move => sameMove(move, moves[0])) };
+  });
+  const divergence = alignment.find(row => !row.agreed);
+
+  const statistics = METRICS.map(({ metric, read }) => {
+    const values = runs.map((run, index) => read(run, steps[index]));
+    const known = values.filter(Number.isFinite);
+    return {
+      metric,
+      values,
+      spread: known.length === values.length ? Math.max(...known) - Math.min(...known) : null
+    };
+  });
+
+  return {
+    runs: runs.map((run, index) => ({
+      id: String(run._id),
+      planner: run.planner,
+      goal: run.goal ?? null,
+      outcome: run.outcome,
+      createdAt: run.createdAt ?? null,
+      steps: steps[index]
+    })),
+    statistics,
+    alignment,
+    firstDivergence: divergence ? divergence.step : null
+  };
+}
+
+module.exports = {
+  compareRuns,
+  MAX_COMPARED_RUNS
+};
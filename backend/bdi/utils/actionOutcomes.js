@@ -0,0 +1,90 @@
+/**
+ * Stochastic action outcomes for the single-agent BDI planner.
+ *
+ * With uncertainty enabled a move can go wrong in two ways:
+ * - grasp-failed: the claw closes on nothing and the block stays put
+ * - dropped: the block slips out of the claw and lands on the table
+ * Outcomes are drawn from a seeded generator so a run can be replayed.
+ */
+
+const ACTION_OUTCOMES = {
+  SUCCEEDED: 'succeeded',
+  GRASP_FAILED: 'grasp-failed',
+  DROPPED: 'dropped'
+};
+
+// Keeps every move able to succeed eventually
+const MAX_FAILURE_PROBABILITY = 0.9;
+const MAX_SEED = 0xFFFFFFFF;
+
+// mulberry32: small, fast and good enough for simulated noise (also seeds generated problems)
+function createRandomSource(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Whether the settings can make any move go wrong
+ *
+ * @param {Object|null} uncertainty
+ * @returns {boolean}
+ */
+function hasUncertainty(uncertainty) {
+  return Boolean(uncertainty) && (uncertainty.graspFailureProbability > 0 || uncertainty.dropProbability > 0);
+}
+
+/**
+ * Create an outcome model
+ *
+ * @param {Object} uncertainty
+ * @param {number} [uncertainty.graspFailureProbability=0] - Chance a grasp fails (0 to MAX_FAILURE_PROBABILITY)
+ * @param {number} [uncertainty.dropProbability=0] - Chance a carried block drops onto the table
+ * @param {number} [uncertainty.seed] - Generator seed; a random one is picked and reported when missing
+ * @returns {{settings: Object, sample: Function}}
+ */
+function createOutcomeModel(uncertainty = {}) {
+  const settings = {
+    graspFailureProbability: uncertainty.graspFailureProbability || 0,
+    dropProbability: uncertainty.dropProbability || 0,
+    seed: Number.isInteger(uncertainty.seed) ? uncertainty.seed : Math.floor(Math.random() * MAX_SEED)
+  };
+  const random = createRandomSource(settings.seed);
+
+  return {
+    settings,
+
+    /**
+     * Draw the outcome of one move. Blocks headed for the table cannot drop
+     * anywhere else, and `canDrop` is false when the table has no room.
+     *
+     * @param {{block: string, to: string}} move
+     * @param {boolean} [canDrop=true]
+     * @returns {string} One of ACTION_OUTCOMES
+     */
+    sample(move, canDrop = true) {
+      if (random() < settings.graspFailureProbability) {
+        return ACTION_OUTCOMES.GRASP_FAILED;
+      }
+      const dropRoll = random();
+      if (move.to !== 'Table' && canDrop && dropRoll < settings.dropProbability) {
+        return ACTION_OUTCOMES.DROPPED;
+      }
+      return ACTION_OUTCOMES.SUCCEEDED;
+    }
+  };
+}
+
+module.exports = {
+  ACTION_OUTCOMES,
+  MAX_FAILURE_PROBABILITY,
+  MAX_SEED,
+  createRandomSource,
+  hasUncertainty,
+  createOutcomeModel
+};
@@ -0,0 +1,102 @@
+/**
+ * Agent capability profiles for heterogeneous multi-agent teams.
+ *
+ * A profile limits what an agent's claw can do; every field is optional:
+ * - reach: 1-based table columns the claw can reach, for both picking up and
+ *   putting down. On a limited table the columns are the table slots; on an
+ *   unlimited table they are the current stacks from left to right, and a
+ *   block put down on the table starts a new column at the right-hand end.
+ * - maxLiftHeight: highest stack (in blocks) the claw can lift a block from
+ * - forbiddenBlocks: blocks the claw may not handle
+ * - speed: relative animation speed (1 = normal), no effect on planning
+ */
+
+const MIN_AGENT_SPEED = 0.25;
+const MAX_AGENT_SPEED = 4;
+const DEFAULT_AGENT_SPEED = 1;
+
+const findColumn = (stacks, block) => stacks.findIndex(
+  stack => Array.isArray(stack) && stack.length > 0 && stack[stack.length - 1] === block
+);
+
+/**
+ * Whether any profile restricts movement (speed alone does not)
+ *
+ * @param {Object<string, Object>|null} capabilities - Profiles by agent name
+ * @returns {boolean}
+ */
+function hasMovementLimits(capabilities) {
+  return Object.values(capabilities || {}).some(profile => Boolean(profile) && (
+    Array.isArray(profile.reach)
+    || Number.isInteger(profile.maxLiftHeight)
+    || (Array.isArray(profile.forbiddenBlocks) && profile.forbiddenBlocks.length > 0)
+  ));
+}
+
+/**
+ * Columns a move picks up from and puts down on, before the move is made
+ *
+ * @param {Array<Array<string>>} stacks
+ * @param {{block: string, to: string, slot?: number}} move
+ * @param {number|null} tableSlots
+ * @returns {{from: number, to: number|null, sourceHeight: number}}
+ */
+function moveColumns(stacks, move, tableSlots) {
+  const fromIndex = findColumn(stacks, move.block);
+  let to = null;
+  if (move.to === 'Table') {
+    to = tableSlots ? (Number.isInteger(move.slot) ? move.slot : null) : stacks.length + 1;
+  } else {
+    const toIndex = findColumn(stacks, move.to);
+    to = toIndex >= 0 ? toIndex + 1 : null;
+  }
+
+  return {
+    from: fromIndex + 1,
+    to,
+    sourceHeight: fromIndex >= 0 ? stacks[fromIndex].length : 0
+  };
+}
+
+/**
+ * Check a move against a capability profile
+ *
+ * @param {Object|null} profile
+ * @param {{block: string, to: string, slot?: number}} move
+ * @param {Array<Array<string>>} stacks - Stacks before the move
+ * @param {number|null} tableSlots
+ * @returns {string|null} Why the agent cannot make the move, or null when it can
+ */
+function checkMoveCapability(profile, move, stacks, tableSlots) {
+  if (!profile || !move) {
+    return null;
+  }
+
+  if (Array.isArray(profile.forbiddenBlocks) && profile.forbiddenBlocks.includes(move.block)) {
+    return `may not handle block ${move.block}`;
+  }
+
+  const { from, to, sourceHeight } = moveColumns(stacks, move, tableSlots);
+  if (Number.isInteger(profile.maxLiftHeight) && sourceHeight > profile.maxLiftHeight) {
+    return `cannot lift from a stack of ${sourceHeight} (max ${profile.maxLiftHeight})`;
+  }
+  if (Array.isArray(profile.reach)) {
+    if (!profile.reach.includes(from)) {
+      return `cannot reach column ${from}`;
+    }
+    if (to !== null && !profile.reach.includes(to)) {
+      return `cannot reach column ${to}`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  MIN_AGENT_SPEED,
+  MAX_AGENT_SPEED,
+  DEFAULT_AGENT_SPEED,
+  hasMovementLimits,
+  moveColumns,
+  checkMoveCapability
+};
@@ -0,0 +1,63 @@
+/**
+ * Agent identifier rules shared by the multi-agent planner and API validation.
+ *
+ * Agents are numbered by letter: the js-son agents are "agent-a",
+ * "agent-b", ... and moves report them as "Agent-A", "Agent-B", ...
+ * Teams are limited to MAX_AGENT_COUNT agents.
+ */
+
+const MAX_AGENT_COUNT = 6;
+const DEFAULT_AGENT_COUNT = 2;
+const AGENT_COLORS = ['#4FD1C5', '#F46036', '#9F7AEA', '#F6AD55', '#68D391', '#63B3ED'];
+
+const agentLetter = (index) => String.fromCharCode(97 + index);
+
+/**
+ * js-son agent id for the agent at `index` (0-based)
+ *
+ * @param {number} index
+ * @returns {string} e.g. "agent-c"
+ */
+function agentIdForIndex(index) {
+  return `agent-${agentLetter(index)}`;
+}
+
+/**
+ * Display name for an agent id, move actor or single letter
+ *
+ * Unknown or empty actors fold into Agent-A, which is always present.
+ *
+ * @param {*} actor
+ * @returns {string} e.g. "Agent-C"
+ */
+function normalizeActorId(actor) {
+  if (typeof actor !== 'string') {
+    return 'Agent-A';
+  }
+  const match = /^(?:agent[-\s]?)?([a-z])$/i.exec(actor.trim());
+  if (!match) {
+    return 'Agent-A';
+  }
+
+  const index = match[1].toLowerCase().charCodeAt(0) - 97;
+  return index < MAX_AGENT_COUNT ? `Agent-${match[1].toUpperCase()}` : 'Agent-A';
+}
+
+/**
+ * Display names for a team of `count` agents
+ *
+ * @param {number} count
+ * @returns {string[]} e.g. ["Agent-A", "Agent-B", "Agent-C"]
+ */
+function agentNamesForCount(count) {
+  return Array.from({ length: count }, (_, index) => normalizeActorId(agentIdForIndex(index)));
+}
+
+module.exports = {
+  MAX_AGENT_COUNT,
+  DEFAULT_AGENT_COUNT,
+  AGENT_COLORS,
+  agentIdForIndex,
+  agentNamesForCount,
+  normalizeActorId
+};
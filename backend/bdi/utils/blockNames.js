@@ -0,0 +1,44 @@
+/**
+ * Block identifier rules shared by the planner, API validation and models.
+ *
+ * Names are case-insensitive and stored upper-case: a letter or digit
+ * followed by up to 15 letters, digits, "_" or "-" (e.g. "A", "B12",
+ * "RED_1", "CRATE-7"). "TABLE" is reserved for the table itself.
+ */
+
+const MAX_BLOCK_NAME_LENGTH = 16;
+const BLOCK_NAME_REGEX = /^[A-Z0-9][A-Z0-9_-]{0,15}$/;
+const RESERVED_BLOCK_NAMES = new Set(['TABLE']);
+
+/**
+ * Check a canonical (upper-case) block name
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isValidBlockName(name) {
+  return typeof name === 'string'
+    && BLOCK_NAME_REGEX.test(name)
+    && !RESERVED_BLOCK_NAMES.has(name);
+}
+
+/**
+ * Trim and upper-case a raw block identifier
+ *
+ * @param {*} value
+ * @returns {string|null} Canonical name, or null when the value is not a valid block name
+ */
+function normalizeBlockName(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const normalized = value.trim().toUpperCase();
+  return isValidBlockName(normalized) ? normalized : null;
+}
+
+module.exports = {
+  BLOCK_NAME_REGEX,
+  MAX_BLOCK_NAME_LENGTH,
+  isValidBlockName,
+  normalizeBlockName
+};
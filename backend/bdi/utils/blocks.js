@@ -1,5 +1,6 @@
+const { isValidBlockName } = require('./blockNames');
+
 function createBlocksHelpers(PlanningError) {
-  const MAX_BLOCK_REGEX = /^[A-Z]$/;
 
   function deepCloneStacks(stacks) {
     return stacks.map(stack => [...stack]);
@@ -38,8 +39,8 @@ function createBlocksHelpers(PlanningError) {
         }
 
         const value = block.trim().toUpperCase();
-        if (!MAX_BLOCK_REGEX.test(value)) {
-          throw new PlanningError(`Block "${block}" is invalid. Use single letters A-Z.`);
+        if (!isValidBlockName(value)) {
+          throw new PlanningError(`Block "${block}" is invalid. Use letters, digits, "_" or "-" (up to 16 characters, e.g. "A" or "B12").`);
         }
 
         if (seen.has(value)) {
@@ -69,8 +70,8 @@ function createBlocksHelpers(PlanningError) {
       if (normalized === 'TABLE') {
         return 'Table';
       }
-      if (!MAX_BLOCK_REGEX.test(normalized)) {
-        throw new PlanningError(`Goal token "${token}" is invalid. Use block letters A-Z.`);
+      if (!isValidBlockName(normalized)) {
+        throw new PlanningError(`Goal token "${token}" is invalid. Use block names such as "A" or "B12".`);
       }
       if (!availableBlocks.includes(normalized)) {
         throw new PlanningError(`Goal references unknown block "${normalized}".`);
@@ -133,21 +134,43 @@ function createBlocksHelpers(PlanningError) {
     return onMap[block] === destination;
   }
 
-  function selectNextRelation(stacks, goalChain) {
+  // goalSlots maps a tower base to the 1-based table slot it must occupy
+  function resolveGoalSlot(goalSlots, block, destination) {
+    if (destination !== 'Table' || !goalSlots || !Number.isInteger(goalSlots[block])) {
+      return null;
+    }
+    return goalSlots[block];
+  }
+
+  function isRelationSatisfied(stacks, block, destination, goalSlots = null) {
+    const slot = resolveGoalSlot(goalSlots, block, destination);
+    if (slot !== null) {
+      const slotStack = stacks[slot - 1];
+      return Array.isArray(slotStack) && slotStack[0] === block;
+    }
+    return isOn(stacks, block, destination);
+  }
+
+  function buildRelation(block, destination, goalSlots) {
+    const slot = resolveGoalSlot(goalSlots, block, destination);
+    return slot === null ? { block, destination } : { block, destination, slot };
+  }
+
+  function selectNextRelation(stacks, goalChain, goalSlots = null) {
     for (let i = goalChain.length - 1; i >= 1; i -= 1) {
       const block = goalChain[i - 1];
       const destination = goalChain[i];
       if (block === 'Table') {
         continue;
       }
-      if (!isOn(stacks, block, destination)) {
-        return { block, destination };
+      if (!isRelationSatisfied(stacks, block, destination, goalSlots)) {
+        return buildRelation(block, destination, goalSlots);
       }
     }
     return null;
   }
 
-  function listPendingRelations(stacks, goalChain) {
+  function listPendingRelations(stacks, goalChain, goalSlots = null) {
     if (!Array.isArray(goalChain) || goalChain.length < 2) {
       return [];
     }
@@ -159,18 +182,18 @@ function createBlocksHelpers(PlanningError) {
       if (block === 'Table') {
         continue;
       }
-      if (!isOn(stacks, block, destination)) {
-        pending.push({ block, destination });
+      if (!isRelationSatisfied(stacks, block, destination, goalSlots)) {
+        pending.push(buildRelation(block, destination, goalSlots));
       }
     }
     return pending;
   }
 
-  function goalAchieved(stacks, goalChain) {
+  function goalAchieved(stacks, goalChain, goalSlots = null) {
     if (!goalChain || goalChain.length < 2) {
       return true;
     }
-    return selectNextRelation(stacks, goalChain) === null;
+    return selectNextRelation(stacks, goalChain, goalSlots) === null;
   }
 
   function applyMove(stacks, block, destination) {
@@ -201,6 +224,66 @@ function createBlocksHelpers(PlanningError) {
     stacks[destIndex].push(block);
   }
 
+  // Limited-table worlds keep one positional entry per slot; empty arrays mark free slots
+  function normalizeTableSlots(stacks, tableSlots) {
+    const occupied = stacks.filter(stack => stack.length > 0).length;
+    if (occupied > tableSlots) {
+      throw new PlanningError(`World has ${occupied} stacks but the table only has ${tableSlots} slots.`);
+    }
+    const overflowIndex = stacks.findIndex((stack, index) => index >= tableSlots && stack.length > 0);
+    if (overflowIndex !== -1) {
+      throw new PlanningError(`Stack at index ${overflowIndex} lies beyond the table's ${tableSlots} slots.`);
+    }
+
+    const slotted = stacks.slice(0, tableSlots).map(stack => [...stack]);
+    while (slotted.length < tableSlots) {
+      slotted.push([]);
+    }
+    return slotted;
+  }
+
+  function findFreeSlots(stacks) {
+    const free = [];
+    stacks.forEach((stack, index) => {
+      if (stack.length === 0) {
+        free.push(index + 1);
+      }
+    });
+    return free;
+  }
+
+  function applySlottedMove(stacks, block, destination, slot) {
+    const fromIndex = findStackIndex(stacks, block);
+    if (fromIndex === -1) {
+      throw new PlanningError(`Move failed: block "${block}" not found in any stack.`, 422);
+    }
+    const fromStack = stacks[fromIndex];
+    if (fromStack[fromStack.length - 1] !== block) {
+      throw new PlanningError(`Move failed: block "${block}" is not clear in current state.`, 422);
+    }
+
+    if (destination === 'Table') {
+      const slotStack = stacks[slot - 1];
+      if (!Number.isInteger(slot) || !slotStack) {
+        throw new PlanningError(`Move failed: table slot ${slot} does not exist.`, 422);
+      }
+      if (slotStack.length > 0) {
+        throw new PlanningError(`Move failed: table slot ${slot} is occupied.`, 422);
+      }
+      fromStack.pop();
+      slotStack.push(block);
+      return;
+    }
+
+    const destIndex = findStackIndex(stacks, destination);
+    if (destIndex === -1) {
+      throw new PlanningError(`Move failed: destination block "${destination}" not found.`, 422);
+    }
+
+    fromStack.pop();
+    stacks[destIndex].push(block);
+  }
+
   function ensureGoalFeasible(goalChain, stacks) {
     const seen = new Set();
 
@@ -228,10 +311,14 @@ function createBlocksHelpers(PlanningError) {
     isBlockClear,
     deriveOnMap,
     isOn,
+    isRelationSatisfied,
     selectNextRelation,
     listPendingRelations,
     goalAchieved,
     applyMove,
+    normalizeTableSlots,
+    findFreeSlots,
+    applySlottedMove,
     ensureGoalFeasible,
     computeClearBlocks
   };
@@ -0,0 +1,93 @@
+/**
+ * Commitment strategies for the single-agent BDI planner.
+ *
+ * By default the agent derives every move afresh from what it perceives, so
+ * it reconsiders its intention on every cycle. With a commitment strategy it
+ * works out a whole plan instead and holds on to it; the strategy decides when
+ * the plan is given up and worked out again (Kinny & Georgeff's bold and
+ * cautious agents):
+ * - open-minded: reconsiders every cycle
+ * - blind: follows the plan to its end, then replans if the goal still does not hold
+ * - single-minded: also replans as soon as the next planned move is impossible
+ * - periodic: replans every `interval` moves, and when the plan runs out
+ * A planned move the world no longer allows is attempted anyway and wasted.
+ */
+
+const COMMITMENT_STRATEGIES = {
+  OPEN_MINDED: 'open-minded',
+  BLIND: 'blind',
+  SINGLE_MINDED: 'single-minded',
+  PERIODIC: 'periodic'
+};
+
+const RECONSIDERATION_TRIGGERS = {
+  EVERY_CYCLE: 'every-cycle',
+  PLAN_EXHAUSTED: 'plan-exhausted',
+  NEXT_MOVE_IMPOSSIBLE: 'next-move-impossible',
+  INTERVAL: 'interval'
+};
+
+const DEFAULT_RECONSIDERATION_INTERVAL = 3;
+const MAX_RECONSIDERATION_INTERVAL = 100;
+
+/**
+ * Whether the strategy keeps a plan between cycles
+ *
+ * @param {Object|null} commitment
+ * @returns {boolean}
+ */
+function holdsPlan(commitment) {
+  return Boolean(commitment) && commitment.strategy !== COMMITMENT_STRATEGIES.OPEN_MINDED;
+}
+
+/**
+ * Why the agent should reconsider this cycle, or null to keep executing
+ *
+ * @param {Object} commitment - `{ strategy, interval? }`
+ * @param {{plan: Array<Object>, movesSinceReconsideration: number}} intention
+ * @param {Function} isPossible - `(move) => boolean` against the perceived stacks
+ * @returns {string|null} One of RECONSIDERATION_TRIGGERS
+ */
+function reconsiderationTrigger(commitment, intention, isPossible) {
+  if (!holdsPlan(commitment)) {
+    return RECONSIDERATION_TRIGGERS.EVERY_CYCLE;
+  }
+  if (intention.plan.length === 0) {
+    return RECONSIDERATION_TRIGGERS.PLAN_EXHAUSTED;
+  }
+  if (commitment.strategy === COMMITMENT_STRATEGIES.SINGLE_MINDED && !isPossible(intention.plan[0])) {
+    return RECONSIDERATION_TRIGGERS.NEXT_MOVE_IMPOSSIBLE;
+  }
+  if (commitment.strategy === COMMITMENT_STRATEGIES.PERIODIC
+    && intention.movesSinceReconsideration >= commitment.interval) {
+    return RECONSIDERATION_TRIGGERS.INTERVAL;
+  }
+  return null;
+}
+
+/**
+ * Reconsiderations and wasted moves of a run
+ *
+ * @param {Object} commitment - `{ strategy, interval? }`
+ * @param {Array<Object>} [events] - `reconsideration` and `wasted` events in cycle order
+ * @returns {Object}
+ */
+function summarizeCommitment(commitment, events = []) {
+  return {
+    strategy: commitment.strategy,
+    ...(commitment.strategy === COMMITMENT_STRATEGIES.PERIODIC ? { interval: commitment.interval } : {}),
+    reconsiderations: events.filter(event => event.type === 'reconsideration').length,
+    wastedMoves: events.filter(event => event.type === 'wasted').length,
+    events: events.map(event => ({ ...event }))
+  };
+}
+
+module.exports = {
+  COMMITMENT_STRATEGIES,
+  RECONSIDERATION_TRIGGERS,
+  DEFAULT_RECONSIDERATION_INTERVAL,
+  MAX_RECONSIDERATION_INTERVAL,
+  holdsPlan,
+  reconsiderationTrigger,
+  summarizeCommitment
+};
@@ -1,7 +1,7 @@
 /**
  * Goal Decomposition Utilities for Multi-Agent Planning
  * 
- * Splits a goal chain between two agents using horizontal split strategy
+ * Splits a goal chain between agents using horizontal split strategy
  * with overlap to enable coordination.
  */
 
@@ -81,6 +81,64 @@ function decomposeGoals(goalChain) {
   };
 }
 
+/**
+ * Decomposes a goal chain into stacked stages for a team of agents
+ *
+ * Generalises the foundation/assembly split of decomposeGoals: the chain is cut
+ * into up to `agentCount` contiguous stages (bottom first), neighbouring stages
+ * sharing their pivot block. Lower stages take the extra relation when the
+ * split is uneven, so two agents get exactly the decomposeGoals split. Agent 0
+ * owns the top stage, agent 1 the one below it and so on; agents beyond the
+ * number of stages share the foundation.
+ *
+ * Example: ['A', 'B', 'C', 'D', 'E', 'Table'] with 3 agents
+ *   Stages: ['D', 'E', 'Table'], ['B', 'C', 'D'], ['A', 'B']
+ *   Agent stages: [2, 1, 0]
+ *
+ * @param {string[]} goalChain - Full goal chain including 'Table'
+ * @param {number} agentCount - Number of agents (>= 1)
+ * @returns {{stages: string[][], stageOffsets: number[], agentStages: number[], agentChains: string[][], pivots: string[]}}
+ */
+function decomposeGoalsForAgents(goalChain, agentCount) {
+  if (!Array.isArray(goalChain) || goalChain.length === 0) {
+    throw new Error('Goal chain must be a non-empty array');
+  }
+  if (!Number.isInteger(agentCount) || agentCount < 1) {
+    throw new Error('Agent count must be a positive integer');
+  }
+
+  const normalizedChain = ensureTableAnchor(goalChain);
+  const relationCount = normalizedChain.length - 1;
+  const stageCount = Math.max(1, Math.min(agentCount, relationCount));
+
+  const stages = [];
+  const stageOffsets = [];
+  let endIndex = normalizedChain.length - 1;
+  let remainingRelations = relationCount;
+  for (let stage = 0; stage < stageCount; stage += 1) {
+    const stageRelations = Math.max(1, Math.ceil(remainingRelations / (stageCount - stage)));
+    const startIndex = Math.max(0, endIndex - stageRelations);
+    stages.push(normalizedChain.slice(startIndex, endIndex + 1));
+    stageOffsets.push(startIndex);
+    endIndex = startIndex;
+    remainingRelations -= stageRelations;
+  }
+
+  const agentStages = Array.from({ length: agentCount }, (_, index) => (
+    index < stageCount ? stageCount - 1 - index : 0
+  ));
+
+  return {
+    stages,
+    // Index of each stage's first entry in the goal chain
+    stageOffsets,
+    agentStages,
+    agentChains: agentStages.map(stage => stages[stage]),
+    // Block shared by each stage and the one above it
+    pivots: stages.slice(0, -1).map(stage => stage[0])
+  };
+}
+
 /**
  * Ensures goal chain ends with 'Table' anchor
  * 
@@ -152,6 +210,7 @@ function validateDecomposition(goalChainA, goalChainB) {
 
 module.exports = {
   decomposeGoals,
+  decomposeGoalsForAgents,
   createWorkQueue,
   ensureTableAnchor,
   validateDecomposition
@@ -0,0 +1,540 @@
+/**
+ * Predicate Goals
+ *
+ * Parses goal expressions such as "on(A,B) and clear(C) or onTable(D)" into
+ * disjunctive normal form and chooses moves that satisfy them. Literals are
+ * `{ predicate, args, negated }` with predicate one of on, onTable, clear or
+ * above; "and" (or ",") binds tighter than "or".
+ */
+
+const { isValidBlockName } = require('./blockNames');
+const createBlocksHelpers = require('./blocks');
+
+const PREDICATES = {
+  on: { name: 'on', arity: 2 },
+  ontable: { name: 'onTable', arity: 1 },
+  clear: { name: 'clear', arity: 1 },
+  above: { name: 'above', arity: 2 }
+};
+
+const MAX_ALTERNATIVES = 16;
+const MAX_LITERALS = 64;
+
+// Same labels as MOVE_REASONS in blocksWorldAgent.js
+const MOVE_REASONS = {
+  CLEAR_BLOCK: 'clear-block',
+  CLEAR_TARGET: 'clear-target',
+  STACK: 'stack'
+};
+
+function formatLiteral(literal) {
+  return `${literal.negated ? 'not ' : ''}${literal.predicate}(${literal.args.join(',')})`;
+}
+
+function formatAlternative(literals) {
+  return literals.map(formatLiteral).join(' and ');
+}
+
+function createGoalPredicateHelpers(PlanningError) {
+  const { findStackIndex, isBlockClear, findFreeSlots } = createBlocksHelpers(PlanningError);
+
+  function buildLiteral(predicate, args, negated) {
+    if (predicate === 'on' && args[1] === 'Table') {
+      return { predicate: 'onTable', args: [args[0]], negated };
+    }
+    if (args.includes('Table')) {
+      throw new PlanningError('"Table" can only appear as the second argument of on().');
+    }
+    if (args.length === 2 && args[0] === args[1]) {
+      throw new PlanningError(`${predicate}(${args.join(',')}) relates a block to itself.`);
+    }
+    return { predicate, args, negated };
+  }
+
+  /**
+   * Parse a goal expression into alternatives (each a list of literals)
+   *
+   * @param {string} expression - e.g. "on(A,B) and not clear(C) or onTable(D)"
+   * @param {Array<string>} availableBlocks - Blocks present in the world
+   * @returns {Array<Array<{predicate: string, args: Array<string>, negated: boolean}>>}
+   */
+  function parseGoalPredicates(expression, availableBlocks) {
+    if (typeof expression !== 'string' || expression.trim().length === 0) {
+      throw new PlanningError('Goal expression must be a non-empty string (e.g., "on(A,B) and clear(C)").');
+    }
+
+    const tokens = expression.match(/[A-Za-z0-9_-]+|[(),!&|¬]|\S/g) || [];
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const isKeyword = (token, word) => typeof token === 'string' && token.toLowerCase() === word;
+    const describe = token => (token === undefined ? 'the end of the expression' : `"${token}"`);
+
+    const expect = (symbol) => {
+      const token = next();
+      if (token !== symbol) {
+        throw new PlanningError(`Expected "${symbol}" in goal expression but found ${describe(token)}.`);
+      }
+    };
+
+    const parseArgument = () => {
+      const token = next();
+      if (token === undefined || !/^[A-Za-z0-9_-]+$/.test(token)) {
+        throw new PlanningError(`Expected a block name in goal expression but found ${describe(token)}.`);
+      }
+      const normalized = token.toUpperCase();
+      if (normalized === 'TABLE') {
+        return 'Table';
+      }
+      if (!isValidBlockName(normalized)) {
+        throw new PlanningError(`Goal token "${token}" is invalid. Use block names such as "A" or "B12".`);
+      }
+      if (!availableBlocks.includes(normalized)) {
+        throw new PlanningError(`Goal references unknown block "${normalized}".`);
+      }
+      return normalized;
+    };
+
+    const parseLiteral = () => {
+      let negated = false;
+      while (peek() === '!' || peek() === '¬' || isKeyword(peek(), 'not')) {
+        next();
+        negated = !negated;
+      }
+
+      const nameToken = next();
+      const definition = typeof nameToken === 'string' ? PREDICATES[nameToken.toLowerCase()] : undefined;
+      if (!definition) {
+        throw new PlanningError(`Unknown goal predicate ${describe(nameToken)}. Use on, onTable, clear or above.`);
+      }
+
+      expect('(');
+      const args = [parseArgument()];
+      while (peek() === ',') {
+        next();
+        args.push(parseArgument());
+      }
+      expect(')');
+
+      if (args.length !== definition.arity) {
+        throw new PlanningError(`${definition.name}() expects ${definition.arity === 1 ? 'one block' : 'two blocks'}.`);
+      }
+      return buildLiteral(definition.name, args, negated);
+    };
+
+    const alternatives = [];
+    let current = [parseLiteral()];
+    while (position < tokens.length) {
+      const token = next();
+      if (isKeyword(token, 'or') || token === '|') {
+        alternatives.push(current);
+        current = [parseLiteral()];
+      } else if (isKeyword(token, 'and') || token === ',' || token === '&') {
+        current.push(parseLiteral());
+      } else {
+        throw new PlanningError(`Unexpected ${describe(token)} in goal expression.`);
+      }
+    }
+    alternatives.push(current);
+
+    if (alternatives.length > MAX_ALTERNATIVES) {
+      throw new PlanningError(`Goal expressions support at most ${MAX_ALTERNATIVES} alternatives.`);
+    }
+
+    return alternatives.map((literals) => {
+      const unique = new Map(literals.map(literal => [formatLiteral(literal), literal]));
+      if (unique.size > MAX_LITERALS) {
+        throw new PlanningError(`Each goal alternative supports at most ${MAX_LITERALS} predicates.`);
+      }
+      return Array.from(unique.values());
+    });
+  }
+
+  function holds(stacks, { predicate, args }) {
+    const [block, other] = args;
+    const stackIndex = findStackIndex(stacks, block);
+    if (stackIndex === -1) {
+      return false;
+    }
+    const stack = stacks[stackIndex];
+    const position = stack.indexOf(block);
+
+    switch (predicate) {
+      case 'on':
+        return position > 0 && stack[position - 1] === other;
+      case 'onTable':
+        return position === 0;
+      case 'clear':
+        return position === stack.length - 1;
+      case 'above': {
+        const otherPosition = stack.indexOf(other);
+        return otherPosition !== -1 && otherPosition < position;
+      }
+      default:
+        return false;
+    }
+  }
+
+  function isLiteralSatisfied(stacks, literal) {
+    return holds(stacks, literal) !== literal.negated;
+  }
+
+  function predicatesSatisfied(stacks, literals) {
+    return literals.every(literal => isLiteralSatisfied(stacks, literal));
+  }
+
+  function listUnsatisfiedPredicates(stacks, literals) {
+    return literals.filter(literal => !isLiteralSatisfied(stacks, literal)).map(formatLiteral);
+  }
+
+  /**
+   * Detect alternatives that no configuration can satisfy
+   *
+   * @returns {string|null} Description of the conflict, or null when none was found
+   */
+  function findContradiction(literals) {
+    const keys = new Set(literals.map(formatLiteral));
+    for (const literal of literals) {
+      const opposite = { ...literal, negated: !literal.negated };
+      if (keys.has(formatLiteral(opposite))) {
+        return `${formatLiteral(literal)} conflicts with ${formatLiteral(opposite)}.`;
+      }
+    }
+
+    const positives = literals.filter(literal => !literal.negated);
+    const supports = new Map();
+    const occupants = new Map();
+    const aboveEdges = new Map();
+
+    for (const { predicate, args: [block, other] } of positives) {
+      if (predicate === 'on' || predicate === 'onTable') {
+        const support = predicate === 'on' ? other : 'Table';
+        if (supports.has(block) && supports.get(block) !== support) {
+          return `${block} cannot rest on both ${supports.get(block)} and ${support}.`;
+        }
+        supports.set(block, support);
+        if (support !== 'Table') {
+          if (occupants.has(support) && occupants.get(support) !== block) {
+            return `${occupants.get(support)} and ${block} cannot both rest on ${support}.`;
+          }
+          occupants.set(support, block);
+        }
+      }
+      if (predicate === 'on' || predicate === 'above') {
+        if (!aboveEdges.has(block)) {
+          aboveEdges.set(block, new Set());
+        }
+        aboveEdges.get(block).add(other);
+      }
+    }
+
+    const reachable = (start) => {
+      const seen = new Set();
+      const pending = [...(aboveEdges.get(start) || [])];
+      while (pending.length > 0) {
+        const block = pending.pop();
+        if (seen.has(block)) continue;
+        seen.add(block);
+        pending.push(...(aboveEdges.get(block) || []));
+      }
+      return seen;
+    };
+
+    for (const block of aboveEdges.keys()) {
+      if (reachable(block).has(block)) {
+        return `The goal places ${block} above itself.`;
+      }
+      if (supports.get(block) === 'Table') {
+        return `${block} cannot rest on the table and sit above ${[...aboveEdges.get(block)][0]}.`;
+      }
+    }
+
+    for (const { predicate, args: [block] } of positives) {
+      if (predicate === 'clear') {
+        const coveringBlock = [...aboveEdges.keys()].find(candidate => aboveEdges.get(candidate).has(block));
+        if (coveringBlock) {
+          return `clear(${block}) conflicts with ${coveringBlock} sitting above ${block}.`;
+        }
+      }
+    }
+
+    for (const literal of literals) {
+      const [block, other] = literal.args;
+      if (literal.negated && literal.predicate === 'above' && reachable(block).has(other)) {
+        return `${formatLiteral(literal)} conflicts with the stacking the goal requires.`;
+      }
+    }
+
+    return null;
+  }
+
+  // Blocks that must move at least once: the subject of every unsatisfied literal, except that
+  // clear(X) moves the block resting on X and not clear(X) can be met by any block
+  function findBlocksThatMustMove(stacks, literals) {
+    const mustMove = new Set();
+
+    literals.forEach((literal) => {
+      if (isLiteralSatisfied(stacks, literal)) {
+        return;
+      }
+      const [block] = literal.args;
+
+      if (literal.predicate === 'clear' && !literal.negated) {
+        const stack = stacks[findStackIndex(stacks, block)];
+        mustMove.add(stack[stack.indexOf(block) + 1]);
+      } else if (!(literal.predicate === 'clear' && literal.negated)) {
+        mustMove.add(block);
+      }
+    });
+
+    return mustMove;
+  }
+
+  /**
+   * Lower bound on the moves needed to satisfy the literals. A move relocates
+   * one block, so the bound drops by at most one per move (admissible and
+   * consistent for A*).
+   */
+  function estimateRemainingMoves(stacks, literals) {
+    if (predicatesSatisfied(stacks, literals)) {
+      return 0;
+    }
+    return Math.max(findBlocksThatMustMove(stacks, literals).size, 1);
+  }
+
+  /**
+   * Rank the moves that advance the literals, best first.
+   *
+   * Stacking literals are worked bottom-up: on/onTable once the support is
+   * settled (it rests on its goal support, or on settled blocks none of which
+   * must move), then above, then clear, then negations, then the literals
+   * still waiting on their support. Cleared blocks go to
+   * their own goal support when it is ready, else the table, else onto the
+   * stack that buries the least pending work. The caller picks the first move
+   * that does not revisit an earlier configuration.
+   *
+   * @param {Array<Array<string>>} stacks - Current configuration
+   * @param {Array<Object>} literals - One goal alternative
+   * @param {Object} [options]
+   * @param {number|null} [options.tableSlots] - Fixed slot count (positional stacks)
+   * @returns {Array<{block: string, to: string, slot?: number, reason: string, target: string|null}>}
+   */
+  function rankPredicateMoves(stacks, literals, options = {}) {
+    const { tableSlots = null } = options;
+    const pending = literals.filter(literal => !isLiteralSatisfied(stacks, literal));
+    if (pending.length === 0) {
+      return [];
+    }
+
+    const supports = new Map();
+    const occupants = new Map();
+    literals.forEach(({ predicate, args: [block, other], negated }) => {
+      if (negated) return;
+      if (predicate === 'on') {
+        supports.set(block, other);
+        occupants.set(other, block);
+      } else if (predicate === 'onTable') {
+        supports.set(block, 'Table');
+      }
+    });
+
+    const mustMove = findBlocksThatMustMove(stacks, literals);
+    const settledCache = new Map();
+    const isSettled = (block) => {
+      if (block === 'Table') return true;
+      if (settledCache.has(block)) return settledCache.get(block);
+      const stack = stacks[findStackIndex(stacks, block)];
+      const position = stack.indexOf(block);
+      const currentSupport = position === 0 ? 'Table' : stack[position - 1];
+      const goalSupport = supports.get(block);
+      const settled = !mustMove.has(block)
+        && (goalSupport === undefined || goalSupport === currentSupport)
+        && isSettled(currentSupport);
+      settledCache.set(block, settled);
+      return settled;
+    };
+
+    const stackOf = block => stacks[findStackIndex(stacks, block)];
+    const topOf = block => {
+      const stack = stackOf(block);
+      return stack[stack.length - 1];
+    };
+    const freeSlot = () => (tableSlots ? findFreeSlots(stacks)[0] : undefined);
+    const tableAvailable = () => !tableSlots || freeSlot() !== undefined;
+    const tableMove = (block, reason, target) => (
+      tableSlots
+        ? { block, to: 'Table', slot: freeSlot(), reason, target }
+        : { block, to: 'Table', reason, target }
+    );
+
+    const violates = (block, destination) => literals.some(({ predicate, args, negated }) => {
+      if (destination === 'Table') {
+        return negated && predicate === 'onTable' && args[0] === block;
+      }
+      if (!negated) {
+        return predicate === 'clear' && args[0] === destination;
+      }
+      if (predicate === 'on') {
+        return args[0] === block && args[1] === destination;
+      }
+      if (predicate === 'above') {
+        return args[0] === block && stackOf(destination).includes(args[1]);
+      }
+      return false;
+    });
+
+    const needsWork = stack => stack.some(block => !isSettled(block)
+      || pending.some(literal => !literal.negated && literal.args[0] === block));
+
+    // Places a clear block may go to make way; blocks in `avoid` stacks stay untouched
+    const parkingMoves = (block, reason, target, avoid = [], { allowTable = true } = {}) => {
+      const avoidStacks = new Set([block, ...avoid].map(entry => findStackIndex(stacks, entry)));
+      const moves = [];
+
+      const support = supports.get(block);
+      if (support !== undefined && isSettled(support)) {
+        if (support === 'Table' && tableAvailable() && stackOf(block).length > 1) {
+          moves.push(tableMove(block, MOVE_REASONS.STACK, target));
+        } else if (support !== 'Table' && isBlockClear(stacks, support)
+          && !avoidStacks.has(findStackIndex(stacks, support))) {
+          moves.push({ block, to: support, reason: MOVE_REASONS.STACK, target });
+        }
+      }
+
+      if (allowTable && tableAvailable() && stackOf(block).length > 1 && !violates(block, 'Table')) {
+        moves.push(tableMove(block, reason, target));
+      }
+
+      stacks
+        .map((stack, index) => ({ stack, index, top: stack[stack.length - 1] }))
+        .filter(({ stack, index, top }) => (
+          stack.length > 0
+          && !avoidStacks.has(index)
+          && !violates(block, top)
+          && !(occupants.has(top) && occupants.get(top) !== block)
+        ))
+        .sort((a, b) => (
+          Number(needsWork(a.stack)) - Number(needsWork(b.stack))
+          || a.stack.length - b.stack.length
+          || a.index - b.index
+        ))
+        .forEach(({ top }) => moves.push({ block, to: top, reason, target }));
+
+      return moves;
+    };
+
+    const clearingMoves = (block, reason, avoid = []) => parkingMoves(topOf(block), reason, block, avoid);
+
+    const movesFor = (literal) => {
+      const { predicate, args: [block, other], negated } = literal;
+
+      if (!negated && predicate === 'on') {
+        if (!isBlockClear(stacks, block)) return clearingMoves(block, MOVE_REASONS.CLEAR_BLOCK, [other]);
+        if (!isBlockClear(stacks, other)) return clearingMoves(other, MOVE_REASONS.CLEAR_TARGET, [block]);
+        return [{ block, to: other, reason: MOVE_REASONS.STACK, target: null }];
+      }
+
+      if (!negated && predicate === 'onTable') {
+        if (!isBlockClear(stacks, block)) return clearingMoves(block, MOVE_REASONS.CLEAR_BLOCK);
+        if (tableAvailable()) return [tableMove(block, MOVE_REASONS.STACK, null)];
+        // Full table: empty the shortest stack that holds no settled goal structure
+        return stacks
+          .map((stack, index) => ({ stack, index }))
+          .filter(({ stack }) => stack.length > 0 && !stack.includes(block))
+          .sort((a, b) => (
+            Number(a.stack.some(entry => supports.has(entry) && isSettled(entry)))
+              - Number(b.stack.some(entry => supports.has(entry) && isSettled(entry)))
+            || a.stack.length - b.stack.length
+            || a.index - b.index
+          ))
+          .flatMap(({ stack }) => parkingMoves(stack[stack.length - 1], MOVE_REASONS.CLEAR_TARGET, 'Table', [block], { allowTable: false }));
+      }
+
+      if (!negated && predicate === 'above') {
+        const stack = stackOf(block);
+        if (!isBlockClear(stacks, block) || stack.indexOf(other) > stack.indexOf(block)) {
+          return clearingMoves(block, MOVE_REASONS.CLEAR_BLOCK, [other]);
+        }
+        const destination = topOf(other);
+        return violates(block, destination)
+          ? []
+          : [{ block, to: destination, reason: MOVE_REASONS.STACK, target: null }];
+      }
+
+      if (!negated && predicate === 'clear') {
+        return clearingMoves(block, MOVE_REASONS.CLEAR_TARGET);
+      }
+
+      if (predicate === 'clear') {
+        // not clear(X): cover X with the least constrained clear block
+        return stacks
+          .map((stack, index) => ({ stack, index, top: stack[stack.length - 1] }))
+          .filter(({ stack, top }) => (
+            stack.length > 0
+            && top !== block
+            && !(supports.has(top) && isSettled(top))
+            && !violates(top, block)
+          ))
+          .sort((a, b) => (
+            Number(supports.has(a.top)) - Number(supports.has(b.top))
+            || a.stack.length - b.stack.length
+            || a.index - b.index
+          ))
+          .map(({ top }) => ({ block: top, to: block, reason: MOVE_REASONS.STACK, target: null }));
+      }
+
+      if (!isBlockClear(stacks, block)) {
+        return clearingMoves(block, MOVE_REASONS.CLEAR_BLOCK);
+      }
+      if (predicate === 'onTable') {
+        return parkingMoves(block, MOVE_REASONS.STACK, null, [], { allowTable: false });
+      }
+      // not on(X,Y) / not above(X,Y): move X anywhere off Y's stack
+      return parkingMoves(block, MOVE_REASONS.STACK, null, [other]);
+    };
+
+    const priority = ({ predicate, args, negated }) => {
+      if (negated) return 3;
+      if (predicate === 'on' || predicate === 'onTable') {
+        return isSettled(predicate === 'on' ? args[1] : 'Table') ? 0 : 4;
+      }
+      if (predicate === 'above') {
+        return isSettled(args[1]) ? 1 : 4;
+      }
+      return 2;
+    };
+
+    const ranked = [];
+    const seen = new Set();
+    pending
+      .map((literal, index) => ({ literal, index, rank: priority(literal) }))
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .forEach(({ literal }) => {
+        movesFor(literal).forEach((move) => {
+          const key = `${move.block}>${move.to}:${move.slot ?? ''}`;
+          if (!seen.has(key) && move.block !== move.to) {
+            seen.add(key);
+            ranked.push(move);
+          }
+        });
+      });
+
+    return ranked;
+  }
+
+  return {
+    parseGoalPredicates,
+    isLiteralSatisfied,
+    predicatesSatisfied,
+    listUnsatisfiedPredicates,
+    findContradiction,
+    estimateRemainingMoves,
+    rankPredicateMoves
+  };
+}
+
+module.exports = {
+  createGoalPredicateHelpers,
+  formatLiteral,
+  formatAlternative
+};
@@ -0,0 +1,452 @@
+/**
+ * Optimal Blocks World Search
+ *
+ * A* search over stack configurations that returns a minimum-length move
+ * list. Used as a ground-truth baseline for the BDI regression planner.
+ */
+
+const DEFAULT_MAX_EXPANSIONS = 50000;
+const MAX_EXPANSIONS_CAP = 200000;
+// Every generated state costs a key, a parent index and a move; past this many the search gives up
+const MAX_GENERATED_STATES = 500000;
+// The search runs on the request thread, so it also stops after this long
+const DEFAULT_TIME_LIMIT_MS = 3000;
+const TIME_CHECK_INTERVAL = 64;
+
+// Why a search stopped without a plan while states were still open
+const SEARCH_LIMITS = Object.freeze({
+  EXPANSIONS: 'expansions',
+  STATES: 'states',
+  TIME: 'time'
+});
+
+/**
+ * Build the goal support map (block -> required support) from a goal chain
+ *
+ * @param {Array<string>} goalChain - Top-to-bottom chain, e.g. ['A', 'B', 'Table']
+ * @param {Array<string>} requiredBaseBlocks - Blocks that must rest on the table
+ * @returns {Map<string, string>}
+ */
+function buildGoalSupportMap(goalChain, requiredBaseBlocks = []) {
+  const supports = new Map();
+
+  for (let i = 1; i < goalChain.length; i += 1) {
+    const block = goalChain[i - 1];
+    if (block === 'Table') {
+      continue;
+    }
+    supports.set(block, goalChain[i]);
+  }
+
+  requiredBaseBlocks.forEach(block => {
+    if (!supports.has(block)) {
+      supports.set(block, 'Table');
+    }
+  });
+
+  return supports;
+}
+
+/**
+ * Canonical key for a configuration. Stack order on the table is irrelevant
+ * unless slot goals make positions meaningful.
+ *
+ * @param {Array<Array<string>>} stacks
+ * @param {boolean} [positional=false]
+ * @returns {string}
+ */
+function stateKey(stacks, positional = false) {
+  const parts = stacks.map(stack => stack.join(','));
+  return (positional ? parts : parts.sort()).join('|');
+}
+
+/**
+ * Classify every block in the configuration.
+ *
+ * A constrained block is well placed when it sits on its goal support and
+ * that support is itself well placed (or the table). A block must move when
+ * it is a misplaced constrained block, sits on a well-placed block that some
+ * other block has to occupy, or rests above a block that must move. With
+ * slot goals, a base is only well placed in its own slot and any other block
+ * at the bottom of a reserved slot must move.
+ *
+ * @param {Array<Array<string>>} stacks
+ * @param {Map<string, string>} goalSupports
+ * @param {Set<string>} goalTargets - Blocks that another block must end up on
+ * @param {Object<string, number>|null} [goalSlots] - Block -> required 1-based table slot
+ * @returns {{wellPlaced: Set<string>, mustMove: Set<string>}}
+ */
+function classifyBlocks(stacks, goalSupports, goalTargets, goalSlots = null) {
+  const wellPlaced = new Set();
+  const mustMove = new Set();
+  const slotOwners = new Map(Object.entries(goalSlots || {}).map(([block, slot]) => [slot, block]));
+
+  stacks.forEach((stack, stackIndex) => {
+    const slotOwner = slotOwners.get(stackIndex + 1);
+    let disturbed = false;
+
+    stack.forEach((block, idx) => {
+      if (disturbed) {
+        mustMove.add(block);
+        return;
+      }
+
+      const support = idx === 0 ? 'Table' : stack[idx - 1];
+      const target = goalSupports.get(block);
+
+      if (idx === 0 && slotOwner !== undefined && slotOwner !== block) {
+        mustMove.add(block);
+        disturbed = true;
+        return;
+      }
+
+      if (target !== undefined) {
+        const slotMatches = !goalSlots || goalSlots[block] === undefined || goalSlots[block] === stackIndex + 1;
+        const placed = target === support && slotMatches && (support === 'Table' || wellPlaced.has(support));
+        if (placed) {
+          wellPlaced.add(block);
+        } else {
+          mustMove.add(block);
+          disturbed = true;
+        }
+        return;
+      }
+
+      if (support !== 'Table' && wellPlaced.has(support) && goalTargets.has(support)) {
+        mustMove.add(block);
+        disturbed = true;
+      }
+    });
+  });
+
+  return { wellPlaced, mustMove };
+}
+
+/**
+ * Rebuild stacks from a layout string written by stateKey
+ *
+ * @param {string} layout
+ * @param {boolean} slotted - Slotted layouts keep empty positions, so "" is one empty slot
+ * @returns {Array<Array<string>>}
+ */
+function parseLayout(layout, slotted) {
+  if (layout === '' && !slotted) {
+    return [];
+  }
+  return layout.split('|').map(part => (part ? part.split(',') : []));
+}
+
+// Moves are kept as "block to [slot]" strings until the plan is read back
+const encodeMove = ({ block, to, slot }) => (slot ? `${block} ${to} ${slot}` : `${block} ${to}`);
+
+function decodeMove(encoded) {
+  const [block, to, slot] = encoded.split(' ');
+  return slot ? { block, to, slot: Number(slot) } : { block, to };
+}
+
+/**
+ * Apply a legal move to a copy of the stacks. Empty stacks are dropped unless
+ * the table has fixed slots, where they mark free positions.
+ *
+ * @param {Array<Array<string>>} stacks
+ * @param {number} fromIndex - Index of the stack whose top block moves
+ * @param {number|null} toIndex - Destination stack index, or null for a new table stack
+ * @param {boolean} [slotted=false]
+ * @returns {Array<Array<string>>}
+ */
+function applySearchMove(stacks, fromIndex, toIndex, slotted = false) {
+  const next = stacks.map(stack => [...stack]);
+  const block = next[fromIndex].pop();
+
+  if (toIndex === null) {
+    next.push([block]);
+  } else {
+    next[toIndex].push(block);
+  }
+
+  return slotted ? next : next.filter(stack => stack.length > 0);
+}
+
+/**
+ * Minimal binary heap ordered by f, then h, then insertion order (the state id)
+ */
+class SearchQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  static before(a, b) {
+    if (a.f !== b.f) return a.f < b.f;
+    if (a.h !== b.h) return a.h < b.h;
+    return a.id < b.id;
+  }
+
+  push(node) {
+    const { items } = this;
+    items.push(node);
+    let idx = items.length - 1;
+    while (idx > 0) {
+      const parent = (idx - 1) >> 1;
+      if (!SearchQueue.before(items[idx], items[parent])) break;
+      [items[idx], items[parent]] = [items[parent], items[idx]];
+      idx = parent;
+    }
+  }
+
+  pop() {
+    const { items } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let idx = 0;
+      for (;;) {
+        const left = idx * 2 + 1;
+        const right = left + 1;
+        let best = idx;
+        if (left < items.length && SearchQueue.before(items[left], items[best])) best = left;
+        if (right < items.length && SearchQueue.before(items[right], items[best])) best = right;
+        if (best === idx) break;
+        [items[idx], items[best]] = [items[best], items[idx]];
+        idx = best;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Enumerate successor moves for a configuration.
+ *
+ * When a misplaced block can go straight onto its goal support, that
+ * constructive move is returned alone: it is part of some optimal plan, so
+ * the remaining branches can be pruned without losing optimality.
+ *
+ * @returns {Array<{block: string, to: string, fromIndex: number, toIndex: number|null}>}
+ */
+function expandSuccessors(stacks, goalSupports, wellPlaced) {
+  const tops = stacks.map((stack, index) => ({ block: stack[stack.length - 1], index }));
+
+  for (const { block, index } of tops) {
+    const target = goalSupports.get(block);
+    if (target === undefined || wellPlaced.has(block)) {
+      continue;
+    }
+    if (target === 'Table') {
+      return [{ block, to: 'Table', fromIndex: index, toIndex: null }];
+    }
+    const destination = tops.find(entry => entry.block === target);
+    if (destination && wellPlaced.has(target)) {
+      return [{ block, to: target, fromIndex: index, toIndex: destination.index }];
+    }
+  }
+
+  const successors = [];
+  tops.forEach(({ block, index }) => {
+    if (stacks[index].length > 1) {
+      successors.push({ block, to: 'Table', fromIndex: index, toIndex: null });
+    }
+    tops.forEach(destination => {
+      if (destination.index !== index) {
+        successors.push({ block, to: destination.block, fromIndex: index, toIndex: destination.index });
+      }
+    });
+  });
+
+  return successors;
+}
+
+/**
+ * Enumerate successor moves on a table with fixed slots.
+ *
+ * Constructive moves are not pruned here: placing a block early can take a
+ * slot an optimal plan still needs as temporary space. Free slots are
+ * interchangeable unless slot goals exist, so only the first one is tried.
+ *
+ * @returns {Array<{block: string, to: string, slot?: number, fromIndex: number, toIndex: number}>}
+ */
+function expandSlottedSuccessors(stacks, positional) {
+  const tops = stacks
+    .map((stack, index) => ({ block: stack[stack.length - 1], index }))
+    .filter(entry => entry.block !== undefined);
+  const freeIndexes = stacks
+    .map((stack, index) => (stack.length === 0 ? index : -1))
+    .filter(index => index !== -1);
+  const tableIndexes = positional ? freeIndexes : freeIndexes.slice(0, 1);
+
+  const successors = [];
+  tops.forEach(({ block, index }) => {
+    if (positional || stacks[index].length > 1) {
+      tableIndexes.forEach(toIndex => {
+        successors.push({ block, to: 'Table', slot: toIndex + 1, fromIndex: index, toIndex });
+      });
+    }
+    tops.forEach(destination => {
+      if (destination.index !== index) {
+        successors.push({ block, to: destination.block, fromIndex: index, toIndex: destination.index });
+      }
+    });
+  });
+
+  return successors;
+}
+
+/**
+ * Resolve the node expansion budget for a search
+ *
+ * @param {number} [maxExpansions]
+ * @returns {number}
+ */
+function resolveExpansionBudget(maxExpansions) {
+  return Number.isFinite(maxExpansions)
+    ? Math.max(1, Math.min(Math.floor(maxExpansions), MAX_EXPANSIONS_CAP))
+    : DEFAULT_MAX_EXPANSIONS;
+}
+
+/**
+ * Find a minimum-length plan with A*.
+ *
+ * The heuristic counts blocks that must move at least once. Each move
+ * relocates one block and only changes that block's classification, so the
+ * estimate is admissible and consistent and the first goal popped is optimal.
+ *
+ * States are stored as layout strings with a parent index and the move that
+ * reached them; stacks are rebuilt from the layout when a state is expanded.
+ * The search stops at the expansion budget, after MAX_GENERATED_STATES states
+ * or after the time limit, whichever comes first.
+ *
+ * @param {Array<Array<string>>} stacks - Normalised starting stacks (bottom -> top)
+ * @param {Array<string>} goalChain - Sanitised goal chain ending at 'Table'
+ * @param {Object} [options]
+ * @param {Array<string>} [options.requiredBaseBlocks] - Blocks that must end on the table
+ * @param {number} [options.maxExpansions] - Node expansion budget
+ * @param {number} [options.timeLimitMs] - Wall-clock budget (default DEFAULT_TIME_LIMIT_MS)
+ * @param {number|null} [options.tableSlots] - Fixed slot count; stacks are then positional
+ * @param {Object<string, number>|null} [options.goalSlots] - Block -> required 1-based table slot
+ * @param {Function} [options.heuristic] - Admissible, consistent lower bound replacing the goal
+ *   chain (used for predicate goals); a configuration is a goal when it returns 0
+ * @returns {{found: boolean, exhausted: boolean, limit: string|null, moves: Array<{block: string, to: string, slot?: number}>,
+ *   expansions: number, generated: number, maxExpansions: number}} `limit` is one of SEARCH_LIMITS when a budget ran out
+ */
+function searchOptimalPlan(stacks, goalChain, options = {}) {
+  const maxExpansions = resolveExpansionBudget(options.maxExpansions);
+  const timeLimitMs = Number.isFinite(options.timeLimitMs) && options.timeLimitMs > 0
+    ? options.timeLimitMs
+    : DEFAULT_TIME_LIMIT_MS;
+  const goalSupports = buildGoalSupportMap(goalChain, options.requiredBaseBlocks || []);
+  const goalTargets = new Set(
+    Array.from(goalSupports.values()).filter(support => support !== 'Table')
+  );
+  const slotted = Number.isInteger(options.tableSlots);
+  const goalSlots = slotted && options.goalSlots && Object.keys(options.goalSlots).length > 0
+    ? options.goalSlots
+    : null;
+  const positional = goalSlots !== null;
+
+  const startStacks = slotted
+    ? stacks.map(stack => [...stack])
+    : stacks.filter(stack => stack.length > 0).map(stack => [...stack]);
+  const noneWellPlaced = new Set();
+  const evaluate = (candidateStacks) => {
+    if (typeof options.heuristic === 'function') {
+      return { wellPlaced: noneWellPlaced, h: options.heuristic(candidateStacks) };
+    }
+    const { wellPlaced, mustMove } = classifyBlocks(candidateStacks, goalSupports, goalTargets, goalSlots);
+    return { wellPlaced, h: mustMove.size };
+  };
+
+  // State id -> layout (slot positions kept on a slotted table), parent id, move and path cost
+  const layouts = [];
+  const parents = [];
+  const reachedBy = [];
+  const costs = [];
+  const queue = new SearchQueue();
+  const bestCost = new Map();
+  const closed = new Set();
+
+  const addState = (candidateStacks, parent, move, g) => {
+    const key = stateKey(candidateStacks, positional);
+    if (closed.has(key) || (bestCost.has(key) && bestCost.get(key) <= g)) {
+      return;
+    }
+    bestCost.set(key, g);
+
+    const id = layouts.length;
+    layouts.push(slotted && !positional ? stateKey(candidateStacks, true) : key);
+    parents.push(parent);
+    reachedBy.push(move);
+    costs.push(g);
+    const { h } = evaluate(candidateStacks);
+    queue.push({ id, key, h, f: g + h });
+  };
+
+  const readPlan = (id) => {
+    const moves = [];
+    for (let cursor = id; parents[cursor] !== -1; cursor = parents[cursor]) {
+      moves.push(decodeMove(reachedBy[cursor]));
+    }
+    return moves.reverse();
+  };
+
+  addState(startStacks, -1, null, 0);
+
+  const startedAt = Date.now();
+  let expansions = 0;
+  let limit = null;
+
+  while (queue.size > 0) {
+    const node = queue.pop();
+    if (closed.has(node.key)) {
+      continue;
+    }
+
+    if (node.h === 0) {
+      return { found: true, exhausted: false, limit: null, moves: readPlan(node.id), expansions, generated: layouts.length, maxExpansions };
+    }
+
+    if (expansions >= maxExpansions) {
+      limit = SEARCH_LIMITS.EXPANSIONS;
+    } else if (layouts.length >= MAX_GENERATED_STATES) {
+      limit = SEARCH_LIMITS.STATES;
+    } else if (expansions % TIME_CHECK_INTERVAL === 0 && Date.now() - startedAt > timeLimitMs) {
+      limit = SEARCH_LIMITS.TIME;
+    }
+    if (limit) {
+      break;
+    }
+
+    closed.add(node.key);
+    expansions += 1;
+
+    const nodeStacks = parseLayout(layouts[node.id], slotted);
+    const g = costs[node.id] + 1;
+    const successors = slotted
+      ? expandSlottedSuccessors(nodeStacks, positional)
+      : expandSuccessors(nodeStacks, goalSupports, evaluate(nodeStacks).wellPlaced);
+
+    successors.forEach(successor => {
+      const nextStacks = applySearchMove(nodeStacks, successor.fromIndex, successor.toIndex, slotted);
+      addState(nextStacks, node.id, encodeMove(successor), g);
+    });
+  }
+
+  // An empty queue means every reachable configuration was explored (possible on a limited table)
+  return { found: false, exhausted: limit === null, limit, moves: [], expansions, generated: layouts.length, maxExpansions };
+}
+
+module.exports = {
+  searchOptimalPlan,
+  buildGoalSupportMap,
+  stateKey,
+  classifyBlocks,
+  resolveExpansionBudget,
+  DEFAULT_MAX_EXPANSIONS,
+  MAX_EXPANSIONS_CAP,
+  MAX_GENERATED_STATES,
+  DEFAULT_TIME_LIMIT_MS,
+  SEARCH_LIMITS
+};
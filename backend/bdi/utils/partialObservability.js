@@ -0,0 +1,141 @@
+/**
+ * Partial observability for the multi-agent planner.
+ *
+ * Agents start from the initial world and then keep their own picture of the
+ * stacks, which goes stale as teammates move blocks. What an agent sees each
+ * turn depends on the mode:
+ * - range: the columns within `range` of its claw (the column it last put a
+ *   block on; agent N starts over column N)
+ * - look: nothing unless it looked on its previous turn
+ * In both modes an agent also sees the columns holding the blocks of its last
+ * proposal, and an agent that believes its goal holds spends its turn on a
+ * `look`, which shows it every column on its next turn. With `shareBeliefs`
+ * agents send what they saw to their teammates. Columns follow the capability
+ * rules: table slots on a limited table, otherwise the current stacks from
+ * left to right.
+ */
+
+const OBSERVATION_MODES = {
+  RANGE: 'range',
+  LOOK: 'look'
+};
+
+const DEFAULT_SENSING_RANGE = 1;
+
+/**
+ * Columns (1-based) an agent perceives this turn
+ *
+ * @param {Array<Array<string>>} stacks - Ground truth
+ * @param {Object} observability - `{ mode, range }`
+ * @param {{column: number, looked: boolean, touched: Array<string>, touchedSlots: Array<number>}} sensor -
+ *   The agent's claw column, whether it looked last turn, and the blocks and table slot of its last proposal
+ * @returns {Array<number>}
+ */
+function visibleColumns(stacks, observability, sensor) {
+  const columns = new Set();
+  if (sensor.looked) {
+    stacks.forEach((_, index) => columns.add(index + 1));
+  }
+  if (observability.mode === OBSERVATION_MODES.RANGE) {
+    stacks.forEach((_, index) => {
+      if (Math.abs(index + 1 - sensor.column) <= observability.range) {
+        columns.add(index + 1);
+      }
+    });
+  }
+  (sensor.touched || []).forEach(block => {
+    const index = stacks.findIndex(stack => stack.includes(block));
+    if (index >= 0) {
+      columns.add(index + 1);
+    }
+  });
+  (sensor.touchedSlots || []).forEach(slot => columns.add(slot));
+  return [...columns].sort((a, b) => a - b);
+}
+
+/**
+ * Read the given columns off the ground truth
+ *
+ * @param {Array<Array<string>>} stacks
+ * @param {Array<number>} columns
+ * @returns {Array<{column: number, stack: Array<string>}>}
+ */
+function observeColumns(stacks, columns) {
+  return columns
+    .filter(column => Array.isArray(stacks[column - 1]))
+    .map(column => ({ column, stack: [...stacks[column - 1]] }));
+}
+
+/**
+ * Fold observations (oldest first) into an agent's believed stacks.
+ *
+ * Observed blocks are taken out of wherever the agent thought they were
+ * (anything above them drops down) and placed as seen. On a limited table an
+ * observed slot replaces the believed slot; blocks the agent expected there
+ * but did not see are assumed to be on a column it has not observed, in a free
+ * slot if there is one. On an unlimited table an observed stack is inserted at
+ * its column. Every block stays in the picture exactly once.
+ *
+ * @param {Array<Array<string>>} believedStacks
+ * @param {Array<{column: number, stack: Array<string>}>} observations
+ * @param {number|null} tableSlots
+ * @returns {Array<Array<string>>} New believed stacks
+ */
+function mergeObservations(believedStacks, observations, tableSlots) {
+  let stacks = believedStacks.map(stack => [...stack]);
+  const observedColumns = new Set();
+  const lost = new Set();
+
+  observations.forEach(({ column, stack }) => {
+    const seen = new Set(stack);
+    stacks = stacks.map(believed => believed.filter(block => !seen.has(block)));
+    seen.forEach(block => lost.delete(block));
+
+    if (tableSlots) {
+      (stacks[column - 1] || []).forEach(block => lost.add(block));
+      stacks[column - 1] = [...stack];
+    } else {
+      stacks = stacks.filter(believed => believed.length > 0);
+      stacks.splice(Math.min(column - 1, stacks.length), 0, [...stack]);
+    }
+    observedColumns.add(column);
+  });
+
+  if (!tableSlots) {
+    return stacks.filter(stack => stack.length > 0);
+  }
+
+  lost.forEach(block => {
+    const candidates = stacks
+      .map((stack, index) => ({ stack, column: index + 1 }))
+      .filter(({ column }) => !observedColumns.has(column));
+    const pool = candidates.length > 0
+      ? candidates
+      : stacks.map((stack, index) => ({ stack, column: index + 1 }));
+    const target = pool.reduce((best, entry) => (entry.stack.length < best.stack.length ? entry : best));
+    target.stack.push(block);
+  });
+  return stacks;
+}
+
+/**
+ * Blocks whose believed support differs from the ground truth
+ *
+ * @param {Object<string, string>} believedOnMap
+ * @param {Object<string, string>} actualOnMap
+ * @returns {Array<string>}
+ */
+function findStaleBeliefs(believedOnMap, actualOnMap) {
+  return Object.keys(actualOnMap)
+    .filter(block => believedOnMap[block] !== actualOnMap[block])
+    .sort();
+}
+
+module.exports = {
+  OBSERVATION_MODES,
+  DEFAULT_SENSING_RANGE,
+  visibleColumns,
+  observeColumns,
+  mergeObservations,
+  findStaleBeliefs
+};
@@ -0,0 +1,502 @@
+/**
+ * PDDL problem files for the standard blocksworld domain.
+ *
+ * Worlds are exported as problems over the four-operator domain in
+ * BLOCKSWORLD_DOMAIN (on, ontable, clear, handempty, holding). Goals use the
+ * dashboard's goal syntax: tower chains such as "A, B | C, D" or predicate
+ * expressions such as "on(A,B) and clear(C)". Importing reads `:init` into
+ * bottom-first stacks and turns `:goal` back into that syntax, as tower
+ * chains when the goal is a set of complete towers (also returned as
+ * `goalChains`) and as a predicate expression otherwise. BLOCKSWORLD_DOMAIN is plain STRIPS; a problem whose
+ * goal negates a fact or offers alternatives declares the
+ * :negative-preconditions or :disjunctive-preconditions it needs in its own
+ * :requirements. Plans from external planners (pick-up, put-down,
+ * stack, unstack) are read into moves, one per pick and put pair. PDDL is
+ * case-insensitive; objects are written lower-case and read back upper-case.
+ */
+
+const { isValidBlockName } = require('./blockNames');
+const { createGoalPredicateHelpers, formatLiteral } = require('./goalPredicates');
+
+const BLOCKSWORLD_DOMAIN_NAME = 'blocksworld';
+
+const BLOCKSWORLD_DOMAIN = `(define (domain ${BLOCKSWORLD_DOMAIN_NAME})
+  (:requirements :strips)
+  (:predicates (on ?x ?y) (ontable ?x) (clear ?x) (handempty) (holding ?x))
+
+  (:action pick-up
+    :parameters (?x)
+    :precondition (and (clear ?x) (ontable ?x) (handempty))
+    :effect (and (not (ontable ?x)) (not (clear ?x)) (not (handempty)) (holding ?x)))
+
+  (:action put-down
+    :parameters (?x)
+    :precondition (holding ?x)
+    :effect (and (not (holding ?x)) (clear ?x) (handempty) (ontable ?x)))
+
+  (:action stack
+    :parameters (?x ?y)
+    :precondition (and (holding ?x) (clear ?y))
+    :effect (and (not (holding ?x)) (not (clear ?y)) (clear ?x) (handempty) (on ?x ?y)))
+
+  (:action unstack
+    :parameters (?x ?y)
+    :precondition (and (on ?x ?y) (clear ?x) (handempty))
+    :effect (and (holding ?x) (clear ?y) (not (clear ?x)) (not (handempty)) (not (on ?x ?y)))))
+`;
+
+const MAX_PDDL_LENGTH = 200000;
+const PDDL_NAME_REGEX = /^[a-z][a-z0-9_-]*$/;
+const GOAL_SEGMENT_SPLIT = /\s+and\s+|\s*[&;|]\s*/i;
+
+// Planners differ on hyphens ("pick-up" vs "pickup")
+const PLAN_ACTIONS = {
+  'pick-up': { name: 'pick-up', arity: 1, picks: true },
+  pickup: { name: 'pick-up', arity: 1, picks: true },
+  unstack: { name: 'unstack', arity: 2, picks: true },
+  'put-down': { name: 'put-down', arity: 1, picks: false },
+  putdown: { name: 'put-down', arity: 1, picks: false },
+  stack: { name: 'stack', arity: 2, picks: false }
+};
+
+function createPddlHelpers(PlanningError) {
+  const { parseGoalPredicates } = createGoalPredicateHelpers(PlanningError);
+
+  const fail = message => new PlanningError(message, 422);
+
+  function toPddlName(block) {
+    const name = block.toLowerCase();
+    if (!PDDL_NAME_REGEX.test(name)) {
+      throw fail(`Block "${block}" cannot be a PDDL object; PDDL names start with a letter.`);
+    }
+    return name;
+  }
+
+  function problemNameFor(worldName) {
+    const slug = String(worldName || '').toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^[^a-z]+|-+$/g, '');
+    return slug || 'bdi-world';
+  }
+
+  // Dashboard tower syntax: "A, B | C, D" or "A on B and C on D"; a trailing "slot N" is not expressible
+  function parseTowerGoal(text, blocks) {
+    const chains = [];
+    let droppedSlots = false;
+    text.replace(/\s+/g, ' ').split(GOAL_SEGMENT_SPLIT).map(segment => segment.trim()).filter(Boolean)
+      .forEach((segment) => {
+        const tokens = segment.split(/\s+on\s+|\s*,\s*/i).map(token => token.trim().toUpperCase()).filter(Boolean);
+        const chain = [];
+        tokens.forEach((token, index) => {
+          if (/^SLOT\s*\d+$/.test(token) && index === tokens.length - 1) {
+            droppedSlots = true;
+            return;
+          }
+          if (token === 'TABLE') {
+            chain.push('Table');
+            return;
+          }
+          if (!blocks.includes(token)) {
+            throw fail(`Goal references unknown block "${token}".`);
+          }
+          chain.push(token);
+        });
+        if (chain[chain.length - 1] !== 'Table') {
+          chain.push('Table');
+        }
+        chains.push(chain);
+      });
+
+    if (chains.length === 0) {
+      throw fail('The world has no goal to export.');
+    }
+
+    const literals = [];
+    chains.forEach((chain) => {
+      for (let i = 0; i < chain.length - 1; i++) {
+        if (chain[i] !== 'Table') {
+          literals.push(chain[i + 1] === 'Table'
+            ? { predicate: 'onTable', args: [chain[i]], negated: false }
+            : { predicate: 'on', args: [chain[i], chain[i + 1]], negated: false });
+        }
+      }
+    });
+    return { alternatives: [literals], droppedSlots };
+  }
+
+  function literalToPddl({ predicate, args, negated }) {
+    if (predicate === 'above') {
+      throw fail(`${formatLiteral({ predicate, args, negated })} has no blocksworld PDDL equivalent.`);
+    }
+    const fact = `(${predicate.toLowerCase()} ${args.map(toPddlName).join(' ')})`;
+    return negated ? `(not ${fact})` : fact;
+  }
+
+  // Requirements beyond :strips that a goal needs; empty for plain conjunctions of facts
+  function goalRequirements(alternatives) {
+    return [
+      ...(alternatives.some(literals => literals.some(literal => literal.negated)) ? [':negative-preconditions'] : []),
+      ...(alternatives.length > 1 ? [':disjunctive-preconditions'] : [])
+    ];
+  }
+
+  function goalToPddl(alternatives) {
+    const conjunction = literals => (literals.length === 1
+      ? literalToPddl(literals[0])
+      : `(and ${literals.map(literalToPddl).join(' ')})`);
+    return alternatives.length === 1
+      ? conjunction(alternatives[0])
+      : `(or ${alternatives.map(conjunction).join(' ')})`;
+  }
+
+  /**
+   * Write a world and its goal as a blocksworld problem
+   *
+   * @param {Object} world
+   * @param {string} [world.name]
+   * @param {Array<Array<string>>} world.stacks - Bottom block first
+   * @param {string} world.goal - Tower chains or predicate expression in dashboard syntax
+   * @returns {string}
+   */
+  function worldToPddlProblem({ name, stacks, goal }) {
+    if (typeof goal !== 'string' || goal.trim().length === 0) {
+      throw fail('The world has no goal to export. Save it with a goal or pass one.');
+    }
+    const towers = stacks.filter(stack => stack.length > 0);
+    const blocks = towers.flat();
+    const { alternatives, droppedSlots } = goal.includes('(')
+      ? { alternatives: parseGoalPredicates(goal, blocks), droppedSlots: false }
+      : parseTowerGoal(goal, blocks);
+
+    const init = ['(handempty)'];
+    towers.forEach((stack) => {
+      init.push(`(ontable ${toPddlName(stack[0])})`);
+      for (let i = 1; i < stack.length; i++) {
+        init.push(`(on ${toPddlName(stack[i])} ${toPddlName(stack[i - 1])})`);
+      }
+      init.push(`(clear ${toPddlName(stack[stack.length - 1])})`);
+    });
+
+    const requirements = goalRequirements(alternatives);
+
+    return [
+      `(define (problem ${problemNameFor(name)})`,
+      `  (:domain ${BLOCKSWORLD_DOMAIN_NAME})`,
+      ...(requirements.length > 0 ? [`  (:requirements :strips ${requirements.join(' ')})`] : []),
+      ...(droppedSlots ? ['  ; table slot pins in the goal have no PDDL equivalent and were left out'] : []),
+      `  (:objects ${blocks.map(toPddlName).join(' ')})`,
+      '  (:init',
+      ...init.map(fact => `    ${fact}`),
+      '  )',
+      `  (:goal ${goalToPddl(alternatives)})`,
+      ')',
+      ''
+    ].join('\n');
+  }
+
+  function tokenize(text) {
+    return text.replace(/;[^\n]*/g, ' ').match(/[()]|[^\s()]+/g) || [];
+  }
+
+  function readExpression(tokens) {
+    let position = 0;
+    const read = () => {
+      const token = tokens[position++];
+      if (token === undefined) {
+        throw fail('PDDL ends before every "(" is closed.');
+      }
+      if (token === ')') {
+        throw fail('Unexpected ")" in PDDL.');
+      }
+      if (token !== '(') {
+        return token.toLowerCase();
+      }
+      const list = [];
+      while (tokens[position] !== ')') {
+        if (position >= tokens.length) {
+          throw fail('PDDL ends before every "(" is closed.');
+        }
+        list.push(read());
+      }
+      position++;
+      return list;
+    };
+
+    const expression = read();
+    if (position < tokens.length) {
+      throw fail('Unexpected text after the end of the PDDL problem.');
+    }
+    return expression;
+  }
+
+  function readBlock(atom, context) {
+    const block = typeof atom === 'string' ? atom.toUpperCase() : null;
+    if (!block || !isValidBlockName(block)) {
+      throw fail(`${context} names an invalid block ${JSON.stringify(atom)}.`);
+    }
+    return block;
+  }
+
+  function readFact(fact, context) {
+    if (!Array.isArray(fact) || typeof fact[0] !== 'string') {
+      throw fail(`${context} must be a list of facts such as (on a b).`);
+    }
+    const [predicate, ...args] = fact;
+    const arity = { on: 2, ontable: 1, clear: 1, handempty: 0, holding: 1 }[predicate];
+    if (arity === undefined) {
+      throw fail(`${context} uses "${predicate}", which is not a blocksworld predicate.`);
+    }
+    if (args.length !== arity) {
+      throw fail(`${context}: (${predicate}) takes ${arity} argument(s).`);
+    }
+    return { predicate, args: args.map(arg => readBlock(arg, context)) };
+  }
+
+  // Follow on-facts up from each table block; every object must end up in exactly one stack
+  function buildStacks(facts, objects) {
+    const support = new Map();
+    const above = new Map();
+    const bases = [];
+    facts.forEach(({ predicate, args: [block, below] }) => {
+      if (predicate === 'holding') {
+        throw fail(`:init has the hand holding ${block}; start problems with (handempty).`);
+      }
+      if (predicate !== 'on' && predicate !== 'ontable') {
+        return;
+      }
+      if (support.has(block)) {
+        throw fail(`:init places ${block} in two positions.`);
+      }
+      support.set(block, below || 'Table');
+      if (predicate === 'ontable') {
+        bases.push(block);
+        return;
+      }
+      if (above.has(below)) {
+        throw fail(`:init places both ${above.get(below)} and ${block} on ${below}.`);
+      }
+      above.set(below, block);
+    });
+
+    const stacks = bases.map((base) => {
+      const stack = [base];
+      while (above.has(stack[stack.length - 1])) {
+        stack.push(above.get(stack[stack.length - 1]));
+      }
+      return stack;
+    });
+
+    const placed = new Set(stacks.flat());
+    const missing = objects.filter(block => !placed.has(block));
+    if (missing.length > 0) {
+      throw fail(`:init does not place ${missing.join(', ')} on the table or on a tower.`);
+    }
+    const unknown = [...placed].filter(block => !objects.includes(block));
+    if (unknown.length > 0) {
+      throw fail(`:init places ${unknown.join(', ')}, which ${unknown.length === 1 ? 'is' : 'are'} not in :objects.`);
+    }
+    return stacks;
+  }
+
+  function readGoalLiteral(expression) {
+    const negated = Array.isArray(expression) && expression[0] === 'not';
+    const fact = readFact(negated ? expression[1] : expression, ':goal');
+    if (fact.predicate === 'handempty' || fact.predicate === 'holding') {
+      throw fail(`:goal uses (${fact.predicate}); goals may only use on, ontable and clear.`);
+    }
+    return { predicate: fact.predicate === 'ontable' ? 'onTable' : fact.predicate, args: fact.args, negated };
+  }
+
+  function readGoal(expression) {
+    const conjunction = part => (Array.isArray(part) && part[0] === 'and'
+      ? part.slice(1).map(readGoalLiteral)
+      : [readGoalLiteral(part)]);
+    return Array.isArray(expression) && expression[0] === 'or'
+      ? expression.slice(1).map(conjunction)
+      : [conjunction(expression)];
+  }
+
+  // Complete towers: one position per block, every on-chain down to an ontable, and at most
+  // (clear X) for a tower's top, which the towers already imply. Anything else is a predicate goal.
+  function goalTowers(alternatives) {
+    if (alternatives.length !== 1) return null;
+    const literals = alternatives[0];
+    if (literals.some(literal => literal.negated)) return null;
+
+    const placements = literals.filter(({ predicate }) => predicate === 'on' || predicate === 'onTable');
+    const below = new Map(placements.map(({ predicate, args }) => [args[0], predicate === 'on' ? args[1] : 'Table']));
+    const stacked = placements.filter(({ predicate }) => predicate === 'on');
+    const supporting = new Set(stacked.map(({ args }) => args[1]));
+    if (placements.length === 0 || below.size !== placements.length || supporting.size !== stacked.length) {
+      return null;
+    }
+
+    const tops = [...below.keys()].filter(block => !supporting.has(block));
+    const chains = tops.map((top) => {
+      const chain = [top];
+      while (below.has(chain[chain.length - 1]) && chain.length <= below.size) {
+        chain.push(below.get(chain[chain.length - 1]));
+      }
+      return chain;
+    });
+    const complete = chains.every(chain => chain[chain.length - 1] === 'Table')
+      && chains.reduce((sum, chain) => sum + chain.length - 1, 0) === below.size;
+    const clearTops = literals
+      .filter(({ predicate }) => predicate === 'clear')
+      .every(({ args }) => tops.includes(args[0]));
+    if (!complete || !clearTops) return null;
+    return chains.map(chain => chain.slice(0, -1));
+  }
+
+  const formatGoal = alternatives => alternatives
+    .map(conjunction => conjunction.map(formatLiteral).join(' and '))
+    .join(' or ');
+
+  /**
+   * Read a blocksworld problem into a world and goal
+   *
+   * A goal of complete towers comes back as chains, top block first, in
+   * `goalChains` and as "A, B, C | D" in `goal`. Partial, negated and
+   * disjunctive goals stay a predicate expression and `goalChains` is null.
+   *
+   * @param {string} text - PDDL problem file
+   * @returns {{name: string, blocks: Array<string>, stacks: Array<Array<string>>, goal: string, goalChains: ?Array<Array<string>>}}
+   */
+  function parsePddlProblem(text) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      throw new PlanningError('PDDL problem text is required.');
+    }
+    if (text.length > MAX_PDDL_LENGTH) {
+      throw new PlanningError(`PDDL problems are limited to ${MAX_PDDL_LENGTH} characters.`);
+    }
+
+    const definition = readExpression(tokenize(text));
+    if (!Array.isArray(definition) || definition[0] !== 'define' || !Array.isArray(definition[1])
+      || definition[1][0] !== 'problem') {
+      throw fail('Expected a PDDL problem: (define (problem name) ...).');
+    }
+    const sections = new Map(definition.slice(2)
+      .filter(section => Array.isArray(section) && typeof section[0] === 'string')
+      .map(section => [section[0], section.slice(1)]));
+
+    const domain = sections.get(':domain')?.[0];
+    if (domain && !['blocksworld', 'blocks', 'blocks-world', 'bw'].includes(domain)) {
+      throw fail(`Problem is for domain "${domain}", not blocksworld.`);
+    }
+    if (!sections.has(':init') || !sections.has(':goal')) {
+      throw fail('PDDL problem needs both :init and :goal sections.');
+    }
+
+    const initFacts = sections.get(':init').map(fact => readFact(fact, ':init'));
+    // Typed object lists ("a b c - block") drop their type names
+    const declared = (sections.get(':objects') || []).filter((atom, index, atoms) => (
+      atom !== '-' && atoms[index - 1] !== '-'
+    ));
+    const objects = declared.length > 0
+      ? declared.map(atom => readBlock(atom, ':objects'))
+      : [...new Set(initFacts.flatMap(fact => fact.args))];
+    if (new Set(objects).size !== objects.length) {
+      throw fail(':objects lists a block twice.');
+    }
+    if (objects.length === 0) {
+      throw fail('PDDL problem has no blocks.');
+    }
+
+    const stacks = buildStacks(initFacts, objects);
+    const alternatives = readGoal(sections.get(':goal')[0]);
+    if (alternatives.some(literals => literals.length === 0)) {
+      throw fail(':goal has an empty conjunction.');
+    }
+    const goalChains = goalTowers(alternatives);
+    if (goalChains) {
+      alternatives[0].forEach(({ args }) => args.forEach((block) => {
+        if (!objects.includes(block)) {
+          throw fail(`Goal references unknown block "${block}".`);
+        }
+      }));
+    }
+    const goal = goalChains ? goalChains.map(chain => chain.join(', ')).join(' | ') : formatGoal(alternatives);
+    // Round-trip through the planner's own parser so unknown blocks and self-relations are caught here
+    if (!goalChains) {
+      try {
+        parseGoalPredicates(goal, objects);
+      } catch (error) {
+        throw fail(error.message);
+      }
+    }
+
+    return { name: definition[1][1] || 'pddl-problem', blocks: objects, stacks, goal, goalChains };
+  }
+
+  /**
+   * Read an external planner's plan into moves
+   *
+   * Every "(...)" group is one action, so numbered output such as
+   * "0: (UNSTACK A B) [1]" and ";" cost lines need no cleaning up. Each
+   * pick-up or unstack must be followed by the put-down or stack of the same
+   * block. Whether the actions fit a world is left to the plan validator.
+   *
+   * @param {string} text
+   * @returns {Array<{block: string, to: string, from: string, action: string}>} `action` is the pair as written
+   */
+  function parsePddlPlan(text) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      throw new PlanningError('Plan text is required.');
+    }
+    if (text.length > MAX_PDDL_LENGTH) {
+      throw new PlanningError(`Plans are limited to ${MAX_PDDL_LENGTH} characters.`);
+    }
+
+    const actions = [...text.replace(/;[^\n]*/g, ' ').matchAll(/\(([^()]*)\)/g)]
+      .map(match => match[1].trim().toLowerCase().split(/\s+/).filter(Boolean));
+    if (actions.length === 0) {
+      throw fail('Plan has no actions such as (unstack a b).');
+    }
+
+    const moves = [];
+    let held = null;
+    actions.forEach((tokens, index) => {
+      const written = `(${tokens.join(' ')})`;
+      const label = `Action ${index + 1} ${written}`;
+      const definition = PLAN_ACTIONS[tokens[0]];
+      if (!definition) {
+        throw fail(`${label} is not a blocksworld action; use pick-up, put-down, stack or unstack.`);
+      }
+      if (tokens.length - 1 !== definition.arity) {
+        throw fail(`${label}: ${definition.name} takes ${definition.arity === 1 ? 'one block' : 'two blocks'}.`);
+      }
+      const [block, other = 'Table'] = tokens.slice(1).map(arg => readBlock(arg, label));
+
+      if (definition.picks) {
+        if (held) {
+          throw fail(`${label} picks up ${block} while the hand holds ${held.block}.`);
+        }
+        held = { block, from: other, written };
+        return;
+      }
+      if (!held) {
+        throw fail(`${label} puts down ${block} but the hand is empty.`);
+      }
+      if (held.block !== block) {
+        throw fail(`${label} puts down ${block} but the hand holds ${held.block}.`);
+      }
+      moves.push({ block, to: other, from: held.from, action: `${held.written} ${written}` });
+      held = null;
+    });
+
+    if (held) {
+      throw fail(`Plan ends with the hand holding ${held.block}.`);
+    }
+    return moves;
+  }
+
+  return {
+    worldToPddlProblem,
+    parsePddlProblem,
+    parsePddlPlan
+  };
+}
+
+module.exports = {
+  BLOCKSWORLD_DOMAIN,
+  BLOCKSWORLD_DOMAIN_NAME,
+  createPddlHelpers
+};
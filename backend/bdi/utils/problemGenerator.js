@@ -0,0 +1,103 @@
+/**
+ * Random Blocks World problems for benchmarking.
+ *
+ * `generateProblem` deals n blocks into m initial stacks and k goal towers of
+ * at least two blocks each. With an unlimited table every such problem is
+ * solvable; problems whose goal already holds are dealt again. The same seed
+ * always gives the same problem.
+ */
+
+const { createRandomSource, MAX_SEED } = require('./actionOutcomes');
+
+const GENERATOR_LIMITS = {
+  MIN_BLOCKS: 2,
+  MAX_BLOCKS: 64,
+  MAX_SEED
+};
+
+const MAX_DEALS = 20;
+
+// Spreadsheet-style names, as the dashboard gives new blocks: A..Z, AA, AB, ...
+function blockNameFromIndex(index) {
+  let remaining = index + 1;
+  let name = '';
+  while (remaining > 0) {
+    name = String.fromCharCode(65 + ((remaining - 1) % 26)) + name;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return name;
+}
+
+const blockNamesFor = count => Array.from({ length: count }, (_, index) => blockNameFromIndex(index));
+
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Split items into `parts` runs of at least `minSize` each, at random cut points
+function partition(items, parts, random, minSize = 1) {
+  const sizes = Array(parts).fill(minSize);
+  for (let extra = items.length - parts * minSize; extra > 0; extra--) {
+    sizes[Math.floor(random() * parts)]++;
+  }
+  let offset = 0;
+  return sizes.map((size) => {
+    const run = items.slice(offset, offset + size);
+    offset += size;
+    return run;
+  });
+}
+
+const towerHolds = (onMap, chain) => chain.every((block, index) => (
+  index === chain.length - 1 || onMap[block] === chain[index + 1]
+));
+
+/**
+ * Generate a random problem
+ *
+ * Callers validate the counts against GENERATOR_LIMITS: 1 <= stacks <= blocks
+ * and 1 <= towers <= blocks / 2.
+ *
+ * @param {Object} spec
+ * @param {number} spec.blocks - Number of blocks (named A..Z, then AA, AB, ...)
+ * @param {number} spec.stacks - Number of initial stacks
+ * @param {number} spec.towers - Number of goal towers
+ * @param {number} spec.seed
+ * @returns {{id: string, seed: number, stacks: Array<Array<string>>, goalChains: Array<Array<string>>}}
+ *   Stacks list blocks bottom first; goal chains list them top first and end with "Table"
+ */
+function generateProblem({ blocks, stacks, towers, seed }) {
+  const random = createRandomSource(seed);
+  const names = blockNamesFor(blocks);
+
+  let problem = null;
+  for (let deal = 0; deal < MAX_DEALS && !problem; deal++) {
+    const initialStacks = partition(shuffle(names, random), stacks, random);
+    const goalChains = partition(shuffle(names, random), towers, random, 2).map(tower => [...tower, 'Table']);
+
+    const onMap = {};
+    initialStacks.forEach(stack => stack.forEach((block, index) => {
+      onMap[block] = index === 0 ? 'Table' : stack[index - 1];
+    }));
+    if (!goalChains.every(chain => towerHolds(onMap, chain)) || deal === MAX_DEALS - 1) {
+      problem = { stacks: initialStacks, goalChains };
+    }
+  }
+
+  return {
+    id: `n${blocks}-m${stacks}-k${towers}-s${seed}`,
+    seed,
+    ...problem
+  };
+}
+
+module.exports = {
+  GENERATOR_LIMITS,
+  blockNameFromIndex,
+  generateProblem
+};
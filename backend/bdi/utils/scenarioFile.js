@@ -0,0 +1,180 @@
+/**
+ * Scenario Files
+ *
+ * Loads planner scenarios from JSON or YAML for the headless CLI. A file holds
+ * one scenario, a list of them, or `{ defaults, scenarios }` where `defaults`
+ * are merged into every scenario (options key by key). A scenario is
+ * `{ name, planner, stacks, goal, options, expect, expectFailure }`: planner is
+ * "bdi" (planBlocksWorld, the default) or "multi-agent" (trueBDIPlan), goal a
+ * tower chain, a list of chains or a predicate expression.
+ *
+ * YAML files are read with js-yaml's core schema: any YAML 1.2 syntax, with
+ * values limited to what JSON can hold (no dates or custom tags).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const SCENARIO_PLANNERS = {
+  BDI: 'bdi',
+  MULTI_AGENT: 'multi-agent'
+};
+
+const YAML_EXTENSIONS = new Set(['.yaml', '.yml']);
+
+class ScenarioFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScenarioFileError';
+  }
+}
+
+/**
+ * Parse a YAML document with the core schema (JSON-compatible values only)
+ *
+ * @param {string} text
+ * @param {string} [source] - File name, for error messages
+ * @returns {*}
+ */
+function parseYaml(text, source = 'scenario') {
+  try {
+    return yaml.load(String(text), { filename: source, schema: yaml.CORE_SCHEMA }) ?? null;
+  } catch (error) {
+    if (error instanceof yaml.YAMLException) {
+      const line = error.mark ? `:${error.mark.line + 1}` : '';
+      throw new ScenarioFileError(`${source}${line}: ${error.reason}.`);
+    }
+    throw error;
+  }
+}
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function normalizeExpectFailure(value, where) {
+  if (value == null || value === false) {
+    return null;
+  }
+  if (value === true) {
+    return {};
+  }
+  if (typeof value === 'string') {
+    return { messageIncludes: value };
+  }
+  if (isPlainObject(value)) {
+    return {
+      ...(value.messageIncludes != null ? { messageIncludes: String(value.messageIncludes) } : {}),
+      ...(Number.isFinite(value.status) ? { status: value.status } : {})
+    };
+  }
+  throw new ScenarioFileError(`${where}: expectFailure must be true, a message fragment or { messageIncludes, status }.`);
+}
+
+function normalizeScenario(raw, defaults, where, index) {
+  if (!isPlainObject(raw)) {
+    throw new ScenarioFileError(`${where}: each scenario must be a mapping.`);
+  }
+  const merged = {
+    ...defaults,
+    ...raw,
+    options: { ...(defaults.options || {}), ...(raw.options || raw.plannerOptions || {}) }
+  };
+  const name = merged.name != null ? String(merged.name) : `scenario ${index + 1}`;
+  const label = `${where} (${name})`;
+
+  const planner = merged.planner ?? SCENARIO_PLANNERS.BDI;
+  if (!Object.values(SCENARIO_PLANNERS).includes(planner)) {
+    throw new ScenarioFileError(`${label}: planner must be "bdi" or "multi-agent".`);
+  }
+  if (!Array.isArray(merged.stacks)) {
+    throw new ScenarioFileError(`${label}: stacks must be a list of stacks (bottom block first).`);
+  }
+  const goal = merged.goal ?? merged.goalChain;
+  if (goal == null) {
+    throw new ScenarioFileError(`${label}: goal is required.`);
+  }
+  if (!isPlainObject(merged.options)) {
+    throw new ScenarioFileError(`${label}: options must be a mapping.`);
+  }
+  if (merged.expect != null && !isPlainObject(merged.expect)) {
+    throw new ScenarioFileError(`${label}: expect must be a mapping.`);
+  }
+
+  return {
+    name,
+    source: where,
+    planner,
+    stacks: merged.stacks,
+    goal,
+    options: merged.options,
+    expect: merged.expect || null,
+    expectFailure: normalizeExpectFailure(merged.expectFailure, label)
+  };
+}
+
+/**
+ * Parse scenario file contents
+ *
+ * @param {string} text
+ * @param {string} [source] - File name, for error messages and the format
+ * @returns {Array<Object>} Normalized scenarios
+ */
+function parseScenarioFile(text, source = 'scenario.json') {
+  const isYaml = YAML_EXTENSIONS.has(path.extname(source).toLowerCase());
+  let document;
+  if (isYaml) {
+    document = parseYaml(text, source);
+  } else {
+    try {
+      document = JSON.parse(text);
+    } catch (error) {
+      throw new ScenarioFileError(`${source}: invalid JSON (${error.message}).`);
+    }
+  }
+
+  let defaults = {};
+  let entries;
+  if (Array.isArray(document)) {
+    entries = document;
+  } else if (isPlainObject(document) && document.scenarios !== undefined) {
+    if (!Array.isArray(document.scenarios)) {
+      throw new ScenarioFileError(`${source}: scenarios must be a list.`);
+    }
+    if (document.defaults != null && !isPlainObject(document.defaults)) {
+      throw new ScenarioFileError(`${source}: defaults must be a mapping.`);
+    }
+    defaults = document.defaults || {};
+    entries = document.scenarios;
+  } else {
+    entries = [document];
+  }
+
+  if (entries.length === 0) {
+    throw new ScenarioFileError(`${source}: no scenarios found.`);
+  }
+  return entries.map((entry, index) => normalizeScenario(entry, defaults, source, index));
+}
+
+/**
+ * Read and parse a scenario file
+ *
+ * @param {string} filePath
+ * @returns {Array<Object>} Normalized scenarios
+ */
+function loadScenarioFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ScenarioFileError(`Cannot read ${filePath}: ${error.code === 'ENOENT' ? 'no such file' : error.message}.`);
+  }
+  return parseScenarioFile(text, filePath);
+}
+
+module.exports = {
+  SCENARIO_PLANNERS,
+  ScenarioFileError,
+  parseYaml,
+  parseScenarioFile,
+  loadScenarioFile
+};
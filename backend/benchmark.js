@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Planner benchmark on generated problems.
+ *
+ * Usage:
+ *   node benchmark.js [--blocks 6] [--stacks 3] [--towers 1] [--instances 5] [--seed 1]
+ *                     [--planners bdi,multi-agent,...] [--format text|csv|json] [--verbose]
+ *
+ * Problem i uses seed + i, so any single problem can be reproduced. Text output
+ * is a per-planner summary; csv has one row per planner run. Exits 2 on bad
+ * arguments.
+ */
+
+const {
+  BENCHMARK_PLANNERS,
+  DEFAULT_BENCHMARK_PLANNERS,
+  resolveBenchmarkSpec,
+  runBenchmark,
+  benchmarkToCsv
+} = require('./bdi/benchmark');
+const { withPlannerLogging } = require('./bdi-plan');
+
+const FORMATS = ['text', 'csv', 'json'];
+const COUNT_FLAGS = ['blocks', 'stacks', 'towers', 'instances', 'seed'];
+const EXIT_USAGE = 2;
+
+const USAGE = 'Usage: node benchmark.js [--blocks n] [--stacks m] [--towers k] [--instances i] [--seed s] '
+  + `[--planners ${DEFAULT_BENCHMARK_PLANNERS.join(',')}] [--format ${FORMATS.join('|')}] [--verbose]\n`
+  + `Planners: ${Object.keys(BENCHMARK_PLANNERS).join(', ')}`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { spec: {}, format: 'text', verbose: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const takeValue = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+    const name = flag.replace(/^--/, '');
+
+    if (COUNT_FLAGS.includes(name) && flag.startsWith('--')) {
+      const value = takeValue();
+      if (!/^\d+$/.test(value ?? '')) {
+        throw new UsageError(`${flag} takes a whole number.`);
+      }
+      args.spec[name] = Number(value);
+    } else if (flag === '--planners') {
+      args.spec.planners = String(takeValue() ?? '').split(',').map(id => id.trim()).filter(Boolean);
+    } else if (flag === '--format') {
+      args.format = takeValue();
+      if (!FORMATS.includes(args.format)) {
+        throw new UsageError(`--format must be one of: ${FORMATS.join(', ')}.`);
+      }
+    } else if (flag === '--verbose') {
+      args.verbose = true;
+    } else if (flag === '--help' || flag === '-h') {
+      args.help = true;
+    } else {
+      throw new UsageError(`Unknown argument ${argv[i]}.`);
+    }
+  }
+  return args;
+}
+
+const formatCell = value => (value == null ? '-' : String(value));
+
+function formatSummary({ spec, summary }) {
+  const columns = [
+    ['Planner', row => row.planner],
+    ['Solved', row => `${row.solved}/${row.runs}`],
+    ['Plan length', row => row.meanPlanLength],
+    ['Iterations', row => row.meanIterations],
+    ['Conflicts', row => row.meanConflicts],
+    ['Parallel', row => row.meanParallelExecutions],
+    ['Time (ms)', row => row.meanWallTimeMs]
+  ];
+  const table = [columns.map(([title]) => title), ...summary.map(row => columns.map(([, read]) => formatCell(read(row))))];
+  const widths = columns.map((_, index) => Math.max(...table.map(cells => cells[index].length)));
+
+  return [
+    `${spec.instances} problem(s): ${spec.blocks} blocks, ${spec.stacks} initial stack(s), `
+      + `${spec.towers} goal tower(s), seeds ${spec.seed}-${spec.seed + spec.instances - 1}`,
+    'Means over solved runs (time over all runs)',
+    '',
+    ...table.map(cells => cells.map((cell, index) => (index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index]))).join('  '))
+  ].join('\n');
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let args;
+  try {
+    args = parseArgs(argv);
+    if (args.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    resolveBenchmarkSpec(args.spec);
+  } catch (error) {
+    if (error instanceof UsageError || typeof error?.status === 'number') {
+      console.error(error.message);
+      console.error(USAGE);
+      return EXIT_USAGE;
+    }
+    throw error;
+  }
+
+  const report = await withPlannerLogging(args.verbose, () => runBenchmark(args.spec));
+
+  if (args.format === 'csv') {
+    console.log(benchmarkToCsv(report.results));
+  } else if (args.format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(formatSummary(report));
+    report.results
+      .filter(result => result.error)
+      .forEach(result => console.log(`  ! ${result.problem} ${result.planner}: ${result.error}`));
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  main().then((code) => {
+    process.exitCode = code;
+  }, (error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { main };
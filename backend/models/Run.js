@@ -0,0 +1,39 @@
+// Run model schema for persisting planner runs of a saved world
+const mongoose = require('mongoose');
+const { isValidBlockName } = require('../bdi/utils/blockNames');
+
+const RUN_OUTCOMES = ['success', 'failure', 'interrupted'];
+
+const RunSchema = new mongoose.Schema({
+  world:    { type: mongoose.Schema.Types.ObjectId, ref: 'World', required: true },
+  user:     { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Which planner produced the run, e.g. "single-agent", "multi-agent" or "external-pddl"
+  planner:  { type: String, required: true, maxlength: 40 },
+  // Goal in the dashboard's syntax; null for runs without one
+  goal:     { type: String, maxlength: 2000, default: null },
+  options:  { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  // World the run started from, bottom block first
+  initialStacks: {
+    type: [[String]],
+    required: true,
+    validate: {
+      validator: (stacks) => Array.isArray(stacks) && stacks.every(stack => stack.every(isValidBlockName)),
+      message: 'Initial stacks contain an invalid block name.'
+    }
+  },
+  moves:        { type: mongoose.Schema.Types.Mixed, default: () => [] },
+  intentionLog: { type: mongoose.Schema.Types.Mixed, default: () => [] },
+  // One entry per deliberation cycle, as recorded by the dashboard from the planner responses
+  deliberationHistory: { type: mongoose.Schema.Types.Mixed, default: () => [] },
+  statistics:   { type: mongoose.Schema.Types.Mixed, default: null },
+  outcome:      { type: String, enum: RUN_OUTCOMES, required: true },
+  moveCount:    { type: Number, min: 0, default: 0 },
+  durationMs:   { type: Number, min: 0, default: 0 }
+}, { timestamps: true });
+
+RunSchema.index({ world: 1, createdAt: -1 });
+
+const Run = mongoose.model('Run', RunSchema);
+
+module.exports = Run;
+module.exports.RUN_OUTCOMES = RUN_OUTCOMES;
@@ -1,10 +1,28 @@
 // World model schema for persisting block configurations
 const mongoose = require('mongoose');
+const { isValidBlockName } = require('../bdi/utils/blockNames');
+
+const blockNamesValid = (names) => Array.isArray(names) && names.every(isValidBlockName);
 
 const WorldSchema = new mongoose.Schema({
   name:   { type: String, required: true },
-  blocks: { type: [String], required: true },
-  stacks: { type: [[String]], required: true },
+  blocks: {
+    type: [String],
+    required: true,
+    validate: { validator: blockNamesValid, message: 'Blocks contain an invalid block name.' }
+  },
+  stacks: {
+    type: [[String]],
+    required: true,
+    validate: {
+      validator: (stacks) => Array.isArray(stacks) && stacks.every(blockNamesValid),
+      message: 'Stacks contain an invalid block name.'
+    }
+  },
+  // Fixed number of table positions; null means an unlimited table
+  tableSlots: { type: Number, min: 1, max: 64, default: null },
+  // Goal in the dashboard's syntax ("A, B | C, D" or a predicate expression); null when none was set
+  goal: { type: String, maxlength: 2000, default: null },
   colours: { type: Map, of: String, default: () => ({}) },
   timeline: { type: mongoose.Schema.Types.Mixed, default: null },
   stats: {
@@ -22,7 +40,9 @@ const WorldSchema = new mongoose.Schema({
     },
     required: true
   },
-  user:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+  user:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Number of the WorldRevision holding this state; bumped by every update or restore
+  revision: { type: Number, min: 1, default: 1 }
 }, { timestamps: true });
 
 WorldSchema.index({ user: 1, name: 1 }, { unique: true });
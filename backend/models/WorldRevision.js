@@ -0,0 +1,39 @@
+// WorldRevision model schema: every saved state of a world, numbered from 1
+const mongoose = require('mongoose');
+const { isValidBlockName } = require('../bdi/utils/blockNames');
+
+const blockNamesValid = (names) => Array.isArray(names) && names.every(isValidBlockName);
+
+const WorldRevisionSchema = new mongoose.Schema({
+  world:    { type: mongoose.Schema.Types.ObjectId, ref: 'World', required: true },
+  user:     { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  revision: { type: Number, min: 1, required: true },
+  // Revision this one was restored from; null for ordinary edits
+  restoredFrom: { type: Number, min: 1, default: null },
+  name:   { type: String, required: true },
+  blocks: {
+    type: [String],
+    required: true,
+    validate: { validator: blockNamesValid, message: 'Blocks contain an invalid block name.' }
+  },
+  stacks: {
+    type: [[String]],
+    required: true,
+    validate: {
+      validator: (stacks) => Array.isArray(stacks) && stacks.every(blockNamesValid),
+      message: 'Stacks contain an invalid block name.'
+    }
+  },
+  tableSlots: { type: Number, min: 1, max: 64, default: null },
+  goal:       { type: String, maxlength: 2000, default: null },
+  colours:    { type: Map, of: String, default: () => ({}) },
+  timeline:   { type: mongoose.Schema.Types.Mixed, default: null },
+  stats:      { type: mongoose.Schema.Types.Mixed, default: null },
+  multiAgent: { type: mongoose.Schema.Types.Mixed, default: () => ({ enabled: false }) }
+}, { timestamps: true });
+
+WorldRevisionSchema.index({ world: 1, revision: -1 }, { unique: true });
+
+const WorldRevision = mongoose.model('WorldRevision', WorldRevisionSchema);
+
+module.exports = WorldRevision;
@@ -10,6 +10,9 @@
 
 const http = require('http');
 const { trueBDIPlan } = require('./bdi/multiAgentEnvironment');
+const { agentNamesForCount } = require('./bdi/utils/agentIds');
+const { validatePlan } = require('./bdi/planValidator');
+const { compareRuns } = require('./bdi/runComparison');
 
 const plannerScenarios = [
   {
@@ -87,6 +90,183 @@ const plannerScenarios = [
       minMoveCycles: 1
     }
   },
+  {
+    name: 'Limited table couples towers',
+    stacks: [['B', 'A'], ['D', 'C'], []],
+    goalChain: [
+      ['A', 'B', 'Table'],
+      ['C', 'D', 'Table']
+    ],
+    options: { tableSlots: 3, goalSlots: { B: 2, D: 1 } },
+    expect: {
+      planningApproach: 'true-multi-agent-bdi',
+      agentCount: 2,
+      goalAchieved: true
+    }
+  },
+  {
+    name: 'Four-agent team on a single tower',
+    stacks: [['E'], ['I'], ['G', 'F', 'D', 'B', 'A', 'C'], ['H']],
+    goalChain: ['A', 'B', 'C', 'D', 'E', 'F', 'Table'],
+    options: { agentCount: 4 },
+    expect: {
+      planningApproach: 'true-multi-agent-bdi',
+      agentCount: 4,
+      goalAchieved: true
+    }
+  },
+  {
+    name: 'Three independent towers with three agents',
+    stacks: [['A'], ['B'], ['C'], ['D'], ['E'], ['F']],
+    goalChain: [
+      ['A', 'D', 'Table'],
+      ['B', 'E', 'Table'],
+      ['C', 'F', 'Table']
+    ],
+    options: { agentCount: 3 },
+    expect: {
+      planningApproach: 'multi-tower-independent',
+      agentCount: 3,
+      minParallelExecutions: 1,
+      requireConcurrentCycle: true
+    }
+  },
+  {
+    name: 'Contract-Net tower allocation',
+    stacks: [['A'], ['B'], ['C'], ['D'], ['E'], ['F'], ['G'], ['H'], ['I'], ['J'], ['K']],
+    goalChain: [
+      ['A', 'B', 'C', 'D', 'E', 'F', 'Table'],
+      ['G', 'H', 'Table'],
+      ['I', 'J', 'K', 'Table']
+    ],
+    options: { allocation: 'contract-net' },
+    expect: {
+      planningApproach: 'multi-tower-independent',
+      contractAwards: 3,
+      requireConcurrentCycle: true
+    }
+  },
+  {
+    name: 'Contract-Net relation allocation with three agents',
+    stacks: [['A'], ['B'], ['C'], ['D'], ['E'], ['F'], ['G'], ['H'], ['I'], ['J'], ['K']],
+    goalChain: [
+      ['A', 'B', 'C', 'D', 'E', 'F', 'Table'],
+      ['G', 'H', 'Table'],
+      ['I', 'J', 'K', 'Table']
+    ],
+    options: { allocation: 'contract-net', contractTasks: 'relation', agentCount: 3 },
+    expect: {
+      planningApproach: 'multi-tower-independent',
+      agentCount: 3,
+      contractAwards: 8
+    }
+  },
+  {
+    name: 'Single agent team',
+    stacks: [['A'], ['B', 'C'], ['D']],
+    goalChain: ['D', 'C', 'B', 'A', 'Table'],
+    options: { agentCount: 1 },
+    expect: {
+      agentCount: 1,
+      maxParallelExecutions: 0,
+      goalAchieved: true
+    }
+  },
+  {
+    name: 'Auction conflict resolution',
+    stacks: [['C', 'B', 'A'], ['F', 'E', 'D']],
+    goalChain: ['A', 'D', 'B', 'E', 'C', 'F', 'Table'],
+    options: { resolution: 'auction' },
+    expect: {
+      resolutionStrategy: 'auction',
+      goalAchieved: true
+    }
+  },
+  {
+    name: 'Round-robin resolution across four agents',
+    stacks: [['C', 'B', 'A'], ['F', 'E', 'D']],
+    goalChain: ['A', 'D', 'B', 'E', 'C', 'F', 'Table'],
+    options: { resolution: 'round-robin', agentCount: 4 },
+    expect: {
+      resolutionStrategy: 'round-robin',
+      agentCount: 4,
+      goalAchieved: true
+    }
+  },
+  {
+    name: 'Capability-driven reassignment',
+    stacks: [['C', 'B', 'A'], ['F', 'E', 'D']],
+    goalChain: ['A', 'D', 'B', 'E', 'C', 'F', 'Table'],
+    options: { capabilities: { 'Agent-A': { forbiddenBlocks: ['A', 'B'] }, 'Agent-B': { speed: 2 } } },
+    expect: {
+      minCapabilityReassignments: 1,
+      goalAchieved: true
+    }
+  },
+  {
+    name: 'Reach-limited agents on a four-slot table',
+    stacks: [['A', 'B', 'C'], [], [], []],
+    goalChain: ['A', 'C', 'B', 'Table'],
+    options: {
+      tableSlots: 4,
+      capabilities: { 'Agent-A': { reach: [1, 2, 3] }, 'Agent-B': { reach: [1, 2, 4] } }
+    },
+    expect: {
+      minCapabilityReassignments: 1,
+      goalAchieved: true
+    }
+  },
+  {
+    name: 'No agent capable of the next move',
+    stacks: [['A', 'B']],
+    goalChain: ['A', 'B', 'Table'],
+    options: { capabilities: { 'Agent-A': { forbiddenBlocks: ['B'] }, 'Agent-B': { maxLiftHeight: 1 } } },
+    expectFailure: {
+      status: 422,
+      messageIncludes: 'No agent is capable'
+    }
+  },
+  {
+    name: 'Negotiation conversation on the message bus',
+    stacks: [['C', 'B', 'A'], ['F', 'E', 'D']],
+    goalChain: ['A', 'D', 'B', 'E', 'C', 'F', 'Table'],
+    options: { agentCount: 3 },
+    expect: {
+      performatives: ['propose', 'cfp', 'accept-proposal', 'reject-proposal', 'request', 'inform'],
+      goalAchieved: true
+    }
+  },
+  {
+    name: 'Own-column sensing on a six-slot table',
+    stacks: [['B', 'A'], ['D', 'C'], ['F', 'E'], ['H', 'G'], [], []],
+    goalChain: [['A', 'B', 'C', 'D', 'Table'], ['E', 'F', 'G', 'H', 'Table']],
+    options: { tableSlots: 6, observability: { mode: 'range', range: 0, shareBeliefs: false } },
+    expect: {
+      minStaleProposals: 1,
+      goalAchieved: true
+    }
+  },
+  {
+    name: 'Look-only sensing with shared beliefs',
+    stacks: [['B', 'A'], ['D', 'C'], ['F', 'E'], ['H', 'G']],
+    goalChain: [['A', 'B', 'C', 'D', 'Table'], ['E', 'F', 'G', 'H', 'Table']],
+    options: { agentCount: 3, observability: { mode: 'look', shareBeliefs: true } },
+    reportCycles: true,
+    expect: {
+      minLooks: 1,
+      goalAchieved: true
+    }
+  },
+  {
+    name: 'Streamed deliberation cycles',
+    stacks: [['A'], ['B', 'C'], ['D']],
+    goalChain: ['D', 'C', 'B', 'A', 'Table'],
+    reportCycles: true,
+    expect: {
+      planningApproach: 'true-multi-agent-bdi',
+      goalAchieved: true
+    }
+  },
   {
     name: 'Complex three independent towers',
     stacks: [['A', 'B', 'C', 'D', 'E', 'F'], ['G', 'H', 'I'], ['J', 'K']],
@@ -135,11 +315,12 @@ function hasConcurrentCycle(moves = []) {
 
 function validateParallelActors(result) {
   const invalidCycles = [];
+  const teamActors = new Set(agentNamesForCount(result.agentCount || 2));
   (result.moves || []).forEach((cycle) => {
     const actors = (cycle.moves || []).map((move) => move.actor);
     if (actors.length > 1) {
-      const invalid = actors.filter((actor) => actor !== 'Agent-A' && actor !== 'Agent-B');
-      if (invalid.length > 0) {
+      const invalid = actors.filter((actor) => !teamActors.has(actor));
+      if (invalid.length > 0 || new Set(actors).size !== actors.length) {
         invalidCycles.push({ cycle: cycle.cycle, actors });
       }
     }
@@ -153,11 +334,144 @@ function validateParallelActors(result) {
   }
 }
 
+// Replay the returned cycles through the independent plan validator
+function validateReplay(scenario, result) {
+  const replay = validatePlan({
+    stacks: scenario.stacks,
+    goal: scenario.goalChain,
+    moves: result.moves || [],
+    tableSlots: scenario.options?.tableSlots
+  });
+  const problem = replay.firstIllegalMove || replay.clashes[0];
+  if (problem) {
+    throw new Error(`Plan does not replay: cycle ${problem.cycle}: ${problem.reason}`);
+  }
+  if (replay.goalAchieved !== Boolean(result.goalAchieved)) {
+    throw new Error(`Replayed goal state ${replay.goalAchieved} disagrees with reported ${result.goalAchieved}`);
+  }
+}
+
+// A run compared with itself never diverges; without its last cycle it diverges at that cycle's first move
+function validateRunComparison(result) {
+  const moves = result.moves || [];
+  if (moves.length === 0) return;
+
+  const run = { _id: 'run', moves, statistics: result.statistics };
+  const same = compareRuns([run, { ...run, _id: 'copy' }]);
+  if (same.firstDivergence !== null || same.statistics.some(row => row.spread !== null && row.spread !== 0)) {
+    throw new Error(`A run compared with itself diverges at step ${same.firstDivergence}.`);
+  }
+
+  const kept = moves.slice(0, -1);
+  const expected = kept.reduce((sum, cycle) => sum + (cycle.moves || []).length, 0) + 1;
+  const shorter = compareRuns([run, { _id: 'shorter', moves: kept }]);
+  if (shorter.firstDivergence !== expected) {
+    throw new Error(`Expected a run without its last cycle to diverge at step ${expected}, got ${shorter.firstDivergence}.`);
+  }
+}
+
+function validateReportedCycles(reportedCycles, result) {
+  if (reportedCycles.length === 0) {
+    throw new Error('Expected onCycle to report deliberation cycles.');
+  }
+  const reportedMoves = reportedCycles.reduce((sum, cycle) => sum + cycle.moves.length, 0);
+  const resultMoves = (result.moves || []).reduce((sum, cycle) => sum + (cycle.moves || []).length, 0);
+  if (reportedMoves !== resultMoves) {
+    throw new Error(`Reported cycles contain ${reportedMoves} moves, result contains ${resultMoves}.`);
+  }
+  const reportedMessages = reportedCycles.reduce((sum, cycle) => sum + cycle.messages.length, 0);
+  if (reportedMessages !== result.transcript.length) {
+    throw new Error(`Reported cycles contain ${reportedMessages} messages, transcript contains ${result.transcript.length}.`);
+  }
+  const last = reportedCycles[reportedCycles.length - 1];
+  if (last.goalAchieved !== result.goalAchieved) {
+    throw new Error('Last reported cycle disagrees with the final goal state.');
+  }
+}
+
+// Every contracted move must be carried out by the agent that won the contract
+function validateContractNet(result) {
+  const { tasks, bids, awards } = result.contractNet;
+  if (awards.length !== tasks.length) {
+    throw new Error(`Expected one award per task, got ${awards.length} for ${tasks.length} tasks.`);
+  }
+  const winners = new Map(awards.map(award => [award.task, award.agent]));
+  awards.forEach(award => {
+    const taskBids = bids.filter(bid => bid.task === award.task);
+    if (taskBids.length !== result.agentCount || taskBids.some(bid => bid.bid > award.bid)) {
+      throw new Error(`Contract ${award.task} was not awarded to the highest of ${result.agentCount} bids.`);
+    }
+  });
+  (result.moves || []).forEach(cycle => (cycle.moves || []).forEach(move => {
+    if (!move.contract || winners.get(move.contract.task) !== move.actor) {
+      throw new Error(`Move ${move.block} -> ${move.to} by ${move.actor} does not match its contract.`);
+    }
+  }));
+}
+
+// No agent may handle a block its capability profile forbids
+function validateCapabilities(result) {
+  const profiles = result.agentCapabilities || {};
+  (result.moves || []).forEach(cycle => (cycle.moves || []).forEach(move => {
+    if ((profiles[move.actor]?.forbiddenBlocks || []).includes(move.block)) {
+      throw new Error(`${move.actor} moved forbidden block ${move.block}.`);
+    }
+  }));
+}
+
+// One belief snapshot per cycle, and every agent's picture holds each block exactly once
+function validateBeliefHistory(result) {
+  if (!result.beliefHistory) {
+    return;
+  }
+  if (result.beliefHistory.length !== result.iterations) {
+    throw new Error(`Expected ${result.iterations} belief snapshots, got ${result.beliefHistory.length}.`);
+  }
+  result.beliefHistory.forEach(snapshot => {
+    const actual = snapshot.stacks.flat().sort().join('');
+    Object.entries(snapshot.agents).forEach(([agent, beliefs]) => {
+      if (beliefs.stacks.flat().sort().join('') !== actual) {
+        throw new Error(`${agent}'s beliefs in cycle ${snapshot.cycle} lost or duplicated blocks.`);
+      }
+    });
+  });
+}
+
+// Replies answer earlier messages; in deliberation every committed move was
+// requested by the coordinator and every negotiation settled by the negotiator
+function validateTranscript(result) {
+  const sent = new Set();
+  result.transcript.forEach(message => {
+    if (message.inReplyTo && !sent.has(message.inReplyTo)) {
+      throw new Error(`Message ${message.id} replies to unknown message ${message.inReplyTo}.`);
+    }
+    sent.add(message.id);
+  });
+  if (result.planningApproach !== 'true-multi-agent-bdi') {
+    return;
+  }
+
+  const count = (performative, sender) => result.transcript
+    .filter(message => message.performative === performative && message.sender === sender)
+    .length;
+  const moveCount = result.moves.reduce((sum, cycle) => sum + cycle.moves.length, 0);
+  if (count('request', 'Coordinator') !== moveCount) {
+    throw new Error(`Expected ${moveCount} move requests, got ${count('request', 'Coordinator')}.`);
+  }
+  if (count('accept-proposal', 'Negotiator') !== result.statistics.totalNegotiations) {
+    throw new Error(`Expected ${result.statistics.totalNegotiations} settled negotiations, got ${count('accept-proposal', 'Negotiator')}.`);
+  }
+}
+
 async function runPlannerScenario(scenario) {
   const start = Date.now();
 
   try {
-    const result = await trueBDIPlan(scenario.stacks, scenario.goalChain, scenario.options);
+    const reportedCycles = [];
+    const options = scenario.reportCycles
+      ? { ...scenario.options, onCycle: (cycle) => reportedCycles.push(cycle) }
+      : scenario.options;
+    const result = await trueBDIPlan(scenario.stacks, scenario.goalChain, options);
     const elapsed = Date.now() - start;
 
     if (scenario.expectFailure) {
@@ -165,11 +479,25 @@ async function runPlannerScenario(scenario) {
     }
 
     validateParallelActors(result);
+    if (result.contractNet) {
+      validateContractNet(result);
+    }
+    validateCapabilities(result);
+    validateBeliefHistory(result);
+    validateTranscript(result);
+    validateReplay(scenario, result);
+    validateRunComparison(result);
+    if (scenario.reportCycles) {
+      validateReportedCycles(reportedCycles, result);
+    }
 
     const stats = result.statistics || {};
     const agentAMoveCount = typeof stats.agentAMoves === 'number' ? stats.agentAMoves : undefined;
     const agentBMoveCount = typeof stats.agentBMoves === 'number' ? stats.agentBMoves : undefined;
-    const totalMoves = Number.isFinite(agentAMoveCount) && Number.isFinite(agentBMoveCount)
+    const agentMoveCounts = stats.agentMoves || null;
+    const totalMoves = agentMoveCounts
+      ? Object.values(agentMoveCounts).reduce((sum, count) => sum + count, 0)
+      : Number.isFinite(agentAMoveCount) && Number.isFinite(agentBMoveCount)
       ? agentAMoveCount + agentBMoveCount
       : (result.moves || []).reduce(
           (sum, cycle) => sum + (Array.isArray(cycle?.moves) ? cycle.moves.length : 0),
@@ -184,7 +512,13 @@ async function runPlannerScenario(scenario) {
         maxParallelExecutions,
         requireConcurrentCycle,
         minMoveCycles,
-        goalAchieved
+        goalAchieved,
+        resolutionStrategy,
+        contractAwards,
+        minCapabilityReassignments,
+        minStaleProposals,
+        minLooks,
+        performatives
       } = scenario.expect;
 
       const errors = [];
@@ -209,6 +543,32 @@ async function runPlannerScenario(scenario) {
       if (typeof goalAchieved === 'boolean' && result.goalAchieved !== goalAchieved) {
         errors.push(`goalAchieved expected ${goalAchieved}, got ${result.goalAchieved}`);
       }
+      if (Number.isFinite(contractAwards) && (result.contractNet?.awards.length ?? 0) !== contractAwards) {
+        errors.push(`contract awards expected ${contractAwards}, got ${result.contractNet?.awards.length ?? 0}`);
+      }
+      if (Number.isFinite(minCapabilityReassignments) && (stats.capabilityReassignments ?? 0) < minCapabilityReassignments) {
+        errors.push(`capabilityReassignments expected >= ${minCapabilityReassignments}, got ${stats.capabilityReassignments ?? 0}`);
+      }
+      if (Number.isFinite(minStaleProposals) && (stats.staleProposals ?? 0) < minStaleProposals) {
+        errors.push(`staleProposals expected >= ${minStaleProposals}, got ${stats.staleProposals ?? 0}`);
+      }
+      if (Number.isFinite(minLooks) && (stats.looks ?? 0) < minLooks) {
+        errors.push(`looks expected >= ${minLooks}, got ${stats.looks ?? 0}`);
+      }
+      if (Array.isArray(performatives)) {
+        const missing = performatives.filter(performative => !stats.messagesByPerformative?.[performative]);
+        if (missing.length > 0) {
+          errors.push(`transcript has no ${missing.join(', ')} messages`);
+        }
+      }
+      if (resolutionStrategy) {
+        if (stats.resolutionStrategy !== resolutionStrategy) {
+          errors.push(`resolutionStrategy expected ${resolutionStrategy}, got ${stats.resolutionStrategy}`);
+        }
+        if ((result.deliberationHistory || []).some(entry => entry.strategy !== resolutionStrategy)) {
+          errors.push(`every deliberation expected to use ${resolutionStrategy}`);
+        }
+      }
 
       if (errors.length > 0) {
         throw new Error(`Expectation failure: ${errors.join('; ')}`);
@@ -217,9 +577,13 @@ async function runPlannerScenario(scenario) {
 
     console.log(`\u2714 ${scenario.name}`);
     console.log(`  Iterations: ${result.iterations}`);
-    console.log(`  Moves: ${totalMoves} (Agent-A: ${agentAMoveCount ?? 'n/a'}, Agent-B: ${agentBMoveCount ?? 'n/a'})`);
+    const perAgent = agentMoveCounts
+      ? Object.entries(agentMoveCounts).map(([agent, count]) => `${agent}: ${count}`).join(', ')
+      : `Agent-A: ${agentAMoveCount ?? 'n/a'}, Agent-B: ${agentBMoveCount ?? 'n/a'}`;
+    console.log(`  Moves: ${totalMoves} (${perAgent})`);
     console.log(`  Conflicts: ${stats.totalConflicts ?? 'n/a'}, Negotiations: ${stats.totalNegotiations ?? 'n/a'}`);
     console.log(`  Parallel cycles: ${stats.totalParallelExecutions ?? 'n/a'}`);
+    console.log(`  Resolution strategy: ${stats.resolutionStrategy ?? 'n/a'}`);
     console.log(`  Planning approach: ${result.planningApproach}`);
     console.log(`  Time: ${elapsed}ms`);
     console.log(`  Goal achieved: ${result.goalAchieved}`);
@@ -3,6 +3,10 @@
 
 const assert = require('node:assert/strict');
 const { planBlocksWorld } = require('./bdi/blocksWorldAgent');
+const { validatePlan } = require('./bdi/planValidator');
+const { explainPlan, EXPLANATION_KINDS } = require('./bdi/planExplainer');
+const { generateProblem } = require('./bdi/utils/problemGenerator');
+const { MAX_EXPANSIONS_CAP } = require('./bdi/utils/optimalSearch');
 
 const PRESET_SCENARIOS = [
   {
@@ -127,6 +131,30 @@ const PRESET_SCENARIOS = [
       plannerOptionsUsed: { maxIterations: 5000 }
     }
   },
+  {
+    label: 'multi-character block names',
+    stacks: [['crate-7', 'B12'], ['RED_1']],
+    goal: ['crate-7', 'red_1', 'B12'],
+    expectations: {
+      moves: [
+        { block: 'B12', to: 'Table' },
+        { block: 'RED_1', to: 'B12' },
+        { block: 'CRATE-7', to: 'RED_1' }
+      ],
+      finalOnMap: {
+        B12: 'Table',
+        RED_1: 'B12',
+        'CRATE-7': 'RED_1'
+      }
+    }
+  },
+  {
+    label: 'invalid block name rejected',
+    stacks: [['A'], ['B.2']],
+    goal: ['A', 'B.2'],
+    expectFailure: true,
+    expectedErrorIncludes: 'is invalid'
+  },
   {
     label: 'invalid looped goal detected',
     stacks: [['D', 'E', 'C', 'A', 'B']],
@@ -195,6 +223,290 @@ const PRESET_SCENARIOS = [
       ],
       plannerOptionsUsed: { maxIterations: 1 }
     }
+  },
+  {
+    label: 'optimal strategy beats regression planner on split towers',
+    stacks: [['D', 'A', 'C'], ['B']],
+    goal: ['A', 'B', 'Table', 'C', 'D', 'Table'],
+    plannerOptions: { strategy: 'optimal', allowIntermediateTable: true },
+    expectations: {
+      iterations: 3,
+      moves: [
+        { block: 'C', to: 'Table' },
+        { block: 'A', to: 'B' },
+        { block: 'C', to: 'D' }
+      ],
+      intentionLogLength: 12,
+      movesEveryHaveClawStepsLength: 4,
+      optimalityGap: { optimalMoves: 3, bdiMoves: 4, gap: 1, ratio: 1.333 },
+      plannerOptionsUsed: { maxIterations: 2500, strategy: 'optimal', maxExpansions: 50000 },
+      finalOnMap: {
+        D: 'Table',
+        B: 'Table',
+        A: 'B',
+        C: 'D'
+      }
+    }
+  },
+  {
+    label: 'optimal strategy matches regression planner on interleaved restack',
+    stacks: [['A', 'D'], ['C', 'B']],
+    goal: ['A', 'B', 'C', 'D'],
+    plannerOptions: { strategy: 'optimal' },
+    expectations: {
+      movesLength: 5,
+      optimalityGap: { optimalMoves: 5, bdiMoves: 5, gap: 0, ratio: 1 }
+    }
+  },
+  {
+    label: 'invalid planner strategy rejected',
+    stacks: [['A'], ['B']],
+    goal: ['B', 'A'],
+    plannerOptions: { strategy: 'greedy' },
+    expectFailure: true,
+    expectedErrorIncludes: 'Unknown planner strategy'
+  },
+  {
+    label: 'optimal strategy fails when search budget exhausted',
+    stacks: [['H', 'G', 'F'], ['E', 'D'], ['C', 'B', 'A']],
+    goal: ['A', 'C', 'E', 'G', 'B', 'D', 'F', 'H'],
+    plannerOptions: { strategy: 'optimal', maxExpansions: 2 },
+    expectFailure: true,
+    expectedErrorIncludes: 'exceeded its budget'
+  },
+  {
+    label: 'optimal strategy stops at its time or memory limit on a 26-block world',
+    ...(({ stacks, goalChains }) => ({ stacks, goal: goalChains[0] }))(
+      generateProblem({ blocks: 26, stacks: 4, towers: 1, seed: 3 })
+    ),
+    plannerOptions: { strategy: 'optimal', maxExpansions: MAX_EXPANSIONS_CAP },
+    expectFailure: true,
+    expectedErrorIncludes: 'found no plan within'
+  },
+  {
+    label: 'limited table clears onto a free slot',
+    stacks: [['C', 'A'], ['B']],
+    goal: ['A', 'B', 'C'],
+    plannerOptions: { tableSlots: 3 },
+    expectations: {
+      moves: [
+        { block: 'A', to: 'Table', slot: 3 },
+        { block: 'B', to: 'C' },
+        { block: 'A', to: 'B' }
+      ],
+      plannerOptionsUsed: { maxIterations: 2500, tableSlots: 3 }
+    }
+  },
+  {
+    label: 'full table parks cleared block on an unrelated stack',
+    stacks: [['C', 'A'], ['B'], ['D']],
+    goal: ['A', 'B', 'C'],
+    plannerOptions: { tableSlots: 3 },
+    expectations: {
+      moves: [
+        { block: 'A', to: 'D' },
+        { block: 'B', to: 'C' },
+        { block: 'A', to: 'B' }
+      ],
+      finalOnMap: {
+        C: 'Table',
+        B: 'C',
+        A: 'B',
+        D: 'Table'
+      }
+    }
+  },
+  {
+    label: 'slot goal builds the tower in the requested slot',
+    stacks: [['A', 'B', 'C'], [], []],
+    goal: ['A', 'B', 'C'],
+    plannerOptions: { tableSlots: 3, goalSlots: { C: 2 } },
+    expectations: {
+      moves: [
+        { block: 'C', to: 'Table', slot: 2 },
+        { block: 'B', to: 'C' },
+        { block: 'A', to: 'B' }
+      ],
+      plannerOptionsUsed: { maxIterations: 2500, tableSlots: 3, goalSlots: { C: 2 } }
+    }
+  },
+  {
+    label: 'optimal strategy honours slot goals on a full table',
+    stacks: [['B', 'A'], ['D', 'C'], []],
+    goal: ['A', 'B', 'Table', 'C', 'D', 'Table'],
+    plannerOptions: { strategy: 'optimal', allowIntermediateTable: true, tableSlots: 3, goalSlots: { B: 2, D: 1 } },
+    expectations: {
+      movesLength: 7,
+      optimalityGap: { optimalMoves: 7, bdiMoves: 7, gap: 0, ratio: 1 }
+    }
+  },
+  {
+    label: 'optimal strategy reports unreachable goal on a two-slot table',
+    stacks: [['C', 'A'], ['B']],
+    goal: ['A', 'B', 'C'],
+    plannerOptions: { strategy: 'optimal', tableSlots: 2 },
+    expectFailure: true,
+    expectedErrorIncludes: 'No sequence of moves'
+  },
+  {
+    label: 'world larger than the table rejected',
+    stacks: [['A'], ['B'], ['C']],
+    goal: ['A', 'B'],
+    plannerOptions: { tableSlots: 2 },
+    expectFailure: true,
+    expectedErrorIncludes: 'only has 2 slots'
+  },
+  {
+    label: 'slot goals without table slots rejected',
+    stacks: [['A'], ['B']],
+    goal: ['A', 'B'],
+    plannerOptions: { goalSlots: { B: 1 } },
+    expectFailure: true,
+    expectedErrorIncludes: 'require tableSlots'
+  },
+  {
+    label: 'predicate goal works bottom-up through above()',
+    stacks: [['A', 'B', 'C', 'D']],
+    goal: 'on(D,C) and above(A,D)',
+    expectations: {
+      moves: [
+        { block: 'D', to: 'Table' },
+        { block: 'C', to: 'Table' },
+        { block: 'D', to: 'C' },
+        { block: 'B', to: 'Table' },
+        { block: 'A', to: 'D' }
+      ],
+      goalPredicates: { alternatives: ['on(D,C) and above(A,D)'], selectedAlternative: 0 }
+    }
+  },
+  {
+    label: 'disjunctive goal picks the cheaper alternative',
+    stacks: [['A', 'B', 'C']],
+    goal: 'on(C,A) or onTable(A) and clear(A)',
+    plannerOptions: { strategy: 'optimal' },
+    expectations: {
+      movesLength: 2,
+      optimalityGap: { optimalMoves: 2, bdiMoves: 2, gap: 0, ratio: 1 },
+      goalPredicates: { alternatives: ['on(C,A)', 'onTable(A) and clear(A)'], selectedAlternative: 1 }
+    }
+  },
+  {
+    label: 'predicate goal past a greedy dead end (negated on, negated onTable)',
+    stacks: [['B', 'C'], ['A']],
+    goal: 'not on(A,B) and on(B,A) and not onTable(C)',
+    expectations: {
+      moves: [
+        { block: 'C', to: 'Table' },
+        { block: 'B', to: 'A' },
+        { block: 'C', to: 'B' }
+      ]
+    }
+  },
+  {
+    label: 'predicate goal past a greedy dead end (negated clear)',
+    stacks: [['A'], ['C', 'B']],
+    goal: 'on(B,C) and not clear(A) and not onTable(C)',
+    expectations: {
+      moves: [
+        { block: 'B', to: 'Table' },
+        { block: 'C', to: 'A' },
+        { block: 'B', to: 'C' }
+      ]
+    }
+  },
+  {
+    label: 'predicate goal past a greedy dead end (above)',
+    stacks: [['D', 'E'], ['A', 'C', 'B']],
+    goal: 'on(E,A) and above(E,D) and on(C,B)',
+    expectations: { movesLength: 5 }
+  },
+  {
+    label: 'contradictory predicate goal rejected',
+    stacks: [['A', 'B']],
+    goal: 'on(A,B) and clear(B)',
+    expectFailure: true,
+    expectedErrorIncludes: 'Goal cannot be satisfied'
+  },
+  {
+    label: 'malformed predicate goal rejected',
+    stacks: [['A'], ['B']],
+    goal: 'under(A,B)',
+    expectFailure: true,
+    expectedErrorIncludes: 'Unknown goal predicate'
+  },
+  {
+    label: 'seeded failures are detected and recovered from',
+    stacks: [['C', 'B', 'A'], ['F', 'E', 'D']],
+    goal: ['A', 'D', 'B', 'E', 'C', 'F', 'Table'],
+    plannerOptions: { uncertainty: { graspFailureProbability: 0.3, dropProbability: 0.3, seed: 7 } },
+    expectations: {
+      movesLength: 22,
+      executionMonitoring: { failures: 13, recoveries: 13 },
+      plannerOptionsUsed: {
+        maxIterations: 2500,
+        uncertainty: { graspFailureProbability: 0.3, dropProbability: 0.3, seed: 7 }
+      }
+    }
+  },
+  {
+    label: 'uncertainty with the optimal strategy rejected',
+    stacks: [['A'], ['B']],
+    goal: ['A', 'B'],
+    plannerOptions: { strategy: 'optimal', uncertainty: { dropProbability: 0.2 } },
+    expectFailure: true,
+    expectedErrorIncludes: 'uncertainty applies to the "bdi" strategy only'
+  },
+  {
+    label: 'uncertainty with a predicate goal rejected',
+    stacks: [['A'], ['B']],
+    goal: 'on(A,B)',
+    plannerOptions: { uncertainty: { graspFailureProbability: 0.2 } },
+    expectFailure: true,
+    expectedErrorIncludes: 'uncertainty applies to tower goals only'
+  },
+  {
+    label: 'blind commitment wastes moves after seeded failures',
+    stacks: [['C', 'B', 'A'], ['F', 'E', 'D']],
+    goal: ['A', 'D', 'B', 'E', 'C', 'F', 'Table'],
+    plannerOptions: {
+      uncertainty: { graspFailureProbability: 0.3, dropProbability: 0.3, seed: 7 },
+      commitment: { strategy: 'blind' }
+    },
+    expectations: {
+      movesLength: 51,
+      executionMonitoring: { failures: 21, recoveries: 0 },
+      intentionReconsideration: { strategy: 'blind', reconsiderations: 11, wastedMoves: 33 }
+    }
+  },
+  {
+    label: 'single-minded commitment replans before impossible moves',
+    stacks: [['C', 'B', 'A'], ['F', 'E', 'D']],
+    goal: ['A', 'D', 'B', 'E', 'C', 'F', 'Table'],
+    plannerOptions: {
+      uncertainty: { graspFailureProbability: 0.3, dropProbability: 0.3, seed: 7 },
+      commitment: { strategy: 'single-minded' }
+    },
+    expectations: {
+      movesLength: 35,
+      intentionReconsideration: { strategy: 'single-minded', reconsiderations: 12, wastedMoves: 0 }
+    }
+  },
+  {
+    label: 'periodic commitment reconsiders every interval',
+    stacks: [['C', 'B', 'A'], ['F', 'E', 'D']],
+    goal: ['A', 'D', 'B', 'E', 'C', 'F', 'Table'],
+    plannerOptions: { commitment: { strategy: 'periodic', interval: 2 } },
+    expectations: {
+      intentionReconsideration: { strategy: 'periodic', interval: 2, reconsiderations: 5, wastedMoves: 0 }
+    }
+  },
+  {
+    label: 'reconsideration interval without periodic commitment rejected',
+    stacks: [['A'], ['B']],
+    goal: ['A', 'B'],
+    plannerOptions: { commitment: { strategy: 'blind', interval: 2 } },
+    expectFailure: true,
+    expectedErrorIncludes: 'interval applies to the "periodic" commitment strategy only'
   }
 ];
 
@@ -207,6 +519,36 @@ function validateOutcome(outcome, scenario) {
     `${label}: planner reported failure despite producing a plan`
   );
 
+  // Plans under uncertainty include moves that failed, so only deterministic plans must replay cleanly
+  // and explain every move by an open goal relation
+  if (!scenario.plannerOptions?.uncertainty) {
+    const replay = validatePlan({
+      stacks: scenario.stacks,
+      goal: scenario.goal,
+      moves: outcome.moves,
+      tableSlots: scenario.plannerOptions?.tableSlots
+    });
+    assert.equal(
+      replay.valid,
+      true,
+      `${label}: plan does not replay against the rules: ${JSON.stringify(replay.firstIllegalMove || replay.clashes[0] || replay)}`
+    );
+
+    const unexplained = explainPlan({
+      stacks: scenario.stacks,
+      goal: scenario.goal,
+      moves: outcome.moves,
+      tableSlots: outcome.plannerOptionsUsed?.tableSlots,
+      goalSlots: outcome.plannerOptionsUsed?.goalSlots,
+      alternative: outcome.goalPredicates?.selectedAlternative
+    }).find(explanation => explanation.kind === EXPLANATION_KINDS.UNRELATED);
+    assert.equal(
+      unexplained,
+      undefined,
+      `${label}: move ${unexplained?.step} (${unexplained?.block} -> ${unexplained?.to}) serves no open goal relation`
+    );
+  }
+
   if (typeof expectations.iterations === 'number') {
     assert.equal(
       outcome.iterations,
@@ -246,6 +588,13 @@ function validateOutcome(outcome, scenario) {
           `${label}: move ${idx + 1} expected destination ${expectedMove.to}, got ${actual.to}`
         );
       }
+      if (expectedMove.slot) {
+        assert.equal(
+          actual.slot,
+          expectedMove.slot,
+          `${label}: move ${idx + 1} expected table slot ${expectedMove.slot}, got ${actual.slot}`
+        );
+      }
     });
   }
 
@@ -296,6 +645,40 @@ function validateOutcome(outcome, scenario) {
     );
   }
 
+  if (expectations.optimalityGap) {
+    assert.deepEqual(
+      outcome.optimalityGap,
+      expectations.optimalityGap,
+      `${label}: optimality gap mismatch`
+    );
+  }
+
+  if (expectations.goalPredicates) {
+    assert.deepEqual(
+      outcome.goalPredicates,
+      expectations.goalPredicates,
+      `${label}: goal predicates mismatch`
+    );
+  }
+
+  if (expectations.executionMonitoring) {
+    const { failures, recoveries } = outcome.executionMonitoring || {};
+    assert.deepEqual(
+      { failures, recoveries },
+      expectations.executionMonitoring,
+      `${label}: execution monitoring counts mismatch`
+    );
+  }
+
+  if (expectations.intentionReconsideration) {
+    const { strategy, interval, reconsiderations, wastedMoves } = outcome.intentionReconsideration || {};
+    assert.deepEqual(
+      { strategy, ...(interval ? { interval } : {}), reconsiderations, wastedMoves },
+      expectations.intentionReconsideration,
+      `${label}: intention reconsideration counts mismatch`
+    );
+  }
+
   if (expectations.plannerOptionsUsed) {
     assert.deepEqual(
       outcome.plannerOptionsUsed,
@@ -8,14 +8,38 @@ const path = require('path');
 const jwt = require('jsonwebtoken');                  
 
 // Import utilities and models
-const { planBlocksWorld, PlanningError } = require('./bdi/blocksWorldAgent');
+const { planBlocksWorld, PlanningError, PLANNER_STRATEGIES } = require('./bdi/blocksWorldAgent');
+const { createSessionStore, MAX_CYCLES_PER_STEP } = require('./bdi/plannerSession');
+const { resolveBenchmarkSpec, runBenchmarkInWorker, benchmarkToCsv } = require('./bdi/benchmark');
+const { validatePlan } = require('./bdi/planValidator');
+const { explainPlan } = require('./bdi/planExplainer');
+const { ingestExternalPlan } = require('./bdi/externalPlan');
+const { BLOCKSWORLD_DOMAIN, createPddlHelpers } = require('./bdi/utils/pddl');
+const { normalizeBlockName } = require('./bdi/utils/blockNames');
+const { MAX_AGENT_COUNT, DEFAULT_AGENT_COUNT, agentNamesForCount } = require('./bdi/utils/agentIds');
+const { MIN_AGENT_SPEED, MAX_AGENT_SPEED } = require('./bdi/utils/agentCapabilities');
+const { MAX_FAILURE_PROBABILITY, MAX_SEED } = require('./bdi/utils/actionOutcomes');
+const { COMMITMENT_STRATEGIES, MAX_RECONSIDERATION_INTERVAL } = require('./bdi/utils/commitment');
+const { OBSERVATION_MODES, DEFAULT_SENSING_RANGE } = require('./bdi/utils/partialObservability');
+const { listResolutionStrategies } = require('./bdi/deliberation/ResolutionStrategies');
+const { TOWER_ALLOCATIONS, CONTRACT_TASK_TYPES } = require('./bdi/deliberation/ContractNetProtocol');
 const HttpError = require('./utils/httpError');
 const withRoute = require('./utils/routeHandler');
-const { ensureNonEmptyString, ensureArray, ensureObjectId } = require('./utils/validators');
+const {
+  ensureNonEmptyString,
+  ensureArray,
+  ensureObjectId,
+  validateStacksPayload,
+  validateGoalExpression
+} = require('./utils/validators');
+const { duplicateNameError, readExpectedRevision, createWorldRevisions } = require('./utils/worldRevisions');
+const { createRunRoutes } = require('./utils/runRoutes');
 const { connectDB } = require('./utils/database');
 const User = require('./models/User');
 const { ensureDefaultAdmin } = require('./models/User');   
 const World = require('./models/World');
+const Run = require('./models/Run');
+const WorldRevision = require('./models/WorldRevision');
 
 const { attachUser, requireAuth } = require('./utils/auth');      
 const adminRoutes = require('./utils/adminRoutes');  
@@ -220,7 +244,7 @@ const buildFrontendConfig = () => {
     isDevelopment: (process.env.NODE_ENV || 'development') !== 'production',
     AUTH: defaultAuth,
     ANIMATION_DURATION: 550,
-    MAX_BLOCKS: 26,
+    MAX_BLOCKS: 64,
     MAX_STACK_HEIGHT: 10,
     PLANNER: defaultPlanner,
     SIMULATION: defaultSimulation
@@ -231,8 +255,11 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const MONGODB_URI = resolveMongoUri();
 const JWT_SECRET = getJwtSecret();
-const BLOCK_NAME_REGEX = /^[A-Z]$/;
 const MAX_ITERATION_CAP = 5000;
+const MAX_TABLE_SLOTS = 64;
+const MAX_VALIDATED_MOVES = 5000;
+const PLANNER_STRATEGY_VALUES = Object.values(PLANNER_STRATEGIES);
+const { worldToPddlProblem, parsePddlProblem } = createPddlHelpers(PlanningError);
 
 const sanitizeColourMap = (input) => {
   if (!input || typeof input !== 'object') {
@@ -516,8 +543,8 @@ const sanitizeStatsSnapshot = (stats) => {
 const normalizeBlocksList = (blocks) => {
   return blocks.map((block, index) => {
     const normalized = ensureNonEmptyString(block, `Block at index ${index}`);
-    const upper = normalized.toUpperCase();
-    if (!BLOCK_NAME_REGEX.test(upper)) {
+    const upper = normalizeBlockName(normalized);
+    if (!upper) {
       throw new HttpError(400, `Invalid block name "${block}" in blocks list.`);
     }
     return upper;
@@ -534,11 +561,101 @@ const sanitizeMultiAgentSnapshot = (raw) => {
   };
 };
 
+const sanitizeTableSlots = (value) => {
+  if (value == null || value === '') {
+    return null;
+  }
+  const tableSlots = Number(value);
+  if (!Number.isInteger(tableSlots) || tableSlots < 1 || tableSlots > MAX_TABLE_SLOTS) {
+    throw new HttpError(400, `tableSlots must be a whole number between 1 and ${MAX_TABLE_SLOTS}.`);
+  }
+  return tableSlots;
+};
+
+const sanitizeGoalSlots = (goalSlots) => {
+  if (goalSlots == null) {
+    return null;
+  }
+  if (typeof goalSlots !== 'object' || Array.isArray(goalSlots)) {
+    throw new HttpError(400, 'goalSlots must map block names to slot numbers.');
+  }
+
+  return Object.entries(goalSlots).reduce((acc, [block, slot]) => {
+    const normalized = normalizeBlockName(block);
+    const slotNumber = Number(slot);
+    if (!normalized) {
+      throw new HttpError(400, `Invalid block name "${block}" in goalSlots.`);
+    }
+    if (!Number.isInteger(slotNumber) || slotNumber < 1) {
+      throw new HttpError(400, `Goal slot for "${normalized}" must be a positive whole number.`);
+    }
+    acc[normalized] = slotNumber;
+    return acc;
+  }, {});
+};
+
+// Failure probabilities for stochastic single-agent runs; the seed is optional
+const sanitizeUncertainty = (uncertainty) => {
+  if (uncertainty == null) {
+    return null;
+  }
+  if (typeof uncertainty !== 'object' || Array.isArray(uncertainty)) {
+    throw new HttpError(400, 'uncertainty must be an object with graspFailureProbability, dropProbability and seed.');
+  }
+
+  const sanitized = {};
+  ['graspFailureProbability', 'dropProbability'].forEach((field) => {
+    if (uncertainty[field] == null) {
+      return;
+    }
+    const probability = Number(uncertainty[field]);
+    if (!Number.isFinite(probability) || probability < 0 || probability > MAX_FAILURE_PROBABILITY) {
+      throw new HttpError(400, `${field} must be between 0 and ${MAX_FAILURE_PROBABILITY}.`);
+    }
+    sanitized[field] = probability;
+  });
+  if (uncertainty.seed != null) {
+    if (!Number.isInteger(uncertainty.seed) || uncertainty.seed < 0 || uncertainty.seed > MAX_SEED) {
+      throw new HttpError(400, `seed must be a whole number between 0 and ${MAX_SEED}.`);
+    }
+    sanitized.seed = uncertainty.seed;
+  }
+  return sanitized;
+};
+
+// How readily the single agent gives up its plan; the interval only applies to periodic reconsideration
+const COMMITMENT_STRATEGY_VALUES = Object.values(COMMITMENT_STRATEGIES);
+const sanitizeCommitment = (commitment) => {
+  if (commitment == null) {
+    return null;
+  }
+  if (typeof commitment !== 'object' || Array.isArray(commitment)) {
+    throw new HttpError(400, 'commitment must be an object with a strategy and, for periodic reconsideration, an interval.');
+  }
+
+  const strategy = typeof commitment.strategy === 'string' ? commitment.strategy.trim().toLowerCase() : '';
+  if (!COMMITMENT_STRATEGY_VALUES.includes(strategy)) {
+    throw new HttpError(400, `commitment.strategy must be one of: ${COMMITMENT_STRATEGY_VALUES.join(', ')}.`);
+  }
+  if (commitment.interval == null) {
+    return { strategy };
+  }
+  if (strategy !== COMMITMENT_STRATEGIES.PERIODIC) {
+    throw new HttpError(400, 'commitment.interval applies to the periodic strategy only.');
+  }
+  if (!Number.isInteger(commitment.interval) || commitment.interval < 1 || commitment.interval > MAX_RECONSIDERATION_INTERVAL) {
+    throw new HttpError(400, `commitment.interval must be a whole number between 1 and ${MAX_RECONSIDERATION_INTERVAL}.`);
+  }
+  return { strategy, interval: commitment.interval };
+};
+
 const sanitizeWorldPayload = (raw = {}) => {
   const {
     name,
     blocks,
     stacks,
+    tableSlots,
+    goal,
     colours,
     colors,
     timeline,
@@ -549,11 +666,19 @@ const sanitizeWorldPayload = (raw = {}) => {
   const normalizedName = ensureNonEmptyString(name, 'Valid world name');
   const blocksArray = ensureArray(blocks, 'Blocks');
   const stacksArray = ensureArray(stacks, 'Stacks');
+  const validatedStacks = validateStacksPayload(stacksArray);
+  const normalizedTableSlots = sanitizeTableSlots(tableSlots);
+
+  if (normalizedTableSlots && validatedStacks.length > normalizedTableSlots) {
+    throw new HttpError(400, `World has ${validatedStacks.length} stack positions but only ${normalizedTableSlots} table slots.`);
+  }
 
   return {
     name: normalizedName,
     blocks: normalizeBlocksList(blocksArray),
-    stacks: validateStacksPayload(stacksArray).map(stack => [...stack]),
+    stacks: validatedStacks.map(stack => [...stack]),
+    tableSlots: normalizedTableSlots,
+    goal: typeof goal === 'string' && goal.trim().length === 0 ? null : validateGoalExpression(goal),
     colours: sanitizeColourMap(colours ?? colors),
     timeline: sanitizeTimelineSnapshot(timeline),
     stats: sanitizeStatsSnapshot(stats),
@@ -561,26 +686,6 @@ const sanitizeWorldPayload = (raw = {}) => {
   };
 };
 
-const validateStacksPayload = (stacks) => {
-  if (!Array.isArray(stacks)) {
-    throw new HttpError(400, 'Stacks must be an array of arrays.');
-  }
-
-  stacks.forEach((stack, stackIndex) => {
-    if (!Array.isArray(stack)) {
-      throw new HttpError(400, `Stack at index ${stackIndex} must be an array.`);
-    }
-
-    stack.forEach((block, blockIndex) => {
-      if (typeof block !== 'string' || !BLOCK_NAME_REGEX.test(block)) {
-        throw new HttpError(400, `Invalid block name at stack ${stackIndex}, position ${blockIndex}.`);
-      }
-    });
-  });
-
-  return stacks;
-};
-
 const validateGoalChain = (goalChain) => {
   if (goalChain == null) {
     return goalChain;
@@ -591,10 +696,14 @@ const validateGoalChain = (goalChain) => {
   }
 
   return goalChain.map((item, index) => {
-    if (typeof item !== 'string' || (!BLOCK_NAME_REGEX.test(item) && item !== 'Table')) {
+    if (item === 'Table') {
+      return item;
+    }
+    const normalized = normalizeBlockName(item);
+    if (!normalized) {
       throw new HttpError(400, `Invalid goal entry at position ${index}.`);
     }
-    return item;
+    return normalized;
   });
 };
 
@@ -624,6 +733,36 @@ const sanitizePlannerOptions = (options = {}) => {
     }
     sanitized.maxIterations = Math.min(Math.floor(maxIterations), MAX_ITERATION_CAP);
   }
+  if (options.strategy !== undefined) {
+    const strategy = typeof options.strategy === 'string' ? options.strategy.trim().toLowerCase() : '';
+    if (!PLANNER_STRATEGY_VALUES.includes(strategy)) {
+      throw new HttpError(400, `strategy must be one of: ${PLANNER_STRATEGY_VALUES.join(', ')}.`);
+    }
+    sanitized.strategy = strategy;
+  }
+  if (options.maxExpansions !== undefined) {
+    const maxExpansions = Number(options.maxExpansions);
+    if (!Number.isFinite(maxExpansions) || maxExpansions <= 0) {
+      throw new HttpError(400, 'maxExpansions must be a positive number.');
+    }
+    sanitized.maxExpansions = Math.floor(maxExpansions);
+  }
+  const tableSlots = sanitizeTableSlots(options.tableSlots);
+  if (tableSlots) {
+    sanitized.tableSlots = tableSlots;
+  }
+  const goalSlots = sanitizeGoalSlots(options.goalSlots);
+  if (goalSlots) {
+    sanitized.goalSlots = goalSlots;
+  }
+  const uncertainty = sanitizeUncertainty(options.uncertainty);
+  if (uncertainty) {
+    sanitized.uncertainty = uncertainty;
+  }
+  const commitment = sanitizeCommitment(options.commitment);
+  if (commitment) {
+    sanitized.commitment = commitment;
+  }
   return sanitized;
 };
 
@@ -646,12 +785,29 @@ app.use(attachUser);
 connectDB(MONGODB_URI);
 
 // ------------------ Worlds Routes ------------------
+const {
+  recordWorldRevision,
+  saveWorldRevision,
+  listWorldRevisions,
+  restoreWorldRevision
+} = createWorldRevisions({ World, WorldRevision });
+
+const findOwnWorldDoc = async (req) => {
+  const worldId = ensureObjectId(req.params.id, 'World ID');
+  const world = await World.findOne({ _id: worldId, user: req.user._id });
+  if (!world) throw new HttpError(404, 'World not found or access denied');
+  return world;
+};
+
+// The revision doubles as the world's ETag, so clients can send it back in If-Match
+const sendWorld = (res, world) => res.set('ETag', `"${world.revision}"`).json(world);
+
 app.post('/worlds', requireAuth, withRoute(async (req, res) => {
   const sanitizedPayload = sanitizeWorldPayload(req.body || {});
 
   const existing = await World.findOne({ user: req.user._id, name: sanitizedPayload.name });
   if (existing) {
-    throw new HttpError(409, `World name "${sanitizedPayload.name}" already exists. Choose a different name.`);
+    throw duplicateNameError(sanitizedPayload.name);
   }
 
   try {
@@ -659,11 +815,12 @@ app.post('/worlds', requireAuth, withRoute(async (req, res) => {
       ...sanitizedPayload,
       user: req.user._id
     });
+    await recordWorldRevision(world);
 
-    res.status(201).json(world);
+    sendWorld(res.status(201), world);
   } catch (error) {
     if (error && error.code === 11000) {
-      throw new HttpError(409, `World name "${sanitizedPayload.name}" already exists. Choose a different name.`);
+      throw duplicateNameError(sanitizedPayload.name);
     }
     throw error;
   }
@@ -680,7 +837,44 @@ app.get('/worlds/:id', requireAuth, withRoute(async (req, res) => {
   const doc = await World.findOne({ _id: worldId, user: req.user._id });
   if (!doc) throw new HttpError(404, 'World not found or access denied');
 
-  res.json(doc);
+  sendWorld(res, doc);
+}));
+
+// Replaces the world's content with the body (same shape as POST /worlds) as a new revision
+app.put('/worlds/:id', requireAuth, withRoute(async (req, res) => {
+  const sanitizedPayload = sanitizeWorldPayload(req.body || {});
+  const expectedRevision = readExpectedRevision(req);
+  const world = await findOwnWorldDoc(req);
+  sendWorld(res, await saveWorldRevision(world, sanitizedPayload, { expectedRevision }));
+}));
+
+// Newest first; the timeline and stats snapshots stay out of the list
+app.get('/worlds/:id/revisions', requireAuth, withRoute(async (req, res) => {
+  const world = await findOwnWorldDoc(req);
+  res.json(await listWorldRevisions(world));
+}));
+
+// Restoring never rewrites history: the old content comes back as the next revision
+app.post('/worlds/:id/revisions/:revision/restore', requireAuth, withRoute(async (req, res) => {
+  const expectedRevision = readExpectedRevision(req);
+  const world = await findOwnWorldDoc(req);
+  sendWorld(res, await restoreWorldRevision(world, Number(req.params.revision), { expectedRevision }));
+}));
+
+// Saved world and goal as a problem for the standard blocksworld domain; ?goal= overrides the saved goal
+app.get('/worlds/:id/pddl', requireAuth, withRoute(async (req, res) => {
+  const worldId = ensureObjectId(req.params.id, 'World ID');
+  const goal = validateGoalExpression(req.query.goal);
+
+  const doc = await World.findOne({ _id: worldId, user: req.user._id });
+  if (!doc) throw new HttpError(404, 'World not found or access denied');
+
+  const problem = worldToPddlProblem({
+    name: doc.name,
+    stacks: doc.stacks.map(stack => [...stack]),
+    goal: goal ?? doc.goal
+  });
+  res.attachment(`${doc.name}.pddl`).type('text/plain').send(problem);
 }));
 
 app.delete('/worlds/:id', requireAuth, withRoute(async (req, res) => {
@@ -690,10 +884,15 @@ app.delete('/worlds/:id', requireAuth, withRoute(async (req, res) => {
   if (!deleted) {
     throw new HttpError(404, 'World not found or access denied');
   }
+  await Run.deleteMany({ world: worldId, user: req.user._id });
+  await WorldRevision.deleteMany({ world: worldId, user: req.user._id });
 
   res.json({ message: `World "${deleted.name}" deleted successfully.` });
 }));
 
+// ------------------ Run History ------------------
+app.use('/worlds/:id/runs', requireAuth, createRunRoutes({ World, Run }));
+
 // ------------------ User Auth ------------------
 
 // Signup route
@@ -862,29 +1061,293 @@ app.patch('/users/me', requireAuth, withRoute(async (req, res) => {
   });
 }));
 // ------------------ Planning ------------------
-app.post('/plan', requireAuth, withRoute((req, res) => {
-  const { stacks, goalChain, plannerOptions, options } = req.body || {};
+// Shared by /plan and /sessions: stacks plus either a goal chain or a predicate goal
+const validatePlanRequest = (body = {}) => {
+  const { stacks, goalChain, goal, plannerOptions, options } = body;
 
-  const validatedStacks = validateStacksPayload(stacks);
-  const validatedGoalChain = validateGoalChain(goalChain);
-  const mergedOptions = sanitizePlannerOptions({ ...options, ...plannerOptions });
-  const plan = planBlocksWorld(validatedStacks, validatedGoalChain, mergedOptions);
+  if (goal != null && goalChain != null) {
+    throw new HttpError(400, 'Send either goalChain or goal, not both.');
+  }
+
+  // `explain` shapes the response only, so it stays out of the planner options
+  const { explain = false, ...mergedOptions } = { ...options, ...plannerOptions };
+  if (typeof explain !== 'boolean') {
+    throw new HttpError(400, 'explain must be true or false.');
+  }
+
+  const validatedGoalExpression = validateGoalExpression(goal);
+  return {
+    stacks: validateStacksPayload(stacks),
+    goal: validatedGoalExpression ?? validateGoalChain(goalChain),
+    options: sanitizePlannerOptions(mergedOptions),
+    explain
+  };
+};
+
+app.post('/plan', requireAuth, withRoute((req, res) => {
+  const { stacks, goal, options, explain } = validatePlanRequest(req.body || {});
+  const plan = planBlocksWorld(stacks, goal, options);
+  const explanations = explain
+    ? explainPlan({
+      stacks,
+      goal,
+      moves: plan.moves,
+      tableSlots: plan.plannerOptionsUsed?.tableSlots,
+      goalSlots: plan.plannerOptionsUsed?.goalSlots,
+      alternative: plan.goalPredicates?.selectedAlternative
+    })
+    : null;
 
   res.json({
-    moves: plan.moves,
+    moves: explanations
+      ? plan.moves.map((move, index) => ({ ...move, explanation: explanations[index] }))
+      : plan.moves,
     iterations: plan.iterations,
     goalAchieved: plan.goalAchieved,
     relationsResolved: plan.relationsResolved,
     agentCount: plan.agentCount,
     intentionLog: plan.intentionLog || [],
     beliefs: plan.beliefs || null,
-    plannerOptionsUsed: plan.plannerOptionsUsed || null
+    plannerOptionsUsed: plan.plannerOptionsUsed || null,
+    ...(plan.optimalityGap ? { optimalityGap: plan.optimalityGap } : {}),
+    ...(plan.searchStatistics ? { searchStatistics: plan.searchStatistics } : {}),
+    ...(plan.goalPredicates ? { goalPredicates: plan.goalPredicates } : {}),
+    ...(plan.executionMonitoring ? { executionMonitoring: plan.executionMonitoring } : {}),
+    ...(plan.intentionReconsideration ? { intentionReconsideration: plan.intentionReconsideration } : {})
   });
 }));
 
+// ------------------ Planning Sessions ------------------
+// Step the single-agent planner one BDI cycle at a time; sessions are held in memory per user
+const plannerSessions = createSessionStore();
+const sessionOwner = req => req.user._id.toString();
+
+const validateStepCount = (cycles) => {
+  if (cycles == null) {
+    return 1;
+  }
+  if (!Number.isInteger(cycles) || cycles < 1 || cycles > MAX_CYCLES_PER_STEP) {
+    throw new HttpError(400, `cycles must be a whole number between 1 and ${MAX_CYCLES_PER_STEP}.`);
+  }
+  return cycles;
+};
+
+const validateInjectedMove = (body = {}) => {
+  const block = normalizeBlockName(body.block);
+  if (!block) {
+    throw new HttpError(400, 'Move block must be a valid block name.');
+  }
+
+  const rawDestination = typeof body.to === 'string' ? body.to.trim() : '';
+  const to = rawDestination.toUpperCase() === 'TABLE' ? 'Table' : normalizeBlockName(rawDestination);
+  if (!to) {
+    throw new HttpError(400, 'Move destination must be "Table" or a valid block name.');
+  }
+
+  if (body.slot == null) {
+    return { block, to };
+  }
+  if (to !== 'Table' || !Number.isInteger(body.slot) || body.slot < 1 || body.slot > MAX_TABLE_SLOTS) {
+    throw new HttpError(400, `slot applies to table moves and must be between 1 and ${MAX_TABLE_SLOTS}.`);
+  }
+  return { block, to, slot: body.slot };
+};
+
+app.post('/sessions', requireAuth, withRoute((req, res) => {
+  const { stacks, goal, options } = validatePlanRequest(req.body || {});
+  const session = plannerSessions.create(sessionOwner(req), stacks, goal, options);
+  res.status(201).json(session.getState());
+}));
+
+app.get('/sessions/:id/state', requireAuth, withRoute((req, res) => {
+  res.json(plannerSessions.get(sessionOwner(req), req.params.id).getState());
+}));
+
+// Why the agent made its moves so far; `?step=n` explains the n-th move only
+app.get('/sessions/:id/explain', requireAuth, withRoute((req, res) => {
+  const session = plannerSessions.get(sessionOwner(req), req.params.id);
+  if (req.query.step == null) {
+    res.json({ explanations: session.explain() });
+    return;
+  }
+  if (!/^\d+$/.test(String(req.query.step)) || Number(req.query.step) < 1) {
+    throw new HttpError(400, 'step must be a whole number of at least 1.');
+  }
+  res.json(session.explain(Number(req.query.step)));
+}));
+
+app.post('/sessions/:id/step', requireAuth, withRoute((req, res) => {
+  const cycles = validateStepCount(req.body?.cycles);
+  res.json(plannerSessions.get(sessionOwner(req), req.params.id).step(cycles));
+}));
+
+app.post('/sessions/:id/pause', requireAuth, withRoute((req, res) => {
+  res.json(plannerSessions.get(sessionOwner(req), req.params.id).pause());
+}));
+
+app.post('/sessions/:id/resume', requireAuth, withRoute((req, res) => {
+  res.json(plannerSessions.get(sessionOwner(req), req.params.id).resume());
+}));
+
+app.post('/sessions/:id/inject-move', requireAuth, withRoute((req, res) => {
+  const move = validateInjectedMove(req.body || {});
+  res.json(plannerSessions.get(sessionOwner(req), req.params.id).injectMove(move));
+}));
+
+app.delete('/sessions/:id', requireAuth, withRoute((req, res) => {
+  plannerSessions.remove(sessionOwner(req), req.params.id);
+  res.json({ message: 'Planner session deleted.' });
+}));
+
 // ------------------ Multi-Agent Planning ------------------
-app.post('/multi-agent-plan', requireAuth, withRoute(async (req, res) => {
-  const { stacks, goalChain, goalChains, options = {} } = req.body || {};
+const validateAgentCount = (agentCount) => {
+  if (agentCount == null) {
+    return DEFAULT_AGENT_COUNT;
+  }
+  if (!Number.isInteger(agentCount) || agentCount < 1 || agentCount > MAX_AGENT_COUNT) {
+    throw new HttpError(400, `agentCount must be a whole number between 1 and ${MAX_AGENT_COUNT}.`);
+  }
+  return agentCount;
+};
+
+const validateResolutionStrategy = (resolution) => {
+  if (resolution == null) {
+    return null;
+  }
+  const strategies = listResolutionStrategies();
+  const normalized = typeof resolution === 'string' ? resolution.trim().toLowerCase() : '';
+  if (!strategies.includes(normalized)) {
+    throw new HttpError(400, `resolution must be one of: ${strategies.join(', ')}.`);
+  }
+  return normalized;
+};
+
+const validateTowerAllocation = (allocation, contractTasks) => {
+  const allocations = Object.values(TOWER_ALLOCATIONS);
+  const taskTypes = Object.values(CONTRACT_TASK_TYPES);
+  const normalizedAllocation = allocation == null ? TOWER_ALLOCATIONS.ROUND_ROBIN : allocation;
+  if (!allocations.includes(normalizedAllocation)) {
+    throw new HttpError(400, `allocation must be one of: ${allocations.join(', ')}.`);
+  }
+  if (contractTasks == null) {
+    return { allocation: normalizedAllocation, contractTasks: null };
+  }
+  if (normalizedAllocation !== TOWER_ALLOCATIONS.CONTRACT_NET) {
+    throw new HttpError(400, 'contractTasks requires allocation "contract-net".');
+  }
+  if (!taskTypes.includes(contractTasks)) {
+    throw new HttpError(400, `contractTasks must be one of: ${taskTypes.join(', ')}.`);
+  }
+  return { allocation: normalizedAllocation, contractTasks };
+};
+
+const CAPABILITY_FIELDS = ['reach', 'maxLiftHeight', 'forbiddenBlocks', 'speed'];
+
+// Capability profiles are keyed by agent ("Agent-B", "agent-b" or "B") and limited to the team
+const sanitizeCapabilities = (capabilities, agentCount) => {
+  if (capabilities == null) {
+    return null;
+  }
+  if (typeof capabilities !== 'object' || Array.isArray(capabilities)) {
+    throw new HttpError(400, 'capabilities must map agent names to capability profiles.');
+  }
+
+  const teamNames = agentNamesForCount(agentCount);
+  return Object.entries(capabilities).reduce((acc, [key, profile]) => {
+    const requested = String(key).trim().toLowerCase();
+    const agentName = teamNames.find(name => name.toLowerCase() === requested || name.slice(-1).toLowerCase() === requested);
+    if (!agentName) {
+      throw new HttpError(400, `capabilities names unknown agent "${key}"; the team is ${teamNames.join(', ')}.`);
+    }
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new HttpError(400, `Capability profile for ${agentName} must be an object.`);
+    }
+    const unknownField = Object.keys(profile).find(field => !CAPABILITY_FIELDS.includes(field));
+    if (unknownField) {
+      throw new HttpError(400, `Unknown capability "${unknownField}" for ${agentName}; use ${CAPABILITY_FIELDS.join(', ')}.`);
+    }
+
+    const sanitized = {};
+    if (profile.reach !== undefined) {
+      const reach = Array.isArray(profile.reach) ? profile.reach.map(Number) : [];
+      if (reach.length === 0 || reach.some(column => !Number.isInteger(column) || column < 1 || column > MAX_TABLE_SLOTS)) {
+        throw new HttpError(400, `reach for ${agentName} must list table columns between 1 and ${MAX_TABLE_SLOTS}.`);
+      }
+      sanitized.reach = Array.from(new Set(reach)).sort((a, b) => a - b);
+    }
+    if (profile.maxLiftHeight !== undefined) {
+      const maxLiftHeight = Number(profile.maxLiftHeight);
+      if (!Number.isInteger(maxLiftHeight) || maxLiftHeight < 1) {
+        throw new HttpError(400, `maxLiftHeight for ${agentName} must be a positive whole number.`);
+      }
+      sanitized.maxLiftHeight = maxLiftHeight;
+    }
+    if (profile.forbiddenBlocks !== undefined) {
+      const forbiddenBlocks = ensureArray(profile.forbiddenBlocks, `forbiddenBlocks for ${agentName}`).map(block => {
+        const normalized = normalizeBlockName(block);
+        if (!normalized) {
+          throw new HttpError(400, `Invalid block name "${block}" in forbiddenBlocks for ${agentName}.`);
+        }
+        return normalized;
+      });
+      sanitized.forbiddenBlocks = Array.from(new Set(forbiddenBlocks));
+    }
+    if (profile.speed !== undefined) {
+      const speed = Number(profile.speed);
+      if (!Number.isFinite(speed) || speed < MIN_AGENT_SPEED || speed > MAX_AGENT_SPEED) {
+        throw new HttpError(400, `speed for ${agentName} must be between ${MIN_AGENT_SPEED} and ${MAX_AGENT_SPEED}.`);
+      }
+      sanitized.speed = speed;
+    }
+
+    acc[agentName] = sanitized;
+    return acc;
+  }, {});
+};
+
+const OBSERVABILITY_FIELDS = ['mode', 'range', 'shareBeliefs'];
+
+// Full observability (the default) is sent as null or mode "full"
+const sanitizeObservability = (observability) => {
+  if (observability == null || observability.mode === 'full') {
+    return null;
+  }
+  if (typeof observability !== 'object' || Array.isArray(observability)) {
+    throw new HttpError(400, 'observability must be an object with mode, range and shareBeliefs.');
+  }
+  const unknownField = Object.keys(observability).find(field => !OBSERVABILITY_FIELDS.includes(field));
+  if (unknownField) {
+    throw new HttpError(400, `Unknown observability option "${unknownField}"; use ${OBSERVABILITY_FIELDS.join(', ')}.`);
+  }
+
+  const modes = Object.values(OBSERVATION_MODES);
+  if (!modes.includes(observability.mode)) {
+    throw new HttpError(400, `observability.mode must be one of: full, ${modes.join(', ')}.`);
+  }
+  if (observability.shareBeliefs != null && typeof observability.shareBeliefs !== 'boolean') {
+    throw new HttpError(400, 'observability.shareBeliefs must be true or false.');
+  }
+  const sanitized = { mode: observability.mode, shareBeliefs: observability.shareBeliefs !== false };
+
+  if (observability.mode === OBSERVATION_MODES.RANGE) {
+    const range = observability.range == null ? DEFAULT_SENSING_RANGE : Number(observability.range);
+    if (!Number.isInteger(range) || range < 0 || range > MAX_TABLE_SLOTS) {
+      throw new HttpError(400, `observability.range must be a whole number between 0 and ${MAX_TABLE_SLOTS}.`);
+    }
+    sanitized.range = range;
+  } else if (observability.range != null) {
+    throw new HttpError(400, 'observability.range only applies to mode "range".');
+  }
+  return sanitized;
+};
+
+// Shared by /multi-agent-plan and its streaming variant
+const validateMultiAgentRequest = (body = {}) => {
+  const { stacks, goalChain, goalChains, goal, options = {} } = body;
+
+  if (goal != null) {
+    throw new HttpError(400, 'Predicate goals are planned by the single-agent planner; send them to /plan.');
+  }
 
   const validatedStacks = validateStacksPayload(stacks);
   const validatedGoalChainSet = validateGoalChainSet(goalChains);
@@ -903,20 +1366,47 @@ app.post('/multi-agent-plan', requireAuth, withRoute(async (req, res) => {
     deliberationTimeout = 5000,
     enableNegotiation = true
   } = options;
+  const { tableSlots, goalSlots } = sanitizePlannerOptions({
+    tableSlots: options.tableSlots,
+    goalSlots: options.goalSlots
+  });
+  const agentCount = validateAgentCount(options.agentCount);
+  const resolution = validateResolutionStrategy(options.resolution);
+  const { allocation, contractTasks } = validateTowerAllocation(options.allocation, options.contractTasks);
+  const capabilities = sanitizeCapabilities(options.capabilities, agentCount);
+  const observability = sanitizeObservability(options.observability);
+
+  return {
+    stacks: validatedStacks,
+    goal: plannerGoalInput,
+    plannerOptions: {
+      maxIterations,
+      deliberationTimeout,
+      enableNegotiation,
+      tableSlots,
+      goalSlots,
+      agentCount,
+      resolution,
+      allocation,
+      contractTasks,
+      capabilities,
+      observability
+    }
+  };
+};
+
+app.post('/multi-agent-plan', requireAuth, withRoute(async (req, res) => {
+  const { stacks, goal, plannerOptions } = validateMultiAgentRequest(req.body || {});
 
   // Use TRUE multi-agent BDI approach:
-  // Two independent agents with separate beliefs/desires/intentions, deliberate through negotiation protocol
+  // Independent agents with separate beliefs/desires/intentions, deliberate through negotiation protocol
   const { trueBDIPlan } = require('./bdi/multiAgentEnvironment');
   console.log('[API] /multi-agent-plan called (TRUE BDI)');
-  console.log('[API] Stacks payload:', JSON.stringify(validatedStacks));
-  console.log('[API] Goal chain payload:', JSON.stringify(plannerGoalInput));
-  console.log('[API] Options:', { maxIterations, deliberationTimeout, enableNegotiation });
+  console.log('[API] Stacks payload:', JSON.stringify(stacks));
+  console.log('[API] Goal chain payload:', JSON.stringify(goal));
+  console.log('[API] Options:', plannerOptions);
   
-  const result = await trueBDIPlan(
-    validatedStacks,
-    plannerGoalInput,
-    { maxIterations, deliberationTimeout, enableNegotiation }
-  );
+  const result = await trueBDIPlan(stacks, goal, plannerOptions);
 
   res.json({
     success: Boolean(result?.goalAchieved),
@@ -924,6 +1414,194 @@ app.post('/multi-agent-plan', requireAuth, withRoute(async (req, res) => {
   });
 }));
 
+// Same planner reported as Server-Sent Events: a "cycle" event per deliberation cycle
+// (proposals, conflicts, negotiations, committed moves), then "result" or "error"
+app.post('/multi-agent-plan/stream', requireAuth, withRoute(async (req, res) => {
+  const { stacks, goal, plannerOptions } = validateMultiAgentRequest(req.body || {});
+  const { trueBDIPlan } = require('./bdi/multiAgentEnvironment');
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const disconnect = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      disconnect.abort();
+    }
+  });
+
+  try {
+    const result = await trueBDIPlan(stacks, goal, {
+      ...plannerOptions,
+      onCycle: cycle => sendEvent('cycle', cycle),
+      signal: disconnect.signal
+    });
+    sendEvent('result', { success: Boolean(result?.goalAchieved), ...result });
+  } catch (error) {
+    if (typeof error?.status !== 'number') {
+      console.error('Streaming multi-agent planner error:', error);
+    }
+    sendEvent('error', {
+      status: typeof error?.status === 'number' ? error.status : 500,
+      message: typeof error?.status === 'number' ? error.message : 'Server error'
+    });
+  }
+  res.end();
+}));
+
+// ------------------ PDDL ------------------
+app.get('/pddl/domain', (req, res) => {
+  res.attachment('blocksworld-domain.pddl').type('text/plain').send(BLOCKSWORLD_DOMAIN);
+});
+
+// Converts a problem file into world fields (name, blocks, stacks, goal); nothing is saved
+app.post('/pddl/parse', requireAuth, withRoute((req, res) => {
+  res.json(parsePddlProblem(req.body?.text));
+}));
+
+// ------------------ Plan Validation ------------------
+// Moves keep their actor and cycle so multi-agent plans can be checked for clashes
+const validateSubmittedMove = (move, label) => {
+  if (!move || typeof move !== 'object') {
+    throw new HttpError(400, `${label} must be an object with block and to.`);
+  }
+  let validated;
+  try {
+    validated = validateInjectedMove(move);
+  } catch (error) {
+    throw new HttpError(400, `${label}: ${error.message}`);
+  }
+  if (move.actor != null) {
+    if (typeof move.actor !== 'string' || move.actor.trim().length === 0) {
+      throw new HttpError(400, `${label}: actor must be a non-empty string.`);
+    }
+    validated.actor = move.actor.trim();
+  }
+  if (move.cycle != null) {
+    if (!Number.isInteger(move.cycle) || move.cycle < 1) {
+      throw new HttpError(400, `${label}: cycle must be a positive whole number.`);
+    }
+    validated.cycle = move.cycle;
+  }
+  return validated;
+};
+
+const validatePlanValidationRequest = (body = {}) => {
+  const { stacks, goalChain, goalChains, goal, moves, options = {} } = body;
+
+  const goalCount = [goalChain, goalChains, goal].filter(value => value != null).length;
+  if (goalCount !== 1) {
+    throw new HttpError(400, 'Send exactly one of goalChain, goalChains or goal.');
+  }
+  if (!Array.isArray(moves)) {
+    throw new HttpError(400, 'moves must be an array of moves or of { cycle, moves } entries.');
+  }
+
+  let moveCount = 0;
+  const validatedMoves = moves.map((entry, index) => {
+    if (!Array.isArray(entry?.moves)) {
+      moveCount += 1;
+      return validateSubmittedMove(entry, `moves[${index}]`);
+    }
+    if (entry.cycle != null && (!Number.isInteger(entry.cycle) || entry.cycle < 1)) {
+      throw new HttpError(400, `moves[${index}].cycle must be a positive whole number.`);
+    }
+    moveCount += entry.moves.length;
+    return {
+      cycle: entry.cycle ?? index + 1,
+      moves: entry.moves.map((move, moveIndex) => validateSubmittedMove(move, `moves[${index}].moves[${moveIndex}]`))
+    };
+  });
+  if (moveCount > MAX_VALIDATED_MOVES) {
+    throw new HttpError(400, `Plans are limited to ${MAX_VALIDATED_MOVES} moves.`);
+  }
+
+  return {
+    stacks: validateStacksPayload(stacks),
+    goal: validateGoalExpression(goal) ?? validateGoalChainSet(goalChains) ?? validateGoalChain(goalChain),
+    moves: validatedMoves,
+    tableSlots: sanitizeTableSlots(options.tableSlots)
+  };
+};
+
+// Replays a submitted plan against the rules; the planner is never consulted
+app.post('/plans/validate', requireAuth, withRoute((req, res) => {
+  res.json(validatePlan(validatePlanValidationRequest(req.body || {})));
+}));
+
+// A PDDL plan from an external planner, checked against the world and returned as a playable plan
+app.post('/plans/external', requireAuth, withRoute((req, res) => {
+  const { stacks, plan, goalChain, goalChains, goal, options = {} } = req.body || {};
+  if ([goalChain, goalChains, goal].filter(value => value != null).length > 1) {
+    throw new HttpError(400, 'Send at most one of goalChain, goalChains or goal.');
+  }
+
+  res.json(ingestExternalPlan({
+    stacks: validateStacksPayload(stacks),
+    plan,
+    goal: validateGoalExpression(goal) ?? validateGoalChainSet(goalChains) ?? validateGoalChain(goalChain) ?? null,
+    tableSlots: sanitizeTableSlots(options.tableSlots)
+  }));
+}));
+
+// ------------------ Benchmarks ------------------
+// Generated problems through several planners as Server-Sent Events: a "run" event
+// per planner run, then "summary" (per-planner means and the CSV export) or "error".
+// The planners run on a worker thread, which is stopped when the client disconnects.
+app.post('/benchmarks/stream', requireAuth, withRoute(async (req, res) => {
+  const spec = resolveBenchmarkSpec(req.body || {});
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const disconnect = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      disconnect.abort();
+    }
+  });
+
+  try {
+    const report = await runBenchmarkInWorker(spec, {
+      onResult: result => sendEvent('run', result),
+      signal: disconnect.signal
+    });
+    sendEvent('summary', {
+      spec: report.spec,
+      problems: report.problems,
+      summary: report.summary,
+      csv: benchmarkToCsv(report.results)
+    });
+  } catch (error) {
+    if (!disconnect.signal.aborted) {
+      if (typeof error?.status !== 'number') {
+        console.error('Benchmark error:', error);
+      }
+      sendEvent('error', {
+        status: typeof error?.status === 'number' ? error.status : 500,
+        message: typeof error?.status === 'number' ? error.message : 'Server error'
+      });
+    }
+  }
+  res.end();
+}));
+
 // ------------------ Health ------------------
 app.get('/health', (req, res) => {
   const healthcheck = {
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { once } = require('events');
+const { Worker } = require('worker_threads');
+
+const {
+  BENCHMARK_LIMITS,
+  resolveBenchmarkSpec,
+  runBenchmark,
+  runBenchmarkInWorker,
+  benchmarkToCsv
+} = require('../bdi/benchmark');
+const { withPlannerLogging } = require('../bdi-plan');
+
+const SPEC = { blocks: 7, stacks: 3, towers: 2, instances: 3, seed: 5, planners: ['bdi', 'optimal', 'multi-agent'] };
+
+const withoutTimes = results => results.map(({ wallTimeMs, ...result }) => result);
+
+test('resolveBenchmarkSpec fills defaults and rejects bad counts and planners', () => {
+  assert.deepEqual(resolveBenchmarkSpec({}), {
+    blocks: 6, stacks: 3, towers: 1, instances: 5, seed: 1, planners: ['bdi', 'multi-agent', 'multi-agent-no-negotiation']
+  });
+  assert.equal(resolveBenchmarkSpec({ blocks: BENCHMARK_LIMITS.MAX_BLOCKS, stacks: 4 }).blocks, 64);
+
+  const rejects = (raw, fragment) => assert.throws(() => resolveBenchmarkSpec(raw), (error) => {
+    assert.equal(error.status, 400);
+    assert.match(error.message, fragment);
+    return true;
+  });
+  rejects({ blocks: BENCHMARK_LIMITS.MAX_BLOCKS + 1 }, /blocks must be a whole number between 2 and 64/);
+  rejects({ blocks: 6, stacks: 7 }, /stacks must be/);
+  rejects({ blocks: 6, towers: 4 }, /towers must be/);
+  rejects({ instances: 0 }, /instances must be/);
+  rejects({ planners: [] }, /non-empty list/);
+  rejects({ planners: ['bdi', 'greedy'] }, /Unknown benchmark planner "greedy"/);
+});
+
+test('runBenchmark runs every planner on every problem and summarises the runs', async () => {
+  const streamed = [];
+  const report = await withPlannerLogging(false, () => runBenchmark(SPEC, { onResult: result => streamed.push(result) }));
+
+  assert.equal(report.problems.length, 3);
+  assert.equal(report.results.length, 9);
+  assert.deepEqual(streamed, report.results);
+  assert.deepEqual(report.results.slice(0, 3).map(result => result.planner), SPEC.planners);
+  report.results.forEach((result) => {
+    assert.equal(result.error, null, `${result.problem} ${result.planner}`);
+    assert.equal(result.goalAchieved, true);
+    assert.equal(result.blocks, 7);
+    assert.equal(result.towers, 2);
+  });
+
+  assert.deepEqual(report.summary.map(entry => [entry.planner, entry.runs, entry.solved]), [
+    ['bdi', 3, 3],
+    ['optimal', 3, 3],
+    ['multi-agent', 3, 3]
+  ]);
+
+  const csvLines = benchmarkToCsv(report.results).split('\n');
+  assert.equal(csvLines.length, 10);
+  assert.match(csvLines[0], /^problem,seed,blocks,stacks,towers,planner,goalAchieved,planLength/);
+});
+
+test('optimal rows plan every tower together and are never longer than the BDI rows', async () => {
+  const report = await runBenchmark({ blocks: 8, stacks: 3, towers: 3, instances: 6, seed: 1, planners: ['bdi', 'optimal'] });
+
+  report.problems.forEach((problem) => {
+    const [bdi, optimal] = report.results.filter(result => result.problem === problem.id);
+    assert.equal(optimal.goalAchieved, true, problem.id);
+    assert.ok(optimal.planLength <= bdi.planLength, `${problem.id}: optimal ${optimal.planLength}, bdi ${bdi.planLength}`);
+  });
+  // Seed 2 needs 9 moves when its towers are built one after another, 7 when planned together
+  const [bdi, optimal] = report.results.filter(result => result.seed === 2);
+  assert.equal(optimal.planLength, 7);
+  assert.equal(bdi.planLength, 9);
+});
+
+test('an aborted signal stops the run between planner runs', async () => {
+  const controller = new AbortController();
+  const report = await runBenchmark({ ...SPEC, planners: ['bdi'] }, {
+    signal: controller.signal,
+    onResult: () => controller.abort()
+  });
+
+  assert.equal(report.results.length, 1);
+  assert.equal(report.summary[0].runs, 1);
+});
+
+test('runBenchmarkInWorker gives the same rows as runBenchmark', async () => {
+  const spec = { ...SPEC, planners: ['bdi', 'optimal'] };
+  const streamed = [];
+  const inWorker = await runBenchmarkInWorker(spec, { onResult: result => streamed.push(result) });
+  const inProcess = await runBenchmark(spec);
+
+  assert.deepEqual(withoutTimes(inWorker.results), withoutTimes(inProcess.results));
+  assert.deepEqual(withoutTimes(streamed), withoutTimes(inProcess.results));
+  assert.deepEqual(inWorker.problems, inProcess.problems);
+  assert.deepEqual(inWorker.summary.map(entry => entry.solved), [3, 3]);
+});
+
+test('runBenchmarkInWorker stops its worker when the signal aborts', async () => {
+  const controller = new AbortController();
+  const report = await runBenchmarkInWorker({ ...SPEC, instances: 20, planners: ['bdi'] }, {
+    signal: controller.signal,
+    onResult: () => controller.abort()
+  });
+
+  assert.equal(report.results.length, 1);
+  assert.equal(report.problems.length, 20);
+  assert.equal(report.summary[0].runs, 1);
+});
+
+test('runBenchmarkInWorker rejects an invalid spec before starting a worker', () => {
+  assert.throws(() => runBenchmarkInWorker({ blocks: 1 }), /blocks must be/);
+});
+
+test('the benchmark worker reports a failed benchmark instead of exiting silently', async () => {
+  const worker = new Worker(path.join(__dirname, '../bdi/benchmarkWorker.js'), { workerData: { spec: { blocks: 1 } } });
+  const [message] = await once(worker, 'message');
+  await once(worker, 'exit');
+
+  assert.equal(message.type, 'error');
+  assert.equal(message.status, 400);
+  assert.match(message.message, /blocks must be/);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PlanningError } = require('../bdi/blocksWorldAgent');
+const { ingestExternalPlan } = require('../bdi/externalPlan');
+
+const rejects = (run, fragment, status = 422) => assert.throws(run, (error) => {
+  assert.ok(error instanceof PlanningError);
+  assert.equal(error.status, status);
+  assert.match(error.message, fragment);
+  return true;
+});
+
+test('an external plan plays back as moves with claw steps', () => {
+  const result = ingestExternalPlan({
+    stacks: [['A', 'B'], ['C']],
+    plan: '0: (UNSTACK B A) [1]\n1: (PUT-DOWN B) [1]\n2: (pick-up a)\n3: (stack a c)',
+    goal: ['A', 'C']
+  });
+
+  assert.equal(result.planner, 'external-pddl');
+  assert.equal(result.goalAchieved, true);
+  assert.deepEqual(result.moves.map(move => [move.block, move.to, move.reason]), [
+    ['B', 'Table', 'external-plan'],
+    ['A', 'C', 'external-plan']
+  ]);
+  assert.deepEqual(result.moves[1].clawSteps, [
+    { type: 'MOVE_CLAW', to: 'A', description: 'Move claw to A' },
+    { type: 'PICK_UP', block: 'A', description: 'Pick up A' },
+    { type: 'MOVE_CLAW', to: 'C', carrying: 'A', description: 'Move A to C' },
+    { type: 'DROP', block: 'A', at: 'C', description: 'Drop A on C' }
+  ]);
+  assert.deepEqual(result.validation.finalStacks, [['C', 'A'], ['B']]);
+});
+
+test('hyphen-less pickup and putdown are read as pick-up and put-down', () => {
+  const result = ingestExternalPlan({
+    stacks: [['A'], ['B']],
+    plan: '(pickup a) (stack a b) (unstack a b) (putdown a)'
+  });
+
+  assert.deepEqual(result.moves.map(move => [move.block, move.to, move.action]), [
+    ['A', 'B', '(pickup a) (stack a b)'],
+    ['A', 'Table', '(unstack a b) (putdown a)']
+  ]);
+  assert.equal(result.goalAchieved, null);
+});
+
+test('on a limited table each put-down takes the lowest free slot', () => {
+  const result = ingestExternalPlan({
+    stacks: [['A', 'B', 'C'], [], [], ['D']],
+    plan: '(unstack c b) (put-down c) (unstack b a) (put-down b) (pick-up c) (stack c d)',
+    tableSlots: 4
+  });
+
+  assert.deepEqual(result.moves.map(move => [move.block, move.to, move.slot]), [
+    ['C', 'Table', 2],
+    ['B', 'Table', 3],
+    ['C', 'D', undefined]
+  ]);
+  assert.equal(result.moves[0].clawSteps[3].description, 'Drop C on Table slot 2');
+  assert.deepEqual(result.validation.finalStacks, [['A'], [], ['B'], ['D', 'C']]);
+});
+
+test('a put-down with every table slot occupied is refused', () => {
+  rejects(
+    () => ingestExternalPlan({ stacks: [['A', 'B'], ['C']], plan: '(unstack b a) (put-down b)', tableSlots: 2 }),
+    /Move 1 \(unstack b a\) \(put-down b\) cannot be played: every table slot is occupied/
+  );
+});
+
+test('an action the world does not allow is refused with the move at fault', () => {
+  rejects(
+    () => ingestExternalPlan({ stacks: [['A', 'B'], ['C']], plan: '(unstack b a) (stack b c) (pick-up c) (stack c a)' }),
+    /Move 2 \(pick-up c\) \(stack c a\) cannot be played: Block C has another block on top of it/
+  );
+  rejects(
+    () => ingestExternalPlan({ stacks: [['A', 'B'], ['C']], plan: '(pick-up a) (stack a c)' }),
+    /Move 1 \(pick-up a\) \(stack a c\) cannot be played: Block A has another block on top of it/
+  );
+  rejects(() => ingestExternalPlan({ stacks: [['A'], ['B']], plan: '(pick-up z) (stack z a)' }), /Block Z is not in the world/);
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PlanningError } = require('../bdi/blocksWorldAgent');
+const { BLOCKSWORLD_DOMAIN, createPddlHelpers } = require('../bdi/utils/pddl');
+
+const { worldToPddlProblem, parsePddlProblem, parsePddlPlan } = createPddlHelpers(PlanningError);
+
+const STACKS = [['A', 'B'], ['C'], ['D', 'E', 'F']];
+
+const rejects = (run, fragment, status = 422) => assert.throws(run, (error) => {
+  assert.ok(error instanceof PlanningError);
+  assert.equal(error.status, status);
+  assert.match(error.message, fragment);
+  return true;
+});
+
+const problem = (init, goal, objects = 'a b') => `(define (problem p) (:domain blocksworld)
+  (:objects ${objects}) (:init ${init}) (:goal ${goal}))`;
+
+test('tower goals round-trip and need only STRIPS', () => {
+  const text = worldToPddlProblem({ name: 'Three Towers!', stacks: STACKS, goal: 'F, E | A, B, C | D' });
+
+  assert.match(text, /^\(define \(problem three-towers\)/);
+  assert.doesNotMatch(text, /:requirements/);
+  assert.match(text, /\(:goal \(and \(on f e\) \(ontable e\) \(on a b\) \(on b c\) \(ontable c\) \(ontable d\)\)\)/);
+  assert.match(BLOCKSWORLD_DOMAIN, /\(:requirements :strips\)/);
+
+  assert.deepEqual(parsePddlProblem(text), {
+    name: 'three-towers',
+    blocks: ['A', 'B', 'C', 'D', 'E', 'F'],
+    stacks: STACKS,
+    goal: 'F, E | A, B, C | D',
+    goalChains: [['F', 'E'], ['A', 'B', 'C'], ['D']]
+  });
+});
+
+test('goals of complete towers are read as goal chains', () => {
+  const objects = 'a b c d';
+  const init = '(ontable a) (ontable b) (ontable c) (ontable d)';
+  const read = goal => parsePddlProblem(problem(init, goal, objects));
+
+  assert.deepEqual(read('(and (on A B) (on B C) (ontable C))'), {
+    name: 'p',
+    blocks: ['A', 'B', 'C', 'D'],
+    stacks: [['A'], ['B'], ['C'], ['D']],
+    goal: 'A, B, C',
+    goalChains: [['A', 'B', 'C']]
+  });
+  // Facts in any order, towers in the order their tops are placed; (clear X) on a top is implied by the towers
+  const shuffled = read('(and (ontable c) (clear a) (on b c) (ontable d) (on a b) (clear d))');
+  assert.deepEqual([shuffled.goal, shuffled.goalChains], ['D | A, B, C', [['D'], ['A', 'B', 'C']]]);
+  assert.deepEqual(read('(ontable b)').goalChains, [['B']]);
+});
+
+test('partial, negated and disjunctive goals stay predicate expressions', () => {
+  const objects = 'a b c d';
+  const init = '(ontable a) (ontable b) (ontable c) (ontable d)';
+  const read = goal => parsePddlProblem(problem(init, goal, objects));
+
+  [
+    ['(and (on a b) (on b c))', 'on(A,B) and on(B,C)'],
+    ['(and (on a b) (ontable b) (clear b))', 'on(A,B) and onTable(B) and clear(B)'],
+    ['(and (on a b) (ontable b) (not (on c d)))', 'on(A,B) and onTable(B) and not on(C,D)'],
+    ['(or (and (on a b) (ontable b)) (ontable a))', 'on(A,B) and onTable(B) or onTable(A)'],
+    ['(and (on a b) (on a c) (ontable b) (ontable c))', 'on(A,B) and on(A,C) and onTable(B) and onTable(C)'],
+    ['(clear a)', 'clear(A)']
+  ].forEach(([goal, expression]) => {
+    assert.deepEqual([read(goal).goal, read(goal).goalChains], [expression, null], goal);
+  });
+  rejects(() => read('(and (on a z) (ontable z))'), /unknown block "Z"/);
+});
+
+test('predicate goals round-trip, declaring the requirements they use', () => {
+  const cases = [
+    ['on(A,C) and clear(B)', null],
+    ['not on(B,A) and clear(C)', ':requirements :strips :negative-preconditions)'],
+    ['on(A,C) or onTable(B)', ':requirements :strips :disjunctive-preconditions)'],
+    ['not clear(A) or on(C,E) and not onTable(F)', ':requirements :strips :negative-preconditions :disjunctive-preconditions)']
+  ];
+  cases.forEach(([goal, requirements]) => {
+    const text = worldToPddlProblem({ name: 'w', stacks: STACKS, goal });
+    if (requirements) {
+      assert.ok(text.includes(`  (${requirements}`), `${goal}\n${text}`);
+    } else {
+      assert.doesNotMatch(text, /:requirements/);
+    }
+    assert.equal(parsePddlProblem(text).goal, goal);
+  });
+});
+
+test('goals without a PDDL equivalent are refused or noted', () => {
+  rejects(() => worldToPddlProblem({ stacks: STACKS, goal: 'above(A,C)' }), /above\(A,C\) has no blocksworld PDDL equivalent/);
+  rejects(() => worldToPddlProblem({ stacks: STACKS, goal: '' }), /no goal to export/);
+  rejects(() => worldToPddlProblem({ stacks: STACKS, goal: 'A, Z' }), /unknown block "Z"/);
+  rejects(() => worldToPddlProblem({ stacks: [['1A'], ['B']], goal: '1A, B' }), /"1A" cannot be a PDDL object/);
+
+  const pinned = worldToPddlProblem({ stacks: STACKS, goal: 'A, B, slot 2' });
+  assert.match(pinned, /; table slot pins in the goal have no PDDL equivalent/);
+  assert.equal(parsePddlProblem(pinned).goal, 'A, B');
+});
+
+test('problems from other tools: typed objects, comments, upper case and a problem :requirements', () => {
+  const text = `; generated elsewhere
+(define (problem BW-rand-3)
+  (:domain BLOCKS)
+  (:requirements :strips :negative-preconditions)
+  (:objects A B C - block)
+  (:init (HANDEMPTY) (ONTABLE A) (ON B A) (CLEAR B) (ONTABLE C) (CLEAR C))
+  (:goal (and (ON A C) (not (CLEAR B)))))`;
+
+  assert.deepEqual(parsePddlProblem(text), {
+    name: 'bw-rand-3',
+    blocks: ['A', 'B', 'C'],
+    stacks: [['A', 'B'], ['C']],
+    goal: 'on(A,C) and not clear(B)',
+    goalChains: null
+  });
+  assert.deepEqual(parsePddlProblem(problem('(ontable a) (on b a)', '(on a b)', '')).blocks, ['A', 'B']);
+});
+
+test('malformed problems are refused with the reason', () => {
+  rejects(() => parsePddlProblem('   '), /PDDL problem text is required/, 400);
+  rejects(() => parsePddlProblem(`(${'x'.repeat(200001)})`), /limited to 200000 characters/, 400);
+  rejects(() => parsePddlProblem('(define (problem p) (:init (ontable a))'), /ends before every "\(" is closed/);
+  rejects(() => parsePddlProblem('(define (problem p)))'), /Unexpected text after the end/);
+  rejects(() => parsePddlProblem('(define (domain d))'), /Expected a PDDL problem/);
+  rejects(() => parsePddlProblem('(define (problem p) (:domain logistics) (:init) (:goal (on a b)))'), /domain "logistics", not blocksworld/);
+  rejects(() => parsePddlProblem('(define (problem p) (:init (ontable a)))'), /needs both :init and :goal/);
+  rejects(() => parsePddlProblem(problem('(ontable a) (at b a)', '(on a b)')), /"at", which is not a blocksworld predicate/);
+  rejects(() => parsePddlProblem(problem('(ontable a) (on b)', '(on a b)')), /\(on\) takes 2 argument/);
+  rejects(() => parsePddlProblem(problem('(ontable a) (holding b)', '(on a b)')), /hand holding B/);
+  rejects(() => parsePddlProblem(problem('(ontable a) (ontable b) (on b a)', '(on a b)')), /places B in two positions/);
+  rejects(() => parsePddlProblem(problem('(ontable a) (on b a) (on c a)', '(on a b)', 'a b c')), /both B and C on A/);
+  rejects(() => parsePddlProblem(problem('(ontable a)', '(on a b)')), /does not place B/);
+  rejects(() => parsePddlProblem(problem('(ontable a) (ontable b) (ontable c)', '(on a b)')), /places C, which is not in :objects/);
+  rejects(() => parsePddlProblem(problem('(ontable a) (ontable b)', '(on a b)', 'a b a')), /lists a block twice/);
+  rejects(() => parsePddlProblem(problem('(ontable a) (ontable b)', '(holding a)')), /goals may only use on, ontable and clear/);
+  rejects(() => parsePddlProblem(problem('(ontable a) (ontable b)', '(and)')), /empty conjunction/);
+  rejects(() => parsePddlProblem(problem('(ontable a) (ontable b)', '(on a c)')), /unknown block "C"/);
+  rejects(() => parsePddlProblem(problem('(ontable a) (ontable b)', '(on a a)')), /on\(A,A\) relates a block to itself/);
+  rejects(() => parsePddlProblem(problem('(ontable a) (ontable b)', '(on a "b")')), /invalid block/);
+});
+
+test('plans: numbered planner output, hyphen-less aliases and costs', () => {
+  const text = `0: (UNSTACK B A) [1]
+1: (PUTDOWN B) [1]
+2: (pickup a) [1]
+3: (stack a c) [1]
+; cost = 4 (unit cost)`;
+
+  assert.deepEqual(parsePddlPlan(text), [
+    { block: 'B', to: 'Table', from: 'A', action: '(unstack b a) (putdown b)' },
+    { block: 'A', to: 'C', from: 'Table', action: '(pickup a) (stack a c)' }
+  ]);
+  assert.deepEqual(parsePddlPlan('(pick-up a)\n(put-down a)'), [{ block: 'A', to: 'Table', from: 'Table', action: '(pick-up a) (put-down a)' }]);
+});
+
+test('malformed plans are refused with the action at fault', () => {
+  rejects(() => parsePddlPlan(''), /Plan text is required/, 400);
+  rejects(() => parsePddlPlan('unstack b a'), /Plan has no actions/);
+  rejects(() => parsePddlPlan('(move b a c)'), /Action 1 \(move b a c\) is not a blocksworld action/);
+  rejects(() => parsePddlPlan('(unstack b)'), /unstack takes two blocks/);
+  rejects(() => parsePddlPlan('(pick-up a b)'), /pick-up takes one block/);
+  rejects(() => parsePddlPlan('(pick-up a) (pick-up b)'), /Action 2 \(pick-up b\) picks up B while the hand holds A/);
+  rejects(() => parsePddlPlan('(put-down a)'), /puts down A but the hand is empty/);
+  rejects(() => parsePddlPlan('(pick-up a) (stack b c)'), /puts down B but the hand holds A/);
+  rejects(() => parsePddlPlan('(unstack b a)'), /Plan ends with the hand holding B/);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { explainPlan, EXPLANATION_KINDS } = require('../bdi/planExplainer');
+const { planBlocksWorld } = require('../bdi/blocksWorldAgent');
+
+const pick = (explanation, fields) => Object.fromEntries(fields.map(field => [field, explanation[field]]));
+const CLEARING = ['kind', 'goalRelation', 'blocker', 'cleared', 'between', 'belief'];
+
+const UNSTACK_A = [{ block: 'C', to: 'Table' }, { block: 'B', to: 'Table' }, { block: 'A', to: 'D' }];
+
+test('a block directly on the one to clear is cited by the fact it stands on', () => {
+  const [, direct] = explainPlan({ stacks: [['A', 'B', 'C'], ['D']], goal: ['A', 'D'], moves: UNSTACK_A });
+
+  assert.deepEqual(pick(direct, CLEARING), {
+    kind: EXPLANATION_KINDS.CLEARS_BLOCK,
+    goalRelation: 'on(A,D)',
+    blocker: 'B',
+    cleared: 'A',
+    between: [],
+    belief: 'on(B,A)'
+  });
+  assert.equal(direct.summary, 'Removes B from above A: the agent believed on(B,A), so A was not clear, and on(A,D) needs A clear.');
+});
+
+test('a block buried deeper cites the fact under the moved block and names the blocks in between', () => {
+  const [top] = explainPlan({ stacks: [['A', 'B', 'C'], ['D']], goal: ['A', 'D'], moves: UNSTACK_A });
+
+  assert.deepEqual(pick(top, CLEARING), {
+    kind: EXPLANATION_KINDS.CLEARS_BLOCK,
+    goalRelation: 'on(A,D)',
+    blocker: 'C',
+    cleared: 'A',
+    between: ['B'],
+    belief: 'on(C,B)'
+  });
+  assert.equal(
+    top.summary,
+    'Removes C from above A: the agent believed on(C,B), with B still above A, so A was not clear, and on(A,D) needs A clear.'
+  );
+
+  // Three levels deep, the destination side, and the same reading for predicate goals
+  const [first] = explainPlan({
+    stacks: [['A'], ['D', 'E', 'F', 'G']],
+    goal: ['A', 'D'],
+    moves: [{ block: 'G', to: 'Table' }]
+  });
+  assert.deepEqual(pick(first, ['kind', 'cleared', 'between', 'belief']), {
+    kind: EXPLANATION_KINDS.CLEARS_DESTINATION,
+    cleared: 'D',
+    between: ['E', 'F'],
+    belief: 'on(G,F)'
+  });
+  assert.match(first.summary, /believed on\(G,F\), with E and F still above D/);
+
+  const [predicate] = explainPlan({ stacks: [['A', 'B', 'C'], ['D']], goal: 'on(A,D)', moves: UNSTACK_A });
+  assert.deepEqual(pick(predicate, ['kind', 'cleared', 'between', 'belief']), {
+    kind: EXPLANATION_KINDS.CLEARS_BLOCK,
+    cleared: 'A',
+    between: ['B'],
+    belief: 'on(C,B)'
+  });
+});
+
+test('the final placement achieves the goal relation from where its block stood', () => {
+  const explanations = explainPlan({ stacks: [['A', 'B', 'C'], ['D']], goal: ['A', 'D'], moves: UNSTACK_A });
+  const placement = explanations[2];
+
+  assert.deepEqual(pick(placement, CLEARING), {
+    kind: EXPLANATION_KINDS.ACHIEVES_GOAL,
+    goalRelation: 'on(A,D)',
+    blocker: null,
+    cleared: null,
+    between: null,
+    belief: 'onTable(A)'
+  });
+  assert.equal(placement.summary, 'Achieves the goal relation on(A,D): the agent believed onTable(A), so it did not hold yet.');
+  assert.deepEqual(explanations.map(explanation => explanation.step), [1, 2, 3]);
+});
+
+test('manual, failed and unrelated moves', () => {
+  const explanations = explainPlan({
+    stacks: [['A', 'B'], ['C']],
+    goal: ['A', 'C'],
+    moves: [
+      { block: 'B', to: 'Table', manual: true },
+      { block: 'A', to: 'Table', outcome: 'grasp-failed', intended: { to: 'C' } },
+      { block: 'A', to: 'C' },
+      { block: 'B', to: 'A' }
+    ]
+  });
+
+  assert.deepEqual(explanations.map(explanation => explanation.kind), [
+    EXPLANATION_KINDS.MANUAL,
+    EXPLANATION_KINDS.ACHIEVES_GOAL,
+    EXPLANATION_KINDS.ACHIEVES_GOAL,
+    EXPLANATION_KINDS.UNRELATED
+  ]);
+  assert.equal(explanations[1].to, 'C');
+});
+
+test('every move of a planned tower serves an open goal relation', () => {
+  const stacks = [['A', 'B', 'C'], ['D', 'E']];
+  const goal = ['E', 'A', 'C', 'Table'];
+  const plan = planBlocksWorld(stacks, goal);
+
+  const explanations = explainPlan({ stacks, goal, moves: plan.moves });
+  assert.ok(explanations.every(explanation => explanation.kind !== EXPLANATION_KINDS.UNRELATED), JSON.stringify(explanations));
+  explanations
+    .filter(explanation => explanation.between)
+    .forEach(explanation => assert.match(explanation.belief, new RegExp(`^on\\(${explanation.block},`)));
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PlanningError } = require('../bdi/blocksWorldAgent');
+const { createSessionStore, SESSION_STATUS } = require('../bdi/plannerSession');
+
+const STACKS = [['A', 'B'], ['C']];
+const GOAL = ['A', 'B', 'C'];
+
+const createClock = (start = 0) => {
+  const clock = () => clock.time;
+  clock.time = start;
+  return clock;
+};
+
+const rejects = (run, status, fragment) => assert.throws(run, (error) => {
+  assert.ok(error instanceof PlanningError);
+  assert.equal(error.status, status);
+  assert.match(error.message, fragment);
+  return true;
+});
+
+const playedMoves = session => session.getState().moves.map(move => `${move.block}>${move.to}:${move.actor}`);
+
+test('steps play one agent cycle each until the goal is reached', () => {
+  const clock = createClock(1000);
+  const session = createSessionStore({ now: clock }).create('owner', STACKS, GOAL);
+  assert.equal(session.status, SESSION_STATUS.RUNNING);
+
+  clock.time = 4000;
+  const first = session.step();
+  assert.equal(first.cycles.length, 1);
+  assert.equal(first.cycles[0].cycle, 1);
+  assert.deepEqual([first.cycles[0].move.block, first.cycles[0].move.to], ['B', 'C']);
+  assert.deepEqual(first.cycles[0].clawSteps.map(step => step.type), ['MOVE_CLAW', 'PICK_UP', 'MOVE_CLAW', 'DROP']);
+  assert.deepEqual(first.session.beliefs.stacks, [['A'], ['C', 'B']]);
+  assert.equal(first.session.createdAt, '1970-01-01T00:00:01.000Z');
+  assert.equal(first.session.updatedAt, '1970-01-01T00:00:04.000Z');
+
+  const rest = session.step(10);
+  assert.equal(rest.cycles.length, 1);
+  assert.equal(rest.session.status, SESSION_STATUS.COMPLETED);
+  assert.equal(rest.session.goalAchieved, true);
+  assert.deepEqual(rest.session.beliefs.stacks, [['C', 'B', 'A']]);
+  rejects(() => session.step(), 409, /goal already achieved/);
+  rejects(() => session.pause(), 409, /completed session cannot be paused/);
+
+  assert.equal(session.explain(1).goalRelation, 'on(B,C)');
+  rejects(() => session.explain(3), 404, /Step 3 has not been played/);
+});
+
+test('a session that runs out of iterations fails instead of throwing', () => {
+  const session = createSessionStore({ now: createClock() }).create('owner', STACKS, GOAL, { maxIterations: 1 });
+
+  const result = session.step(5);
+  assert.equal(result.cycles.length, 1);
+  assert.equal(result.session.status, SESSION_STATUS.FAILED);
+  assert.equal(result.session.error, 'Unable to achieve goal within 1 iterations.');
+  rejects(() => session.step(), 409, /Session failed: Unable to achieve goal/);
+  rejects(() => session.resume(), 409, /failed session cannot be resumed/);
+});
+
+test('a paused session refuses to step until it is resumed', () => {
+  const session = createSessionStore({ now: createClock() }).create('owner', STACKS, GOAL);
+
+  assert.equal(session.pause().status, SESSION_STATUS.PAUSED);
+  rejects(() => session.step(), 409, /Session is paused/);
+  assert.equal(session.getState().iterations, 0);
+
+  assert.equal(session.resume().status, SESSION_STATUS.RUNNING);
+  assert.equal(session.step().cycles.length, 1);
+});
+
+test('injected moves are played for the user and the agent replans around them', () => {
+  const session = createSessionStore({ now: createClock() }).create('owner', STACKS, GOAL);
+  session.step();
+
+  const injected = session.injectMove({ block: 'B', to: 'Table' });
+  assert.deepEqual([injected.move.actor, injected.move.manual], ['user', true]);
+  assert.deepEqual(injected.session.beliefs.stacks, [['A'], ['C'], ['B']]);
+
+  session.step(10);
+  assert.deepEqual(playedMoves(session), ['B>C:builder-agent', 'B>Table:user', 'B>C:builder-agent', 'A>B:builder-agent']);
+  assert.equal(session.status, SESSION_STATUS.COMPLETED);
+
+  rejects(() => session.injectMove({ block: 'Z', to: 'Table' }), 409, /BLOCK_NOT_FOUND/);
+  rejects(() => session.injectMove({ block: 'B', to: 'Table' }), 409, /cannot be applied/);
+});
+
+test('injected moves reopen a finished session and keep a paused one paused', () => {
+  const session = createSessionStore({ now: createClock() }).create('owner', [['C', 'B', 'A']], GOAL);
+  assert.equal(session.status, SESSION_STATUS.COMPLETED);
+
+  assert.equal(session.injectMove({ block: 'A', to: 'Table' }).session.status, SESSION_STATUS.RUNNING);
+  session.pause();
+  assert.equal(session.injectMove({ block: 'B', to: 'Table' }).session.status, SESSION_STATUS.PAUSED);
+  session.injectMove({ block: 'B', to: 'C' });
+  assert.equal(session.injectMove({ block: 'A', to: 'B' }).session.status, SESSION_STATUS.COMPLETED);
+});
+
+test('idle sessions expire and any use keeps a session alive', () => {
+  const clock = createClock();
+  const store = createSessionStore({ now: clock, idleTimeoutMs: 1000 });
+  const idle = store.create('owner', STACKS, GOAL);
+  const used = store.create('owner', STACKS, GOAL);
+
+  clock.time = 800;
+  used.pause();
+  clock.time = 1500;
+  rejects(() => store.get('owner', idle.id), 404, /not found/);
+  assert.equal(store.get('owner', used.id), used);
+
+  clock.time = 2801;
+  rejects(() => store.get('owner', used.id), 404, /not found/);
+});
+
+test('sessions belong to their owner and are limited per owner', () => {
+  const store = createSessionStore({ now: createClock(), maxSessionsPerUser: 2 });
+  const first = store.create('owner', STACKS, GOAL);
+  store.create('owner', STACKS, GOAL);
+
+  rejects(() => store.create('owner', STACKS, GOAL), 429, /At most 2 planner sessions/);
+  rejects(() => store.get('someone else', first.id), 404, /not found/);
+  store.create('someone else', STACKS, GOAL);
+
+  store.remove('owner', first.id);
+  rejects(() => store.get('owner', first.id), 404, /not found/);
+  assert.ok(store.create('owner', STACKS, GOAL).id);
+});
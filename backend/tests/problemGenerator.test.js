@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { GENERATOR_LIMITS, blockNameFromIndex, generateProblem } = require('../bdi/utils/problemGenerator');
+const { isValidBlockName } = require('../bdi/utils/blockNames');
+
+const onMapOf = stacks => Object.fromEntries(stacks.flatMap(stack => stack.map((block, index) => (
+  [block, index === 0 ? 'Table' : stack[index - 1]]
+))));
+
+test('block names continue past Z as AA, AB, ...', () => {
+  assert.deepEqual([0, 1, 25, 26, 27, 51, 52, 63].map(blockNameFromIndex), ['A', 'B', 'Z', 'AA', 'AB', 'AZ', 'BA', 'BL']);
+});
+
+test('the same seed gives the same problem', () => {
+  const spec = { blocks: 12, stacks: 4, towers: 3, seed: 42 };
+  assert.deepEqual(generateProblem(spec), generateProblem(spec));
+  assert.notDeepEqual(generateProblem(spec).stacks, generateProblem({ ...spec, seed: 43 }).stacks);
+});
+
+test('problems have the requested shape', () => {
+  for (let seed = 0; seed < 20; seed++) {
+    const problem = generateProblem({ blocks: 9, stacks: 3, towers: 2, seed });
+
+    assert.equal(problem.id, `n9-m3-k2-s${seed}`);
+    assert.equal(problem.stacks.length, 3);
+    assert.ok(problem.stacks.every(stack => stack.length >= 1));
+    assert.equal(problem.goalChains.length, 2);
+    assert.ok(problem.goalChains.every(chain => chain.length >= 3 && chain[chain.length - 1] === 'Table'));
+
+    const initialBlocks = problem.stacks.flat().sort();
+    const goalBlocks = problem.goalChains.flatMap(chain => chain.slice(0, -1)).sort();
+    assert.deepEqual(initialBlocks, 'ABCDEFGHI'.split(''));
+    assert.deepEqual(goalBlocks, initialBlocks);
+  }
+});
+
+test('the goal does not already hold', () => {
+  for (let seed = 0; seed < 20; seed++) {
+    const problem = generateProblem({ blocks: 3, stacks: 1, towers: 1, seed });
+    const onMap = onMapOf(problem.stacks);
+    const [chain] = problem.goalChains;
+    assert.ok(chain.slice(0, -1).some((block, index) => onMap[block] !== chain[index + 1]), `seed ${seed}`);
+  }
+});
+
+test('worlds larger than 26 blocks get valid, distinct names', () => {
+  const problem = generateProblem({ blocks: GENERATOR_LIMITS.MAX_BLOCKS, stacks: 5, towers: 4, seed: 7 });
+  const blocks = problem.stacks.flat();
+
+  assert.equal(GENERATOR_LIMITS.MAX_BLOCKS, 64);
+  assert.equal(blocks.length, 64);
+  assert.equal(new Set(blocks).size, 64);
+  assert.ok(blocks.every(isValidBlockName));
+  assert.ok(blocks.includes('AA') && blocks.includes('BL'));
+});
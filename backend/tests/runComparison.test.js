@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compareRuns, MAX_COMPARED_RUNS } = require('../bdi/runComparison');
+const { planBlocksWorld } = require('../bdi/blocksWorldAgent');
+
+const STACKS = [['A', 'B', 'C'], ['D']];
+const GOAL = ['A', 'B', 'C', 'D', 'Table'];
+
+// A single-agent run as the dashboard records it: flat moves by the planner's builder agent
+const singleAgentRun = () => {
+  const plan = planBlocksWorld(STACKS, GOAL);
+  return { _id: 'single', planner: 'single-agent', outcome: 'success', moves: plan.moves, moveCount: plan.moves.length, statistics: null };
+};
+
+const multiAgentRun = (moves, statistics) => ({
+  _id: 'multi',
+  planner: 'multi-agent',
+  outcome: 'success',
+  moves: moves.map((cycle, index) => ({ cycle: index + 1, moves: cycle })),
+  statistics
+});
+
+const metric = (comparison, name) => comparison.statistics.find(row => row.metric === name);
+
+test('single-agent moves count as Agent A moves', () => {
+  const single = singleAgentRun();
+  assert.ok(single.moves.every(move => move.actor === 'builder-agent'));
+
+  const multi = multiAgentRun(
+    [[{ block: 'C', to: 'D', actor: 'Agent-A' }], [{ block: 'B', to: 'C', actor: 'Agent-A' }], [{ block: 'A', to: 'B', actor: 'Agent-A' }]],
+    { agentAMoves: 3, agentBMoves: 0, totalConflicts: 1, totalNegotiations: 1, totalParallelExecutions: 0 }
+  );
+  const comparison = compareRuns([single, multi]);
+
+  assert.equal(comparison.firstDivergence, null);
+  assert.deepEqual(metric(comparison, 'agentAMoves'), { metric: 'agentAMoves', values: [3, 3], spread: 0 });
+  assert.deepEqual(metric(comparison, 'agentBMoves'), { metric: 'agentBMoves', values: [0, 0], spread: 0 });
+  assert.deepEqual(metric(comparison, 'totalConflicts').values, [0, 1]);
+  assert.ok(comparison.runs[0].steps.every(step => step.actor === 'Agent-A'));
+});
+
+test('a multi-agent run that splits the work differs only in the per-agent counts', () => {
+  const single = singleAgentRun();
+  const multi = multiAgentRun(
+    [[{ block: 'C', to: 'D', actor: 'Agent-B' }], [{ block: 'B', to: 'C', actor: 'Agent-A' }], [{ block: 'A', to: 'B', actor: 'Agent-B' }]],
+    null
+  );
+  const comparison = compareRuns([single, multi]);
+
+  assert.equal(comparison.firstDivergence, null);
+  assert.deepEqual(metric(comparison, 'moves').values, [3, 3]);
+  assert.deepEqual(metric(comparison, 'agentAMoves'), { metric: 'agentAMoves', values: [3, 1], spread: 2 });
+  assert.deepEqual(metric(comparison, 'agentBMoves'), { metric: 'agentBMoves', values: [0, 2], spread: 2 });
+  assert.deepEqual(comparison.runs[1].steps.map(step => [step.actor, step.cycle]), [['Agent-B', 1], ['Agent-A', 2], ['Agent-B', 3]]);
+});
+
+test('the first divergence is the first step with a different block, destination or slot', () => {
+  const base = { _id: 'a', moves: [{ block: 'C', to: 'Table', slot: 1 }, { block: 'B', to: 'C' }] };
+  const otherSlot = { _id: 'b', moves: [{ block: 'C', to: 'Table', slot: 2 }, { block: 'B', to: 'C' }] };
+  const longer = { _id: 'c', moves: [...base.moves, { block: 'A', to: 'B' }] };
+
+  assert.equal(compareRuns([base, otherSlot]).firstDivergence, 1);
+  const comparison = compareRuns([base, longer]);
+  assert.equal(comparison.firstDivergence, 3);
+  assert.deepEqual(comparison.alignment[2].moves[0], null);
+  assert.equal(metric(comparison, 'elapsedMs').spread, null);
+});
+
+test('compares between two and six runs', () => {
+  const run = { _id: 'r', moves: [] };
+  assert.throws(() => compareRuns([run]), /between 2 and 6 runs/);
+  assert.throws(() => compareRuns(Array(MAX_COMPARED_RUNS + 1).fill(run)), /between 2 and 6 runs/);
+});
@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Run = require('../models/Run');
+const { sanitizeRunPayload, createRunRoutes } = require('../utils/runRoutes');
+
+const OWNER = new mongoose.Types.ObjectId();
+const STRANGER = new mongoose.Types.ObjectId();
+const WORLD = new mongoose.Types.ObjectId();
+
+const runPayload = (overrides = {}) => ({
+  planner: 'multi-agent',
+  goal: 'A, B',
+  options: { agentCount: 2 },
+  initialStacks: [['B', 'A']],
+  moves: [{ cycle: 1, moves: [{ block: 'A', to: 'Table', actor: 'Agent-A' }] }, { cycle: 2, moves: [{ block: 'A', to: 'B', actor: 'Agent-A' }] }],
+  intentionLog: [{ cycle: 1 }],
+  deliberationHistory: [{ cycle: 1, strategy: 'negotiation', proposals: 2, conflicts: 1, decisions: 1 }],
+  statistics: { agentAMoves: 2, agentBMoves: 0, totalConflicts: 1 },
+  outcome: 'Success',
+  moveCount: 2,
+  durationMs: 1234.6,
+  ...overrides
+});
+
+const matches = (doc, query) => Object.entries(query).every(([key, value]) => (
+  value && typeof value === 'object' && '$in' in value
+    ? value.$in.some(option => String(doc[key]) === String(option))
+    : String(doc[key]) === String(value)
+));
+
+// In-memory stand-ins for the queries the run routes make; runs are real, validated Run documents
+function createMemoryModels() {
+  const runs = [];
+
+  const memoryRun = {
+    runs,
+    create: async (data) => {
+      const run = new Run({ ...data, createdAt: new Date(Date.UTC(2026, 0, 1, 0, runs.length)) });
+      await run.validate();
+      runs.push(run);
+      return run;
+    },
+    find: (query) => {
+      let excluded = [];
+      const chain = {
+        select: (fields) => {
+          excluded = fields.split(' ').map(field => field.replace(/^-/, ''));
+          return chain;
+        },
+        sort: () => chain,
+        then: (resolve, reject) => Promise.resolve(
+          runs
+            .filter(run => matches(run, query))
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map((run) => {
+              const plain = run.toObject();
+              excluded.forEach(field => delete plain[field]);
+              return Run.hydrate(plain, Object.fromEntries(excluded.map(field => [field, 0])));
+            })
+        ).then(resolve, reject)
+      };
+      return chain;
+    },
+    findOne: async query => runs.find(run => matches(run, query)) || null,
+    findOneAndDelete: async (query) => {
+      const index = runs.findIndex(run => matches(run, query));
+      return index === -1 ? null : runs.splice(index, 1)[0];
+    }
+  };
+
+  const memoryWorld = {
+    exists: async query => (String(query._id) === String(WORLD) && String(query.user) === String(OWNER) ? { _id: WORLD } : null)
+  };
+
+  return { World: memoryWorld, Run: memoryRun };
+}
+
+// The routes behind a stand-in for requireAuth; the x-user header picks the signed-in user
+async function startServer(t) {
+  const models = createMemoryModels();
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.user = { _id: req.get('x-user') === 'stranger' ? STRANGER : OWNER };
+    next();
+  });
+  app.use('/worlds/:id/runs', createRunRoutes(models));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const base = `http://127.0.0.1:${server.address().port}/worlds/${WORLD}/runs`;
+  const request = async (path, { method = 'GET', body, user } = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', ...(user ? { 'x-user': user } : {}) },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { models, request };
+}
+
+const rejectsPayload = (payload, fragment) => assert.throws(() => sanitizeRunPayload(payload), (error) => {
+  assert.equal(error.status, 400);
+  assert.match(error.message, fragment);
+  return true;
+});
+
+test('run payloads are normalised and keep the deliberation history', () => {
+  const run = sanitizeRunPayload(runPayload({ planner: ' multi-agent ', initialStacks: [['b', 'a']] }));
+
+  assert.equal(run.planner, 'multi-agent');
+  assert.equal(run.outcome, 'success');
+  assert.equal(run.durationMs, 1235);
+  assert.deepEqual(run.initialStacks, [['B', 'A']]);
+  assert.deepEqual(run.deliberationHistory, runPayload().deliberationHistory);
+
+  const minimal = sanitizeRunPayload({ planner: 'single-agent', initialStacks: [['A']], outcome: 'failure', goal: '  ' });
+  assert.deepEqual(
+    [minimal.goal, minimal.options, minimal.moves, minimal.intentionLog, minimal.deliberationHistory, minimal.statistics, minimal.moveCount, minimal.durationMs],
+    [null, {}, [], [], [], null, 0, 0]
+  );
+});
+
+test('malformed run payloads are refused', () => {
+  rejectsPayload(runPayload({ planner: '' }), /Planner is required/);
+  rejectsPayload(runPayload({ planner: 'x'.repeat(41) }), /limited to 40 characters/);
+  rejectsPayload(runPayload({ outcome: 'done' }), /outcome must be one of: success, failure, interrupted/);
+  rejectsPayload(runPayload({ options: [] }), /options must be an object/);
+  rejectsPayload(runPayload({ statistics: 3 }), /statistics must be an object/);
+  rejectsPayload(runPayload({ moves: [null] }), /Move 1 must be an object/);
+  rejectsPayload(runPayload({ intentionLog: {} }), /Intention log must be an array/);
+  rejectsPayload(runPayload({ deliberationHistory: 'cycle 1' }), /Deliberation history must be an array/);
+  rejectsPayload(runPayload({ deliberationHistory: [{ cycle: 1 }, 2] }), /Deliberation history entry 2 must be an object/);
+  rejectsPayload(runPayload({ moveCount: -1 }), /moveCount must be a non-negative whole number/);
+  rejectsPayload(runPayload({ durationMs: -5 }), /durationMs must be between/);
+  rejectsPayload(runPayload({ initialStacks: [['A', 'not a block']] }), /Invalid block name at stack 0, position 1/);
+  rejectsPayload(runPayload({ goal: 7 }), /non-empty predicate expression/);
+});
+
+test('runs are recorded against an own world and listed newest first without their bulky fields', async (t) => {
+  const { models, request } = await startServer(t);
+
+  const created = await request('', { method: 'POST', body: runPayload() });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.world, String(WORLD));
+  assert.equal(created.body.user, String(OWNER));
+  assert.deepEqual(created.body.deliberationHistory, runPayload().deliberationHistory);
+  await request('', { method: 'POST', body: runPayload({ planner: 'single-agent', outcome: 'failure' }) });
+
+  const listed = await request('');
+  assert.equal(listed.status, 200);
+  assert.deepEqual(listed.body.map(run => run.planner), ['single-agent', 'multi-agent']);
+  listed.body.forEach((run) => {
+    assert.equal('moves' in run, false);
+    assert.equal('intentionLog' in run, false);
+    assert.equal('deliberationHistory' in run, false);
+    assert.ok(run.statistics);
+  });
+
+  const full = await request(`/${created.body._id}`);
+  assert.equal(full.status, 200);
+  assert.deepEqual(full.body.deliberationHistory, runPayload().deliberationHistory);
+  assert.deepEqual(full.body.moves, runPayload().moves);
+
+  assert.equal((await request('', { method: 'POST', body: runPayload({ outcome: 'done' }) })).status, 400);
+  assert.equal((await request('', { method: 'POST', body: runPayload(), user: 'stranger' })).status, 404);
+  assert.equal((await request('', { user: 'stranger' })).status, 404);
+  assert.equal((await request(`/${created.body._id}`, { user: 'stranger' })).status, 404);
+  assert.equal(models.Run.runs.length, 2);
+});
+
+test('runs are compared in the order given', async (t) => {
+  const { request } = await startServer(t);
+  const first = (await request('', { method: 'POST', body: runPayload() })).body;
+  const second = (await request('', {
+    method: 'POST',
+    body: runPayload({ moves: [{ block: 'A', to: 'Table', actor: 'builder-agent' }, { block: 'B', to: 'A', actor: 'builder-agent' }], planner: 'single-agent' })
+  })).body;
+
+  const compared = await request(`/compare?ids=${second._id},${first._id}`);
+  assert.equal(compared.status, 200);
+  assert.deepEqual(compared.body.runs.map(run => run.planner), ['single-agent', 'multi-agent']);
+  assert.equal(compared.body.firstDivergence, 2);
+
+  const missing = new mongoose.Types.ObjectId();
+  assert.match((await request(`/compare?ids=${first._id}`)).body.message, /ids must list between 2 and 6 different runs/);
+  assert.match((await request(`/compare?ids=${first._id},${first._id}`)).body.message, /ids must list between 2/);
+  assert.match((await request(`/compare?ids=${first._id},nope`)).body.message, /Invalid run id format/);
+  const notFound = await request(`/compare?ids=${first._id},${missing}`);
+  assert.equal(notFound.status, 404);
+  assert.match(notFound.body.message, new RegExp(`Run ${missing} not found`));
+});
+
+test('a deleted run is gone', async (t) => {
+  const { request } = await startServer(t);
+  const run = (await request('', { method: 'POST', body: runPayload() })).body;
+
+  assert.equal((await request(`/${run._id}`, { method: 'DELETE', user: 'stranger' })).status, 404);
+  assert.deepEqual(await request(`/${run._id}`, { method: 'DELETE' }), { status: 200, body: { message: 'Run deleted successfully.' } });
+  assert.equal((await request(`/${run._id}`)).status, 404);
+  assert.equal((await request(`/${run._id}`, { method: 'DELETE' })).status, 404);
+});
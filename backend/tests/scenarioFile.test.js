@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ScenarioFileError, parseYaml, parseScenarioFile } = require('../bdi/utils/scenarioFile');
+
+test('nested block sequences', () => {
+  assert.deepEqual(parseYaml('stacks:\n  - - A\n    - B\n  - - C\n'), { stacks: [['A', 'B'], ['C']] });
+  assert.deepEqual(parseYaml('- - - A\n'), [[['A']]]);
+  assert.deepEqual(parseYaml('stacks:\n- [A, B]\n-\n  - C\n'), { stacks: [['A', 'B'], ['C']] });
+});
+
+test('numbers in every YAML 1.2 notation', () => {
+  assert.deepEqual(
+    parseYaml('a: 1e3\nb: .5\nc: -2.5E-1\nd: 0x1F\ne: 0o17\nf: +12\ng: .inf\nh: 3.0'),
+    { a: 1000, b: 0.5, c: -0.25, d: 31, e: 15, f: 12, g: Infinity, h: 3 }
+  );
+  assert.deepEqual(parseYaml('quoted: "1e3"\nword: 1e3x'), { quoted: '1e3', word: '1e3x' });
+});
+
+test('other scalars keep their JSON meaning; dates stay strings', () => {
+  assert.deepEqual(
+    parseYaml('n: ~\nm: null\nt: true\nf: false\ns: \'it\'\'s\'\nd: 2024-05-01\nfolded: >\n  two\n  lines\n'),
+    { n: null, m: null, t: true, f: false, s: 'it\'s', d: '2024-05-01', folded: 'two lines\n' }
+  );
+});
+
+test('invalid YAML reports the file and line', () => {
+  assert.throws(() => parseYaml('stacks:\n  - [A, B\ngoal: A', 'broken.yaml'), (error) => {
+    assert.ok(error instanceof ScenarioFileError);
+    assert.match(error.message, /^broken\.yaml:\d+: /);
+    return true;
+  });
+  assert.throws(() => parseYaml('a: 1\na: 2', 'dup.yaml'), /dup\.yaml:2: duplicated mapping key/);
+  assert.throws(() => parseYaml('when: !!timestamp 2024-05-01', 'tag.yaml'), /tag\.yaml:1: unknown tag/);
+});
+
+test('a YAML scenario file with defaults and nested stacks', () => {
+  const text = [
+    'defaults:',
+    '  options:',
+    '    maxIterations: 1e3',
+    'scenarios:',
+    '  - name: swap',
+    '    stacks:',
+    '      - - A',
+    '        - B',
+    '    goal: [A, B, Table]',
+    '    options:',
+    '      tableSlots: 2',
+    '    expect:',
+    '      moveCount: 2'
+  ].join('\n');
+
+  assert.deepEqual(parseScenarioFile(text, 'swap.yml'), [{
+    name: 'swap',
+    source: 'swap.yml',
+    planner: 'bdi',
+    stacks: [['A', 'B']],
+    goal: ['A', 'B', 'Table'],
+    options: { maxIterations: 1000, tableSlots: 2 },
+    expect: { moveCount: 2 },
+    expectFailure: null
+  }]);
+});
+
+test('JSON files and empty YAML documents', () => {
+  assert.equal(parseScenarioFile('{"stacks": [["A"]], "goal": "clear(A)"}', 'one.json')[0].goal, 'clear(A)');
+  assert.throws(() => parseScenarioFile('{"stacks": ', 'bad.json'), /bad\.json: invalid JSON/);
+  assert.throws(() => parseScenarioFile('# nothing here\n', 'empty.yaml'), /each scenario must be a mapping/);
+});
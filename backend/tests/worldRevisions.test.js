@@ -0,0 +1,219 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const World = require('../models/World');
+const WorldRevision = require('../models/WorldRevision');
+const { readExpectedRevision, createWorldRevisions } = require('../utils/worldRevisions');
+
+const USER = new mongoose.Types.ObjectId();
+
+const sameValue = (stored, value) => (value === null ? stored == null : String(stored) === String(value));
+
+const matches = (doc, query) => Object.entries(query).every(([key, value]) => {
+  if (value && typeof value === 'object' && '$ne' in value) return !sameValue(doc[key], value.$ne);
+  if (value && typeof value === 'object' && '$in' in value) return value.$in.some(option => sameValue(doc[key], option));
+  return sameValue(doc[key], value);
+});
+
+// In-memory stand-ins for the queries the revision helpers make. Worlds are kept as stored in Mongo
+// (plain objects, validated on write) and hydrated on read, so schema defaults apply only to what is read.
+function createMemoryModels() {
+  const worlds = [];
+  const revisions = [];
+
+  const store = async (world) => {
+    await world.validate();
+    const stored = world.toObject({ depopulate: true });
+    worlds.push(stored);
+    return stored;
+  };
+
+  const memoryWorld = {
+    worlds,
+    create: async data => World.hydrate(await store(new World(data))),
+    // A world saved before revisions were kept: no revision key in the stored document
+    createLegacy: async (data) => {
+      const { revision, ...stored } = await store(new World(data));
+      worlds[worlds.length - 1] = stored;
+      return World.hydrate(stored);
+    },
+    load: id => World.hydrate(worlds.find(world => String(world._id) === String(id))),
+    exists: async query => (worlds.some(world => matches(world, query)) ? { _id: 1 } : null),
+    findOneAndUpdate: async (query, update) => {
+      const index = worlds.findIndex(candidate => matches(candidate, query));
+      if (index === -1) return null;
+      const world = World.hydrate(worlds[index]);
+      world.set(update.$set);
+      await world.validate();
+      worlds[index] = world.toObject({ depopulate: true });
+      return world;
+    }
+  };
+
+  const memoryRevision = {
+    revisions,
+    create: async (data) => {
+      const revision = new WorldRevision(data);
+      await revision.validate();
+      revisions.push(revision);
+      return revision;
+    },
+    exists: async query => (revisions.some(revision => matches(revision, query)) ? { _id: 1 } : null),
+    findOne: async query => revisions.find(revision => matches(revision, query)) || null,
+    find: (query) => {
+      const chain = {
+        select: () => chain,
+        sort: async () => revisions
+          .filter(revision => matches(revision, query))
+          .sort((a, b) => b.revision - a.revision)
+          .map(revision => revision.toObject({ flattenMaps: true }))
+      };
+      return chain;
+    }
+  };
+
+  return { World: memoryWorld, WorldRevision: memoryRevision };
+}
+
+const content = (overrides = {}) => ({
+  name: 'Tower',
+  blocks: ['A', 'B'],
+  stacks: [['A', 'B']],
+  tableSlots: null,
+  goal: null,
+  colours: { A: '#ff0000' },
+  timeline: null,
+  stats: null,
+  multiAgent: { enabled: false },
+  ...overrides
+});
+
+async function setup() {
+  const models = createMemoryModels();
+  const revisions = createWorldRevisions(models);
+  const world = await models.World.create({ ...content(), user: USER });
+  await revisions.recordWorldRevision(world);
+  return { models, revisions, world };
+}
+
+const rejectsWith = (promise, status, fragment) => assert.rejects(promise, (error) => {
+  assert.equal(error.status, status);
+  assert.match(error.message, fragment);
+  return true;
+});
+
+test('an update becomes the next revision and keeps the previous one', async () => {
+  const { models, revisions, world } = await setup();
+
+  const updated = await revisions.saveWorldRevision(world, content({ stacks: [['B'], ['A']] }), { expectedRevision: 1 });
+
+  assert.equal(updated.revision, 2);
+  assert.deepEqual(updated.toObject().stacks, [['B'], ['A']]);
+  assert.deepEqual(models.WorldRevision.revisions.map(revision => [revision.revision, revision.restoredFrom]), [[1, null], [2, null]]);
+  assert.deepEqual(models.WorldRevision.revisions[0].toObject().stacks, [['A', 'B']]);
+});
+
+test('an update from a stale revision is refused', async () => {
+  const { models, revisions, world } = await setup();
+  await revisions.saveWorldRevision(world, content({ goal: 'on(B,A)' }), { expectedRevision: 1 });
+
+  await rejectsWith(
+    revisions.saveWorldRevision(world, content({ stacks: [['B', 'A']] }), { expectedRevision: 1 }),
+    409,
+    /changed after revision 1 was read/
+  );
+  assert.equal(models.World.worlds[0].revision, 2);
+  assert.equal(models.World.worlds[0].goal, 'on(B,A)');
+  assert.equal(models.WorldRevision.revisions.length, 2);
+});
+
+test('an update without an expected revision still loses a race for the same revision', async () => {
+  const { models, revisions } = await setup();
+  const { _id: id } = models.World.worlds[0];
+  const readByFirst = models.World.load(id);
+  const readBySecond = models.World.load(id);
+
+  await revisions.saveWorldRevision(readByFirst, content({ goal: 'clear(A)' }));
+  await rejectsWith(revisions.saveWorldRevision(readBySecond, content({ goal: 'clear(B)' })), 409, /changed after revision 1/);
+  assert.equal(models.World.worlds[0].goal, 'clear(A)');
+});
+
+test('an update to a name another world uses is refused', async () => {
+  const { models, revisions, world } = await setup();
+  await models.World.create({ ...content({ name: 'Other' }), user: USER });
+
+  await rejectsWith(revisions.saveWorldRevision(world, content({ name: 'Other' })), 409, /"Other" already exists/);
+});
+
+test('the history lists revisions newest first and records legacy worlds on first read', async () => {
+  const { models, revisions, world } = await setup();
+  await revisions.saveWorldRevision(world, content({ stacks: [['B', 'A']] }));
+
+  const listed = await revisions.listWorldRevisions(world);
+  assert.deepEqual(listed.map(revision => [revision.revision, revision.stacks]), [[2, [['B', 'A']]], [1, [['A', 'B']]]]);
+
+  const legacy = await models.World.createLegacy({ ...content({ name: 'Legacy', multiAgent: { enabled: true } }), user: USER });
+  const legacyRevisions = await revisions.listWorldRevisions(legacy);
+  assert.deepEqual(legacyRevisions.map(revision => [revision.revision, revision.multiAgent]), [[1, { enabled: true }]]);
+});
+
+test('a world saved before revisions were kept can be updated and restored', async () => {
+  const models = createMemoryModels();
+  const revisions = createWorldRevisions(models);
+  const legacy = await models.World.createLegacy({ ...content(), user: USER });
+  assert.equal('revision' in models.World.worlds[0], false);
+  assert.equal(legacy.revision, 1);
+
+  const updated = await revisions.saveWorldRevision(legacy, content({ stacks: [['B', 'A']] }), { expectedRevision: 1 });
+  assert.equal(updated.revision, 2);
+  assert.equal(models.World.worlds[0].revision, 2);
+  assert.deepEqual(models.WorldRevision.revisions.map(revision => [revision.revision, revision.toObject().stacks]), [
+    [1, [['A', 'B']]],
+    [2, [['B', 'A']]]
+  ]);
+
+  const otherLegacy = await models.World.createLegacy({ ...content({ name: 'Other' }), user: USER });
+  await revisions.saveWorldRevision(otherLegacy, content({ name: 'Other', goal: 'clear(A)' }));
+  const restored = await revisions.restoreWorldRevision(models.World.load(otherLegacy._id), 1, { expectedRevision: 2 });
+  assert.equal(restored.revision, 3);
+  assert.equal(restored.goal, null);
+});
+
+test('a restore brings an old revision back as a new one', async () => {
+  const { models, revisions, world } = await setup();
+  await revisions.saveWorldRevision(world, content({ stacks: [['B'], ['A']], colours: { A: '#00ff00', B: '#0000ff' } }));
+
+  const restored = await revisions.restoreWorldRevision(models.World.load(world._id), 1, { expectedRevision: 2 });
+
+  assert.equal(restored.revision, 3);
+  assert.deepEqual(restored.toObject().stacks, [['A', 'B']]);
+  assert.deepEqual(restored.toObject({ flattenMaps: true }).colours, { A: '#ff0000' });
+  assert.deepEqual(models.WorldRevision.revisions.map(revision => [revision.revision, revision.restoredFrom]), [[1, null], [2, null], [3, 1]]);
+});
+
+test('restores of the current, a missing or a stale revision are refused', async () => {
+  const { models, revisions, world } = await setup();
+  await revisions.saveWorldRevision(world, content({ goal: 'clear(A)' }));
+  const current = models.World.load(world._id);
+
+  await rejectsWith(revisions.restoreWorldRevision(current, 2), 409, /already the current state/);
+  await rejectsWith(revisions.restoreWorldRevision(current, 9), 404, /Revision 9 not found/);
+  await rejectsWith(revisions.restoreWorldRevision(current, 0), 400, /positive integer/);
+  await rejectsWith(revisions.restoreWorldRevision(current, 1, { expectedRevision: 1 }), 409, /changed after revision 1 was read/);
+  assert.equal(current.revision, 2);
+});
+
+test('the expected revision comes from the body or an If-Match header', () => {
+  const request = (body, ifMatch) => ({ body, get: name => (name === 'If-Match' ? ifMatch : undefined) });
+
+  assert.equal(readExpectedRevision(request({ revision: 4 })), 4);
+  assert.equal(readExpectedRevision(request({}, '"7"')), 7);
+  assert.equal(readExpectedRevision(request(undefined, 'W/"7"')), 7);
+  assert.equal(readExpectedRevision(request({ revision: 2 }, '"7"')), 2);
+  assert.equal(readExpectedRevision(request({}, '*')), null);
+  assert.equal(readExpectedRevision(request({})), null);
+  assert.throws(() => readExpectedRevision(request({ revision: 'two' })), /positive integer/);
+  assert.throws(() => readExpectedRevision(request({}, '"abc"')), /positive integer/);
+  assert.throws(() => readExpectedRevision(request({ revision: 0 })), /positive integer/);
+});
@@ -0,0 +1,180 @@
+// Run history: planner runs recorded against a saved world, under /worlds/:id/runs
+const express = require('express');
+const HttpError = require('./httpError');
+const withRoute = require('./routeHandler');
+const {
+  ensureNonEmptyString,
+  ensureArray,
+  ensureObjectId,
+  validateStacksPayload,
+  validateGoalExpression
+} = require('./validators');
+const { RUN_OUTCOMES } = require('../models/Run');
+const { compareRuns, MAX_COMPARED_RUNS } = require('../bdi/runComparison');
+
+const MAX_RUN_MOVES = 5000;
+const MAX_RUN_LOG_ENTRIES = 10000;
+const MAX_RUN_DURATION_MS = 24 * 60 * 60 * 1000;
+
+const ensureObjectList = (value, label, limit) => {
+  const list = ensureArray(value ?? [], label);
+  if (list.length > limit) {
+    throw new HttpError(400, `${label} is limited to ${limit} entries.`);
+  }
+  list.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new HttpError(400, `${label} entry ${index + 1} must be an object.`);
+    }
+  });
+  return list;
+};
+
+// Moves, deliberation history and statistics are stored as the planner returned them; only their shape is checked
+const sanitizeRunPayload = (raw = {}) => {
+  const {
+    planner,
+    goal,
+    options,
+    initialStacks,
+    moves,
+    intentionLog,
+    deliberationHistory,
+    statistics,
+    outcome,
+    moveCount,
+    durationMs
+  } = raw;
+
+  const normalizedPlanner = ensureNonEmptyString(planner, 'Planner');
+  if (normalizedPlanner.length > 40) {
+    throw new HttpError(400, 'Planner names are limited to 40 characters.');
+  }
+  const normalizedOutcome = typeof outcome === 'string' ? outcome.trim().toLowerCase() : '';
+  if (!RUN_OUTCOMES.includes(normalizedOutcome)) {
+    throw new HttpError(400, `outcome must be one of: ${RUN_OUTCOMES.join(', ')}.`);
+  }
+  if (options != null && (typeof options !== 'object' || Array.isArray(options))) {
+    throw new HttpError(400, 'options must be an object.');
+  }
+  if (statistics != null && (typeof statistics !== 'object' || Array.isArray(statistics))) {
+    throw new HttpError(400, 'statistics must be an object.');
+  }
+
+  const moveList = ensureArray(moves ?? [], 'Moves');
+  if (moveList.length > MAX_RUN_MOVES) {
+    throw new HttpError(400, `Runs are limited to ${MAX_RUN_MOVES} moves.`);
+  }
+  moveList.forEach((move, index) => {
+    if (!move || typeof move !== 'object' || Array.isArray(move)) {
+      throw new HttpError(400, `Move ${index + 1} must be an object.`);
+    }
+  });
+  const log = ensureArray(intentionLog ?? [], 'Intention log');
+  if (log.length > MAX_RUN_LOG_ENTRIES) {
+    throw new HttpError(400, `Intention logs are limited to ${MAX_RUN_LOG_ENTRIES} entries.`);
+  }
+  const deliberation = ensureObjectList(deliberationHistory, 'Deliberation history', MAX_RUN_LOG_ENTRIES);
+
+  const count = moveCount ?? moveList.length;
+  if (!Number.isInteger(count) || count < 0) {
+    throw new HttpError(400, 'moveCount must be a non-negative whole number.');
+  }
+  const duration = durationMs ?? 0;
+  if (!Number.isFinite(duration) || duration < 0 || duration > MAX_RUN_DURATION_MS) {
+    throw new HttpError(400, `durationMs must be between 0 and ${MAX_RUN_DURATION_MS}.`);
+  }
+
+  return {
+    planner: normalizedPlanner,
+    goal: typeof goal === 'string' && goal.trim().length === 0 ? null : validateGoalExpression(goal),
+    options: options ?? {},
+    initialStacks: validateStacksPayload(ensureArray(initialStacks, 'Initial stacks')),
+    moves: moveList,
+    intentionLog: log,
+    deliberationHistory: deliberation,
+    statistics: statistics ?? null,
+    outcome: normalizedOutcome,
+    moveCount: count,
+    durationMs: Math.round(duration)
+  };
+};
+
+/**
+ * Run history routes bound to the World and Run models; mount them at /worlds/:id/runs behind requireAuth
+ * @param {{World: Object, Run: Object}} models
+ * @returns {express.Router}
+ */
+const createRunRoutes = ({ World, Run }) => {
+  const router = express.Router({ mergeParams: true });
+
+  const findOwnWorld = async (req) => {
+    const worldId = ensureObjectId(req.params.id, 'World ID');
+    const world = await World.exists({ _id: worldId, user: req.user._id });
+    if (!world) throw new HttpError(404, 'World not found or access denied');
+    return worldId;
+  };
+
+  router.post('/', withRoute(async (req, res) => {
+    const worldId = await findOwnWorld(req);
+    const run = await Run.create({
+      ...sanitizeRunPayload(req.body || {}),
+      world: worldId,
+      user: req.user._id
+    });
+    res.status(201).json(run);
+  }));
+
+  // Newest first; moves and the deliberation history are left to GET /worlds/:id/runs/:runId
+  router.get('/', withRoute(async (req, res) => {
+    const worldId = await findOwnWorld(req);
+    const runs = await Run.find({ world: worldId, user: req.user._id })
+      .select('-moves -intentionLog -deliberationHistory')
+      .sort({ createdAt: -1 });
+    res.json(runs);
+  }));
+
+  // ?ids=a,b[,...]: the runs in the order given, aligned move by move with their statistics diffed
+  router.get('/compare', withRoute(async (req, res) => {
+    const worldId = await findOwnWorld(req);
+    const rawIds = typeof req.query.ids === 'string' ? req.query.ids.split(',').filter(Boolean) : [];
+    const runIds = [...new Set(rawIds.map(id => id.trim()))];
+    if (runIds.length < 2 || runIds.length > MAX_COMPARED_RUNS) {
+      throw new HttpError(400, `ids must list between 2 and ${MAX_COMPARED_RUNS} different runs.`);
+    }
+    const objectIds = runIds.map(id => ensureObjectId(id, 'Run ID'));
+
+    const runs = await Run.find({ _id: { $in: objectIds }, world: worldId, user: req.user._id });
+    const byId = new Map(runs.map(run => [String(run._id), run]));
+    const missing = runIds.find(id => !byId.has(id));
+    if (missing) throw new HttpError(404, `Run ${missing} not found or access denied`);
+
+    res.json(compareRuns(runIds.map(id => byId.get(id).toObject())));
+  }));
+
+  router.get('/:runId', withRoute(async (req, res) => {
+    const worldId = await findOwnWorld(req);
+    const runId = ensureObjectId(req.params.runId, 'Run ID');
+
+    const run = await Run.findOne({ _id: runId, world: worldId, user: req.user._id });
+    if (!run) throw new HttpError(404, 'Run not found or access denied');
+
+    res.json(run);
+  }));
+
+  router.delete('/:runId', withRoute(async (req, res) => {
+    const worldId = await findOwnWorld(req);
+    const runId = ensureObjectId(req.params.runId, 'Run ID');
+
+    const deleted = await Run.findOneAndDelete({ _id: runId, world: worldId, user: req.user._id });
+    if (!deleted) throw new HttpError(404, 'Run not found or access denied');
+
+    res.json({ message: 'Run deleted successfully.' });
+  }));
+
+  return router;
+};
+
+module.exports = {
+  sanitizeRunPayload,
+  createRunRoutes
+};
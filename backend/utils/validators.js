@@ -1,6 +1,9 @@
 // Input validation utilities for API endpoints
 const mongoose = require('mongoose');
 const HttpError = require('./httpError');
+const { normalizeBlockName } = require('../bdi/utils/blockNames');
+
+const MAX_GOAL_EXPRESSION_LENGTH = 2000;
 
 const ensureNonEmptyString = (value, label) => {
   if (typeof value !== 'string' || value.trim().length === 0) {
@@ -27,8 +30,44 @@ const ensureObjectId = (value, label) => {
   return new mongoose.Types.ObjectId(normalized);
 };
 
+const validateStacksPayload = (stacks) => {
+  if (!Array.isArray(stacks)) {
+    throw new HttpError(400, 'Stacks must be an array of arrays.');
+  }
+
+  return stacks.map((stack, stackIndex) => {
+    if (!Array.isArray(stack)) {
+      throw new HttpError(400, `Stack at index ${stackIndex} must be an array.`);
+    }
+
+    return stack.map((block, blockIndex) => {
+      const normalized = normalizeBlockName(block);
+      if (!normalized) {
+        throw new HttpError(400, `Invalid block name at stack ${stackIndex}, position ${blockIndex}.`);
+      }
+      return normalized;
+    });
+  });
+};
+
+// Predicate goals ("on(A,B) and clear(C) or onTable(D)") are parsed by the planner
+const validateGoalExpression = (goal) => {
+  if (goal == null) {
+    return null;
+  }
+  if (typeof goal !== 'string' || goal.trim().length === 0) {
+    throw new HttpError(400, 'Goal must be a non-empty predicate expression.');
+  }
+  if (goal.length > MAX_GOAL_EXPRESSION_LENGTH) {
+    throw new HttpError(400, `Goal expressions are limited to ${MAX_GOAL_EXPRESSION_LENGTH} characters.`);
+  }
+  return goal.trim();
+};
+
 module.exports = {
   ensureNonEmptyString,
   ensureArray,
-  ensureObjectId
+  ensureObjectId,
+  validateStacksPayload,
+  validateGoalExpression
 };
@@ -0,0 +1,120 @@
+// Saved world revisions: every save, update and restore of a world is kept as a numbered WorldRevision
+const HttpError = require('./httpError');
+
+const REVISION_FIELDS = ['name', 'blocks', 'stacks', 'tableSlots', 'goal', 'colours', 'timeline', 'stats', 'multiAgent'];
+
+const duplicateNameError = (name) => new HttpError(409, `World name "${name}" already exists. Choose a different name.`);
+
+const staleRevisionError = (expected) => new HttpError(
+  409,
+  `World was changed after revision ${expected} was read. Reload it and try again.`
+);
+
+// Revision the client last read: the body's `revision` or an If-Match header ("3" or W/"3"); null when neither is sent
+const readExpectedRevision = (req) => {
+  const header = req.get('If-Match');
+  const raw = req.body?.revision ?? (header && header.trim() !== '*' ? header.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1') : null);
+  if (raw == null) return null;
+  const revision = typeof raw === 'string' && /^\d+$/.test(raw) ? Number(raw) : raw;
+  if (!Number.isInteger(revision) || revision < 1) {
+    throw new HttpError(400, 'Expected revision must be a positive integer.');
+  }
+  return revision;
+};
+
+/**
+ * Revision helpers bound to the World and WorldRevision models
+ * @param {{World: Object, WorldRevision: Object}} models
+ */
+const createWorldRevisions = ({ World, WorldRevision }) => {
+  const revisionContent = (doc) => {
+    const snapshot = doc.toObject({ flattenMaps: true });
+    return {
+      ...Object.fromEntries(REVISION_FIELDS.map(field => [field, snapshot[field] ?? null])),
+      multiAgent: { enabled: Boolean(snapshot.multiAgent?.enabled) }
+    };
+  };
+
+  const recordWorldRevision = (world, restoredFrom = null) => WorldRevision.create({
+    ...revisionContent(world),
+    world: world._id,
+    user: world.user,
+    revision: world.revision,
+    restoredFrom
+  });
+
+  // Worlds saved before revisions were kept get their current state recorded the first time it is needed
+  const ensureCurrentRevision = async (world) => {
+    const recorded = await WorldRevision.exists({ world: world._id, revision: world.revision });
+    if (!recorded) await recordWorldRevision(world);
+  };
+
+  // Moves on from the revision the client read (or, without one, the revision loaded here), so an edit
+  // made from a stale copy is refused and concurrent edits cannot both claim the next number
+  const saveWorldRevision = async (world, content, { restoredFrom = null, expectedRevision = null } = {}) => {
+    if (expectedRevision !== null && expectedRevision !== world.revision) {
+      throw staleRevisionError(expectedRevision);
+    }
+    if (content.name !== world.name) {
+      const taken = await World.exists({ user: world.user, name: content.name, _id: { $ne: world._id } });
+      if (taken) throw duplicateNameError(content.name);
+    }
+    await ensureCurrentRevision(world);
+
+    // Worlds saved before revisions were kept have no stored revision; Mongoose reads them as revision 1
+    const storedRevision = world.revision === 1 ? { $in: [1, null] } : world.revision;
+    let updated;
+    try {
+      updated = await World.findOneAndUpdate(
+        { _id: world._id, user: world.user, revision: storedRevision },
+        { $set: { ...content, revision: world.revision + 1 } },
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      if (error && error.code === 11000) throw duplicateNameError(content.name);
+      throw error;
+    }
+    if (!updated) throw staleRevisionError(world.revision);
+
+    await recordWorldRevision(updated, restoredFrom);
+    return updated;
+  };
+
+  // Newest first; the timeline and stats snapshots stay out of the list
+  const listWorldRevisions = async (world) => {
+    await ensureCurrentRevision(world);
+    return WorldRevision.find({ world: world._id, user: world.user })
+      .select('-timeline -stats')
+      .sort({ revision: -1 });
+  };
+
+  // Restoring never rewrites history: the old content comes back as the next revision
+  const restoreWorldRevision = async (world, revisionNumber, { expectedRevision = null } = {}) => {
+    if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+      throw new HttpError(400, 'Revision must be a positive integer.');
+    }
+    await ensureCurrentRevision(world);
+
+    const revision = await WorldRevision.findOne({ world: world._id, user: world.user, revision: revisionNumber });
+    if (!revision) throw new HttpError(404, `Revision ${revisionNumber} not found`);
+    if (revisionNumber === world.revision) {
+      throw new HttpError(409, `Revision ${revisionNumber} is already the current state of the world.`);
+    }
+
+    return saveWorldRevision(world, revisionContent(revision), { restoredFrom: revisionNumber, expectedRevision });
+  };
+
+  return {
+    recordWorldRevision,
+    saveWorldRevision,
+    listWorldRevisions,
+    restoreWorldRevision
+  };
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  duplicateNameError,
+  readExpectedRevision,
+  createWorldRevisions
+};
@@ -47,7 +47,7 @@
     isDevelopment: (window.location?.hostname === 'localhost' || window.location?.hostname === '127.0.0.1'),
     AUTH: defaultAuth,
     ANIMATION_DURATION: 550,
-    MAX_BLOCKS: 26,
+    MAX_BLOCKS: 64,
     MAX_STACK_HEIGHT: 10,
     PLANNER: defaultPlanner,
     SIMULATION: defaultSimulation
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  startMainBranch,
+  addBranch,
+  getActiveBranch,
+  showBranch,
+  resetBranches,
+  describeBranchChange
+} from '../utils/branches.js';
+
+// Just enough of the page for the comparison panel to render into
+const panel = { hidden: true, classList: { toggle: (name, force) => { panel.hidden = force; } } };
+const tableBody = { innerHTML: '', querySelectorAll: () => [] };
+globalThis.document = {
+  getElementById: id => ({ branchPanel: panel, branchTableBody: tableBody }[id] ?? null)
+};
+
+const run = (overrides = {}) => ({
+  goalLabel: 'A, B, C',
+  planLength: 4,
+  conflicts: 0,
+  outcome: 'Success',
+  timeline: null,
+  ...overrides
+});
+
+const renderedRows = () => tableBody.innerHTML.split('</tr>').slice(0, -1);
+
+test('a branch change lists the edits made after rewinding, then a changed goal', () => {
+  assert.equal(describeBranchChange({ parentGoalLabel: 'A, B', changes: [] }, 'A, B'), 'replanned unchanged');
+  assert.equal(describeBranchChange({ parentGoalLabel: null, changes: [] }, 'B, A'), 'replanned unchanged');
+  assert.equal(describeBranchChange({
+    parentGoalLabel: 'A, B',
+    changes: [
+      { type: 'MOVE', block: 'C', to: 'Table' },
+      { type: 'BLOCK_ADD', block: 'D' },
+      { type: 'BLOCK_REMOVE', block: 'E' },
+      { type: 'COLOUR', block: 'A' }
+    ]
+  }, 'B, A'), 'C → Table; added D; removed E; goal B, A');
+});
+
+test('branches are compared side by side once there is more than one line', () => {
+  resetBranches();
+  assert.equal(getActiveBranch(), null);
+
+  const main = startMainBranch(run({ planLength: 6, conflicts: 2 }));
+  assert.deepEqual([main.id, main.label, main.baseMoves, getActiveBranch()], ['main', 'Main run', 0, main]);
+  assert.equal(panel.hidden, true);
+
+  const first = addBranch(run({ parentId: 'main', fromStep: 3, change: 'C → Table', baseMoves: 2, planLength: 5, outcome: 'Failure' }));
+  const second = addBranch(run({ parentId: first.id, fromStep: 1, change: 'goal <B>, A', baseMoves: 2, planLength: 3 }));
+  assert.deepEqual([first.id, first.label, first.parentLabel], ['branch-1', 'Branch 1', 'Main run']);
+  assert.deepEqual([second.label, second.parentLabel], ['Branch 2', 'Branch 1']);
+  assert.equal(getActiveBranch(), second);
+  assert.equal(panel.hidden, false);
+
+  const rows = renderedRows();
+  assert.equal(rows.length, 3);
+  assert.match(rows[0], /Main run<\/td>\s*<td class="py-2 pr-4">–<\/td>/);
+  assert.match(rows[0], />6<\/td>[\s\S]*>2<\/td>/);
+  assert.match(rows[1], /Main run, step 3/);
+  assert.match(rows[1], /text-red-600">Failure/);
+  assert.match(rows[2], /Branch 1, step 1/);
+  assert.match(rows[2], /goal &lt;B&gt;, A/);
+  assert.match(rows[2], /class="border-b border-slate-100 bg-slate-50"/);
+  assert.doesNotMatch(rows[0], /bg-slate-50/);
+});
+
+test('an unknown branch is not shown and a reset forgets every line', () => {
+  const main = startMainBranch(run());
+  addBranch(run({ parentId: 'main', fromStep: 1, change: 'replanned unchanged', baseMoves: 0 }));
+
+  assert.equal(showBranch('branch-9'), null);
+  assert.equal(getActiveBranch().id, 'branch-1');
+  assert.equal(addBranch(run({ parentId: 'missing' })).parentLabel, null);
+
+  resetBranches();
+  assert.equal(getActiveBranch(), null);
+  assert.equal(panel.hidden, true);
+  assert.equal(tableBody.innerHTML, '');
+  assert.equal(startMainBranch(run()).id, main.id);
+});
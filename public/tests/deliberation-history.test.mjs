@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { collectDeliberationHistory, describeDeliberationCycle } from '../utils/deliberation-history.js';
+
+test('multi-agent cycles are kept as reported and numbered after earlier replans', () => {
+  const response = {
+    moves: [{ cycle: 1, moves: [] }],
+    deliberationHistory: [
+      { cycle: 1, strategy: 'negotiation', proposals: 2, conflicts: 1, decisions: 1 },
+      { cycle: 3, strategy: 'negotiation', proposals: 1, conflicts: 0, decisions: 1 }
+    ]
+  };
+
+  assert.deepEqual(collectDeliberationHistory(response), response.deliberationHistory);
+  assert.deepEqual(collectDeliberationHistory(response, 4).map(entry => entry.cycle), [5, 7]);
+  assert.deepEqual(collectDeliberationHistory({ deliberationHistory: [] }), []);
+});
+
+test('a single agent deliberates once per move it commits to', () => {
+  const response = {
+    moves: [
+      { block: 'C', to: 'Table', slot: 2, reason: 'clear', actor: 'builder-agent' },
+      { block: 'B', to: 'C', reason: 'stack', actor: 'builder-agent' }
+    ]
+  };
+
+  assert.deepEqual(collectDeliberationHistory(response, 2), [
+    { cycle: 3, actor: 'builder-agent', intention: 'clear', move: 'C → Table slot 2' },
+    { cycle: 4, actor: 'builder-agent', intention: 'stack', move: 'B → C' }
+  ]);
+  assert.deepEqual(collectDeliberationHistory({}), []);
+  assert.deepEqual(collectDeliberationHistory(null), []);
+});
+
+test('recorded cycles are described for the run details', () => {
+  assert.equal(
+    describeDeliberationCycle({ cycle: 2, strategy: 'auction', proposals: 1, conflicts: 0, decisions: 2 }),
+    'Cycle 2 · auction: 1 proposal, 0 conflicts, 2 decisions'
+  );
+  assert.equal(describeDeliberationCycle({ cycle: 1, strategy: null }), 'Cycle 1 · no strategy: 0 proposals, 0 conflicts, 0 decisions');
+  assert.equal(describeDeliberationCycle({ cycle: 3, intention: 'stack', move: 'B → C' }), 'Cycle 3: B → C (stack)');
+  assert.equal(describeDeliberationCycle({ cycle: 4, intention: null, move: 'A → Table' }), 'Cycle 4: A → Table');
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseDisturbanceScript, createEnvironmentAgent } from '../utils/environment-agent.js';
+import { World } from '../utils/World.js';
+
+// A world without a page: only the state canMove, isClear and getCurrentBlocks read
+const worldOf = (stacks, tableSlots = null) => {
+  const world = new World(null);
+  world.stacks = stacks.map(stack => [...stack]);
+  world.blocks = stacks.flat();
+  world.on = Object.fromEntries(stacks.flatMap(stack => stack.map((block, index) => [block, index === 0 ? 'Table' : stack[index - 1]])));
+  world.tableSlots = tableSlots;
+  return world;
+};
+
+test('scripts are read into rules, a seed and comments', () => {
+  const { script, error } = parseDisturbanceScript(`
+    # scheduled and random disturbances
+    at 5: move c to table
+    every 4: Displace Random; seed 42
+    at 2: move AA to b
+  `);
+
+  assert.equal(error, undefined);
+  assert.equal(script.seed, 42);
+  assert.deepEqual(script.rules, [
+    { trigger: 'at', cycle: 5, label: 'at 5', action: 'move', block: 'C', to: 'Table' },
+    { trigger: 'every', cycle: 4, label: 'every 4', action: 'displace' },
+    { trigger: 'at', cycle: 2, label: 'at 2', action: 'move', block: 'AA', to: 'B' }
+  ]);
+  assert.equal(parseDisturbanceScript('at 1: move A to B').script.seed, 1);
+  assert.deepEqual(parseDisturbanceScript('  \n# only a comment'), { script: null });
+  assert.deepEqual(parseDisturbanceScript(null), { script: null });
+});
+
+test('unreadable rules and seeds are refused with the line at fault', () => {
+  [
+    'at 0: move A to B',
+    'at 3: move A to A',
+    'every 2: shuffle',
+    'after 3: move A to B',
+    'at 3 move A to B'
+  ].forEach((line) => {
+    const { script, error } = parseDisturbanceScript(`seed 3\n${line}`);
+    assert.equal(script, null, line);
+    assert.equal(error, `Cannot read disturbance "${line}". Use "at N: move X to Y", "every N: displace random" or "seed N".`);
+  });
+  assert.deepEqual(parseDisturbanceScript('seed 4294967296'), { script: null, error: 'Disturbance seed must be at most 4294967295.' });
+});
+
+test('rules fall due once at their cycle or on every multiple of it, in script order', () => {
+  const { script } = parseDisturbanceScript('every 3: displace random\nat 6: move A to Table\nevery 2: displace random');
+  const agent = createEnvironmentAgent(script);
+  const labels = cycle => agent.dueRules(cycle).map(rule => rule.label);
+
+  assert.deepEqual(labels(1), []);
+  assert.deepEqual(labels(2), ['every 2']);
+  assert.deepEqual(labels(3), ['every 3']);
+  assert.deepEqual(labels(4), ['every 2']);
+  assert.deepEqual(labels(6), ['every 3', 'at 6', 'every 2']);
+  assert.deepEqual(labels(12), ['every 3', 'every 2']);
+});
+
+test('random displacements repeat for the same seed and respect a full limited table', () => {
+  const { script } = parseDisturbanceScript('every 1: displace random\nseed 7');
+  const [rule] = script.rules;
+  const choices = () => {
+    const agent = createEnvironmentAgent(script);
+    return [1, 2, 3, 4].map(() => agent.chooseMove(rule, worldOf([['A', 'B'], ['C'], ['D', 'E']])));
+  };
+  assert.deepEqual(choices(), choices());
+
+  // Every slot is taken, so only block-to-block moves remain
+  const full = worldOf([['A', 'B'], ['C'], ['D', 'E']], 3);
+  const agent = createEnvironmentAgent(script);
+  for (let i = 0; i < 20; i += 1) {
+    const move = agent.chooseMove(rule, full);
+    assert.notEqual(move.to, 'Table');
+    assert.ok(full.canMove(move.block, move.to), JSON.stringify(move));
+  }
+  assert.equal(full.canMove('B', 'Table'), false);
+  assert.equal(worldOf([['A', 'B'], ['C'], []], 3).canMove('B', 'Table'), true);
+
+  assert.equal(createEnvironmentAgent(script).chooseMove(rule, worldOf([])), null);
+  assert.deepEqual(
+    createEnvironmentAgent(script).chooseMove({ action: 'move', block: 'B', to: 'Table' }, full),
+    { block: 'B', to: 'Table' }
+  );
+});
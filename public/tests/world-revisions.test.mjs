@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { describeStackChanges, describeColourChanges } from '../utils/world-revisions.js';
+
+test('stack changes are listed by table position', () => {
+  assert.deepEqual(describeStackChanges([['A', 'B']], [['A', 'B']]), []);
+  assert.deepEqual(describeStackChanges([['A', 'B']], [['B'], ['A']]), ['Stack 1: A/B → B', 'Stack 2 added: A']);
+  assert.deepEqual(describeStackChanges([['A'], ['B'], ['C']], [['A'], ['C']]), ['Stack 2: B → C', 'Stack 3 removed: C']);
+  assert.deepEqual(describeStackChanges([[], ['A']], [['A'], []]), ['Stack 1: (empty) → A', 'Stack 2: A → (empty)']);
+  assert.deepEqual(describeStackChanges(undefined, [['AA', 'B12']]), ['Stack 1 added: AA/B12']);
+});
+
+test('colour changes are listed block by block, sorted', () => {
+  assert.deepEqual(describeColourChanges({ A: '#ff0000' }, { A: '#ff0000' }), []);
+  assert.deepEqual(
+    describeColourChanges({ B: '#0000ff', A: '#ff0000' }, { A: '#00ff00', C: '#ffffff' }),
+    [
+      { block: 'A', from: '#ff0000', to: '#00ff00' },
+      { block: 'B', from: '#0000ff', to: null },
+      { block: 'C', from: null, to: '#ffffff' }
+    ]
+  );
+  assert.deepEqual(describeColourChanges(undefined, { A: '#ff0000' }), [{ block: 'A', from: null, to: '#ff0000' }]);
+});
@@ -6,10 +6,11 @@
  * - Moving blocks between stacks
  * - Updating DOM positions
  * - Managing block relationships
+ * - Optional fixed table slots (limited-table Blocks World)
  */
 
-import { randomColour, showMessage } from './helpers.js';
-import { BLOCK_WIDTH, BLOCK_HEIGHT, WORLD_HEIGHT, STACK_MARGIN, BLOCK_COLOUR_PALETTE, MIN_WORLD_WIDTH } from './constants.js';
+import { randomColour, showMessage, normalizeBlockName } from './helpers.js';
+import { BLOCK_WIDTH, BLOCK_HEIGHT, WORLD_HEIGHT, STACK_MARGIN, BLOCK_COLOUR_PALETTE, MIN_WORLD_WIDTH, MAX_TABLE_SLOTS } from './constants.js';
 
 export class World {
   constructor(container) {
@@ -18,18 +19,91 @@ export class World {
     this.on = {};
     this.blocks = [];
     this.colours = {};
+    // null = unlimited table; otherwise stacks has one (possibly empty) entry per slot
+    this.tableSlots = null;
+  }
+
+  /**
+   * Limit the table to a fixed number of slots, or pass null for an unlimited table
+   * @param {number|null} count - Slot count
+   * @returns {boolean} Whether the change was applied
+   */
+  setTableSlots(count) {
+    const occupied = this.stacks.filter(stack => stack.length > 0);
+
+    if (count == null) {
+      this.tableSlots = null;
+      this.stacks = occupied;
+    } else {
+      const slots = Number(count);
+      if (!Number.isInteger(slots) || slots < 1 || slots > MAX_TABLE_SLOTS) {
+        this.setMessage(`Table slots must be between 1 and ${MAX_TABLE_SLOTS}.`, 'warning');
+        return false;
+      }
+      if (occupied.length > slots) {
+        this.setMessage(`The world has ${occupied.length} stacks; it needs at least that many table slots.`, 'warning');
+        return false;
+      }
+
+      // Keep stacks in their current slots where possible, then fill gaps from the left
+      const kept = this.tableSlots ? this.stacks.slice(0, slots) : [];
+      const overflow = this.tableSlots ? this.stacks.slice(slots).filter(stack => stack.length > 0) : occupied;
+      while (kept.length < slots) {
+        kept.push([]);
+      }
+      overflow.forEach(stack => {
+        kept[kept.findIndex(entry => entry.length === 0)] = stack;
+      });
+      this.tableSlots = slots;
+      this.stacks = kept;
+    }
+
+    this.renderTableSlots();
+    this.updatePositions();
+    this.notifyStacksChanged();
+    return true;
+  }
+
+  /**
+   * Put a block on the table, honouring table slots when they are enabled
+   * @param {string} block - Block name
+   * @param {number|null} slot - Preferred 1-based slot (limited tables only)
+   * @returns {boolean} False when every slot is occupied
+   */
+  putOnTable(block, slot = null) {
+    if (!this.tableSlots) {
+      this.stacks.push([block]);
+      this.on[block] = 'Table';
+      return true;
+    }
+
+    const index = Number.isInteger(slot) && this.stacks[slot - 1]?.length === 0
+      ? slot - 1
+      : this.stacks.findIndex(stack => stack.length === 0);
+    if (index === -1) {
+      return false;
+    }
+
+    this.stacks[index].push(block);
+    this.on[block] = 'Table';
+    return true;
   }
 
   /**
    * Add a new block to the world
-   * @param {string} name - Single letter block name
+   * @param {string} name - Block name (e.g. "A", "B12", "RED_1")
    */
   addBlock(name) {
-    name = name.trim().toUpperCase();
-    if (!name) return false;
+    const rawName = typeof name === 'string' ? name.trim() : '';
+    if (!rawName) return false;
+    name = normalizeBlockName(rawName);
+    if (!name) {
+      this.setMessage(`Block name "${rawName}" is invalid. Use letters, digits, "_" or "-".`, 'warning');
+      return false;
+    }
     
     // Check block limit
-    const maxBlocks = window.APP_CONFIG?.MAX_BLOCKS || 26;
+    const maxBlocks = window.APP_CONFIG?.MAX_BLOCKS || 64;
     if (this.blocks.length >= maxBlocks) {
       this.setMessage(`Maximum ${maxBlocks} blocks allowed.`, 'warning');
       return false;
@@ -39,10 +113,13 @@ export class World {
       this.setMessage(`Block "${name}" already exists.`, 'warning');
       return false;
     }
+
+    if (!this.putOnTable(name)) {
+      this.setMessage(`All ${this.tableSlots} table slots are occupied.`, 'warning');
+      return false;
+    }
     
     this.blocks.push(name);
-    this.stacks.push([name]);
-    this.on[name] = 'Table';
     if (!this.colours[name]) {
       this.colours[name] = this.getColourForBlock(name);
     }
@@ -52,6 +129,12 @@ export class World {
     div.className = 'world-block absolute flex h-[30px] w-[80px] items-center justify-center rounded-none border border-brand-dark/30 text-sm font-semibold text-white shadow-sm transition-[left,top] duration-500 ease-out select-none cursor-grab active:cursor-grabbing';
     div.dataset.block = name;
     div.textContent = name;
+    if (name.length > 1) {
+      // Longer identifiers shrink and truncate so they stay inside the 80px block
+      div.classList.remove('text-sm');
+      div.classList.add('truncate', 'px-1', 'text-[11px]');
+      div.title = name;
+    }
     div.style.backgroundColor = blockColour;
     div.style.touchAction = 'none';
     
@@ -93,7 +176,7 @@ export class World {
 
     stack.splice(position, 1);
 
-    if (stack.length === 0) {
+    if (stack.length === 0 && !this.tableSlots) {
       this.stacks.splice(stackIndex, 1);
     } else {
       this.rebuildSupportForStack(stackIndex);
@@ -119,19 +202,23 @@ export class World {
    * Move a block to a new destination
    * @param {string} block - Block to move
    * @param {string} dest - Destination (block name or 'Table')
+   * @param {number|null} slot - Target 1-based table slot (limited tables only)
    */
-  moveBlock(block, dest) {
+  moveBlock(block, dest, slot = null) {
     const fromIndex = this.stacks.findIndex(s => s.includes(block));
     if (fromIndex === -1) throw new Error(`Block ${block} is not in any stack`);
     const stack = this.stacks[fromIndex];
     const removed = stack.pop();
     if (removed !== block) throw new Error(`Attempted to move non-top block ${block}.`);
-    if (stack.length === 0) this.stacks.splice(fromIndex, 1);
 
     if (dest === 'Table') {
-      this.stacks.push([block]);
-      this.on[block] = 'Table';
+      if (!this.putOnTable(block, slot)) {
+        stack.push(block);
+        throw new Error(`No free table slot for block ${block}`);
+      }
+      if (stack.length === 0 && !this.tableSlots) this.stacks.splice(fromIndex, 1);
     } else {
+      if (stack.length === 0 && !this.tableSlots) this.stacks.splice(fromIndex, 1);
       const destIndex = this.stacks.findIndex(s => s.includes(dest));
       if (destIndex === -1) throw new Error(`Destination block ${dest} not found`);
       this.stacks[destIndex].push(block);
@@ -141,6 +228,22 @@ export class World {
     this.notifyStacksChanged();
   }
 
+  /**
+   * Check whether a planned move can still be made as planned
+   * @param {string} block - Block to move
+   * @param {string} dest - Destination (block name or 'Table')
+   * @param {number|null} slot - Planned 1-based table slot (limited tables only)
+   * @returns {boolean} True if the block and its destination are clear
+   */
+  canMove(block, dest, slot = null) {
+    if (!this.blocks.includes(block) || block === dest || !this.isClear(block)) return false;
+    if (dest !== 'Table') return this.blocks.includes(dest) && this.isClear(dest);
+    if (!this.tableSlots) return true;
+    return Number.isInteger(slot)
+      ? this.stacks[slot - 1]?.length === 0
+      : this.stacks.some(stack => stack.length === 0);
+  }
+
   rebuildSupportForStack(stackIndex) {
     const stack = this.stacks[stackIndex];
     if (!Array.isArray(stack)) {
@@ -171,7 +274,7 @@ export class World {
 
     stack.splice(position, 1);
 
-    if (stack.length === 0) {
+    if (stack.length === 0 && !this.tableSlots) {
       this.stacks.splice(stackIndex, 1);
       info.stackRemoved = true;
     } else {
@@ -214,7 +317,12 @@ export class World {
   placeBlock(block, dest, options = {}) {
     const { preferredStackIndex = null } = options;
 
-    if (dest === 'Table') {
+    if (dest === 'Table' && this.tableSlots) {
+      const preferredSlot = Number.isInteger(preferredStackIndex) ? preferredStackIndex + 1 : null;
+      if (!this.putOnTable(block, preferredSlot)) {
+        throw new Error(`All ${this.tableSlots} table slots are occupied`);
+      }
+    } else if (dest === 'Table') {
       const newStack = [block];
       if (Number.isInteger(preferredStackIndex) && preferredStackIndex >= 0 && preferredStackIndex <= this.stacks.length) {
         this.stacks.splice(preferredStackIndex, 0, newStack);
@@ -291,6 +399,25 @@ export class World {
     });
   }
 
+  /**
+   * Draw numbered outlines for fixed table slots (removed on an unlimited table)
+   */
+  renderTableSlots() {
+    if (!this.container) return;
+    this.container.querySelectorAll('.table-slot').forEach(marker => marker.remove());
+    if (!this.tableSlots) return;
+
+    for (let index = this.tableSlots - 1; index >= 0; index -= 1) {
+      const marker = document.createElement('div');
+      marker.className = 'table-slot pointer-events-none absolute flex h-[30px] w-[80px] items-end justify-center border border-dashed border-brand-dark/30 pb-0.5 text-[10px] font-semibold text-brand-dark/40 select-none';
+      marker.dataset.slot = String(index + 1);
+      marker.textContent = String(index + 1);
+      marker.style.left = `${index * (BLOCK_WIDTH + STACK_MARGIN)}px`;
+      marker.style.top = `${WORLD_HEIGHT - BLOCK_HEIGHT}px`;
+      this.container.prepend(marker);
+    }
+  }
+
   notifyStacksChanged() {
     const detail = {
       stacks: this.getCurrentStacks()
@@ -361,12 +488,24 @@ export class World {
    * @returns {string}
    */
   getColourForBlock(name) {
-    const index = name.charCodeAt(0) - 65;
-    if (BLOCK_COLOUR_PALETTE[index]) {
-      return BLOCK_COLOUR_PALETTE[index];
+    const existingColours = new Set(Object.values(this.colours));
+    if (name.length === 1) {
+      const index = name.charCodeAt(0) - 65;
+      if (BLOCK_COLOUR_PALETTE[index]) {
+        return BLOCK_COLOUR_PALETTE[index];
+      }
+    } else {
+      // Multi-character names hash onto the palette so reloads keep the same colour
+      let hash = 0;
+      for (const char of name) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+      }
+      const paletteColour = BLOCK_COLOUR_PALETTE[hash % BLOCK_COLOUR_PALETTE.length];
+      if (!existingColours.has(paletteColour)) {
+        return paletteColour;
+      }
     }
     let candidate;
-    const existingColours = new Set(Object.values(this.colours));
     do {
       candidate = randomColour();
     } while (existingColours.has(candidate));
@@ -8,11 +8,28 @@ import { initializeMobileNavigation, initializeSidebarNavigation } from './navig
 import { initializeProfileMenu } from './profile.js';
 import { showMessage, handleError, normalizeWorldIdentifier } from './helpers.js';
 import { API_BASE } from './constants.js';
+import { renderRunComparison, hideRunComparison } from './run-comparison.js';
+import { renderWorldRevisions, hideWorldRevisions } from './world-revisions.js';
+import { describeDeliberationCycle } from './deliberation-history.js';
 
 const worldLogsBody = document.getElementById('worldLogs');
 const worldCountElem = document.getElementById('worldCount');
 const actionCountElem = document.getElementById('actionCount');
 const emptyStateElem = document.getElementById('emptyState');
+const runHistorySection = document.getElementById('runHistory');
+const runHistoryTitle = document.getElementById('runHistoryTitle');
+const runHistoryBody = document.getElementById('runHistoryBody');
+const compareRunsBtn = document.getElementById('compareRunsBtn');
+
+let selectedWorld = null;
+let revisionWorld = null;
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
 
 const formatDurationMs = (ms) => {
   if (!Number.isFinite(ms) || ms < 0) return '--';
@@ -160,6 +177,7 @@ function renderWorldLogs(worlds = []) {
       stacks = [],
       stats = null,
       timeline = null,
+      revision = 1,
       updatedAt,
       createdAt
     } = world || {};
@@ -199,7 +217,7 @@ function renderWorldLogs(worlds = []) {
       <td class="px-4 py-3">
         <div class="flex flex-col">
           <span class="font-semibold text-brand-dark">${displayName}</span>
-          <span class="text-xs text-brand-dark/60">${stackCount} stack${stackCount === 1 ? '' : 's'}</span>
+          <span class="text-xs text-brand-dark/60">${stackCount} stack${stackCount === 1 ? '' : 's'} · revision ${revision}</span>
         </div>
       </td>
       <td class="px-4 py-3">${blockCount}</td>
@@ -212,6 +230,22 @@ function renderWorldLogs(worlds = []) {
       <td class="px-4 py-3">${agentModeLabel}</td>
       <td class="px-4 py-3">${actionCount}</td>
       <td class="px-4 py-3 text-right">
+        <button
+          data-id="${worldId}"
+          data-name="${displayName.replace(/"/g, '&quot;')}"
+          class="view-runs inline-flex items-center gap-1 rounded border border-slate-200 bg-white px-3 py-1 text-xs font-semibold text-brand-dark transition hover:bg-brand-primary/10 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-brand-primary"
+        >
+          <span class="material-icons text-xs">history</span>
+          Runs
+        </button>
+        <button
+          data-id="${worldId}"
+          data-name="${displayName.replace(/"/g, '&quot;')}"
+          class="view-revisions inline-flex items-center gap-1 rounded border border-slate-200 bg-white px-3 py-1 text-xs font-semibold text-brand-dark transition hover:bg-brand-primary/10 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-brand-primary"
+        >
+          <span class="material-icons text-xs">layers</span>
+          Revisions
+        </button>
         <button
           data-id="${worldId}"
           data-name="${displayName.replace(/"/g, '&quot;')}"
@@ -228,6 +262,263 @@ function renderWorldLogs(worlds = []) {
 
   actionCountElem.textContent = String(aggregateActions);
   attachDeleteHandlers();
+  attachRunHistoryHandlers();
+  attachRevisionHandlers();
+}
+
+function attachRunHistoryHandlers() {
+  worldLogsBody.querySelectorAll('.view-runs').forEach((button) => {
+    button.addEventListener('click', (event) => {
+      const worldId = event.currentTarget.getAttribute('data-id');
+      const worldName = event.currentTarget.getAttribute('data-name') || 'World';
+      if (!worldId) return;
+      fetchRunHistory({ id: worldId, name: worldName });
+    });
+  });
+}
+
+function attachRevisionHandlers() {
+  worldLogsBody.querySelectorAll('.view-revisions').forEach((button) => {
+    button.addEventListener('click', (event) => {
+      const worldId = event.currentTarget.getAttribute('data-id');
+      const worldName = event.currentTarget.getAttribute('data-name') || 'World';
+      if (!worldId) return;
+      fetchWorldRevisions({ id: worldId, name: worldName });
+    });
+  });
+}
+
+async function fetchWorldRevisions(world) {
+  revisionWorld = world;
+  try {
+    const response = await authenticatedFetch(`${API_BASE}/worlds/${encodeURIComponent(world.id)}/revisions`, { method: 'GET' });
+    const payload = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(payload?.message || 'Failed to load revisions.');
+    }
+    const revisions = Array.isArray(payload) ? payload : [];
+    // Restores are made from this list, so they expect its newest revision to still be current
+    revisionWorld = { ...world, revision: revisions[0]?.revision ?? null };
+    renderWorldRevisions(world, revisions, restoreWorldRevision);
+  } catch (error) {
+    handleError(error, 'loading revisions');
+  }
+}
+
+async function restoreWorldRevision(revision) {
+  if (!revisionWorld || !window.confirm(`Restore revision ${revision} of "${revisionWorld.name}"? The current state stays in the history.`)) {
+    return;
+  }
+
+  try {
+    const response = await authenticatedFetch(
+      `${API_BASE}/worlds/${encodeURIComponent(revisionWorld.id)}/revisions/${encodeURIComponent(revision)}/restore`,
+      {
+        method: 'POST',
+        body: JSON.stringify(Number.isInteger(revisionWorld.revision) ? { revision: revisionWorld.revision } : {})
+      }
+    );
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(payload.message || 'Failed to restore revision.');
+    }
+    showMessage(`Revision ${revision} restored as revision ${payload.revision}.`, 'success');
+    revisionWorld = { ...revisionWorld, name: payload.name || revisionWorld.name };
+    await fetchWorldLogs();
+    await fetchWorldRevisions(revisionWorld);
+  } catch (error) {
+    handleError(error, 'restoring revision');
+  }
+}
+
+const describeRunMoves = (moves = []) => moves
+  .map((entry) => {
+    const group = Array.isArray(entry?.moves) ? entry.moves : [entry];
+    return group
+      .filter(move => move && move.block)
+      .map(move => `${move.actor ? `${move.actor}: ` : ''}${move.block} → ${move.to}${move.slot != null ? ` (slot ${move.slot})` : ''}`)
+      .join(' ‖ ');
+  })
+  .filter(Boolean);
+
+async function fetchRunHistory(world) {
+  if (selectedWorld?.id !== world.id) {
+    hideRunComparison();
+  }
+  selectedWorld = world;
+  try {
+    const response = await authenticatedFetch(`${API_BASE}/worlds/${encodeURIComponent(world.id)}/runs`, { method: 'GET' });
+    const payload = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(payload?.message || 'Failed to load run history.');
+    }
+    renderRunHistory(Array.isArray(payload) ? payload : []);
+  } catch (error) {
+    handleError(error, 'loading run history');
+  }
+}
+
+function renderRunHistory(runs) {
+  if (!runHistorySection || !runHistoryBody || !selectedWorld) return;
+
+  runHistorySection.classList.remove('hidden');
+  runHistoryTitle.textContent = `Run History · ${selectedWorld.name}`;
+  updateCompareButton();
+
+  if (runs.length === 0) {
+    runHistoryBody.innerHTML = `
+      <tr><td colspan="9" class="px-4 py-6 text-center text-sm text-slate-600">
+        No runs recorded yet. Load this world on the dashboard and run the planner to add one.
+      </td></tr>
+    `;
+    return;
+  }
+
+  runHistoryBody.innerHTML = runs.map((run) => {
+    const runId = normalizeWorldIdentifier(run._id);
+    const startedAt = run.createdAt
+      ? new Date(run.createdAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+      : '--';
+    const conflicts = Number.isFinite(run.statistics?.conflicts) ? run.statistics.conflicts : '--';
+    return `
+      <tr class="transition-colors hover:bg-brand-dark/5" data-run-row="${escapeHtml(runId)}">
+        <td class="px-4 py-3">
+          <input type="checkbox" class="compare-run h-4 w-4 accent-brand-primary" value="${escapeHtml(runId)}"
+            aria-label="Compare run started ${escapeHtml(startedAt)}">
+        </td>
+        <td class="px-4 py-3 text-brand-dark/70">${escapeHtml(startedAt)}</td>
+        <td class="px-4 py-3">${escapeHtml(run.planner)}</td>
+        <td class="px-4 py-3">${escapeHtml(run.goal || '--')}</td>
+        <td class="px-4 py-3">
+          <span class="inline-flex items-center rounded bg-brand-primary/10 px-2 py-1 text-xs font-semibold uppercase tracking-wide text-brand-primary">${escapeHtml(run.outcome)}</span>
+        </td>
+        <td class="px-4 py-3">${Number.isFinite(run.moveCount) ? run.moveCount : '--'}</td>
+        <td class="px-4 py-3">${conflicts}</td>
+        <td class="px-4 py-3">${formatDurationMs(run.durationMs)}</td>
+        <td class="px-4 py-3 text-right">
+          <button data-run-id="${escapeHtml(runId)}"
+            class="view-run inline-flex items-center gap-1 rounded border border-slate-200 bg-white px-3 py-1 text-xs font-semibold text-brand-dark transition hover:bg-brand-primary/10">
+            Details
+          </button>
+          <button data-run-id="${escapeHtml(runId)}"
+            class="delete-run inline-flex items-center gap-1 rounded border border-red-300 bg-red-50 px-3 py-1 text-xs font-semibold text-red-600 transition hover:bg-red-100">
+            Delete
+          </button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  runHistoryBody.querySelectorAll('.view-run').forEach((button) => {
+    button.addEventListener('click', () => toggleRunDetails(button.getAttribute('data-run-id')));
+  });
+  runHistoryBody.querySelectorAll('.delete-run').forEach((button) => {
+    button.addEventListener('click', () => deleteRun(button.getAttribute('data-run-id')));
+  });
+  runHistoryBody.querySelectorAll('.compare-run').forEach((checkbox) => {
+    checkbox.addEventListener('change', updateCompareButton);
+  });
+}
+
+const selectedRunIds = () => Array.from(runHistoryBody?.querySelectorAll('.compare-run:checked') || [])
+  .map(checkbox => checkbox.value);
+
+function updateCompareButton() {
+  if (!compareRunsBtn) return;
+  compareRunsBtn.disabled = selectedRunIds().length < 2;
+}
+
+async function compareSelectedRuns() {
+  const runIds = selectedRunIds();
+  if (!selectedWorld || runIds.length < 2) {
+    showMessage('Select at least two runs to compare.', 'error');
+    return;
+  }
+
+  try {
+    const query = encodeURIComponent(runIds.join(','));
+    const response = await authenticatedFetch(
+      `${API_BASE}/worlds/${encodeURIComponent(selectedWorld.id)}/runs/compare?ids=${query}`,
+      { method: 'GET' }
+    );
+    const payload = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(payload?.message || 'Failed to compare runs.');
+    }
+    renderRunComparison(payload);
+  } catch (error) {
+    handleError(error, 'comparing runs');
+  }
+}
+
+// The list leaves out moves and the deliberation history, so they are fetched when a run is opened
+async function toggleRunDetails(runId) {
+  const row = runHistoryBody.querySelector(`[data-run-row="${runId}"]`);
+  if (!row) return;
+  const open = row.nextElementSibling?.dataset.runDetails === runId;
+  if (open) {
+    row.nextElementSibling.remove();
+    return;
+  }
+
+  try {
+    const response = await authenticatedFetch(
+      `${API_BASE}/worlds/${encodeURIComponent(selectedWorld.id)}/runs/${encodeURIComponent(runId)}`,
+      { method: 'GET' }
+    );
+    const run = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(run?.message || 'Failed to load run.');
+    }
+
+    const moves = describeRunMoves(run.moves);
+    // Runs recorded before the deliberation history was kept have none
+    const deliberation = Array.isArray(run.deliberationHistory) ? run.deliberationHistory : [];
+    const stacks = (run.initialStacks || []).map(stack => `[${stack.join(', ')}]`).join(' ');
+    const details = document.createElement('tr');
+    details.dataset.runDetails = runId;
+    details.innerHTML = `
+      <td colspan="9" class="bg-slate-50 px-4 py-3 text-xs text-brand-dark/80">
+        <p><strong>Start:</strong> ${escapeHtml(stacks || '--')}</p>
+        <p class="mt-1"><strong>Deliberation cycles:</strong> ${deliberation.length || 'not recorded'}</p>
+        <p class="mt-1"><strong>Options:</strong> ${escapeHtml(JSON.stringify(run.options || {}))}</p>
+        ${deliberation.length ? `
+        <details class="mt-2">
+          <summary class="cursor-pointer font-semibold">Deliberation history</summary>
+          <ol class="mt-1 space-y-1">
+            ${deliberation.map(entry => `<li>${escapeHtml(describeDeliberationCycle(entry))}</li>`).join('')}
+          </ol>
+        </details>` : ''}
+        <ol class="mt-2 space-y-1">
+          ${moves.map((move, index) => `<li>${index + 1}. ${escapeHtml(move)}</li>`).join('') || '<li>No moves executed.</li>'}
+        </ol>
+      </td>
+    `;
+    row.after(details);
+  } catch (error) {
+    handleError(error, 'loading run');
+  }
+}
+
+async function deleteRun(runId) {
+  if (!runId || !selectedWorld || !window.confirm('Delete this run from the history? This action cannot be undone.')) {
+    return;
+  }
+
+  try {
+    const response = await authenticatedFetch(
+      `${API_BASE}/worlds/${encodeURIComponent(selectedWorld.id)}/runs/${encodeURIComponent(runId)}`,
+      { method: 'DELETE' }
+    );
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(payload.message || 'Failed to delete run.');
+    }
+    showMessage(payload.message || 'Run deleted successfully.', 'success');
+    await fetchRunHistory(selectedWorld);
+  } catch (error) {
+    handleError(error, 'deleting run');
+  }
 }
 
 function attachDeleteHandlers() {
@@ -258,6 +549,15 @@ async function deleteWorld(worldId, worldName) {
     }
     const successMessage = payload.message || `World "${worldName}" deleted successfully.`;
     showMessage(successMessage, 'success');
+    if (selectedWorld?.id === worldId) {
+      selectedWorld = null;
+      runHistorySection?.classList.add('hidden');
+      hideRunComparison();
+    }
+    if (revisionWorld?.id === worldId) {
+      revisionWorld = null;
+      hideWorldRevisions();
+    }
     if (typeof window.refreshLoadList === 'function') {
       window.refreshLoadList();
     }
@@ -285,6 +585,7 @@ function initializePage() {
 
   window.logout = authLogout;
 
+  compareRunsBtn?.addEventListener('click', compareSelectedRuns);
   fetchWorldLogs();
 }
 
@@ -301,22 +301,25 @@ function getBlockPosition(world, blockName) {
  * Simulate a single block move with 4-step claw animation
  * Each step is treated as a single timeline update for the plan
  * Now supports conflict detection and automatic table placement
- * @param {Object} move - Move object {block, to, clawSteps}
+ * @param {Object} move - Move object {block, to, slot?, clawSteps}
  * @param {Object} world - World instance
  * @param {HTMLElement} worldElem - World container element
  * @param {HTMLElement} claw - Claw element
  * @param {Function} markTimelineStep - Function to mark timeline step completion
  * @param {Function} callback - Callback when animation completes
- * @param {Object} options - Options including onConflictDetected callback
+ * @param {Object} options - Options including durationMs, the agent's relative speed and onConflictDetected callback
  */
 export async function simulateMove(move, world, worldElem, claw, markTimelineStep, callback, options = {}) {
   const blockName = move.block;
   const originalDest = move.to;
   let dest = originalDest;
   const actor = move.actor || 'Agent-A';
-  const duration = Number.isFinite(options.durationMs)
-    ? Math.max(100, Math.round(options.durationMs))
+  const speed = Number.isFinite(options.speed) && options.speed > 0 ? options.speed : 1;
+  const baseDuration = Number.isFinite(options.durationMs)
+    ? options.durationMs
     : window.APP_CONFIG?.ANIMATION_DURATION || 550;
+  // Faster agents (capability speed > 1) finish their claw steps sooner
+  const duration = Math.max(100, Math.round(baseDuration / speed));
 
   console.log(`[ANIM START] ${actor}: ${blockName} → ${dest} (duration: ${duration}ms)`);
 
@@ -359,6 +362,24 @@ export async function simulateMove(move, world, worldElem, claw, markTimelineSte
     if (typeof markTimelineStep === 'function') {
       markTimelineStep({ type: 'MOVE_CLAW', to: blockName, block: blockName, actor, stepNumber: 1 });
     }
+
+    // A failed grasp (stochastic planner outcome) closes on nothing and the block stays put
+    if (move.outcome === 'grasp-failed') {
+      if (typeof markTimelineStep === 'function') {
+        markTimelineStep({ type: 'PICK_UP', block: blockName, actor, stepNumber: 2 });
+      }
+      await delay(computeContactDuration(duration));
+      if (Math.abs(sourceClawTop - SAFE_CLAW_TOP) > 0.5) {
+        await animateClawPath(claw, null, [{ clawLeft: sourceClawLeft, clawTop: SAFE_CLAW_TOP }], duration);
+      }
+      if (typeof markTimelineStep === 'function') {
+        markTimelineStep({ type: 'DROP', block: blockName, at: blockName, actor, stepNumber: 2 });
+      }
+      logMove(`Grasp on ${blockName} failed`);
+      console.log(`[ANIM END] ${actor}: grasp on ${blockName} failed`);
+      callback();
+      return;
+    }
     
     // === STEP 2: Pick up block (attach to claw) ===
     MOVING_CLASSES.forEach(cls => blockDiv.classList.add(cls));
@@ -393,7 +414,7 @@ export async function simulateMove(move, world, worldElem, claw, markTimelineSte
 
     // === STEP 3: Apply the move in world state ===
     // Update logical world state first so downstream consumers (timeline, stats) stay in sync
-    world.moveBlock(blockName, dest);
+    world.moveBlock(blockName, dest, move.slot ?? null);
     // Realign every other block immediately (skip the one currently attached to the claw)
     // so the destination stack is already in place when the claw arrives.
     world.updatePositions(blockName);
@@ -471,9 +492,12 @@ export async function simulateMove(move, world, worldElem, claw, markTimelineSte
     
     // Log complete move to Action Log
     const destination = dest === 'Table' ? 'Table' : dest;
-    const logMessage = conflictDetected 
+    let logMessage = conflictDetected 
       ? `Move ${blockName} → ${destination} (conflict: ${originalDest} blocked)`
       : `Move ${blockName} → ${destination}`;
+    if (move.outcome === 'dropped') {
+      logMessage = `${blockName} dropped onto the Table (meant for ${move.intended?.to || 'another block'})`;
+    }
     logMove(logMessage);
     
     console.log(`[ANIM END] ${actor}: ${blockName} → ${dest} completed`);
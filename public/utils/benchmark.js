@@ -0,0 +1,181 @@
+/**
+ * Benchmark Page
+ *
+ * Runs the backend benchmark on generated problems, fills the run table as
+ * results stream in and summarises each planner at the end.
+ */
+
+import { requireAuth, logout as authLogout, updateUIWithUserInfo } from './auth.js';
+import { showMessage, handleError } from './helpers.js';
+import { initializeMobileNavigation, initializeSidebarNavigation } from './navigation.js';
+import { initializeProfileMenu } from './profile.js';
+import { streamBenchmark } from './planner.js';
+
+const SETTING_INPUTS = {
+  blocks: 'benchmarkBlocks',
+  stacks: 'benchmarkStacks',
+  towers: 'benchmarkTowers',
+  instances: 'benchmarkInstances',
+  seed: 'benchmarkSeed'
+};
+
+let latestCsv = null;
+let running = false;
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMetric = value => (value == null ? '–' : escapeHtml(value));
+
+function readSettings() {
+  const settings = {};
+  Object.entries(SETTING_INPUTS).forEach(([key, id]) => {
+    settings[key] = Number.parseInt(document.getElementById(id)?.value, 10);
+  });
+  settings.planners = Array.from(document.querySelectorAll('input[name="benchmarkPlanner"]:checked'))
+    .map(input => input.value);
+  return settings;
+}
+
+function setRunning(isRunning) {
+  running = isRunning;
+  const runButton = document.getElementById('runBenchmarkBtn');
+  if (runButton) {
+    runButton.disabled = isRunning;
+  }
+  Object.values(SETTING_INPUTS).forEach((id) => {
+    const input = document.getElementById(id);
+    if (input) input.disabled = isRunning;
+  });
+  document.querySelectorAll('input[name="benchmarkPlanner"]').forEach((input) => {
+    input.disabled = isRunning;
+  });
+}
+
+function setProgress(text) {
+  const progress = document.getElementById('benchmarkProgress');
+  if (progress) {
+    progress.textContent = text;
+  }
+}
+
+function appendRunRow(run) {
+  const body = document.getElementById('benchmarkRunsBody');
+  if (!body) return;
+
+  const row = document.createElement('tr');
+  row.className = 'border-b border-slate-100';
+  row.innerHTML = `
+    <td class="py-2 pr-4 font-mono text-xs">${escapeHtml(run.problem)}</td>
+    <td class="py-2 pr-4">${escapeHtml(run.planner)}</td>
+    <td class="py-2 pr-4 ${run.goalAchieved ? 'text-emerald-600' : 'text-red-600'}"
+      ${run.error ? `title="${escapeHtml(run.error)}"` : ''}>${run.goalAchieved ? 'Yes' : 'No'}</td>
+    <td class="py-2 pr-4 text-right">${formatMetric(run.planLength)}</td>
+    <td class="py-2 pr-4 text-right">${formatMetric(run.iterations)}</td>
+    <td class="py-2 pr-4 text-right">${formatMetric(run.conflicts)}</td>
+    <td class="py-2 pr-4 text-right">${formatMetric(run.parallelExecutions)}</td>
+    <td class="py-2 text-right">${formatMetric(run.wallTimeMs)}</td>
+  `;
+  body.appendChild(row);
+}
+
+function renderSummary(summary = []) {
+  const body = document.getElementById('benchmarkSummaryBody');
+  if (!body) return;
+
+  body.innerHTML = summary.map(entry => `
+    <tr class="border-b border-slate-100">
+      <td class="py-2 pr-4" title="${escapeHtml(entry.planner)}">${escapeHtml(entry.label)}</td>
+      <td class="py-2 pr-4 text-right">${entry.solved}/${entry.runs}</td>
+      <td class="py-2 pr-4 text-right">${formatMetric(entry.meanPlanLength)}</td>
+      <td class="py-2 pr-4 text-right">${formatMetric(entry.meanIterations)}</td>
+      <td class="py-2 pr-4 text-right">${formatMetric(entry.meanConflicts)}</td>
+      <td class="py-2 pr-4 text-right">${formatMetric(entry.meanParallelExecutions)}</td>
+      <td class="py-2 text-right">${formatMetric(entry.meanWallTimeMs)}</td>
+    </tr>
+  `).join('');
+}
+
+async function handleRunBenchmark() {
+  if (running) return;
+
+  const settings = readSettings();
+  if (settings.planners.length === 0) {
+    showMessage('Select at least one planner to benchmark.', 'error');
+    return;
+  }
+
+  const totalRuns = settings.instances * settings.planners.length;
+  let completedRuns = 0;
+  latestCsv = null;
+  document.getElementById('downloadCsvBtn').disabled = true;
+  document.getElementById('benchmarkRunsBody').innerHTML = '';
+  renderSummary([]);
+  setRunning(true);
+  setProgress(`Running 0 / ${totalRuns || '?'}...`);
+
+  try {
+    const report = await streamBenchmark(settings, (run) => {
+      completedRuns += 1;
+      appendRunRow(run);
+      setProgress(`Running ${completedRuns} / ${totalRuns}...`);
+    });
+    renderSummary(report.summary);
+    latestCsv = report.csv;
+    document.getElementById('downloadCsvBtn').disabled = false;
+    setProgress(`Finished ${completedRuns} run(s) on ${report.problems.length} problem(s).`);
+  } catch (error) {
+    setProgress('');
+    handleError(error, 'running benchmark');
+  } finally {
+    setRunning(false);
+  }
+}
+
+function handleDownloadCsv() {
+  if (!latestCsv) return;
+
+  const settings = readSettings();
+  const blob = new Blob([latestCsv], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `benchmark-n${settings.blocks}-m${settings.stacks}-k${settings.towers}-s${settings.seed}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Initialize the benchmark page
+ */
+function init() {
+  requireAuth();
+
+  initializeMobileNavigation();
+  initializeSidebarNavigation({
+    activeRoute: 'benchmark',
+    storageKey: 'bdiSidebarCollapsed'
+  });
+  initializeProfileMenu();
+
+  updateUIWithUserInfo({
+    adminNav: '.admin-nav-link'
+  });
+
+  window.logout = authLogout;
+
+  document.getElementById('runBenchmarkBtn')?.addEventListener('click', handleRunBenchmark);
+  document.getElementById('downloadCsvBtn')?.addEventListener('click', handleDownloadCsv);
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
@@ -0,0 +1,140 @@
+/**
+ * Counterfactual Branches
+ *
+ * Every finished dashboard run is a line of exploration: the main run, and
+ * the branches started by rewinding the world to a timeline step ("What if?")
+ * and planning again from there. The panel lists them side by side by plan
+ * length and conflicts, and shows the timeline of any of them.
+ */
+
+import { restoreTimelineFromSnapshot } from './timeline.js';
+
+const ROW_ACTIVE = 'bg-slate-50';
+
+let branches = [];
+let activeBranchId = null;
+
+const panel = () => document.getElementById('branchPanel');
+const tableBody = () => document.getElementById('branchTableBody');
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMetric = value => (value == null ? '–' : escapeHtml(value));
+
+function renderBranches() {
+  const container = panel();
+  const body = tableBody();
+  if (!container || !body) return;
+
+  container.classList.toggle('hidden', branches.length < 2);
+  body.innerHTML = branches.map(branch => `
+    <tr class="border-b border-slate-100 ${branch.id === activeBranchId ? ROW_ACTIVE : ''}">
+      <td class="py-2 pr-4 font-semibold">${escapeHtml(branch.label)}</td>
+      <td class="py-2 pr-4">${branch.parentLabel ? `${escapeHtml(branch.parentLabel)}, step ${branch.fromStep}` : '–'}</td>
+      <td class="py-2 pr-4">${formatMetric(branch.change)}</td>
+      <td class="py-2 pr-4">${formatMetric(branch.goalLabel)}</td>
+      <td class="py-2 pr-4 text-right">${formatMetric(branch.planLength)}</td>
+      <td class="py-2 pr-4 text-right">${formatMetric(branch.conflicts)}</td>
+      <td class="py-2 pr-4 ${branch.outcome === 'Success' ? 'text-emerald-600' : 'text-red-600'}">${formatMetric(branch.outcome)}</td>
+      <td class="py-2 text-right">
+        <button type="button" data-branch-id="${escapeHtml(branch.id)}"
+          class="text-xs font-semibold text-brand-primary hover:text-brand-dark">View</button>
+      </td>
+    </tr>
+  `).join('');
+
+  body.querySelectorAll('button[data-branch-id]').forEach((button) => {
+    button.addEventListener('click', () => {
+      document.dispatchEvent(new CustomEvent('branches:view', { detail: { id: button.dataset.branchId } }));
+    });
+  });
+}
+
+/**
+ * Start a new exploration from a run that did not branch off another one
+ * @param {Object} entry - { goalLabel, planLength, conflicts, outcome, timeline }
+ * @returns {Object} The main branch
+ */
+export function startMainBranch(entry) {
+  branches = [{ ...entry, id: 'main', label: 'Main run', parentLabel: null, fromStep: null, change: null, baseMoves: 0 }];
+  activeBranchId = 'main';
+  renderBranches();
+  return branches[0];
+}
+
+/**
+ * Add a run that branched off another line
+ * @param {Object} entry - { parentId, fromStep, change, baseMoves, goalLabel, planLength, conflicts, outcome, timeline }
+ * @returns {Object} The new branch
+ */
+export function addBranch(entry) {
+  const parent = branches.find(branch => branch.id === entry.parentId);
+  const number = branches.length;
+  const branch = { ...entry, id: `branch-${number}`, label: `Branch ${number}`, parentLabel: parent?.label || null };
+  branches.push(branch);
+  activeBranchId = branch.id;
+  renderBranches();
+  return branch;
+}
+
+/**
+ * Summarise what a branch changed before replanning: the blocks moved, added
+ * or removed after rewinding, and the goal when it differs from the parent's
+ * @param {{parentGoalLabel: string|null, changes: Array<Object>}} origin
+ * @param {string|null} goalLabel - Goal of the branch's run
+ * @returns {string}
+ */
+export function describeBranchChange({ parentGoalLabel, changes }, goalLabel) {
+  const notes = changes.map((mutation) => {
+    switch (mutation.type) {
+      case 'MOVE':
+        return `${mutation.block} → ${mutation.to}`;
+      case 'BLOCK_ADD':
+        return `added ${mutation.block}`;
+      case 'BLOCK_REMOVE':
+        return `removed ${mutation.block}`;
+      default:
+        return null;
+    }
+  }).filter(Boolean);
+  if (parentGoalLabel && goalLabel !== parentGoalLabel) {
+    notes.push(`goal ${goalLabel}`);
+  }
+  return notes.length > 0 ? notes.join('; ') : 'replanned unchanged';
+}
+
+/**
+ * The line whose timeline is on screen, or null before the first recorded run
+ */
+export function getActiveBranch() {
+  return branches.find(branch => branch.id === activeBranchId) || null;
+}
+
+/**
+ * Put a line's timeline back on screen
+ * @param {string} id
+ * @returns {Object|null} The branch shown
+ */
+export function showBranch(id) {
+  const branch = branches.find(entry => entry.id === id);
+  if (!branch) return null;
+
+  activeBranchId = branch.id;
+  restoreTimelineFromSnapshot(branch.timeline);
+  renderBranches();
+  return branch;
+}
+
+/**
+ * Forget every line, e.g. when another world is loaded
+ */
+export function resetBranches() {
+  branches = [];
+  activeBranchId = null;
+  renderBranches();
+}
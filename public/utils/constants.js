@@ -71,6 +71,11 @@ export const BLOCK_COLOUR_PALETTE = [
   '#4c6ef5', '#9775fa'
 ];
 
+// Block names: letter or digit followed by up to 15 letters, digits, "_" or "-"
+// (mirrors backend/bdi/utils/blockNames.js). Names are stored upper-case.
+export const BLOCK_NAME_REGEX = /^[A-Z0-9][A-Z0-9_-]{0,15}$/;
+export const MAX_TABLE_SLOTS = 64; // Mirrors the backend cap on plannerOptions.tableSlots
+
 // Claw Animation Settings
 export const CLAW_HEIGHT = 25;
 export const CLAW_WIDTH = 60; // Must match --claw-width in CSS
@@ -82,8 +87,9 @@ export const CLAW_ARM_HEIGHT = 2000;
 export const CLAW_HOME_TOP = 10; // Visible at top of world area
 export const CLAW_HOME_LEFT_OFFSET = -30; // Will be calculated based on world width
 
-// Future: Support for multiple claws
-export const MAX_CLAWS = 2;
+// One claw per planner agent (mirrors MAX_AGENT_COUNT in backend/bdi/utils/agentIds.js)
+export const MAX_CLAWS = 6;
+export const DEFAULT_AGENT_COUNT = 2;
 
 const CLAW_BASE_CLASS = 'absolute z-50 flex h-[25px] w-[60px] items-end justify-center rounded-t-md text-[10px] font-semibold uppercase tracking-[0.28em] text-white shadow-[0_10px_24px_rgba(15,23,42,0.24)] pointer-events-none';
 const CLAW_LABEL_CLASS = 'pointer-events-none mb-1 text-[9px] font-semibold uppercase tracking-[0.35em] text-white/85';
@@ -100,18 +106,47 @@ const AGENT_CLAW_MAP = {
     label: 'B',
     classes: `${CLAW_BASE_CLASS} bg-brand-primary`,
     armClass: 'pointer-events-none absolute rounded-b-sm bg-brand-primary/80'
+  },
+  'Agent-C': {
+    id: 'claw-agent-c',
+    label: 'C',
+    classes: `${CLAW_BASE_CLASS} bg-fuchsia-600`,
+    armClass: 'pointer-events-none absolute rounded-b-sm bg-fuchsia-600/80'
+  },
+  'Agent-D': {
+    id: 'claw-agent-d',
+    label: 'D',
+    classes: `${CLAW_BASE_CLASS} bg-amber-500`,
+    armClass: 'pointer-events-none absolute rounded-b-sm bg-amber-500/80'
+  },
+  'Agent-E': {
+    id: 'claw-agent-e',
+    label: 'E',
+    classes: `${CLAW_BASE_CLASS} bg-emerald-600`,
+    armClass: 'pointer-events-none absolute rounded-b-sm bg-emerald-600/80'
+  },
+  'Agent-F': {
+    id: 'claw-agent-f',
+    label: 'F',
+    classes: `${CLAW_BASE_CLASS} bg-sky-600`,
+    armClass: 'pointer-events-none absolute rounded-b-sm bg-sky-600/80'
   }
 };
 
+export const AGENT_KEYS = Object.keys(AGENT_CLAW_MAP);
+
+// Accepts "Agent-C", "agent-c", "C"; anything else is the primary agent
 export function normalizeAgentKey(agentKey) {
   if (typeof agentKey !== 'string') return 'Agent-A';
-  const trimmed = agentKey.trim();
-  if (!trimmed) return 'Agent-A';
-  const lower = trimmed.toLowerCase();
-  if (lower === 'agent-b' || lower === 'b') {
-    return 'Agent-B';
-  }
-  return 'Agent-A';
+  const match = /^(?:agent[-\s]?)?([a-z])$/i.exec(agentKey.trim());
+  if (!match) return 'Agent-A';
+  const key = `Agent-${match[1].toUpperCase()}`;
+  return AGENT_CLAW_MAP[key] ? key : 'Agent-A';
+}
+
+export function agentKeysForCount(count) {
+  const normalizedCount = Number.isInteger(count) ? Math.min(Math.max(count, 1), MAX_CLAWS) : 1;
+  return AGENT_KEYS.slice(0, normalizedCount);
 }
 
 function ensureClawConfig(agentKey) {
@@ -131,9 +166,11 @@ export const DOM = {
   removeBlockBtn: () => document.getElementById('removeBlockBtn'),
   blockCountLabel: () => document.getElementById('blockCountLabel'),
   nextBlockLabel: () => document.getElementById('nextBlockLabel'),
+  tableSlotsInput: () => document.getElementById('tableSlotsInput'),
   startBtn: () => document.getElementById('startBtn'),
   goalInput: () => document.getElementById('goalInput'),
   saveBtn: () => document.getElementById('saveBtn'),
+  updateWorldBtn: () => document.getElementById('updateWorldBtn'),
   loadBtn: () => document.getElementById('loadBtn'),
   loadSelect: () => document.getElementById('loadSelect'),
   speedSlider: () => document.getElementById('simulationSpeed'),
@@ -173,7 +210,9 @@ export function getAgentClaw(agentKey) {
 export function getAllAgentClaws() {
   const worldElem = DOM.world();
   if (!worldElem) return [];
-  return Array.from(worldElem.querySelectorAll(`[${CLAW_DATA_ATTRIBUTE}='true']`));
+  // Agent order, not creation order, so claws keep their places as agents come and go
+  return Array.from(worldElem.querySelectorAll(`[${CLAW_DATA_ATTRIBUTE}='true']`))
+    .sort((a, b) => AGENT_KEYS.indexOf(normalizeAgentKey(a.dataset.agentKey)) - AGENT_KEYS.indexOf(normalizeAgentKey(b.dataset.agentKey)));
 }
 
 function applyClawClasses(claw, config, agentKey) {
@@ -276,7 +315,12 @@ export function resetClawToHome(claw, durationOverride = null) {
   // Fixed positions to prevent overlap regardless of world width
   const CLAW_SPACING = 180; // Fixed horizontal spacing between claws
   const CLAW_START_OFFSET = 60; // Fixed left offset for first claw
-  const targetLeft = CLAW_START_OFFSET + (resolvedIndex * CLAW_SPACING);
+  // Larger teams close up when they would run past the world, but never overlap
+  const availableWidth = worldElem.clientWidth - (CLAW_START_OFFSET * 2) - CLAW_WIDTH;
+  const spacing = count > 1 && availableWidth > 0
+    ? Math.max(CLAW_WIDTH + 12, Math.min(CLAW_SPACING, availableWidth / (count - 1)))
+    : CLAW_SPACING;
+  const targetLeft = CLAW_START_OFFSET + (resolvedIndex * spacing);
   
   const duration = durationOverride ?? window.APP_CONFIG?.ANIMATION_DURATION ?? 550;
   claw.style.transition = `left ${duration}ms ease, top ${duration}ms ease`;
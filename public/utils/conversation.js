@@ -0,0 +1,214 @@
+/**
+ * Agent conversation panel
+ *
+ * Draws the message transcript of a multi-agent plan as a sequence diagram:
+ * one lifeline per participant and one arrow per message, top to bottom,
+ * with a divider at the start of every deliberation cycle.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MAX_DRAWN_MESSAGES = 400; // keeps long runs responsive; pick a cycle to see the rest
+const LANE_WIDTH = 170;
+const ROW_HEIGHT = 30;
+const HEADER_HEIGHT = 44;
+const CYCLE_ROW_HEIGHT = 22;
+const ROLE_ORDER = ['Coordinator', 'Negotiator', 'Auctioneer'];
+
+const PERFORMATIVE_COLOURS = {
+  inform: '#64748b',
+  request: '#0284c7',
+  propose: '#7c3aed',
+  'accept-proposal': '#16a34a',
+  'reject-proposal': '#dc2626',
+  cfp: '#d97706'
+};
+
+let transcript = [];
+
+const panel = () => document.getElementById('conversationPanel');
+const diagram = () => document.getElementById('conversationDiagram');
+const summary = () => document.getElementById('conversationSummary');
+const cycleSelect = () => document.getElementById('conversationCycleSelect');
+
+function svgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, String(value)));
+  return element;
+}
+
+// Coordination roles on the left, agents after them in name order
+function participantsOf(messages) {
+  const names = new Set();
+  messages.forEach((message) => {
+    names.add(message.sender);
+    names.add(message.receiver);
+  });
+  const rank = (name) => {
+    const index = ROLE_ORDER.indexOf(name);
+    return index >= 0 ? index : ROLE_ORDER.length;
+  };
+  return [...names].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+function describeMove(move) {
+  if (!move) return '';
+  return `${move.block} → ${move.to}${move.slot ? ` (slot ${move.slot})` : ''}`;
+}
+
+// Arrow label: the performative and the gist of its content
+function describeMessageContent(message) {
+  const content = message.content || {};
+  const parts = [message.performative];
+  if (content.move) parts.push(describeMove(content.move));
+  if (content.task) parts.push(content.label || content.task);
+  if (content.tower) parts.push(content.tower);
+  if (Number.isFinite(content.utility) && !content.task) parts.push(`u=${content.utility.toFixed(2)}`);
+  if (Number.isFinite(content.bid)) parts.push(`bid ${content.bid}`);
+  if (content.status) parts.push(content.status);
+  if (Array.isArray(content.observation)) {
+    parts.push(`saw column${content.observation.length === 1 ? '' : 's'} ${content.observation.map((entry) => entry.column).join(', ')}`);
+  }
+  return parts.join(' · ');
+}
+
+function drawDiagram(messages) {
+  const container = diagram();
+  if (!container) return;
+  container.replaceChildren();
+
+  if (messages.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-sm text-brand-dark/60';
+    empty.textContent = 'No messages were exchanged.';
+    container.appendChild(empty);
+    return;
+  }
+
+  const drawn = messages.slice(0, MAX_DRAWN_MESSAGES);
+  const participants = participantsOf(drawn);
+  const laneX = new Map(participants.map((name, index) => [name, LANE_WIDTH / 2 + index * LANE_WIDTH]));
+  const cycleBreaks = drawn.filter((message, index) => index === 0 || message.cycle !== drawn[index - 1].cycle).length;
+  const width = participants.length * LANE_WIDTH;
+  const height = HEADER_HEIGHT + drawn.length * ROW_HEIGHT + cycleBreaks * CYCLE_ROW_HEIGHT + 16;
+
+  const svg = svgElement('svg', { width, height, viewBox: `0 0 ${width} ${height}`, 'font-family': 'monospace', 'font-size': 11 });
+  const defs = svgElement('defs');
+  Object.entries(PERFORMATIVE_COLOURS).forEach(([performative, colour]) => {
+    const marker = svgElement('marker', {
+      id: `arrow-${performative}`,
+      viewBox: '0 0 10 10',
+      refX: 10,
+      refY: 5,
+      markerWidth: 7,
+      markerHeight: 7,
+      orient: 'auto-start-reverse'
+    });
+    marker.appendChild(svgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z', fill: colour }));
+    defs.appendChild(marker);
+  });
+  svg.appendChild(defs);
+
+  participants.forEach((name) => {
+    const x = laneX.get(name);
+    svg.appendChild(svgElement('line', { x1: x, y1: HEADER_HEIGHT - 8, x2: x, y2: height, stroke: '#cbd5e1', 'stroke-dasharray': '4 4' }));
+    svg.appendChild(svgElement('rect', { x: x - 60, y: 6, width: 120, height: 26, rx: 4, fill: '#0f172a' }));
+    const label = svgElement('text', { x, y: 23, 'text-anchor': 'middle', fill: '#e2e8f0', 'font-weight': 600 });
+    label.textContent = name;
+    svg.appendChild(label);
+  });
+
+  let y = HEADER_HEIGHT;
+  drawn.forEach((message, index) => {
+    if (index === 0 || message.cycle !== drawn[index - 1].cycle) {
+      y += CYCLE_ROW_HEIGHT;
+      svg.appendChild(svgElement('line', { x1: 0, y1: y - 14, x2: width, y2: y - 14, stroke: '#e2e8f0' }));
+      const cycleLabel = svgElement('text', { x: 4, y: y - 2, fill: '#94a3b8' });
+      cycleLabel.textContent = message.cycle ? `cycle ${message.cycle}` : 'allocation';
+      svg.appendChild(cycleLabel);
+    }
+
+    y += ROW_HEIGHT;
+    const colour = PERFORMATIVE_COLOURS[message.performative] || '#64748b';
+    const fromX = laneX.get(message.sender);
+    const toX = laneX.get(message.receiver);
+    const arrowY = y - 8;
+    svg.appendChild(svgElement('line', {
+      x1: fromX,
+      y1: arrowY,
+      x2: toX,
+      y2: arrowY,
+      stroke: colour,
+      'stroke-width': 1.5,
+      'marker-end': `url(#arrow-${message.performative})`
+    }));
+
+    const text = svgElement('text', { x: (fromX + toX) / 2, y: arrowY - 5, 'text-anchor': 'middle', fill: colour });
+    text.textContent = describeMessageContent(message);
+    const title = svgElement('title');
+    title.textContent = `#${message.id} ${message.sender} → ${message.receiver}${message.conversationId ? ` (${message.conversationId})` : ''}\n${JSON.stringify(message.content)}`;
+    text.appendChild(title);
+    svg.appendChild(text);
+  });
+
+  container.appendChild(svg);
+
+  if (messages.length > drawn.length) {
+    const note = document.createElement('p');
+    note.className = 'mt-2 text-xs text-brand-dark/60';
+    note.textContent = `Showing the first ${drawn.length} of ${messages.length} messages; pick a cycle to see the rest.`;
+    container.appendChild(note);
+  }
+}
+
+function renderSelectedCycle() {
+  const value = cycleSelect()?.value || 'all';
+  const messages = value === 'all'
+    ? transcript
+    : transcript.filter((message) => String(message.cycle) === value);
+  drawDiagram(messages);
+}
+
+function summarize(messages) {
+  const counts = {};
+  messages.forEach((message) => {
+    counts[message.performative] = (counts[message.performative] || 0) + 1;
+  });
+  const breakdown = Object.entries(counts).map(([performative, count]) => `${performative} ${count}`).join(' · ');
+  return `${messages.length} ${messages.length === 1 ? 'message' : 'messages'}${breakdown ? ` (${breakdown})` : ''}`;
+}
+
+/**
+ * Show the transcript of a multi-agent plan; hides the panel when there is none
+ * @param {Array|null} messages - [{ id, cycle, performative, sender, receiver, conversationId, inReplyTo?, content }]
+ */
+export function renderConversation(messages) {
+  const container = panel();
+  if (!container) return;
+
+  transcript = Array.isArray(messages) ? messages : [];
+  container.classList.toggle('hidden', !Array.isArray(messages));
+  if (!Array.isArray(messages)) return;
+
+  const summaryElement = summary();
+  if (summaryElement) {
+    summaryElement.textContent = summarize(transcript);
+  }
+
+  const select = cycleSelect();
+  if (select) {
+    const cycles = [...new Set(transcript.map((message) => message.cycle))];
+    select.replaceChildren(new Option('All cycles', 'all'), ...cycles.map((cycle) => (
+      new Option(cycle ? `Cycle ${cycle}` : 'Allocation', String(cycle))
+    )));
+    select.onchange = renderSelectedCycle;
+  }
+
+  renderSelectedCycle();
+}
+
+/**
+ * Hide the panel until the next multi-agent plan arrives
+ */
+export function resetConversation() {
+  renderConversation(null);
+}
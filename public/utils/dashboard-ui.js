@@ -63,7 +63,7 @@ function parseGoalSegments(rawInput) {
 
   const normalized = sanitized.replace(/\s+/g, ' ');
   const segments = normalized
-    .split(/\s*(?:\band\b|&|;|\|)\s*/i)
+    .split(/\s+and\s+|\s*[&;|]\s*/i)
     .map((segment) => segment.trim())
     .filter(Boolean);
 
@@ -71,8 +71,8 @@ function parseGoalSegments(rawInput) {
 
   return resolvedSegments
     .map((segment) => {
-      const tokens = /\bon\b/i.test(segment)
-        ? segment.split(/\s*on\s*/i)
+      const tokens = /\s+on\s+/i.test(segment)
+        ? segment.split(/\s+on\s+/i)
         : segment.split(/\s*,\s*/);
       return normalizeGoalTokens(tokens);
     })
@@ -0,0 +1,55 @@
+/**
+ * Deliberation history of a dashboard run
+ *
+ * Multi-agent responses report every deliberation cycle: the resolution
+ * strategy and how many proposals, conflicts and decisions it handled. A
+ * single agent deliberates once per move, so its cycles are the moves it
+ * committed to. Cycles are numbered across the replans of one run.
+ */
+
+const describeDestination = ({ to, slot }) => (to === 'Table' && Number.isInteger(slot) ? `Table slot ${slot}` : to);
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * Deliberation cycles reported by one planner response
+ * @param {Object} plannerResponse
+ * @param {number} [afterCycle=0] - Last cycle already recorded for the run
+ * @returns {Array<Object>}
+ */
+export function collectDeliberationHistory(plannerResponse, afterCycle = 0) {
+  if (Array.isArray(plannerResponse?.deliberationHistory)) {
+    return plannerResponse.deliberationHistory.map((entry, index) => ({
+      ...entry,
+      cycle: afterCycle + (Number.isInteger(entry.cycle) ? entry.cycle : index + 1)
+    }));
+  }
+
+  const moves = Array.isArray(plannerResponse?.moves) ? plannerResponse.moves : [];
+  return moves
+    .filter(move => move && move.block)
+    .map((move, index) => ({
+      cycle: afterCycle + index + 1,
+      actor: move.actor || null,
+      intention: move.reason || null,
+      move: `${move.block} → ${describeDestination(move)}`
+    }));
+}
+
+/**
+ * One line of the run detail view for a recorded cycle
+ * @param {Object} entry - Entry from collectDeliberationHistory
+ * @returns {string}
+ */
+export function describeDeliberationCycle(entry) {
+  if (entry.move === undefined) {
+    const counts = [
+      plural(entry.proposals || 0, 'proposal'),
+      plural(entry.conflicts || 0, 'conflict'),
+      plural(entry.decisions || 0, 'decision')
+    ].join(', ');
+    return `Cycle ${entry.cycle} · ${entry.strategy || 'no strategy'}: ${counts}`;
+  }
+  const intention = entry.intention ? ` (${entry.intention})` : '';
+  return `Cycle ${entry.cycle}: ${entry.move}${intention}`;
+}
@@ -178,7 +178,7 @@ export class BlockDragManager {
     const { type, target } = destination;
     const normalizedDest = type === 'table' ? 'Table' : target;
 
-    if (!this.isMoveMeaningful(block, normalizedDest, originSupport)) {
+    if (!this.isMoveMeaningful(block, normalizedDest, originSupport, destination.stackIndex, detachInfo?.stackIndex)) {
       this.world.restoreDetachedBlock(block, detachInfo);
       // Resume animations after drag cancelled
       resumeAnimations();
@@ -250,9 +250,12 @@ export class BlockDragManager {
     this.dragState = null;
   }
 
-  isMoveMeaningful(block, destination, originSupport) {
+  isMoveMeaningful(block, destination, originSupport, targetStackIndex = null, originStackIndex = null) {
     if (destination === originSupport) {
-      return false;
+      // With fixed table slots, moving a block to a different slot still changes the world
+      return destination === 'Table'
+        && Boolean(this.world?.tableSlots)
+        && targetStackIndex !== originStackIndex;
     }
     return true;
   }
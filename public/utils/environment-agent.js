@@ -0,0 +1,130 @@
+/**
+ * Environment agent
+ *
+ * Scripted disturbances for repeatable experiments. After set agent cycles the
+ * environment moves blocks on its own; the controller feeds those moves through
+ * the same mutation and replan path as a manual drag. A script holds one rule
+ * per line (or separated by ";"):
+ *   at 5: move C to Table      once, after the fifth agent cycle
+ *   every 4: displace random   after every fourth cycle, a random clear block moves elsewhere
+ *   seed 42                    random choices repeat for the same seed and world
+ * Lines starting with # are comments.
+ */
+
+import { normalizeBlockName } from './helpers.js';
+
+export const ENVIRONMENT_ACTOR = 'Environment';
+
+const RULE_PATTERN = /^(at|every)\s+(\d+)\s*:\s*(.+)$/i;
+const MOVE_PATTERN = /^move\s+(\S+)\s+to\s+(\S+)$/i;
+const DISPLACE_PATTERN = /^displace\s+random$/i;
+const SEED_PATTERN = /^seed\s+(\d+)$/i;
+const DEFAULT_SEED = 1;
+const MAX_SEED = 0xFFFFFFFF;
+
+// mulberry32, as in the backend's seeded action outcomes
+function createRandomSource(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function parseAction(text) {
+  if (DISPLACE_PATTERN.test(text)) {
+    return { action: 'displace' };
+  }
+  const move = text.match(MOVE_PATTERN);
+  if (!move) {
+    return null;
+  }
+  const block = normalizeBlockName(move[1]);
+  const to = move[2].toUpperCase() === 'TABLE' ? 'Table' : normalizeBlockName(move[2]);
+  return block && to && block !== to ? { action: 'move', block, to } : null;
+}
+
+/**
+ * Parse a disturbance script
+ * @param {string} text
+ * @returns {{script: {rules: Array, seed: number}|null, error?: string}} script is null for an empty text
+ */
+export function parseDisturbanceScript(text) {
+  const lines = String(text || '')
+    .split(/[\n;]/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+  if (lines.length === 0) {
+    return { script: null };
+  }
+
+  const rules = [];
+  let seed = DEFAULT_SEED;
+  for (const line of lines) {
+    const seedMatch = line.match(SEED_PATTERN);
+    if (seedMatch) {
+      seed = Number(seedMatch[1]);
+      if (seed > MAX_SEED) {
+        return { script: null, error: `Disturbance seed must be at most ${MAX_SEED}.` };
+      }
+      continue;
+    }
+
+    const rule = line.match(RULE_PATTERN);
+    const action = rule ? parseAction(rule[3].trim()) : null;
+    const cycle = rule ? Number(rule[2]) : 0;
+    if (!action || cycle < 1) {
+      return {
+        script: null,
+        error: `Cannot read disturbance "${line}". Use "at N: move X to Y", "every N: displace random" or "seed N".`
+      };
+    }
+    rules.push({ trigger: rule[1].toLowerCase(), cycle, label: `${rule[1].toLowerCase()} ${cycle}`, ...action });
+  }
+
+  return { script: { rules, seed } };
+}
+
+/**
+ * Create an environment agent for a parsed script
+ * @param {{rules: Array, seed: number}} script
+ * @returns {{dueRules: Function, chooseMove: Function}}
+ */
+export function createEnvironmentAgent(script) {
+  const random = createRandomSource(script.seed);
+
+  // A clear block, in name order so the same seed picks the same block, onto the table or another clear block.
+  // Without a slot, world.canMove asks for any free slot, so a full limited table offers no table moves.
+  const chooseDisplacement = (world) => {
+    const clearBlocks = world.getCurrentBlocks().filter((block) => world.isClear(block)).sort();
+    const options = clearBlocks.flatMap((block) => [
+      ...(world.on[block] !== 'Table' && world.canMove(block, 'Table') ? [{ block, to: 'Table' }] : []),
+      ...clearBlocks.filter((dest) => dest !== block).map((dest) => ({ block, to: dest }))
+    ]);
+    return options.length > 0 ? options[Math.floor(random() * options.length)] : null;
+  };
+
+  return {
+    /**
+     * Rules that fire after the given agent cycle, in script order
+     * @param {number} cycle - 1-based
+     * @returns {Array}
+     */
+    dueRules(cycle) {
+      return script.rules.filter((rule) => (rule.trigger === 'at' ? cycle === rule.cycle : cycle % rule.cycle === 0));
+    },
+
+    /**
+     * The move a rule makes in the current world; null when there is nothing to displace
+     * @param {Object} rule
+     * @param {World} world
+     * @returns {{block: string, to: string}|null}
+     */
+    chooseMove(rule, world) {
+      return rule.action === 'displace' ? chooseDisplacement(world) : { block: rule.block, to: rule.to };
+    }
+  };
+}
@@ -4,6 +4,8 @@
  * General-purpose utility functions used across the application.
  */
 
+import { BLOCK_NAME_REGEX } from './constants.js';
+
 /**
  * Generate a vibrant colour for blocks
  * @returns {string} HSL color string
@@ -106,6 +108,54 @@ export function formatBeliefSnapshot(beliefs) {
   return `Pending relation: ${pending} | Clear blocks: ${clear}`;
 }
 
+/**
+ * Normalize a block identifier (trimmed, upper-case)
+ * @param {unknown} value - Raw block name
+ * @returns {string|null} Canonical name or null when invalid ("TABLE" is reserved)
+ */
+export function normalizeBlockName(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const normalized = value.trim().toUpperCase();
+  if (normalized === 'TABLE' || !BLOCK_NAME_REGEX.test(normalized)) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Spreadsheet-style default block name for a zero-based index (A..Z, AA, AB, ...)
+ * @param {number} index
+ * @returns {string}
+ */
+export function blockNameFromIndex(index) {
+  let remaining = Math.max(0, Math.floor(index)) + 1;
+  let name = '';
+  while (remaining > 0) {
+    const offset = (remaining - 1) % 26;
+    name = String.fromCharCode(65 + offset) + name;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * Inverse of blockNameFromIndex
+ * @param {string} name
+ * @returns {number} Zero-based index, or -1 for names outside the default sequence
+ */
+export function blockIndexFromName(name) {
+  if (typeof name !== 'string' || !/^[A-Z]{1,3}$/.test(name)) {
+    return -1;
+  }
+  let index = 0;
+  for (const char of name) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
 /**
  * Normalize world identifiers coming from API responses or Mongoose documents
  * @param {unknown} input - Raw identifier or document containing an identifier
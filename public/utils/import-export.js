@@ -1,10 +1,11 @@
 /**
  * Import/Export Module
  * 
- * Handles importing and exporting world configurations as JSON
+ * Handles importing and exporting world configurations as JSON, and as PDDL
+ * problems for the standard blocksworld domain (converted by the backend)
  */
 
-import { API_BASE } from './constants.js';
+import { API_BASE, MAX_TABLE_SLOTS } from './constants.js';
 import { 
   authenticatedFetch, 
   getCurrentUser, 
@@ -12,10 +13,13 @@ import {
   logout as authLogout,
   updateUIWithUserInfo 
 } from './auth.js';
-import { showMessage, handleError, normalizeWorldIdentifier } from './helpers.js';
+import { showMessage, handleError, normalizeWorldIdentifier, normalizeBlockName } from './helpers.js';
 import { initializeMobileNavigation, initializeSidebarNavigation } from './navigation.js';
 import { initializeProfileMenu } from './profile.js';
 
+// PDDL problems open with "(define" or a ";" comment; world JSON opens with "{"
+const looksLikePddl = text => /^\s*[(;]/.test(text);
+
 const escapeHtml = (value = '') => String(value)
   .replace(/&/g, '&amp;')
   .replace(/</g, '&lt;')
@@ -105,6 +109,8 @@ function setupEventListeners() {
   // Export buttons
   const exportJsonBtn = document.getElementById('exportJsonBtn');
   const copyJsonBtn = document.getElementById('copyJsonBtn');
+  const exportPddlBtn = document.getElementById('exportPddlBtn');
+  const downloadDomainBtn = document.getElementById('downloadDomainBtn');
   const exportWorldSelect = document.getElementById('exportWorldSelect');
 
   if (exportJsonBtn) {
@@ -115,6 +121,14 @@ function setupEventListeners() {
     copyJsonBtn.addEventListener('click', handleCopyJson);
   }
 
+  if (exportPddlBtn) {
+    exportPddlBtn.addEventListener('click', handleExportPddl);
+  }
+
+  if (downloadDomainBtn) {
+    downloadDomainBtn.addEventListener('click', handleDownloadDomain);
+  }
+
   if (exportWorldSelect) {
     exportWorldSelect.addEventListener('change', handleExportWorldChange);
   }
@@ -200,6 +214,7 @@ function displayExportPreview(worldData) {
       <div class="flex justify-between"><strong>World:</strong><span>${escapeHtml(worldData?.name || 'Untitled World')}</span></div>
       <div class="flex justify-between"><strong>Blocks:</strong><span>${Array.isArray(worldData?.blocks) ? worldData.blocks.length : 0}</span></div>
       <div class="flex justify-between"><strong>Stacks:</strong><span>${Array.isArray(worldData?.stacks) ? worldData.stacks.length : 0}</span></div>
+      <div class="flex justify-between"><strong>Goal:</strong><span>${escapeHtml(worldData?.goal || 'None saved')}</span></div>
       <div class="flex justify-between"><strong>Timeline Cards:</strong><span>${cards.length}</span></div>
       <div class="flex justify-between"><strong>Distinct Steps:</strong><span>${distinctSteps}</span></div>
       <div class="flex justify-between"><strong>Agent Mode:</strong><span>${agentModeLabel}</span></div>
@@ -275,6 +290,104 @@ async function handleCopyJson() {
   }
 }
 
+/**
+ * Save text returned by the backend as a download
+ */
+function downloadText(text, filename) {
+  const blob = new Blob([text], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Handle exporting the selected world and its goal as a PDDL problem
+ */
+async function handleExportPddl() {
+  const select = document.getElementById('exportWorldSelect');
+  const selectedOption = select?.options[select.selectedIndex];
+
+  if (!selectedOption || !selectedOption.dataset.world) {
+    showMessage('Please select a world to export', 'error');
+    return;
+  }
+
+  try {
+    const worldData = JSON.parse(selectedOption.dataset.world);
+    const response = await authenticatedFetch(`${API_BASE}/worlds/${selectedOption.value}/pddl`, {
+      method: 'GET'
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ message: response.statusText }));
+      throw new Error(errorData.message || 'Failed to export world as PDDL');
+    }
+
+    downloadText(await response.text(), `${worldData.name || 'world'}.pddl`);
+    showMessage(`Exported "${worldData.name}" as a PDDL problem`, 'success');
+  } catch (error) {
+    handleError(error, 'exporting PDDL');
+  }
+}
+
+/**
+ * Handle downloading the blocksworld domain the problems refer to
+ */
+async function handleDownloadDomain() {
+  try {
+    const response = await fetch(`${API_BASE}/pddl/domain`);
+    if (!response.ok) {
+      throw new Error('Failed to load the PDDL domain');
+    }
+    downloadText(await response.text(), 'blocksworld-domain.pddl');
+  } catch (error) {
+    handleError(error, 'downloading PDDL domain');
+  }
+}
+
+/**
+ * Convert a PDDL problem in the import box into world JSON
+ * @returns {Promise<boolean>} Whether the conversion succeeded
+ */
+async function convertPddlInput(pddlText) {
+  const importJsonInput = document.getElementById('importJsonInput');
+
+  try {
+    const response = await authenticatedFetch(`${API_BASE}/pddl/parse`, {
+      method: 'POST',
+      body: JSON.stringify({ text: pddlText })
+    });
+
+    const data = await response.json().catch(() => ({ message: response.statusText }));
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to read PDDL problem');
+    }
+
+    // The goal keeps its tower chains in the dashboard syntax, so the world JSON needs only `goal`
+    const { goalChains, ...world } = data;
+    importJsonInput.value = JSON.stringify(world, null, 2);
+    const goalKind = goalChains ? `${goalChains.length} goal tower${goalChains.length === 1 ? '' : 's'}` : 'a predicate goal';
+    showMessage(`Converted PDDL problem "${data.name}" to world JSON with ${goalKind}`, 'success');
+    return true;
+  } catch (error) {
+    const importMessages = document.getElementById('importMessages');
+    const importPreview = document.getElementById('importPreview');
+    if (importMessages) {
+      importMessages.className = 'border border-red-300 bg-red-50 px-4 py-3 text-sm text-red-700';
+      importMessages.textContent = `Invalid PDDL: ${error.message}`;
+      importMessages.classList.remove('hidden');
+    }
+    if (importPreview) importPreview.classList.add('hidden');
+    handleError(error, 'reading PDDL');
+    return false;
+  }
+}
+
 /**
  * Handle file upload
  */
@@ -310,7 +423,7 @@ function handleFileUpload(event) {
 /**
  * Validate the JSON input
  */
-function handleValidateJson() {
+async function handleValidateJson() {
   const importJsonInput = document.getElementById('importJsonInput');
   const importPreview = document.getElementById('importPreview');
   const importPreviewContent = document.getElementById('importPreviewContent');
@@ -326,6 +439,13 @@ function handleValidateJson() {
     return;
   }
 
+  if (looksLikePddl(jsonText)) {
+    if (await convertPddlInput(jsonText)) {
+      handleValidateJson();
+    }
+    return;
+  }
+
   try {
     const worldData = JSON.parse(jsonText);
     
@@ -379,6 +499,7 @@ function handleValidateJson() {
         <div class="flex justify-between"><strong>World Name:</strong> <span>${escapeHtml(worldData.name || 'Unnamed')}</span></div>
         <div class="flex justify-between"><strong>Blocks:</strong> <span>${Array.isArray(worldData.blocks) ? worldData.blocks.length : 0} (${escapeHtml((worldData.blocks || []).join(', '))})</span></div>
         <div class="flex justify-between"><strong>Stacks:</strong> <span>${Array.isArray(worldData.stacks) ? worldData.stacks.length : 0}</span></div>
+        <div class="flex justify-between"><strong>Goal:</strong> <span>${escapeHtml(worldData.goal || 'None')}</span></div>
         <div class="flex justify-between"><strong>Has Colors:</strong> <span>${worldData.colours || worldData.colors ? 'Yes' : 'No'}</span></div>
         <div class="flex justify-between"><strong>Timeline Cards:</strong> <span>${cards.length}</span></div>
         <div class="flex justify-between"><strong>Distinct Steps:</strong> <span>${distinctSteps}</span></div>
@@ -424,15 +545,15 @@ function validateWorldStructure(worldData) {
   if (!Array.isArray(worldData.blocks)) {
     errors.push('Missing or invalid "blocks" field (must be an array)');
   } else {
-    // Validate each block
+    // Validate each block (names are case-insensitive, e.g. "A", "B12", "crate-7")
     worldData.blocks.forEach((block, idx) => {
-      if (typeof block !== 'string' || block.length !== 1 || !/^[A-Z]$/.test(block)) {
-        errors.push(`Invalid block at index ${idx}: "${block}" (must be a single uppercase letter)`);
+      if (!normalizeBlockName(block)) {
+        errors.push(`Invalid block at index ${idx}: "${block}" (use letters, digits, "_" or "-", up to 16 characters)`);
       }
     });
 
     // Check for duplicates
-    const uniqueBlocks = new Set(worldData.blocks);
+    const uniqueBlocks = new Set(worldData.blocks.map(block => normalizeBlockName(block) || block));
     if (uniqueBlocks.size !== worldData.blocks.length) {
       errors.push('Duplicate blocks found in "blocks" array');
     }
@@ -449,9 +570,11 @@ function validateWorldStructure(worldData) {
         return;
       }
 
-      stack.forEach((block, blockIdx) => {
-        if (typeof block !== 'string' || block.length !== 1 || !/^[A-Z]$/.test(block)) {
-          errors.push(`Invalid block "${block}" in stack ${stackIdx}, position ${blockIdx}`);
+      stack.forEach((rawBlock, blockIdx) => {
+        const block = normalizeBlockName(rawBlock);
+        if (!block) {
+          errors.push(`Invalid block "${rawBlock}" in stack ${stackIdx}, position ${blockIdx}`);
+          return;
         }
         
         if (allStackBlocks.has(block)) {
@@ -463,7 +586,7 @@ function validateWorldStructure(worldData) {
 
     // Verify all blocks in stacks are in blocks array
     if (Array.isArray(worldData.blocks)) {
-      const blocksSet = new Set(worldData.blocks);
+      const blocksSet = new Set(worldData.blocks.map(block => normalizeBlockName(block)).filter(Boolean));
       allStackBlocks.forEach(block => {
         if (!blocksSet.has(block)) {
           errors.push(`Block "${block}" in stacks is not in blocks array`);
@@ -471,7 +594,7 @@ function validateWorldStructure(worldData) {
       });
 
       // Verify all blocks are in stacks
-      worldData.blocks.forEach(block => {
+      blocksSet.forEach(block => {
         if (!allStackBlocks.has(block)) {
           errors.push(`Block "${block}" in blocks array is not in any stack`);
         }
@@ -480,6 +603,10 @@ function validateWorldStructure(worldData) {
   }
 
   // Validate optional fields if present
+  if (worldData.goal != null && typeof worldData.goal !== 'string') {
+    errors.push('Field "goal" must be a string when provided');
+  }
+
   if (worldData.colours || worldData.colors) {
     const colours = worldData.colours || worldData.colors;
     if (typeof colours !== 'object' || Array.isArray(colours)) {
@@ -487,6 +614,15 @@ function validateWorldStructure(worldData) {
     }
   }
 
+  if (worldData.tableSlots != null) {
+    const { tableSlots } = worldData;
+    if (!Number.isInteger(tableSlots) || tableSlots < 1 || tableSlots > MAX_TABLE_SLOTS) {
+      errors.push(`Field "tableSlots" must be a whole number between 1 and ${MAX_TABLE_SLOTS} when provided`);
+    } else if (Array.isArray(worldData.stacks) && worldData.stacks.length > tableSlots) {
+      errors.push(`World has ${worldData.stacks.length} stacks but only ${tableSlots} table slots`);
+    }
+  }
+
   if (worldData.timeline != null) {
     if (typeof worldData.timeline !== 'object' || Array.isArray(worldData.timeline)) {
       errors.push('Field "timeline" must be an object when provided');
@@ -544,6 +680,10 @@ async function handleImportJson() {
   
   if (!importJsonInput) return;
 
+  if (looksLikePddl(importJsonInput.value) && !(await convertPddlInput(importJsonInput.value))) {
+    return;
+  }
+
   const jsonText = importJsonInput.value.trim();
 
   if (!jsonText) {
@@ -579,6 +719,8 @@ async function handleImportJson() {
       name: worldData.name,
       blocks: worldData.blocks,
       stacks: worldData.stacks,
+      tableSlots: worldData.tableSlots ?? null,
+      goal: worldData.goal ?? null,
       colours: worldData.colours || worldData.colors || {},
       timeline: worldData.timeline || null,
       stats: worldData.stats || null,
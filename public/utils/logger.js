@@ -12,6 +12,7 @@ const LABEL_BASE_CLASS = 'log-badge mr-6 flex-none w-40 pr-3 text-right text-[11
 const LABEL_CLASSES = {
   agent: `${LABEL_BASE_CLASS} text-emerald-400`,
   user: `${LABEL_BASE_CLASS} text-sky-300`,
+  environment: `${LABEL_BASE_CLASS} text-amber-300`,
   system: `${LABEL_BASE_CLASS} text-slate-400`
 };
 
@@ -32,7 +33,7 @@ export function initializeLogger({ selector } = {}) {
 /**
  * Append a formatted entry to the action log
  * @param {string} action - Message to display
- * @param {'agent'|'user'|'system'} [type='agent'] - Entry category
+ * @param {'agent'|'user'|'environment'|'system'} [type='agent'] - Entry category
  */
 export function logAction(action, type = 'agent') {
   if (!initialized || !action) return;
@@ -47,7 +48,9 @@ export function logAction(action, type = 'agent') {
     ? 'AGENT'
     : resolvedType === 'user'
       ? (window.localStorage?.getItem('username') || 'User')
-      : 'System';
+      : resolvedType === 'environment'
+        ? 'Environment'
+        : 'System';
 
   const message = document.createElement('span');
   message.className = 'log-message min-w-0 flex-1 pl-2 text-left text-[13px] text-emerald-200';
@@ -74,3 +77,89 @@ export function logMove(description) {
   logAction(description, 'agent');
 }
 
+/**
+ * Log a deliberation cycle streamed by the multi-agent planner
+ * @param {Object} cycle - { cycle, proposals, conflicts, negotiations, moves }
+ */
+export function logDeliberationCycle(cycle) {
+  if (!cycle) return;
+
+  const moves = Array.isArray(cycle.moves) ? cycle.moves : [];
+  const conflictCount = Array.isArray(cycle.conflicts) ? cycle.conflicts.length : 0;
+  const committed = moves.length
+    ? moves.map((move) => `${move.actor}: ${move.block} → ${move.to}`).join(', ')
+    : 'no move committed';
+  const conflictNote = conflictCount
+    ? ` (${conflictCount} ${conflictCount === 1 ? 'conflict' : 'conflicts'} negotiated)`
+    : '';
+
+  logAction(`Deliberation cycle ${cycle.cycle}: ${committed}${conflictNote}`, 'agent');
+}
+
+/**
+ * Log the Contract-Net awards of a multi-agent plan
+ * @param {Object|null} contractNet - { taskType, tasks, bids, awards }
+ */
+export function logContractAwards(contractNet) {
+  if (!contractNet || !Array.isArray(contractNet.awards)) return;
+
+  contractNet.awards.forEach((award) => {
+    logAction(`Contract-Net: ${award.label} awarded to ${award.agent} (bid ${award.bid}, ${award.bidders} bids, ${award.cost} ${award.cost === 1 ? 'move' : 'moves'})`, 'system');
+  });
+}
+
+const STALE_PROPOSAL_REASONS = {
+  BLOCK_NOT_CLEAR: 'the block was covered',
+  DESTINATION_NOT_CLEAR: 'the destination was covered',
+  SLOT_OCCUPIED: 'the table slot was taken'
+};
+
+/**
+ * Log moves that agents proposed from stale beliefs and could not make
+ * @param {Array|null} events - [{ cycle, agent, move, reason }]
+ */
+export function logBeliefEvents(events) {
+  if (!Array.isArray(events)) return;
+
+  events.forEach((event) => {
+    const moveLabel = `${event.move.block} → ${event.move.to}${event.move.slot ? ` (slot ${event.move.slot})` : ''}`;
+    const reason = STALE_PROPOSAL_REASONS[event.reason] || event.reason;
+    logAction(`Stale belief (cycle ${event.cycle}): ${event.agent} tried ${moveLabel}, but ${reason}`, 'system');
+  });
+}
+
+/**
+ * Log the replans and wasted moves of a committed single agent; the agent's first plan is not logged
+ * @param {Object|null} report - { strategy, reconsiderations, wastedMoves, events: [{ iteration, type, trigger?, move?, reason? }] }
+ */
+export function logReconsiderationEvents(report) {
+  if (!report || !Array.isArray(report.events)) return;
+
+  report.events.forEach((event) => {
+    if (event.type === 'wasted') {
+      const moveLabel = `${event.move.block} → ${event.move.to}${event.move.slot ? ` (slot ${event.move.slot})` : ''}`;
+      const reason = STALE_PROPOSAL_REASONS[event.reason] || event.reason;
+      logAction(`Wasted move (cycle ${event.iteration}): ${report.strategy} agent tried ${moveLabel}, but ${reason}`, 'system');
+    } else if (event.iteration > 1 && event.trigger !== 'every-cycle') {
+      logAction(`Reconsidered (cycle ${event.iteration}, ${event.trigger}): ${report.strategy} agent replanned ${event.plannedMoves} ${event.plannedMoves === 1 ? 'move' : 'moves'}`, 'system');
+    }
+  });
+}
+
+/**
+ * Log why moves changed hands under the agents' capability profiles
+ * @param {Array|null} events - [{ cycle, type, from, to, move, reason, reroutedSlot? }]
+ */
+export function logCapabilityEvents(events) {
+  if (!Array.isArray(events)) return;
+
+  events.forEach((event) => {
+    const moveLabel = `${event.move.block} → ${event.move.to}`;
+    const outcome = event.type === 'rerouted'
+      ? `rerouted to slot ${event.reroutedSlot}`
+      : event.type === 'reassigned'
+        ? `handed to ${event.to}`
+        : 'deferred';
+    logAction(`Capability (cycle ${event.cycle}): ${event.from} ${event.reason}; ${moveLabel} ${outcome}`, 'system');
+  });
+}
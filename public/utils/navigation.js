@@ -338,6 +338,9 @@ export function initializeSidebarNavigation({
   if (path.endsWith('import-export.html')) {
     return 'import-export';
   }
+  if (path.endsWith('benchmark.html')) {
+    return 'benchmark';
+  }
   return null;
 };
 
@@ -5,11 +5,12 @@
  */
 
 import { DOM, API_BASE } from './constants.js';
-import { showMessage, handleError, normalizeWorldIdentifier } from './helpers.js';
+import { showMessage, handleError, normalizeWorldIdentifier, normalizeBlockName } from './helpers.js';
 import { getCurrentUser, authenticatedFetch } from './auth.js';
 import { logAction } from './logger.js';
 import { getIntentionTimelineSnapshot, restoreTimelineFromSnapshot, resetIntentionTimeline } from './timeline.js';
 import { updateWorldInfoFromStacks } from './dashboard-ui.js';
+import { resetBranches } from './branches.js';
 import {
   getStatsSnapshot,
   restoreStatsFromSnapshot,
@@ -39,6 +40,12 @@ const loadMetaCache = () => {
 
 const worldMetaCache = loadMetaCache();
 
+// Saved world the dashboard last saved or loaded; finished runs go to its run history and Update saves over it.
+// Update sends the revision it was read at, so changes saved elsewhere in the meantime are not overwritten.
+let currentWorldId = null;
+let currentWorldName = null;
+let currentWorldRevision = null;
+
 const persistMetaCache = () => {
   if (typeof window === 'undefined' || !window.localStorage) {
     return;
@@ -63,6 +70,8 @@ const getMultiAgentStateSnapshot = () => {
 
 const getWorldStateSnapshot = (world) => ({
   stacks: world.getCurrentStacks(),
+  tableSlots: world.tableSlots,
+  goal: DOM.goalInput()?.value.trim() || null,
   colours: world.getCurrentColours(),
   timeline: getIntentionTimelineSnapshot(),
   stats: getStatsSnapshot(),
@@ -175,27 +184,52 @@ export async function saveWorld(world) {
     return;
   }
 
+  await storeWorld(world, worldName.trim(), { method: 'POST', path: '/worlds', verb: 'saved' });
+}
+
+/**
+ * Save the current world over the loaded or last saved one; the server keeps the previous state as a revision
+ * @param {Object} world - World instance
+ * @returns {Promise<void>}
+ */
+export async function updateWorld(world) {
+  if (!currentWorldId || !currentWorldName) {
+    showMessage('Load or save a world before updating it.', 'error');
+    return;
+  }
+
+  await storeWorld(world, currentWorldName, {
+    method: 'PUT',
+    path: `/worlds/${encodeURIComponent(currentWorldId)}`,
+    verb: 'updated',
+    revision: currentWorldRevision
+  });
+}
+
+async function storeWorld(world, trimmedName, { method, path, verb, revision = null }) {
   const user = getCurrentUser();
   if (!user) {
     showMessage('You must be logged in to save worlds.', 'error');
     return;
   }
 
-  const trimmedName = worldName.trim();
   const currentSnapshot = getWorldStateSnapshot(world);
   const metaKey = buildMetaKey(user.userId, trimmedName);
 
   try {
-    const response = await authenticatedFetch(`${API_BASE}/worlds`, {
-      method: 'POST',
+    const response = await authenticatedFetch(`${API_BASE}${path}`, {
+      method,
       body: JSON.stringify({
         name: trimmedName,
         blocks: world.getCurrentBlocks(),
         stacks: currentSnapshot.stacks,
+        tableSlots: currentSnapshot.tableSlots,
+        goal: currentSnapshot.goal,
         colours: currentSnapshot.colours,
         timeline: currentSnapshot.timeline,
         stats: currentSnapshot.stats,
-        multiAgent: currentSnapshot.multiAgent
+        multiAgent: currentSnapshot.multiAgent,
+        ...(Number.isInteger(revision) ? { revision } : {})
       })
     });
 
@@ -213,6 +247,9 @@ export async function saveWorld(world) {
 
     if (responseData) {
       loadSelectManager.upsert(responseData);
+      currentWorldId = normalizeWorldIdentifier(responseData) || currentWorldId;
+      currentWorldName = trimmedName;
+      currentWorldRevision = Number.isInteger(responseData.revision) ? responseData.revision : null;
     }
 
     const savedColours = responseData && responseData.colours && typeof responseData.colours === 'object'
@@ -227,11 +264,12 @@ export async function saveWorld(world) {
     const savedMultiAgent = responseData && Object.prototype.hasOwnProperty.call(responseData, 'multiAgent')
       ? responseData.multiAgent
       : currentSnapshot.multiAgent;
+    const revisionNote = Number.isFinite(responseData?.revision) ? ` (revision ${responseData.revision})` : '';
 
-    showMessage(`World "${trimmedName}" saved successfully!`, 'success');
+    showMessage(`World "${trimmedName}" ${verb} successfully!${revisionNote}`, 'success');
     
     // Log save action
-    logAction(`Saved world "${trimmedName}" (${world.getCurrentBlocks().length} blocks)`, 'user');
+    logAction(`${verb === 'updated' ? 'Updated' : 'Saved'} world "${trimmedName}"${revisionNote} (${world.getCurrentBlocks().length} blocks)`, 'user');
 
     if (metaKey) {
       worldMetaCache[metaKey] = {
@@ -250,6 +288,38 @@ export async function saveWorld(world) {
   }
 }
 
+/**
+ * Add a finished run to the run history of the saved world on screen; without one nothing is recorded
+ * @param {Object} run - { planner, goal, options, initialStacks, moves, intentionLog, statistics, outcome, moveCount, durationMs }
+ * @returns {Promise<void>}
+ */
+export async function recordWorldRun(run) {
+  if (!currentWorldId || !getCurrentUser()) {
+    return;
+  }
+
+  try {
+    const response = await authenticatedFetch(`${API_BASE}/worlds/${encodeURIComponent(currentWorldId)}/runs`, {
+      method: 'POST',
+      body: JSON.stringify(run)
+    });
+    if (response.status === 404) {
+      // The world was deleted elsewhere; stop recording until another one is saved or loaded
+      currentWorldId = null;
+      currentWorldName = null;
+      currentWorldRevision = null;
+      return;
+    }
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ message: response.statusText }));
+      throw new Error(errorData.message || `Failed to record run: ${response.statusText}`);
+    }
+    logAction(`Run recorded in the history of the saved world (${run.outcome}, ${run.moveCount} moves)`, 'system');
+  } catch (error) {
+    handleError(error, 'recording run');
+  }
+}
+
 /**
  * Load a selected world from backend
  * @param {Object} world - World instance to populate
@@ -294,12 +364,20 @@ export async function loadSelectedWorld(world) {
       ? data.multiAgent
       : savedMeta?.multiAgent ?? null;
 
-    rebuildWorldFrom(world, targetStacks, data.on, targetColours);
+    rebuildWorldFrom(world, targetStacks, data.on, targetColours, data.tableSlots ?? null);
+    currentWorldId = selected;
+    currentWorldName = data.name;
+    currentWorldRevision = Number.isInteger(data.revision) ? data.revision : null;
+    const goalInput = DOM.goalInput();
+    if (goalInput && typeof data.goal === 'string') {
+      goalInput.value = data.goal;
+    }
     if (targetTimeline) {
       restoreTimelineFromSnapshot(targetTimeline);
     } else {
       resetIntentionTimeline();
     }
+    resetBranches();
     updateWorldInfoFromStacks(targetStacks);
     if (targetStats) {
       restoreStatsFromSnapshot(targetStats);
@@ -394,20 +472,26 @@ export async function refreshLoadList() {
  * @param {Object} world - World instance
  * @param {Array<Array<string>>} stacks - Saved stacks
  * @param {Object} on - Saved on relationships (optional, will be reconstructed)
+ * @param {Object} colours - Saved colour map
+ * @param {number|null} tableSlots - Saved table slot count (null = unlimited table)
  */
-export function rebuildWorldFrom(world, stacks, on, colours) {
+export function rebuildWorldFrom(world, stacks, on, colours, tableSlots = null) {
   try {
     // Validate input
     if (!Array.isArray(stacks)) {
       throw new Error('Invalid stacks data: expected array');
     }
 
+    if (tableSlots != null && stacks.length > tableSlots) {
+      throw new Error(`Invalid stacks data: ${stacks.length} stacks on a table with ${tableSlots} slots`);
+    }
+
     stacks.forEach((stack, idx) => {
       if (!Array.isArray(stack)) {
         throw new Error(`Invalid stack at index ${idx}: expected array`);
       }
       stack.forEach((block, blockIdx) => {
-        if (typeof block !== 'string' || block.length !== 1 || !/^[A-Z]$/.test(block)) {
+        if (normalizeBlockName(block) !== block) {
           throw new Error(`Invalid block "${block}" in stack ${idx}, position ${blockIdx}`);
         }
       });
@@ -429,6 +513,7 @@ export function rebuildWorldFrom(world, stacks, on, colours) {
     world.stacks = [];
     world.on = {};
     world.blocks = [];
+    world.tableSlots = null;
     const providedColours = colours && typeof colours === 'object' ? { ...colours } : {};
     world.colours = providedColours;
 
@@ -438,8 +523,17 @@ export function rebuildWorldFrom(world, stacks, on, colours) {
     // Add blocks to world (creates DOM elements and assigns colors)
     allBlocks.forEach(name => world.addBlock(name));
 
-    // Set stack configuration
+    // Set stack configuration (slotted tables keep empty slots in place)
     world.stacks = stacks.map(s => [...s]);
+    if (tableSlots != null) {
+      world.tableSlots = tableSlots;
+      while (world.stacks.length < tableSlots) {
+        world.stacks.push([]);
+      }
+    } else {
+      world.stacks = world.stacks.filter(stack => stack.length > 0);
+    }
+    world.renderTableSlots();
 
     // Rebuild 'on' relationships from stacks
     world.on = {};
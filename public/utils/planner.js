@@ -10,16 +10,22 @@ import { API_BASE } from './constants.js';
 /**
  * Request a BDI plan from the backend
  * @param {Array<Array<string>>} stacks - Current block stacks
- * @param {Array<string>} goalChain - Goal chain to achieve
- * @param {Object} options - Planner options
+ * @param {Array<string>|null} goalChain - Goal chain to achieve (null when options.goal is set)
+ * @param {Object} options - Planner options; options.goal sends a predicate goal instead
  * @returns {Promise<Object>} Planner response
  */
 export async function requestBDIPlan(stacks, goalChain, options = {}) {
   const payload = {
     stacks,
-    goalChain,
+    ...(options.goal ? { goal: options.goal } : { goalChain }),
     plannerOptions: {
-      maxIterations: options.maxIterations || window.APP_CONFIG?.PLANNER?.MAX_ITERATIONS || 2500
+      maxIterations: options.maxIterations || window.APP_CONFIG?.PLANNER?.MAX_ITERATIONS || 2500,
+      ...(options.strategy ? { strategy: options.strategy } : {}),
+      ...(options.tableSlots ? { tableSlots: options.tableSlots } : {}),
+      ...(options.goalSlots ? { goalSlots: options.goalSlots } : {}),
+      ...(options.uncertainty ? { uncertainty: options.uncertainty } : {}),
+      ...(options.commitment ? { commitment: options.commitment } : {}),
+      ...(options.explain ? { explain: true } : {})
     }
   };
 
@@ -39,6 +45,35 @@ export async function requestBDIPlan(stacks, goalChain, options = {}) {
   return await response.json();
 }
 
+/**
+ * Check a plan from an external PDDL planner against the world and get it back in planner form
+ * @param {Array<Array<string>>} stacks - Current block stacks
+ * @param {string} planText - Actions such as "(unstack a b) (put-down a)"
+ * @param {Object} options - { goal } for a predicate goal or { goalChains }, plus tableSlots
+ * @returns {Promise<Object>} Planner-style response with moves and clawSteps
+ */
+export async function requestExternalPlan(stacks, planText, options = {}) {
+  const payload = {
+    stacks,
+    plan: planText,
+    ...(options.goal ? { goal: options.goal } : { goalChains: options.goalChains }),
+    options: {
+      ...(options.tableSlots ? { tableSlots: options.tableSlots } : {})
+    }
+  };
+
+  const response = await authenticatedFetch(`${API_BASE}/plans/external`, {
+    method: 'POST',
+    body: JSON.stringify(payload)
+  });
+
+  if (!response.ok) {
+    throw await toPlannerError(response, 'External plan request failed');
+  }
+
+  return response.json();
+}
+
 /**
  * Request a multi-agent BDI plan from the backend
  * @param {Array<Array<string>>} stacks - Current block stacks
@@ -47,6 +82,125 @@ export async function requestBDIPlan(stacks, goalChain, options = {}) {
  * @returns {Promise<Object>} Multi-agent planner response
  */
 export async function requestMultiAgentPlan(stacks, goalChain, options = {}) {
+  const response = await authenticatedFetch(`${API_BASE}/multi-agent-plan`, {
+    method: 'POST',
+    body: JSON.stringify(buildMultiAgentPayload(stacks, goalChain, options))
+  });
+
+  if (!response.ok) {
+    throw await toPlannerError(response, 'Multi-agent planner request failed');
+  }
+
+  return await response.json();
+}
+
+/**
+ * Request a multi-agent plan over Server-Sent Events
+ *
+ * Resolves with the same response as requestMultiAgentPlan; every deliberation
+ * cycle is handed to `onCycle` as soon as the server reports it.
+ * @param {Array<Array<string>>} stacks - Current block stacks
+ * @param {Array<string>} goalChain - Goal chain to achieve
+ * @param {Object} options - Multi-agent planner options
+ * @param {Function} onCycle - Receives { cycle, proposals, conflicts, negotiations, decisions, moves, stacks }
+ * @returns {Promise<Object>} Multi-agent planner response
+ */
+export async function streamMultiAgentPlan(stacks, goalChain, options = {}, onCycle = () => {}) {
+  const response = await authenticatedFetch(`${API_BASE}/multi-agent-plan/stream`, {
+    method: 'POST',
+    headers: { Accept: 'text/event-stream' },
+    body: JSON.stringify(buildMultiAgentPayload(stacks, goalChain, options))
+  });
+
+  if (!response.ok) {
+    throw await toPlannerError(response, 'Multi-agent planner request failed');
+  }
+
+  return readEventStream(response, {
+    progressEvent: 'cycle',
+    resultEvent: 'result',
+    onProgress: onCycle,
+    fallbackMessage: 'Multi-agent planner request failed'
+  });
+}
+
+/**
+ * Run a planner benchmark over Server-Sent Events
+ *
+ * Resolves with { spec, problems, summary, csv }; every planner run is handed
+ * to `onRun` as soon as the server reports it.
+ * @param {Object} settings - { blocks, stacks, towers, instances, seed, planners }
+ * @param {Function} onRun - Receives one result row per planner run
+ * @returns {Promise<Object>} Benchmark summary
+ */
+export async function streamBenchmark(settings, onRun = () => {}) {
+  const response = await authenticatedFetch(`${API_BASE}/benchmarks/stream`, {
+    method: 'POST',
+    headers: { Accept: 'text/event-stream' },
+    body: JSON.stringify(settings)
+  });
+
+  if (!response.ok) {
+    throw await toPlannerError(response, 'Benchmark request failed');
+  }
+
+  return readEventStream(response, {
+    progressEvent: 'run',
+    resultEvent: 'summary',
+    onProgress: onRun,
+    fallbackMessage: 'Benchmark request failed'
+  });
+}
+
+// Hand progress events to onProgress until the result (resolved) or an error event (thrown)
+async function readEventStream(response, { progressEvent, resultEvent, onProgress, fallbackMessage }) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const { event, data } = parseServerSentEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+
+      if (event === progressEvent) {
+        onProgress(data);
+      } else if (event === resultEvent) {
+        reader.cancel().catch(() => {});
+        return data;
+      } else if (event === 'error') {
+        const error = new Error(data?.message || fallbackMessage);
+        error.status = data?.status;
+        error.data = data;
+        throw error;
+      }
+    }
+
+    if (done) {
+      throw new Error('Server stream ended before a result was received.');
+    }
+  }
+}
+
+function parseServerSentEvent(frame) {
+  let event = 'message';
+  const dataLines = [];
+  frame.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  });
+  return { event, data: dataLines.length ? JSON.parse(dataLines.join('\n')) : null };
+}
+
+function buildMultiAgentPayload(stacks, goalChain, options) {
   const payload = {
     stacks,
     goalChain,
@@ -54,7 +208,14 @@ export async function requestMultiAgentPlan(stacks, goalChain, options = {}) {
       maxIterations: options.maxIterations || 1000,
       deliberationTimeout: options.deliberationTimeout || 5000,
       enableNegotiation: options.enableNegotiation !== false,
-      goalChains: Array.isArray(options.goalChains) ? options.goalChains : undefined
+      agentCount: options.agentCount || undefined,
+      allocation: options.allocation || undefined,
+      contractTasks: options.contractTasks || undefined,
+      capabilities: options.capabilities || undefined,
+      observability: options.observability || undefined,
+      goalChains: Array.isArray(options.goalChains) ? options.goalChains : undefined,
+      tableSlots: options.tableSlots || undefined,
+      goalSlots: options.goalSlots || undefined
     }
   };
 
@@ -62,18 +223,13 @@ export async function requestMultiAgentPlan(stacks, goalChain, options = {}) {
     payload.goalChains = options.goalChains;
   }
 
-  const response = await authenticatedFetch(`${API_BASE}/multi-agent-plan`, {
-    method: 'POST',
-    body: JSON.stringify(payload)
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({ message: response.statusText }));
-    const error = new Error(errorData.message || `Multi-agent planner request failed: ${response.statusText}`);
-    error.status = response.status;
-    error.data = errorData;
-    throw error;
-  }
+  return payload;
+}
 
-  return await response.json();
+async function toPlannerError(response, fallbackMessage) {
+  const errorData = await response.json().catch(() => ({ message: response.statusText }));
+  const error = new Error(errorData.message || `${fallbackMessage}: ${response.statusText}`);
+  error.status = response.status;
+  error.data = errorData;
+  return error;
 }
@@ -0,0 +1,149 @@
+/**
+ * Run comparison view
+ *
+ * Renders the response of GET /worlds/:id/runs/compare on the Agent Logs page:
+ * a statistics table with one column per run and the runs' executed moves
+ * lined up step by step, using the dashboard's timeline cards.
+ */
+
+import { createRunStepCard } from './timeline.js';
+import { formatElapsed, statusToneClass } from './stats.js';
+
+const METRIC_LABELS = {
+  moves: 'Moves',
+  agentAMoves: 'Agent A moves',
+  agentBMoves: 'Agent B moves',
+  totalConflicts: 'Conflicts',
+  totalNegotiations: 'Negotiations',
+  totalParallelExecutions: 'Parallel executions',
+  elapsedMs: 'Elapsed time'
+};
+
+const HEADER_CELL = 'px-4 py-3';
+const DIFF_ROW = 'bg-amber-50';
+
+const elements = {
+  section: () => document.getElementById('runComparison'),
+  summary: () => document.getElementById('runComparisonSummary'),
+  statsHead: () => document.getElementById('runComparisonStatsHead'),
+  statsBody: () => document.getElementById('runComparisonStatsBody'),
+  stepsHead: () => document.getElementById('runComparisonStepsHead'),
+  stepsBody: () => document.getElementById('runComparisonStepsBody')
+};
+
+const formatValue = (metric, value) => {
+  if (!Number.isFinite(value)) return '--';
+  return metric === 'elapsedMs' ? formatElapsed(value) : String(value);
+};
+
+const describeRun = (run, index) => {
+  const startedAt = run.createdAt
+    ? new Date(run.createdAt).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' })
+    : '';
+  return `Run ${index + 1} · ${run.planner}${startedAt ? ` · ${startedAt}` : ''}`;
+};
+
+function renderRunHeader(head, runs, firstLabel) {
+  const row = document.createElement('tr');
+  const first = document.createElement('th');
+  first.scope = 'col';
+  first.className = HEADER_CELL;
+  first.textContent = firstLabel;
+  row.appendChild(first);
+
+  runs.forEach((run, index) => {
+    const cell = document.createElement('th');
+    cell.scope = 'col';
+    cell.className = HEADER_CELL;
+    cell.textContent = describeRun(run, index);
+
+    const outcome = document.createElement('span');
+    outcome.className = `ml-2 ${statusToneClass(run.outcome)}`;
+    outcome.textContent = run.outcome;
+    cell.appendChild(outcome);
+    row.appendChild(cell);
+  });
+
+  head.innerHTML = '';
+  head.appendChild(row);
+}
+
+function renderStatistics(body, statistics) {
+  body.innerHTML = '';
+  statistics.forEach(({ metric, values, spread }) => {
+    const row = document.createElement('tr');
+    if (spread) {
+      row.className = DIFF_ROW;
+    }
+
+    const label = document.createElement('th');
+    label.scope = 'row';
+    label.className = 'px-4 py-3 font-semibold';
+    label.textContent = METRIC_LABELS[metric] || metric;
+    row.appendChild(label);
+
+    values.forEach((value) => {
+      const cell = document.createElement('td');
+      cell.className = 'px-4 py-3';
+      cell.textContent = formatValue(metric, value);
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+}
+
+function renderAlignment(body, alignment, firstDivergence) {
+  body.innerHTML = '';
+  alignment.forEach(({ step, moves }) => {
+    const row = document.createElement('tr');
+    const diverged = step === firstDivergence;
+
+    const label = document.createElement('th');
+    label.scope = 'row';
+    label.className = `px-4 py-3 text-xs font-semibold uppercase tracking-wide ${diverged ? 'text-amber-700' : 'text-brand-dark/60'}`;
+    label.textContent = diverged ? `${step} · first divergence` : String(step);
+    row.appendChild(label);
+
+    moves.forEach((move) => {
+      const cell = document.createElement('td');
+      cell.className = 'px-2 py-2';
+      if (move) {
+        cell.appendChild(createRunStepCard(move, step, { diverged }));
+      } else {
+        cell.className = 'px-4 py-2 text-xs italic text-slate-500';
+        cell.textContent = 'No move';
+      }
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+}
+
+/**
+ * Show a comparison returned by the server and scroll it into view
+ * @param {{runs: Array<Object>, statistics: Array<Object>, alignment: Array<Object>, firstDivergence: number|null}} comparison
+ */
+export function renderRunComparison(comparison) {
+  const section = elements.section();
+  if (!section || !comparison) return;
+
+  const { runs = [], statistics = [], alignment = [], firstDivergence = null } = comparison;
+  elements.summary().textContent = firstDivergence === null
+    ? `The ${runs.length} runs made the same ${alignment.length} moves.`
+    : `The plans first diverge at step ${firstDivergence} of ${alignment.length}. Which agent moved a block is not counted as a difference.`;
+
+  renderRunHeader(elements.statsHead(), runs, 'Metric');
+  renderStatistics(elements.statsBody(), statistics);
+  renderRunHeader(elements.stepsHead(), runs, 'Step');
+  renderAlignment(elements.stepsBody(), alignment, firstDivergence);
+
+  section.classList.remove('hidden');
+  section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Hide the comparison, e.g. when another world's history is opened
+ */
+export function hideRunComparison() {
+  elements.section()?.classList.add('hidden');
+}
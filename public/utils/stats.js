@@ -50,7 +50,7 @@ const multiAgentElems = {
 };
 let multiAgentState = { ...DEFAULT_MULTI_AGENT_STATE };
 
-const formatElapsed = (ms) => {
+export const formatElapsed = (ms) => {
   if (!Number.isFinite(ms) || ms < 0) {
     return '--';
   }
@@ -273,6 +273,15 @@ function resolveStatusTone(status) {
   return 'default';
 }
 
+/**
+ * Text colour class the statistics panel would give a status
+ * @param {string} status
+ * @returns {string}
+ */
+export function statusToneClass(status = '') {
+  return STATUS_TONE_CLASSES[resolveStatusTone(String(status))] || STATUS_TONE_CLASSES.default;
+}
+
 function applyStatusTone(tone = 'default') {
   if (!statStatusElem) return;
   Object.values(STATUS_TONE_CLASSES).forEach(cls => statStatusElem.classList.remove(cls));
@@ -405,6 +414,26 @@ export function updateMultiAgentStatsDisplay(stats = {}) {
   renderMultiAgentStats();
 }
 
+/**
+ * Show how often a committed agent reconsidered and how many moves it wasted;
+ * pass null to hide the rows
+ * @param {{reconsiderations:number,wastedMoves:number}|null} tally
+ */
+export function updateCommitmentStats(tally) {
+  const container = document.getElementById('commitmentStats');
+  if (!container) return;
+
+  container.classList.toggle('hidden', !tally);
+  const reconsiderations = document.getElementById('stat-reconsiderations');
+  const wastedMoves = document.getElementById('stat-wasted-moves');
+  if (reconsiderations) {
+    reconsiderations.textContent = tally ? String(tally.reconsiderations) : MULTI_AGENT_DEFAULT;
+  }
+  if (wastedMoves) {
+    wastedMoves.textContent = tally ? String(tally.wastedMoves) : MULTI_AGENT_DEFAULT;
+  }
+}
+
 /**
  * Reset multi-agent statistics display to defaults
  */
@@ -13,6 +13,7 @@
 import { DOM } from './constants.js';
 import { incrementStep } from './stats.js';
 import { formatPlannerDuration } from './helpers.js';
+import { ENVIRONMENT_ACTOR } from './environment-agent.js';
 
 // Card styling constants
 const CARD_BASE = 'border border-slate-200 bg-white/95 p-4 shadow-card transition-all duration-200';
@@ -24,6 +25,8 @@ const CARD_MANUAL = 'border-dashed border-brand-primary/40 bg-brand-primary/10';
 const STEP_LABEL = 'text-xs font-semibold uppercase tracking-[0.2em] text-brand-dark/60';
 const MOVE_SUMMARY = 'mt-1 text-sm font-semibold text-brand-dark';
 const MOVE_META = 'mt-2 text-xs text-brand-dark/70';
+const WHY_TOGGLE = 'cursor-pointer select-none text-xs font-semibold text-brand-dark/60';
+const BRANCH_BUTTON = 'mt-2 text-xs font-semibold text-brand-primary hover:text-brand-dark';
 const TIME_DISPLAY = 'text-xs font-mono font-semibold text-brand-dark/40';
 const TIME_ACTIVE = 'text-emerald-600';
 
@@ -34,6 +37,13 @@ const BADGE_USER = `${BADGE_BASE} border-slate-300 bg-slate-100 text-brand-dark`
 const DOT_AGENT_A = 'h-2 w-2 rounded-full bg-teal-600';
 const DOT_AGENT_B = 'h-2 w-2 rounded-full bg-purple-600';
 const DOT_USER = 'h-2 w-2 rounded-full bg-slate-400';
+// Agents beyond A and B (larger multi-agent teams), keyed by agent letter
+const AGENT_BADGE_STYLES = {
+  c: { badge: `${BADGE_BASE} border-fuchsia-500/50 bg-fuchsia-500/20 text-fuchsia-800`, dot: 'h-2 w-2 rounded-full bg-fuchsia-600' },
+  d: { badge: `${BADGE_BASE} border-amber-500/50 bg-amber-500/20 text-amber-800`, dot: 'h-2 w-2 rounded-full bg-amber-500' },
+  e: { badge: `${BADGE_BASE} border-emerald-500/50 bg-emerald-500/20 text-emerald-800`, dot: 'h-2 w-2 rounded-full bg-emerald-600' },
+  f: { badge: `${BADGE_BASE} border-sky-500/50 bg-sky-500/20 text-sky-800`, dot: 'h-2 w-2 rounded-full bg-sky-600' }
+};
 
 // Timeline state
 const timeline = {
@@ -42,9 +52,55 @@ const timeline = {
   clockStart: null,    // When simulation started
   clockInterval: null, // Update interval
   agentCount: 0,
-  planMoves: []
+  planMoves: [],
+  planningProgress: false // Streamed deliberation cycles are on screen
 };
 
+// Why a capability profile moved this step to another agent or table slot
+function describeCapabilityChange(capability) {
+  return capability.type === 'rerouted'
+    ? `Rerouted to slot ${capability.reroutedSlot} (${capability.from} ${capability.reason})`
+    : `Reassigned from ${capability.from} (${capability.reason})`;
+}
+
+// Stochastic runs: failed attempts keep their intended destination in the summary
+function summarizeMoveAttempt(move, block, destination) {
+  if (move.outcome === 'grasp-failed') {
+    return `Grasp failed: ${block} → ${move.intended?.to || destination}`;
+  }
+  if (move.outcome === 'dropped') {
+    return `Dropped: ${block} → ${move.intended?.to || destination}`;
+  }
+  return `Move ${block} → ${destination}`;
+}
+
+// Failures and the recovery that follows once the agent notices them
+function describeExecutionOutcome(move) {
+  const notes = [];
+  if (move.outcome === 'dropped') {
+    notes.push(`${move.block} landed on the Table`);
+  }
+  if (move.recovery) {
+    const perceived = move.recovery.perceivedOn || 'nothing';
+    notes.push(`Recovery: ${move.recovery.block} was on ${perceived}, not ${move.recovery.expectedOn}; intention reconsidered`);
+  }
+  return notes.join(' · ');
+}
+
+// Partial observability: what the acting agent believed, bottom to top per stack
+function describeAgentBeliefs(beliefs) {
+  if (!beliefs || !Array.isArray(beliefs.stacks)) {
+    return '';
+  }
+  const picture = beliefs.stacks
+    .map((stack) => (stack.length ? stack.join('/') : '_'))
+    .join(' · ');
+  const stale = Array.isArray(beliefs.staleBlocks) && beliefs.staleBlocks.length
+    ? ` (wrong about ${beliefs.staleBlocks.join(', ')})`
+    : '';
+  return `Believed: ${picture}${stale}`;
+}
+
 /**
  * Start the global elapsed timer
  */
@@ -156,6 +212,7 @@ export function resetIntentionTimeline(message = 'No planner data yet.') {
   timeline.container = container;
   timeline.planMoves = [];
   timeline.agentCount = 0;
+  timeline.planningProgress = false;
   
   if (message) {
     const placeholder = document.createElement('div');
@@ -176,8 +233,12 @@ function createAgentBadge(actor) {
   const label = document.createElement('span');
   
   const actorLower = String(actor).toLowerCase();
+  const extraAgentStyle = AGENT_BADGE_STYLES[/^agent[- ]([c-f])$/.exec(actorLower)?.[1]];
   
-  if (actorLower.includes('agent-b') || actorLower === 'agent b') {
+  if (extraAgentStyle) {
+    badge.className = extraAgentStyle.badge;
+    dot.className = extraAgentStyle.dot;
+  } else if (actorLower.includes('agent-b') || actorLower === 'agent b') {
     badge.className = BADGE_AGENT_B;
     dot.className = DOT_AGENT_B;
   } else if (actorLower.includes('agent-a') || actorLower === 'agent a') {
@@ -252,6 +313,14 @@ function createCard(cardData) {
     meta.textContent = cardData.details;
     card.appendChild(meta);
   }
+
+  if (cardData.why) {
+    card.appendChild(createWhySection(cardData.why));
+  }
+
+  if (cardData.branchPoint) {
+    card.appendChild(createBranchButton(cardData));
+  }
   
   cardData.element = card;
   cardData.timeElement = timeDisplay;
@@ -259,6 +328,79 @@ function createCard(cardData) {
   return card;
 }
 
+/**
+ * Expandable "Why?" section from the planner's explanation of a move
+ */
+function createWhySection(why) {
+  const section = document.createElement('details');
+  section.className = 'mt-2';
+
+  const toggle = document.createElement('summary');
+  toggle.className = WHY_TOGGLE;
+  toggle.textContent = 'Why?';
+  section.appendChild(toggle);
+
+  const text = document.createElement('p');
+  text.className = MOVE_META;
+  text.textContent = why.summary;
+  section.appendChild(text);
+
+  const facts = [
+    why.goalRelation ? `Goal: ${why.goalRelation}` : null,
+    why.blocker ? `Removes: ${why.blocker}` : null,
+    why.belief ? `Belief: ${why.belief}` : null
+  ].filter(Boolean);
+  if (facts.length > 0) {
+    const factLine = document.createElement('p');
+    factLine.className = MOVE_META;
+    factLine.textContent = facts.join(' · ');
+    section.appendChild(factLine);
+  }
+
+  return section;
+}
+
+/**
+ * "What if?" button; the dashboard rewinds the world to the state before the step
+ */
+function createBranchButton(cardData) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = BRANCH_BUTTON;
+  button.textContent = 'What if?';
+  button.title = `Rewind the world to before step ${cardData.stepNumber} and plan a different branch from there`;
+  button.addEventListener('click', () => {
+    document.dispatchEvent(new CustomEvent('timeline:branch', {
+      detail: {
+        stepNumber: cardData.stepNumber,
+        stacks: cardData.branchPoint.stacks.map(stack => [...stack]),
+        movesBefore: cardData.branchPoint.movesBefore
+      }
+    }));
+  });
+  return button;
+}
+
+// World before a step as saved in snapshots; anything malformed just drops the button
+function pickBranchPoint(branchPoint) {
+  if (!branchPoint || !Array.isArray(branchPoint.stacks) || !branchPoint.stacks.every(Array.isArray)) {
+    return null;
+  }
+  return {
+    stacks: branchPoint.stacks.map(stack => stack.map(String)),
+    movesBefore: Number.isFinite(branchPoint.movesBefore) ? branchPoint.movesBefore : 0
+  };
+}
+
+// Keep only what the "Why?" section shows, so snapshots stay small
+function pickExplanation(explanation) {
+  if (!explanation || typeof explanation.summary !== 'string') {
+    return null;
+  }
+  const { summary, goalRelation = null, blocker = null, belief = null } = explanation;
+  return { summary, goalRelation, blocker, belief };
+}
+
 /**
  * Update card visual state
  */
@@ -295,6 +437,44 @@ function setCardStatus(card, status, options = {}) {
   card.element.dataset.status = status;
 }
 
+/**
+ * Read-only card for one executed move of a saved run, as the run comparison shows it.
+ * Diverged cards are outlined so the first differing step stands out.
+ */
+export function createRunStepCard(move, stepNumber, options = {}) {
+  const { diverged = false } = options;
+  const block = move.block || '?';
+  const destination = move.to || 'Table';
+  const slotNote = move.slot != null ? `Slot ${move.slot}` : '';
+  const details = [slotNote, move.cycle != null ? `Cycle ${move.cycle}` : '', describeExecutionOutcome(move)]
+    .filter(Boolean)
+    .join(' · ');
+
+  const cardData = {
+    id: `run-step-${stepNumber}-${move.actor || 'Agent-A'}`,
+    stepNumber,
+    actor: move.actor || 'Agent-A',
+    block,
+    destination,
+    stepLabel: diverged ? `Step ${stepNumber} · Diverges` : `Step ${stepNumber}`,
+    summary: summarizeMoveAttempt(move, block, destination),
+    details: details || null,
+    status: 'completed',
+    isManual: false,
+    completedAt: null,
+    element: null,
+    timeElement: null
+  };
+
+  const card = createCard(cardData);
+  setCardStatus(cardData, 'completed', { suppressStats: true });
+  if (diverged) {
+    card.classList.remove(...CARD_COMPLETED.split(' '));
+    card.classList.add('border-amber-300', 'bg-amber-50');
+  }
+  return card;
+}
+
 /**
  * Render the entire plan as cards (all pending initially)
  */
@@ -313,6 +493,7 @@ export function renderIntentionTimeline(intentionLog = [], agentCount = 0, optio
   container.innerHTML = '';
   timeline.cards = [];
   timeline.container = container;
+  timeline.planningProgress = false;
   
   if (!normalizedPlanMoves || normalizedPlanMoves.length === 0) {
     resetIntentionTimeline('No plan available');
@@ -334,12 +515,28 @@ export function renderIntentionTimeline(intentionLog = [], agentCount = 0, optio
         ? `Step ${stepNumber} · Concurrent`
         : `Step ${stepNumber}`;
       
-      const summary = move.summary || `Move ${block} → ${destination}`;
+      const summary = move.summary || summarizeMoveAttempt(move, block, destination);
       
       let details = null;
       if (move.reason || move.stepDescription || move.detail) {
         details = move.reason || move.stepDescription || move.detail;
       }
+      if (move.contract) {
+        const contractNote = `Contract ${move.contract.task} (bid ${move.contract.bid})`;
+        details = details ? `${details} · ${contractNote}` : contractNote;
+      }
+      if (move.capability) {
+        const capabilityNote = describeCapabilityChange(move.capability);
+        details = details ? `${details} · ${capabilityNote}` : capabilityNote;
+      }
+      const executionNote = describeExecutionOutcome(move);
+      if (executionNote) {
+        details = details ? `${details} · ${executionNote}` : executionNote;
+      }
+      const beliefNote = describeAgentBeliefs(moveGroup.beliefs?.[actor]);
+      if (beliefNote) {
+        details = details ? `${details} · ${beliefNote}` : beliefNote;
+      }
       
       const cardData = {
         id: `card-${stepNumber}-${moveIdx}-${actor}`,
@@ -350,6 +547,7 @@ export function renderIntentionTimeline(intentionLog = [], agentCount = 0, optio
         stepLabel,
         summary,
         details,
+        why: pickExplanation(move.explanation),
         status: 'pending',
         isManual: false,
         completedAt: null,
@@ -367,6 +565,60 @@ export function renderIntentionTimeline(intentionLog = [], agentCount = 0, optio
   });
 }
 
+/**
+ * Show a deliberation cycle streamed while the multi-agent planner is still running.
+ * The cards are replaced by the full plan once renderIntentionTimeline runs.
+ */
+export function appendPlanningProgress(cycle) {
+  const container = DOM.intentionTimeline();
+  if (!container || !cycle) return;
+
+  if (!timeline.planningProgress) {
+    container.innerHTML = '';
+    timeline.cards = [];
+    timeline.container = container;
+    timeline.planningProgress = true;
+  }
+
+  const moves = Array.isArray(cycle.moves) ? cycle.moves : [];
+  const conflicts = Array.isArray(cycle.conflicts) ? cycle.conflicts : [];
+  const negotiations = Array.isArray(cycle.negotiations) ? cycle.negotiations : [];
+  const proposalCount = Array.isArray(cycle.proposals) ? cycle.proposals.length : 0;
+
+  const details = [`${proposalCount} ${proposalCount === 1 ? 'proposal' : 'proposals'}`];
+  if (conflicts.length) {
+    details.push(conflicts.map((conflict) => conflict.description || conflict.type).join('; '));
+  }
+  negotiations.forEach((negotiation) => {
+    if (negotiation.winner) {
+      details.push(`${negotiation.winner} wins (${negotiation.reason || negotiation.resolution})`);
+    }
+  });
+  Object.entries(cycle.beliefs || {}).forEach(([agent, beliefs]) => {
+    if (beliefs.action === 'look') {
+      details.push(`${agent} looks around`);
+    } else if (beliefs.staleBlocks?.length) {
+      details.push(`${agent} is wrong about ${beliefs.staleBlocks.join(', ')}`);
+    }
+  });
+
+  const cardData = {
+    id: `planning-cycle-${cycle.cycle}`,
+    actor: moves.length ? moves.map((move) => move.actor).join(' + ') : 'Planner',
+    stepLabel: `Deliberation cycle ${cycle.cycle}`,
+    summary: moves.length
+      ? moves.map((move) => `${move.block} → ${move.to}`).join(', ')
+      : 'No move committed',
+    details: details.join(' · '),
+    status: 'pending',
+    isManual: false
+  };
+
+  container.appendChild(createCard(cardData));
+  setCardStatus(cardData, 'pending');
+  container.scrollTop = container.scrollHeight;
+}
+
 /**
  * Mark a specific move as active or completed
  */
@@ -405,6 +657,27 @@ export function markTimelineStep(step) {
   }
 }
 
+/**
+ * Remember the world a batch of moves starts from, so each of their cards can be branched from
+ * @param {Array<Object>} moves - Moves about to be executed ({ block, actor })
+ * @param {Array<Array<string>>} stacks - World stacks before the batch
+ * @param {number} movesBefore - Moves the run had executed before the batch
+ */
+export function recordTimelineWorld(moves = [], stacks = [], movesBefore = 0) {
+  moves.forEach((move) => {
+    const card = timeline.cards.find(c =>
+      c.status === 'pending' &&
+      !c.branchPoint &&
+      c.block === move?.block &&
+      (!move.actor || c.actor === move.actor)
+    );
+    if (!card || !card.element) return;
+
+    card.branchPoint = pickBranchPoint({ stacks, movesBefore });
+    card.element.appendChild(createBranchButton(card));
+  });
+}
+
 /**
  * Finalize all remaining cards
  */
@@ -446,10 +719,10 @@ export function handleManualIntervention(manualMove, newPlan = []) {
   const manualCard = {
     id: `card-manual-${Date.now()}`,
     stepNumber: nextStep,
-    actor: 'User',
+    actor: manualMove.actor || 'User',
     block: manualMove.block || 'Manual',
     destination: manualMove.to || 'Update',
-    stepLabel: `Step ${nextStep} · Manual`,
+    stepLabel: `Step ${nextStep} · ${manualMove.actor === ENVIRONMENT_ACTOR ? 'Disturbance' : 'Manual'}`,
     summary: manualMove.summary || 'Manual modification',
     details: manualMove.detail || null,
     status: 'completed',
@@ -481,12 +754,16 @@ export function handleManualIntervention(manualMove, newPlan = []) {
           ? `Step ${stepNumber} · Concurrent`
           : `Step ${stepNumber}`;
         
-        const summary = move.summary || `Move ${block} → ${destination}`;
+        const summary = move.summary || summarizeMoveAttempt(move, block, destination);
         
         let details = null;
         if (move.reason || move.stepDescription || move.detail) {
           details = move.reason || move.stepDescription || move.detail;
         }
+        const executionNote = describeExecutionOutcome(move);
+        if (executionNote) {
+          details = details ? `${details} · ${executionNote}` : executionNote;
+        }
         
         const cardData = {
           id: `card-${stepNumber}-${moveIdx}-${actor}`,
@@ -497,6 +774,7 @@ export function handleManualIntervention(manualMove, newPlan = []) {
           stepLabel,
           summary,
           details,
+          why: pickExplanation(move.explanation),
           status: 'pending',
           isManual: false,
           completedAt: null,
@@ -537,6 +815,8 @@ export function getIntentionTimelineSnapshot() {
       stepLabel: c.stepLabel || null,
       summary: c.summary || null,
       details: c.details || null,
+      why: c.why || null,
+      branchPoint: c.branchPoint || null,
       status: c.status || 'pending',
       isManual: Boolean(c.isManual),
       completedAt: Number.isFinite(c.completedAt) ? c.completedAt : null
@@ -607,12 +887,28 @@ export function appendNextGoalToTimeline(goalLabel, planMoves = []) {
         ? `Step ${stepNumber} · Concurrent`
         : `Step ${stepNumber}`;
       
-      const summary = move.summary || `Move ${block} → ${destination}`;
+      const summary = move.summary || summarizeMoveAttempt(move, block, destination);
       
       let details = null;
       if (move.reason || move.stepDescription || move.detail) {
         details = move.reason || move.stepDescription || move.detail;
       }
+      if (move.contract) {
+        const contractNote = `Contract ${move.contract.task} (bid ${move.contract.bid})`;
+        details = details ? `${details} · ${contractNote}` : contractNote;
+      }
+      if (move.capability) {
+        const capabilityNote = describeCapabilityChange(move.capability);
+        details = details ? `${details} · ${capabilityNote}` : capabilityNote;
+      }
+      const executionNote = describeExecutionOutcome(move);
+      if (executionNote) {
+        details = details ? `${details} · ${executionNote}` : executionNote;
+      }
+      const beliefNote = describeAgentBeliefs(moveGroup.beliefs?.[actor]);
+      if (beliefNote) {
+        details = details ? `${details} · ${beliefNote}` : beliefNote;
+      }
       
       const cardData = {
         id: `card-${stepNumber}-${moveIdx}-${actor}`,
@@ -623,6 +919,7 @@ export function appendNextGoalToTimeline(goalLabel, planMoves = []) {
         stepLabel,
         summary,
         details,
+        why: pickExplanation(move.explanation),
         status: 'pending',
         isManual: false,
         completedAt: null,
@@ -701,6 +998,8 @@ export function restoreTimelineFromSnapshot(snapshot) {
       stepLabel: entry.stepLabel || `Step ${stepNumber}`,
       summary: entry.summary || `Move ${block} → ${destination}`,
       details: entry.details || null,
+      why: pickExplanation(entry.why),
+      branchPoint: pickBranchPoint(entry.branchPoint),
       status: normalizedStatus,
       isManual: Boolean(entry.isManual),
       completedAt: Number.isFinite(entry.completedAt) ? entry.completedAt : null,
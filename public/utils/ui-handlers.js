@@ -9,13 +9,15 @@ import {
   DOM,
   resetClawToDefault,
   ensureAgentClaw,
-  removeAgentClaw,
   layoutClaws,
   getAgentClaw,
   getAllAgentClaws,
-  normalizeAgentKey
+  normalizeAgentKey,
+  agentKeysForCount,
+  MAX_CLAWS,
+  DEFAULT_AGENT_COUNT
 } from './constants.js';
-import { showMessage, handleError } from './helpers.js';
+import { showMessage, handleError, normalizeBlockName, blockNameFromIndex, blockIndexFromName } from './helpers.js';
 import {
   resetIntentionTimeline,
   renderIntentionTimeline,
@@ -25,11 +27,13 @@ import {
   finalizeTimeline,
   markTimelineStep,
   getIntentionTimelineSnapshot,
-  handleManualIntervention
+  handleManualIntervention,
+  appendPlanningProgress,
+  recordTimelineWorld
 } from './timeline.js';
-import { requestBDIPlan, requestMultiAgentPlan } from './planner.js';
+import { requestBDIPlan, requestMultiAgentPlan, streamMultiAgentPlan, requestExternalPlan } from './planner.js';
 import { simulateMove } from './animation.js';
-import { saveWorld, loadSelectedWorld, refreshLoadList } from './persistence.js';
+import { saveWorld, updateWorld, loadSelectedWorld, refreshLoadList, rebuildWorldFrom, recordWorldRun } from './persistence.js';
 import {
   startStatsTimer,
   stopStatsTimer,
@@ -37,20 +41,31 @@ import {
   resetStats,
   resetMultiAgentStats,
   setMultiAgentStatsEnabled,
-  updateMultiAgentStatsDisplay
+  updateMultiAgentStatsDisplay,
+  updateCommitmentStats
 } from './stats.js';
-import { logAction } from './logger.js';
+import {
+  logAction,
+  logDeliberationCycle,
+  logContractAwards,
+  logCapabilityEvents,
+  logBeliefEvents,
+  logReconsiderationEvents
+} from './logger.js';
+import { renderConversation, resetConversation } from './conversation.js';
+import { startMainBranch, addBranch, getActiveBranch, showBranch, describeBranchChange } from './branches.js';
+import { collectDeliberationHistory } from './deliberation-history.js';
+import { ENVIRONMENT_ACTOR, parseDisturbanceScript, createEnvironmentAgent } from './environment-agent.js';
 import { BlockDragManager } from './drag-drop.js';
 import { MutationQueue } from './mutation-queue.js';
 import { SpeedController } from './speed-controller.js';
 
-const LETTER_Z_CODE = 'Z'.charCodeAt(0);
 const MOVE_COMPLETION_BUFFER = 600; // buffer to let the claw settle between moves
 
 class SimulationController {
   constructor(world) {
     this.world = world;
-    this.maxBlocks = window.APP_CONFIG?.MAX_BLOCKS || 26;
+    this.maxBlocks = window.APP_CONFIG?.MAX_BLOCKS || 64;
     this.animationDuration = window.APP_CONFIG?.ANIMATION_DURATION || 550;
     this.controlsDisabled = false;
     this.manualControlsLocked = false;
@@ -65,7 +80,12 @@ class SimulationController {
     this.stagedGoalChains = null;
     this.goalSequence = [];
     this.goalSequenceIndex = 0;
+    this.goalSlots = {};
+    this.predicateGoal = null;
     this.replanInFlight = null;
+    this.commitmentRun = null;
+    this.environmentAgent = null;
+    this.agentCycles = 0;
     this.elements = {};
     this.executedMoveCount = 0;
     this.viewportObserver = null;
@@ -77,6 +97,8 @@ class SimulationController {
     this.timelinePlan = [];
     this.manualTimelineLog = [];
     this.lastAgentCount = 1;
+    this.runRecord = null;
+    this.branchOrigin = null;
 
     const simulationConfig = window.APP_CONFIG?.SIMULATION || {};
     this.speedController = new SpeedController({
@@ -91,6 +113,8 @@ class SimulationController {
     this.dragManager = null;
     this.claws = {};
     this.lastPlanAgents = new Set();
+    this.agentCapabilities = null;
+    this.agentSpeeds = {};
   }
 
   initialize() {
@@ -99,11 +123,7 @@ class SimulationController {
     this.setupViewportGuards();
     this.setupDragManager();
     this.setupSpeedControls();
-    if (this.elements.multiAgentMode?.checked) {
-      ensureAgentClaw('Agent-B');
-    } else {
-      removeAgentClaw('Agent-B');
-    }
+    this.syncAgentCountControl();
     this.refreshClawLayout({ durationMs: 0 });
     this.syncClawRegistry();
     this.bindEvents();
@@ -122,25 +142,125 @@ class SimulationController {
       removeBtn: DOM.removeBlockBtn(),
       blockCountLabel: DOM.blockCountLabel(),
       nextBlockLabel: DOM.nextBlockLabel(),
+      tableSlotsInput: DOM.tableSlotsInput(),
       startBtn: DOM.startBtn(),
       goalInput: DOM.goalInput(),
       saveBtn: DOM.saveBtn(),
+      updateWorldBtn: DOM.updateWorldBtn(),
       loadBtn: DOM.loadBtn(),
       loadSelect: DOM.loadSelect(),
       speedSlider: DOM.speedSlider(),
       speedValueLabel: DOM.speedValueLabel(),
       multiAgentMode: document.getElementById('multiAgentMode'),
+      agentCountControl: document.getElementById('agentCountControl'),
+      agentCountInput: document.getElementById('agentCountInput'),
+      towerAllocationControl: document.getElementById('towerAllocationControl'),
+      towerAllocationSelect: document.getElementById('towerAllocationSelect'),
+      observabilityControl: document.getElementById('observabilityControl'),
+      observabilitySelect: document.getElementById('observabilitySelect'),
+      shareBeliefsInput: document.getElementById('shareBeliefsInput'),
+      agentCapabilitiesControl: document.getElementById('agentCapabilitiesControl'),
+      agentCapabilitiesInput: document.getElementById('agentCapabilitiesInput'),
+      uncertaintyControl: document.getElementById('uncertaintyControl'),
+      graspFailureInput: document.getElementById('graspFailureInput'),
+      dropProbabilityInput: document.getElementById('dropProbabilityInput'),
+      commitmentControl: document.getElementById('commitmentControl'),
+      commitmentSelect: document.getElementById('commitmentSelect'),
+      reconsiderationIntervalInput: document.getElementById('reconsiderationIntervalInput'),
+      disturbanceScriptInput: document.getElementById('disturbanceScriptInput'),
+      externalPlanInput: document.getElementById('externalPlanInput'),
+      externalPlanFile: document.getElementById('externalPlanFile'),
+      uploadExternalPlanBtn: document.getElementById('uploadExternalPlanBtn'),
+      playExternalPlanBtn: document.getElementById('playExternalPlanBtn'),
       multiAgentInfo: document.getElementById('multiAgentInfo'),
       multiAgentControls: document.getElementById('multiAgentControls'),
       multiAgentStats: document.getElementById('multiAgentStats')
     };
   }
 
+  getSelectedAgentCount() {
+    const requested = Number.parseInt(this.elements.agentCountInput?.value ?? '', 10);
+    return Number.isInteger(requested)
+      ? Math.min(Math.max(requested, 1), MAX_CLAWS)
+      : DEFAULT_AGENT_COUNT;
+  }
+
+  syncAgentCountControl() {
+    const isMultiAgent = Boolean(this.elements.multiAgentMode?.checked);
+    this.elements.agentCountControl?.classList.toggle('hidden', !isMultiAgent);
+    this.elements.towerAllocationControl?.classList.toggle('hidden', !isMultiAgent);
+    this.elements.observabilityControl?.classList.toggle('hidden', !isMultiAgent);
+    this.elements.agentCapabilitiesControl?.classList.toggle('hidden', !isMultiAgent);
+    this.elements.uncertaintyControl?.classList.toggle('hidden', isMultiAgent);
+    this.elements.commitmentControl?.classList.toggle('hidden', isMultiAgent);
+  }
+
+  // Failure chances typed in percent; null when every move should succeed
+  getUncertaintySettings() {
+    const percent = (input) => {
+      const value = Number.parseFloat(input?.value ?? '');
+      return Number.isFinite(value) ? Math.min(Math.max(value, 0), 90) / 100 : 0;
+    };
+    const graspFailureProbability = percent(this.elements.graspFailureInput);
+    const dropProbability = percent(this.elements.dropProbabilityInput);
+    return graspFailureProbability > 0 || dropProbability > 0
+      ? { graspFailureProbability, dropProbability }
+      : null;
+  }
+
+  // { strategy: 'periodic', interval: k } or just the strategy; k is clamped to 1..100
+  getCommitmentSettings() {
+    const strategy = this.elements.commitmentSelect?.value || 'open-minded';
+    if (strategy !== 'periodic') {
+      return { strategy };
+    }
+    const interval = Number.parseInt(this.elements.reconsiderationIntervalInput?.value ?? '', 10);
+    return { strategy, interval: Number.isInteger(interval) ? Math.min(Math.max(interval, 1), 100) : 3 };
+  }
+
+  // "contract-net:relation" -> { allocation: 'contract-net', contractTasks: 'relation' }
+  getSelectedTowerAllocation() {
+    const [allocation, contractTasks] = (this.elements.towerAllocationSelect?.value || 'round-robin').split(':');
+    return contractTasks ? { allocation, contractTasks } : { allocation };
+  }
+
+  // "range:1" -> { mode: 'range', range: 1, shareBeliefs }; null for a full view
+  getSelectedObservability() {
+    const [mode, range] = (this.elements.observabilitySelect?.value || 'full').split(':');
+    if (mode === 'full') {
+      return null;
+    }
+    const shareBeliefs = this.elements.shareBeliefsInput?.checked !== false;
+    return range != null
+      ? { mode, range: Number.parseInt(range, 10), shareBeliefs }
+      : { mode, shareBeliefs };
+  }
+
+  // Capability profiles typed as JSON, e.g. {"Agent-B": {"reach": [1, 2], "speed": 2}}
+  getAgentCapabilities() {
+    const raw = this.elements.agentCapabilitiesInput?.value?.trim() || '';
+    if (!raw) {
+      return { capabilities: null };
+    }
+    try {
+      const capabilities = JSON.parse(raw);
+      if (!capabilities || typeof capabilities !== 'object' || Array.isArray(capabilities)) {
+        return { error: 'Agent capabilities must be a JSON object keyed by agent name.' };
+      }
+      return { capabilities };
+    } catch (error) {
+      return { error: `Agent capabilities are not valid JSON: ${error.message}` };
+    }
+  }
+
   syncClawRegistry() {
     ensureAgentClaw('Agent-A');
     const worldClaws = getAllAgentClaws();
-    const wantsAgentB = Boolean(this.elements.multiAgentMode?.checked) || this.lastPlanAgents.has('Agent-B');
-    const allowedKeys = wantsAgentB ? new Set(['Agent-A', 'Agent-B']) : new Set(['Agent-A']);
+    // One claw per agent in the selected team, plus any agent that moved in the last plan
+    const teamKeys = this.elements.multiAgentMode?.checked
+      ? agentKeysForCount(this.getSelectedAgentCount())
+      : ['Agent-A'];
+    const allowedKeys = new Set([...teamKeys, ...this.lastPlanAgents]);
     this.claws = {};
     worldClaws.forEach((claw) => {
       if (!claw) return;
@@ -392,7 +512,11 @@ class SimulationController {
   bindEvents() {
     this.elements.addBtn?.addEventListener('click', () => this.handleBlockAddition());
     this.elements.removeBtn?.addEventListener('click', () => this.handleBlockRemoval());
+    this.elements.tableSlotsInput?.addEventListener('change', () => this.handleTableSlotsChange());
     this.elements.startBtn?.addEventListener('click', () => this.runSimulation());
+    this.elements.playExternalPlanBtn?.addEventListener('click', () => this.playExternalPlan());
+    this.elements.uploadExternalPlanBtn?.addEventListener('click', () => this.elements.externalPlanFile?.click());
+    this.elements.externalPlanFile?.addEventListener('change', (event) => this.handleExternalPlanFile(event));
 
     this.elements.goalInput?.addEventListener('keypress', (evt) => {
       if (evt.key === 'Enter') {
@@ -408,12 +532,16 @@ class SimulationController {
     }
 
     this.elements.saveBtn?.addEventListener('click', () => saveWorld(this.world));
+    this.elements.updateWorldBtn?.addEventListener('click', () => updateWorld(this.world));
     this.elements.loadBtn?.addEventListener('click', () => loadSelectedWorld(this.world));
 
     // Multi-agent mode toggle
     this.elements.multiAgentMode?.addEventListener('change', (event) => this.handleMultiAgentModeChange(event));
+    this.elements.agentCountInput?.addEventListener('change', () => this.handleAgentCountChange());
 
     document.addEventListener('world:blocks-changed', () => this.syncBlockControls());
+    document.addEventListener('timeline:branch', (event) => this.handleTimelineBranch(event.detail));
+    document.addEventListener('branches:view', (event) => this.handleBranchView(event.detail));
   }
 
   handleMultiAgentModeChange(event) {
@@ -430,24 +558,36 @@ class SimulationController {
       resetMultiAgentStats();
     }
 
-    if (isMultiAgent) {
-      ensureAgentClaw('Agent-B');
-      this.refreshClawLayout({ durationMs: 200 });
-    } else {
-      removeAgentClaw('Agent-B');
-      this.refreshClawLayout({ durationMs: 0 });
+    this.syncAgentCountControl();
+    if (!isMultiAgent) {
       this.lastPlanAgents = new Set(['Agent-A']);
     }
     this.syncClawRegistry();
+    this.refreshClawLayout({ durationMs: isMultiAgent ? 200 : 0 });
     
     // Log mode change
-    logAction(`Planner mode: ${isMultiAgent ? 'Multi-Agent enabled (negotiation: ON, timeout: 5000ms)' : 'Single Agent (default)'}`, 'user');
+    logAction(`Planner mode: ${isMultiAgent ? `Multi-Agent enabled (${this.getSelectedAgentCount()} agents, negotiation: ON, timeout: 5000ms)` : 'Single Agent (default)'}`, 'user');
+  }
+
+  handleAgentCountChange() {
+    const input = this.elements.agentCountInput;
+    if (!input || this.isRunning) return;
+
+    const agentCount = this.getSelectedAgentCount();
+    input.value = String(agentCount);
+    this.lastPlanAgents = new Set(['Agent-A']);
+    this.syncClawRegistry();
+    this.refreshClawLayout({ durationMs: 200 });
+    logAction(`Multi-agent team size: ${agentCount} agent${agentCount === 1 ? '' : 's'}`, 'user');
   }
 
   updateMultiAgentStats(statistics) {
     if (!statistics) return;
 
     updateMultiAgentStatsDisplay(statistics);
+    if (this.runRecord) {
+      this.runRecord.conflicts += statistics.totalConflicts || 0;
+    }
     
     // Log summary
     if (statistics.totalConflicts > 0) {
@@ -459,17 +599,15 @@ class SimulationController {
     return this.world ? this.world.getCurrentBlocks().length : 0;
   }
 
-  getNextBlockLetter() {
+  getNextBlockName() {
     if (!this.world) return null;
     const blocks = this.world.getCurrentBlocks();
     if (blocks.length >= this.maxBlocks) return null;
 
-    if (blocks.length === 0) return 'A';
-    const sorted = [...blocks].sort();
-    const lastBlock = sorted[sorted.length - 1];
-    const nextCode = lastBlock.charCodeAt(0) + 1;
-    if (nextCode > LETTER_Z_CODE) return null;
-    return String.fromCharCode(nextCode);
+    // Continue the A..Z, AA, AB... sequence after the highest default name in use;
+    // custom names (e.g. "RED_1") do not affect the sequence.
+    const highestIndex = blocks.reduce((max, block) => Math.max(max, blockIndexFromName(block)), -1);
+    return blockNameFromIndex(highestIndex + 1);
   }
 
   getTopmostBlock() {
@@ -479,20 +617,26 @@ class SimulationController {
       return null;
     }
 
-    const sorted = [...blocks].sort((a, b) => b.localeCompare(a));
+    const sorted = [...blocks].sort((a, b) => (
+      blockIndexFromName(b) - blockIndexFromName(a) || b.localeCompare(a)
+    ));
     return sorted.length > 0 ? sorted[0] : null;
   }
 
   syncBlockControls(forceDisabled = this.controlsDisabled && !this.allowManualDuringRun) {
-    const { blockCountLabel, nextBlockLabel } = this.elements;
+    const { blockCountLabel, nextBlockLabel, tableSlotsInput } = this.elements;
 
     if (blockCountLabel) {
       blockCountLabel.textContent = String(this.blockCount).padStart(2, '0');
     }
 
+    if (tableSlotsInput && document.activeElement !== tableSlotsInput) {
+      tableSlotsInput.value = this.world?.tableSlots ? String(this.world.tableSlots) : '';
+    }
+
     if (nextBlockLabel) {
-      const nextLetter = this.getNextBlockLetter();
-      nextBlockLabel.textContent = nextLetter || '--';
+      const nextName = this.getNextBlockName();
+      nextBlockLabel.textContent = nextName || '--';
     }
 
     this.refreshStepperAvailability(forceDisabled);
@@ -510,26 +654,40 @@ class SimulationController {
       return;
     }
 
-    addBtn.disabled = !this.getNextBlockLetter();
+    addBtn.disabled = !this.getNextBlockName();
     removeBtn.disabled = this.blockCount === 0;
   }
 
+  handleTableSlotsChange() {
+    const input = this.elements.tableSlotsInput;
+    if (!input || !this.world || this.isRunning) return;
+
+    const rawValue = input.value.trim();
+    const requested = rawValue === '' ? null : Number(rawValue);
+    if (requested === this.world.tableSlots) return;
+
+    if (this.world.setTableSlots(requested)) {
+      logAction(requested ? `Limited the table to ${requested} slots` : 'Removed the table slot limit', 'user');
+    }
+    input.value = this.world.tableSlots ? String(this.world.tableSlots) : '';
+  }
+
   handleBlockAddition() {
     if (this.manualControlsLocked) return;
-    const nextLetter = this.getNextBlockLetter();
+    const nextName = this.getNextBlockName();
 
-    if (!nextLetter) {
+    if (!nextName) {
       showMessage(`Maximum number of blocks (${this.maxBlocks}) reached.`, 'warning');
       this.refreshStepperAvailability();
       return;
     }
 
-    const added = this.world.addBlock(nextLetter);
+    const added = this.world.addBlock(nextName);
     if (added) {
-      logAction(`Added block "${nextLetter}" to the workspace`, 'user');
+      logAction(`Added block "${nextName}" to the workspace`, 'user');
       this.syncBlockControls();
       if (this.isRunning) {
-        this.recordMutation({ type: 'BLOCK_ADD', block: nextLetter });
+        this.recordMutation({ type: 'BLOCK_ADD', block: nextName });
         this.requestReplan('block-added');
       }
     }
@@ -571,13 +729,24 @@ class SimulationController {
   handleGoalInputChange() {
     if (!this.isRunning) return;
     const rawInput = this.elements.goalInput?.value ?? '';
-    const { chains, error } = this.parseGoalInput(rawInput, { allowEmpty: true });
+    const { chains, slots, predicate, error } = this.parseGoalInput(rawInput, { allowEmpty: true });
 
     if (error) {
       showMessage(error, 'warning');
       return;
     }
 
+    if (predicate) {
+      if (predicate === this.predicateGoal) {
+        return;
+      }
+      this.predicateGoal = predicate;
+      this.goalSlots = {};
+      this.requestReplan('goal-change');
+      logAction(`Updated goal to ${predicate}`, 'user');
+      return;
+    }
+
     if (!chains || chains.length === 0) {
       return;
     }
@@ -593,6 +762,8 @@ class SimulationController {
       return;
     }
 
+    this.goalSlots = slots || {};
+    this.predicateGoal = null;
     this.stagedGoalChains = normalizedChains;
     this.stagedGoalTokens = normalizedChains[0] ? [...normalizedChains[0]] : [];
 
@@ -751,6 +922,18 @@ class SimulationController {
         const destination = typeof mutation.to === 'string' && mutation.to.trim().length
           ? mutation.to.trim()
           : 'Table';
+        if (mutation.actor === ENVIRONMENT_ACTOR) {
+          return {
+            ...base,
+            actor: ENVIRONMENT_ACTOR,
+            block,
+            to: destination,
+            reason: 'environment-event',
+            stepDescription: `Environment moved ${block} to ${destination}`,
+            summary: `Disturbance: ${block} → ${destination}`,
+            detail: mutation.from ? `${mutation.detail} · Source: ${mutation.from}` : mutation.detail
+          };
+        }
         return {
           ...base,
           block,
@@ -860,6 +1043,7 @@ class SimulationController {
     this.goalSequenceIndex = 0;
     this.currentGoalChains = [];
     this.currentGoalTokens = [];
+    this.predicateGoal = null;
     this.executedMoveCount = 0;
   }
 
@@ -902,19 +1086,42 @@ class SimulationController {
   : { error: 'Please enter a goal (e.g., "A, B | C, D").' };
     }
 
+    if (sanitized.includes('(')) {
+      return this.parsePredicateGoal(sanitized);
+    }
+
     const normalizedInput = sanitized.replace(/\s+/g, ' ');
     const rawSegments = normalizedInput
-      .split(/\s*(?:\band\b|&|;|\|)\s*/i)
+      .split(/\s+and\s+|\s*[&;|]\s*/i)
       .map((segment) => segment.trim())
       .filter(Boolean);
 
     const chains = [];
+    const slots = {};
 
     const pushChain = (chainTokens, originalSegment) => {
+      let slotNumber = null;
       const filtered = chainTokens
         .map((token) => token.trim().toUpperCase())
         .filter(Boolean)
-        .map((token) => (token === 'TABLE' ? 'Table' : token));
+        .map((token, index, tokens) => {
+          if (token === 'TABLE') {
+            return 'Table';
+          }
+          // "slot N" as the last token pins the tower base to a table slot
+          const slotMatch = token.match(/^SLOT\s*(\d+)$/);
+          if (slotMatch) {
+            if (index !== tokens.length - 1 || index === 0) {
+              throw new Error(`"${token.toLowerCase()}" must follow the base block of a tower (e.g. "A, B, slot 2").`);
+            }
+            slotNumber = Number(slotMatch[1]);
+            return 'Table';
+          }
+          if (!normalizeBlockName(token)) {
+            throw new Error(`"${token}" is not a valid block name. Use letters, digits, "_" or "-" (e.g. "B12").`);
+          }
+          return token;
+        });
 
       if (filtered.length === 0) {
         return;
@@ -933,20 +1140,24 @@ class SimulationController {
   throw new Error(`Segment "${originalSegment}" is incomplete. Use syntax like "A, B" or separate towers with "|".`);
       }
 
+      if (slotNumber !== null) {
+        slots[filtered[filtered.length - 2]] = slotNumber;
+      }
+
       chains.push(filtered);
     };
 
     try {
       if (rawSegments.length === 0) {
         const fallbackTokens = normalizedInput
-          .split(/\s*on\s*/i)
+          .split(/\s+on\s+/i)
           .map((token) => token.trim())
           .filter(Boolean);
         pushChain(fallbackTokens, normalizedInput);
       } else {
         rawSegments.forEach((segment) => {
-          if (/\bon\b/i.test(segment)) {
-            const parts = segment.split(/\s*on\s*/i);
+          if (/\s+on\s+/i.test(segment)) {
+            const parts = segment.split(/\s+on\s+/i);
             pushChain(parts, segment);
           } else {
             const parts = segment.split(/\s*,\s*/);
@@ -979,7 +1190,28 @@ class SimulationController {
       return { error: `Duplicate blocks in goal: ${Array.from(duplicates).join(', ')}.` };
     }
 
-    return { chains, tokens: chains[0] || [] };
+    const claimedSlots = Object.values(slots);
+    if (new Set(claimedSlots).size !== claimedSlots.length) {
+      return { error: 'Each table slot can hold only one tower base.' };
+    }
+
+    return { chains, slots, tokens: chains[0] || [] };
+  }
+
+  /**
+   * Goal slots whose blocks are tower bases in the given chains
+   * (the planners reject slots for blocks that are not on the table in the goal)
+   * @param {Array<Array<string>>} goalChains - Chains sent with the plan request
+   * @returns {Object|null} Block → slot map, or null when none apply
+   */
+  selectGoalSlots(goalChains = []) {
+    const bases = new Set(
+      this.normalizeGoalChainsInput(goalChains).map((chain) => chain[chain.length - 2])
+    );
+    const selected = Object.fromEntries(
+      Object.entries(this.goalSlots || {}).filter(([block]) => bases.has(block))
+    );
+    return Object.keys(selected).length > 0 ? selected : null;
   }
 
   areGoalChainsEqual(a = [], b = []) {
@@ -1000,16 +1232,104 @@ class SimulationController {
     });
   }
 
+  // Predicate goals ("on(A,B) and not clear(C)") are parsed by the planner; only block names are checked here
+  parsePredicateGoal(expression) {
+    const blocks = [];
+    for (const [, argumentList] of expression.matchAll(/\(([^)]*)\)/g)) {
+      argumentList.split(',').forEach((argument) => {
+        const token = argument.trim().toUpperCase();
+        if (token && token !== 'TABLE') {
+          blocks.push(token);
+        }
+      });
+    }
+
+    const unknownBlocks = this.findUnknownGoalBlocks([blocks]);
+    if (unknownBlocks.length > 0) {
+      return { error: `Unknown blocks in goal: ${unknownBlocks.join(', ')}.` };
+    }
+
+    return { chains: [], tokens: [], slots: {}, predicate: expression.replace(/\s+/g, ' ') };
+  }
+
   findUnknownGoalBlocks(goalStructure = []) {
     const currentBlocks = this.world.getCurrentBlocks();
     const tokens = this.flattenGoalChains(goalStructure);
     return tokens.filter((token) => token !== 'Table' && !currentBlocks.includes(token));
   }
 
-  handleUserMutation(mutation) {
+  handleUserMutation(mutation, reason = 'manual-move') {
     this.recordMutation(mutation);
-    if (this.isRunning) {
-      this.requestReplan('manual-move');
+    if (!this.isRunning) {
+      return;
+    }
+    // A single agent notices the change when its commitment strategy next has it reconsider
+    if (this.commitmentRun) {
+      this.commitmentRun.worldChanged = true;
+      return;
+    }
+    this.requestReplan(reason);
+  }
+
+  // Count an agent cycle and let the environment agent act on the world, as a drag would
+  runEnvironmentAgent() {
+    if (!this.environmentAgent) {
+      return;
+    }
+    this.agentCycles += 1;
+    const cycle = this.agentCycles;
+
+    this.environmentAgent.dueRules(cycle).forEach((rule) => {
+      const move = this.environmentAgent.chooseMove(rule, this.world);
+      if (!move || !this.world.canMove(move.block, move.to)) {
+        const skipped = move ? `${move.block} -> ${move.to} is not possible` : 'no block can be displaced';
+        logAction(`Disturbance skipped (${rule.label}, cycle ${cycle}): ${skipped}`, 'environment');
+        return;
+      }
+
+      const from = this.world.on[move.block];
+      this.world.moveBlock(move.block, move.to);
+      this.world.updatePositions();
+      this.handleUserMutation({
+        type: 'MOVE',
+        block: move.block,
+        to: move.to,
+        from,
+        actor: ENVIRONMENT_ACTOR,
+        detail: `${rule.label}, cycle ${cycle}`
+      }, 'environment-event');
+    });
+  }
+
+  // Why the committed agent reconsiders before its next move, or null to keep executing its plan
+  findReconsiderationTrigger() {
+    const run = this.commitmentRun;
+    const nextMove = this.activePlan[0];
+    if (!nextMove) {
+      return run.worldChanged ? 'plan-exhausted' : null;
+    }
+    if (run.strategy === 'open-minded') {
+      return 'every-cycle';
+    }
+    if (run.strategy === 'single-minded' && !this.world.canMove(nextMove.block, nextMove.to, nextMove.slot ?? null)) {
+      return 'next-move-impossible';
+    }
+    if (run.strategy === 'periodic' && run.movesSinceReconsideration >= run.interval) {
+      return 'interval';
+    }
+    return null;
+  }
+
+  // Reconsidering an unchanged world leads to the same plan, so only a changed world is replanned
+  reconsider(trigger) {
+    const run = this.commitmentRun;
+    run.reconsiderations += 1;
+    run.movesSinceReconsideration = 0;
+    updateCommitmentStats(run);
+    if (run.worldChanged) {
+      run.worldChanged = false;
+      logAction(`Reconsidered (${trigger}): ${run.strategy} agent replans from the changed world`, 'system');
+      this.requestReplan(`commitment:${trigger}`);
     }
   }
 
@@ -1024,6 +1344,7 @@ class SimulationController {
     };
 
     if (!this.isRunning) {
+      this.branchOrigin?.changes.push(mutation);
       this.logMutations([enriched]);
       return;
     }
@@ -1042,7 +1363,9 @@ class SimulationController {
     this.pendingReplan = true;
     this.pendingReplanReason = reason;
     updateStats(undefined, 'Planning');
-    showMessage('Manual edit received. Re-planning before continuing...', 'info');
+    showMessage(reason === 'environment-event'
+      ? 'The environment moved a block. Re-planning before continuing...'
+      : 'Manual edit received. Re-planning before continuing...', 'info');
   }
 
   async handleCheckpoint() {
@@ -1069,7 +1392,7 @@ class SimulationController {
       ? (stagedSequence[0] ? [...stagedSequence[0]] : [])
       : this.getActiveGoalChain();
 
-    if (!targetGoalTokens || targetGoalTokens.length === 0) {
+    if (!this.predicateGoal && (!targetGoalTokens || targetGoalTokens.length === 0)) {
       showMessage('Cannot re-plan without a valid goal.', 'error');
       this.isRunning = false;
       this.pendingReplan = false;
@@ -1107,6 +1430,9 @@ class SimulationController {
   async applyReplanResponse(plannerResponse, goalTokens, goalChains = null) {
     this.pendingReplan = false;
     this.pendingReplanReason = null;
+    if (this.commitmentRun) {
+      this.commitmentRun.worldChanged = false;
+    }
     this.stagedGoalTokens = null;
     this.stagedGoalChains = null;
 
@@ -1120,7 +1446,7 @@ class SimulationController {
       } else {
         this.currentGoalChains = [[...this.currentGoalTokens]];
       }
-    } else {
+    } else if (!this.predicateGoal) {
       this.clearGoalSequence();
     }
 
@@ -1130,8 +1456,10 @@ class SimulationController {
     }
 
     const moves = Array.isArray(plannerResponse.moves) ? [...plannerResponse.moves] : [];
+    this.noteRunResponse(plannerResponse);
     this.ensureClawsForPlanMoves(moves);
     this.activePlan = moves;
+    logReconsiderationEvents(plannerResponse.intentionReconsideration);
     
     // Get the most recent manual move from the log
     const manualMove = this.manualTimelineLog.length > 0
@@ -1178,7 +1506,11 @@ class SimulationController {
 
       switch (mutation.type) {
         case 'MOVE':
-          logAction(`Manual move: ${mutation.block} -> ${mutation.to}`, 'user');
+          if (mutation.actor === ENVIRONMENT_ACTOR) {
+            logAction(`Disturbance (${mutation.detail}): moved ${mutation.block} -> ${mutation.to}`, 'environment');
+          } else {
+            logAction(`Manual move: ${mutation.block} -> ${mutation.to}`, 'user');
+          }
           break;
         case 'BLOCK_ADD':
           logAction(`Manual addition: added block ${mutation.block}`, 'user');
@@ -1210,54 +1542,107 @@ class SimulationController {
     }
   }
 
-  async requestPlan(goalTokens) {
-    const goalChain = Array.isArray(goalTokens) ? [...goalTokens] : [];
-    if (!goalChain.length) {
-      throw new Error('Planner requested without a goal chain.');
-    }
+  // Multi-agent mode, or several independent towers, go to the multi-agent planner; predicate goals never do
+  usesMultiAgentPlanner() {
+    const isMultiAgentCheckbox = document.getElementById('multiAgentMode')?.checked || false;
+    const hasMultipleTowers = Array.isArray(this.goalSequence) && this.goalSequence.length > 1;
+    return !this.predicateGoal && (isMultiAgentCheckbox || hasMultipleTowers);
+  }
 
+  async requestPlan(goalTokens, { showProgress = false } = {}) {
     const currentStacks = typeof this.world.getCurrentStacks === 'function'
       ? this.world.getCurrentStacks()
       : this.world.getStacks?.();
 
-    // Check if multi-agent mode is enabled OR if there are multiple independent towers
-    const isMultiAgentCheckbox = document.getElementById('multiAgentMode')?.checked || false;
-    const hasMultipleTowers = Array.isArray(this.goalSequence) && this.goalSequence.length > 1;
-    const isMultiAgent = isMultiAgentCheckbox || hasMultipleTowers;
+    // Predicate goals are always planned by the single-agent planner
+    if (this.predicateGoal) {
+      const predicateOptions = {
+        maxIterations: window.APP_CONFIG?.PLANNER?.MAX_ITERATIONS || 2500,
+        tableSlots: this.world.tableSlots,
+        goal: this.predicateGoal,
+        explain: true
+      };
+      this.noteRunOptions(predicateOptions);
+      return requestBDIPlan(currentStacks, null, predicateOptions);
+    }
 
-    if (isMultiAgent) {
+    const goalChain = Array.isArray(goalTokens) ? [...goalTokens] : [];
+    if (!goalChain.length) {
+      throw new Error('Planner requested without a goal chain.');
+    }
+
+    if (this.usesMultiAgentPlanner()) {
       const enableNegotiation = true;
       const deliberationTimeout = 5000;
       const fullGoalChains = Array.isArray(this.goalSequence) && this.goalSequence.length > 0
         ? this.cloneGoalChains(this.goalSequence)
         : [goalChain];
 
-      return requestMultiAgentPlan(
-        currentStacks,
-        goalChain,
-        {
-          maxIterations: 2500,
-          deliberationTimeout,
-          enableNegotiation,
-          goalChains: fullGoalChains
-        }
-      );
+      const multiAgentOptions = {
+        maxIterations: 2500,
+        deliberationTimeout,
+        enableNegotiation,
+        agentCount: this.getSelectedAgentCount(),
+        ...this.getSelectedTowerAllocation(),
+        ...(this.agentCapabilities ? { capabilities: this.agentCapabilities } : {}),
+        observability: this.getSelectedObservability(),
+        goalChains: fullGoalChains,
+        tableSlots: this.world.tableSlots,
+        goalSlots: this.selectGoalSlots(fullGoalChains)
+      };
+      this.noteRunOptions(multiAgentOptions);
+
+      // Stream deliberation cycles so long problems show progress instead of a silent "Planning".
+      // Replans keep the executing timeline on screen, so only the initial request streams.
+      if (!showProgress || typeof window.ReadableStream !== 'function' || typeof window.TextDecoder !== 'function') {
+        return requestMultiAgentPlan(currentStacks, goalChain, multiAgentOptions);
+      }
+      return streamMultiAgentPlan(currentStacks, goalChain, multiAgentOptions, (cycle) => {
+        appendPlanningProgress(cycle);
+        logDeliberationCycle(cycle);
+        updateStats(undefined, `Planning (cycle ${cycle.cycle})`);
+      });
     }
 
-    return requestBDIPlan(
-      currentStacks,
-      goalChain,
-      { maxIterations: window.APP_CONFIG?.PLANNER?.MAX_ITERATIONS || 2500 }
-    );
+    const plannerOptions = {
+      maxIterations: window.APP_CONFIG?.PLANNER?.MAX_ITERATIONS || 2500,
+      tableSlots: this.world.tableSlots,
+      goalSlots: this.selectGoalSlots([goalChain]),
+      uncertainty: this.getUncertaintySettings(),
+      commitment: this.getCommitmentSettings(),
+      explain: true
+    };
+    this.noteRunOptions(plannerOptions);
+    return requestBDIPlan(currentStacks, goalChain, plannerOptions);
   }
 
   setControlsDisabled(disabled, options = {}) {
     this.controlsDisabled = disabled;
-    const { startBtn, saveBtn, loadBtn, goalInput } = this.elements;
+    const {
+      startBtn,
+      saveBtn,
+      updateWorldBtn,
+      loadBtn,
+      goalInput,
+      tableSlotsInput,
+      agentCountInput,
+      towerAllocationSelect,
+      observabilitySelect,
+      shareBeliefsInput,
+      agentCapabilitiesInput,
+      graspFailureInput,
+      dropProbabilityInput,
+      commitmentSelect,
+      reconsiderationIntervalInput,
+      disturbanceScriptInput,
+      externalPlanInput,
+      uploadExternalPlanBtn,
+      playExternalPlanBtn
+    } = this.elements;
     const allowManualInteractions = Boolean(options.allowManualInteractions);
     this.allowManualDuringRun = disabled && allowManualInteractions;
 
-    [startBtn, saveBtn, loadBtn].forEach((element) => {
+    [startBtn, saveBtn, updateWorldBtn, loadBtn, tableSlotsInput, agentCountInput, towerAllocationSelect, observabilitySelect, shareBeliefsInput, agentCapabilitiesInput, graspFailureInput, dropProbabilityInput, commitmentSelect, reconsiderationIntervalInput, disturbanceScriptInput, externalPlanInput, uploadExternalPlanBtn, playExternalPlanBtn].forEach((element) => {
       if (element) element.disabled = disabled;
     });
 
@@ -1283,55 +1668,92 @@ class SimulationController {
     if (!this.world || this.isRunning) return;
 
     const rawGoal = this.elements.goalInput?.value ?? '';
-    const { chains: goalChains, error } = this.parseGoalInput(rawGoal);
+    const { chains: goalChains, slots: goalSlots, predicate, error } = this.parseGoalInput(rawGoal);
 
     if (error) {
       showMessage(error, 'error');
       return;
     }
 
-    if (!goalChains || goalChains.length === 0) {
+    if (Object.keys(goalSlots || {}).length > 0 && !this.world.tableSlots) {
+      showMessage('Slot goals need a limited table. Set "Table slots" in the Blocks panel first.', 'error');
+      return;
+    }
+
+    const normalizedChains = predicate ? [] : this.cloneGoalChains(goalChains);
+    if (!predicate) {
+      if (normalizedChains.length === 0) {
   showMessage('Please provide at least one valid goal (e.g., "A, B").', 'error');
+        return;
+      }
+
+      const unknownBlocks = this.findUnknownGoalBlocks(normalizedChains);
+      if (unknownBlocks.length > 0) {
+        showMessage(`Unknown blocks in goal: ${unknownBlocks.join(', ')}.`, 'error');
+        return;
+      }
+    } else if (document.getElementById('multiAgentMode')?.checked) {
+      showMessage('Predicate goals are planned by a single agent; multi-agent mode does not apply.', 'info');
+    }
+
+    const { capabilities, error: capabilitiesError } = this.elements.multiAgentMode?.checked
+      ? this.getAgentCapabilities()
+      : { capabilities: null };
+    if (capabilitiesError) {
+      showMessage(capabilitiesError, 'error');
       return;
     }
+    this.agentCapabilities = capabilities;
 
-    const normalizedChains = this.cloneGoalChains(goalChains);
-    const unknownBlocks = this.findUnknownGoalBlocks(normalizedChains);
-    if (unknownBlocks.length > 0) {
-      showMessage(`Unknown blocks in goal: ${unknownBlocks.join(', ')}.`, 'error');
+    const { script: disturbanceScript, error: disturbanceError } = parseDisturbanceScript(this.elements.disturbanceScriptInput?.value);
+    if (disturbanceError) {
+      showMessage(disturbanceError, 'error');
       return;
     }
+    this.environmentAgent = disturbanceScript ? createEnvironmentAgent(disturbanceScript) : null;
+    this.agentCycles = 0;
 
     this.clearGoalSequence();
     this.setGoalSequence(normalizedChains);
+    this.predicateGoal = predicate || null;
+    this.goalSlots = goalSlots || {};
     this.stagedGoalTokens = null;
     this.stagedGoalChains = null;
     this.pendingReplan = false;
     this.mutationQueue.clear();
     this.isRunning = true;
     this.executedMoveCount = 0;
+    this.startRunRecord(
+      this.usesMultiAgentPlanner() ? 'multi-agent' : 'single-agent',
+      this.predicateGoal || this.formatGoalChains(normalizedChains)
+    );
     this.timelineHistory = [];
     this.timelinePlan = [];
     this.manualTimelineLog = [];
     this.lastAgentCount = 1;
+    this.commitmentRun = this.usesMultiAgentPlanner()
+      ? null
+      : { ...this.getCommitmentSettings(), reconsiderations: 0, wastedMoves: 0, movesSinceReconsideration: 0, worldChanged: false };
+    updateCommitmentStats(this.commitmentRun);
 
     this.setControlsDisabled(true, { allowManualInteractions: true });
     this.setManualControlsEnabled(true);
     this.dragManager?.enable();
 
     resetIntentionTimeline('Requesting plan from BDI agent...');
+    resetConversation();
     startPlannerClock();
 
     startStatsTimer();
     updateStats(undefined, 'Planning');
-    logAction(`Started planning for goal: ${this.formatGoalChains(normalizedChains)}`, 'user');
+    logAction(`Started planning for goal: ${this.predicateGoal || this.formatGoalChains(normalizedChains)}`, 'user');
 
     try {
       const goalTokens = this.getActiveGoalChain();
-      if (!goalTokens.length) {
+      if (!this.predicateGoal && !goalTokens.length) {
         throw new Error('No active goal chain available for planning.');
       }
-      const plannerResponse = await this.requestPlan(goalTokens);
+      const plannerResponse = await this.requestPlan(goalTokens, { showProgress: true });
 
       if (!plannerResponse.goalAchieved) {
         this.handlePlannerFailure(plannerResponse);
@@ -1361,7 +1783,278 @@ class SimulationController {
     }
   }
 
+  handleExternalPlanFile(event) {
+    const [file] = event.target.files || [];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      if (this.elements.externalPlanInput) {
+        this.elements.externalPlanInput.value = String(reader.result || '');
+      }
+      logAction(`Loaded external plan from ${file.name}`, 'user');
+    };
+    reader.onerror = () => showMessage(`Could not read ${file.name}.`, 'error');
+    reader.readAsText(file);
+  }
+
+  // Plays a plan from an external PDDL planner; the backend checks it against the world and goal first
+  async playExternalPlan() {
+    if (!this.world || this.isRunning) return;
+
+    const planText = this.elements.externalPlanInput?.value.trim() ?? '';
+    if (!planText) {
+      showMessage('Paste or upload a plan from an external PDDL planner first.', 'error');
+      return;
+    }
+
+    const rawGoal = this.elements.goalInput?.value ?? '';
+    const { chains: goalChains, slots: goalSlots, predicate, error } = this.parseGoalInput(rawGoal);
+    if (error) {
+      showMessage(error, 'error');
+      return;
+    }
+    if (Object.keys(goalSlots || {}).length > 0) {
+      showMessage('External plans cannot be checked against slot goals; PDDL has no table positions.', 'error');
+      return;
+    }
+
+    const normalizedChains = predicate ? [] : this.cloneGoalChains(goalChains);
+    if (!predicate) {
+      if (normalizedChains.length === 0) {
+        showMessage('Please provide at least one valid goal (e.g., "A, B").', 'error');
+        return;
+      }
+      const unknownBlocks = this.findUnknownGoalBlocks(normalizedChains);
+      if (unknownBlocks.length > 0) {
+        showMessage(`Unknown blocks in goal: ${unknownBlocks.join(', ')}.`, 'error');
+        return;
+      }
+    }
+
+    this.clearGoalSequence();
+    this.setGoalSequence(normalizedChains);
+    // All towers are checked at once, so there is no next goal to plan for afterwards
+    this.goalSequenceIndex = Math.max(this.goalSequence.length - 1, 0);
+    this.predicateGoal = predicate || null;
+    this.goalSlots = {};
+    this.environmentAgent = null;
+    this.agentCycles = 0;
+    this.agentCapabilities = null;
+    this.stagedGoalTokens = null;
+    this.stagedGoalChains = null;
+    this.pendingReplan = false;
+    this.mutationQueue.clear();
+    this.isRunning = true;
+    this.executedMoveCount = 0;
+    this.startRunRecord(
+      'external-pddl',
+      this.predicateGoal || this.formatGoalChains(normalizedChains),
+      { tableSlots: this.world.tableSlots, goal: this.predicateGoal, goalChains: normalizedChains }
+    );
+    this.timelineHistory = [];
+    this.timelinePlan = [];
+    this.manualTimelineLog = [];
+    this.lastAgentCount = 1;
+    this.commitmentRun = null;
+    updateCommitmentStats(null);
+
+    // The plan was fixed in advance, so the world must not change under it
+    this.setControlsDisabled(true);
+    this.setManualControlsEnabled(false);
+    this.dragManager?.disable();
+
+    resetIntentionTimeline('Checking external plan...');
+    resetConversation();
+    startPlannerClock();
+    startStatsTimer();
+    updateStats(undefined, 'Planning');
+    logAction(`Playing external plan for goal: ${this.predicateGoal || this.formatGoalChains(normalizedChains)}`, 'user');
+
+    try {
+      const plannerResponse = await requestExternalPlan(this.getWorldStacksSnapshot(), planText, {
+        tableSlots: this.world.tableSlots,
+        goal: this.predicateGoal,
+        goalChains: normalizedChains
+      });
+
+      if (plannerResponse.goalAchieved === false) {
+        throw new Error('The external plan is legal but leaves the goal unmet; nothing was played.');
+      }
+
+      await this.handlePlannerSuccess(plannerResponse);
+    } catch (error) {
+      handleError(error, 'checking external plan');
+      stopPlannerClock(false);
+      resetIntentionTimeline('External plan rejected.');
+      this.timelineHistory = [];
+      this.timelinePlan = [];
+      this.manualTimelineLog = [];
+      this.lastAgentCount = 1;
+      stopStatsTimer(false);
+      updateStats(undefined, 'Rejected');
+      this.setControlsDisabled(false);
+      this.isRunning = false;
+      this.setManualControlsEnabled(true);
+      this.dragManager?.enable();
+      this.dragManager?.clearLockedBlocks?.();
+      this.clearGoalSequence();
+      this.applyPendingViewportRealign();
+    }
+  }
+
+  // What a run keeps for the branch comparison and for the run history of the saved world
+  startRunRecord(planner, goalLabel, options = null) {
+    this.runRecord = {
+      planner,
+      goalLabel,
+      options,
+      initialStacks: this.getWorldStacksSnapshot(),
+      startedAt: Date.now(),
+      moves: [],
+      intentionLog: [],
+      deliberationHistory: [],
+      statistics: null,
+      conflicts: 0
+    };
+  }
+
+  // Replans reuse the options of a run's first request
+  noteRunOptions(options) {
+    if (this.runRecord && !this.runRecord.options) {
+      this.runRecord.options = { ...options };
+    }
+  }
+
+  noteRunResponse(plannerResponse) {
+    if (!this.runRecord || !plannerResponse) return;
+    if (Array.isArray(plannerResponse.intentionLog)) {
+      this.runRecord.intentionLog.push(...plannerResponse.intentionLog);
+    }
+    const { deliberationHistory } = this.runRecord;
+    deliberationHistory.push(...collectDeliberationHistory(plannerResponse, deliberationHistory.at(-1)?.cycle ?? 0));
+    if (plannerResponse.statistics) {
+      this.runRecord.statistics = plannerResponse.statistics;
+    }
+  }
+
+  // Only what was executed is kept, without claw steps or explanations
+  noteRunMoves(moveGroup, moveBatch) {
+    if (!this.runRecord) return;
+    const moves = moveBatch.map(({ block, to, slot, actor, reason, outcome }) => ({
+      block,
+      to,
+      ...(slot != null ? { slot } : {}),
+      ...(actor ? { actor } : {}),
+      ...(reason ? { reason } : {}),
+      ...(outcome ? { outcome } : {})
+    }));
+    this.runRecord.moves.push(Array.isArray(moveGroup?.moves) ? { cycle: moveGroup.cycle, moves } : moves[0]);
+  }
+
+  finishRun(outcome, movesExecuted) {
+    const run = this.runRecord;
+    if (run) {
+      const commitment = this.commitmentRun
+        ? { commitment: { strategy: this.commitmentRun.strategy, reconsiderations: this.commitmentRun.reconsiderations, wastedMoves: this.commitmentRun.wastedMoves } }
+        : {};
+      recordWorldRun({
+        planner: run.planner,
+        goal: run.goalLabel || null,
+        options: run.options || {},
+        initialStacks: run.initialStacks,
+        moves: run.moves,
+        intentionLog: run.intentionLog,
+        deliberationHistory: run.deliberationHistory,
+        statistics: { ...(run.statistics || {}), conflicts: run.conflicts, ...commitment },
+        outcome: outcome.toLowerCase(),
+        moveCount: movesExecuted,
+        durationMs: Date.now() - run.startedAt
+      });
+    }
+    this.recordRunBranch(outcome, movesExecuted);
+  }
+
+  // "What if?" on a timeline card: rewind the world to before that step; the next run becomes a branch of this line
+  handleTimelineBranch({ stepNumber, stacks, movesBefore } = {}) {
+    if (this.isRunning) {
+      showMessage('Wait for the current run to finish before branching from the timeline.', 'warning');
+      return;
+    }
+
+    try {
+      rebuildWorldFrom(this.world, stacks, null, this.world.colours, this.world.tableSlots);
+    } catch (error) {
+      handleError(error, `rewinding to step ${stepNumber}`);
+      return;
+    }
+
+    // A timeline restored from a saved world has no recorded run yet; it becomes the main line
+    const parent = getActiveBranch() || startMainBranch({
+      goalLabel: null,
+      planLength: null,
+      conflicts: null,
+      outcome: null,
+      timeline: getIntentionTimelineSnapshot()
+    });
+
+    this.branchOrigin = {
+      parentId: parent.id,
+      parentGoalLabel: parent.goalLabel,
+      fromStep: stepNumber,
+      baseMoves: parent.baseMoves + (movesBefore || 0),
+      changes: []
+    };
+    logAction(`What if: rewound the world to before step ${stepNumber} of ${parent.label}`, 'user');
+    showMessage(`World rewound to before step ${stepNumber}. Move blocks or change the goal, then start planning to branch.`, 'info');
+  }
+
+  handleBranchView({ id } = {}) {
+    if (this.isRunning) {
+      showMessage('Wait for the current run to finish before switching branches.', 'warning');
+      return;
+    }
+    const branch = showBranch(id);
+    if (branch) {
+      logAction(`Showing the timeline of ${branch.label}`, 'user');
+    }
+  }
+
+  // Add the finished run to the branch comparison: a new main line, or a branch when it started from "What if?"
+  recordRunBranch(outcome, movesExecuted) {
+    const run = this.runRecord;
+    if (!run) return;
+
+    const origin = this.branchOrigin;
+    this.runRecord = null;
+    this.branchOrigin = null;
+    const entry = {
+      goalLabel: run.goalLabel,
+      conflicts: run.conflicts,
+      outcome,
+      timeline: getIntentionTimelineSnapshot()
+    };
+
+    // Loading another world forgets the lines, so a pending "What if?" has nothing left to branch from
+    if (!origin || !getActiveBranch()) {
+      startMainBranch({ ...entry, planLength: movesExecuted });
+      return;
+    }
+    const branch = addBranch({
+      ...entry,
+      parentId: origin.parentId,
+      fromStep: origin.fromStep,
+      change: describeBranchChange(origin, run.goalLabel),
+      baseMoves: origin.baseMoves,
+      planLength: origin.baseMoves + movesExecuted
+    });
+    logAction(`${branch.label} (${branch.change}): ${branch.planLength} moves, ${branch.conflicts} conflicts, ${outcome.toLowerCase()}`, 'system');
+  }
+
   handlePlannerFailure(plannerResponse) {
+    const movesExecuted = this.executedMoveCount;
+    this.noteRunResponse(plannerResponse);
     this.isRunning = false;
     this.pendingReplan = false;
     this.mutationQueue.clear();
@@ -1390,6 +2083,7 @@ class SimulationController {
   const totalMoves = this.executedMoveCount;
   updateStats(totalMoves, 'Failure');
     logAction(`Goal failed with ${totalMoves} ${totalMoves === 1 ? 'move' : 'moves'}`, 'system');
+    this.finishRun('Failure', movesExecuted);
     this.setControlsDisabled(false);
     this.applyPendingViewportRealign();
   }
@@ -1412,6 +2106,17 @@ class SimulationController {
 
     const isMultiAgent = plannerResponse.statistics?.agentAMoves !== undefined;
     const agentCount = plannerResponse.agentCount || (isMultiAgent ? 2 : 1);
+    this.noteRunResponse(plannerResponse);
+
+    // Partial observability: each move group carries what its agents believed that cycle
+    if (Array.isArray(plannerResponse.beliefHistory)) {
+      const beliefsByCycle = new Map(plannerResponse.beliefHistory.map((snapshot) => [snapshot.cycle, snapshot.agents]));
+      (plannerResponse.moves || []).forEach((group) => {
+        if (beliefsByCycle.has(group.cycle)) {
+          group.beliefs = beliefsByCycle.get(group.cycle);
+        }
+      });
+    }
 
     this.ensureClawsForPlanMoves(plannerResponse.moves || []);
 
@@ -1433,6 +2138,14 @@ class SimulationController {
 
     if (isMultiAgent) {
       this.updateMultiAgentStats(plannerResponse.statistics);
+      logContractAwards(plannerResponse.contractNet);
+      logCapabilityEvents(plannerResponse.capabilityEvents);
+      logBeliefEvents(plannerResponse.beliefEvents);
+      renderConversation(plannerResponse.transcript || []);
+      this.agentSpeeds = Object.fromEntries(Object.entries(plannerResponse.agentCapabilities || {})
+        .map(([agentKey, profile]) => [normalizeAgentKey(agentKey), Number(profile?.speed) || 1]));
+    } else {
+      logReconsiderationEvents(plannerResponse.intentionReconsideration);
     }
 
     const moves = Array.isArray(plannerResponse.moves) ? [...plannerResponse.moves] : [];
@@ -1447,6 +2160,7 @@ class SimulationController {
         stopPlannerClock(false);
         stopStatsTimer(false);
         updateStats(undefined, 'Interrupted');
+        this.finishRun('Interrupted', this.executedMoveCount);
         this.setControlsDisabled(false);
         this.setManualControlsEnabled(true);
         this.dragManager?.enable();
@@ -1512,7 +2226,7 @@ class SimulationController {
     this.pendingReplan = false;
 
     const totalMoves = this.executedMoveCount;
-    const goalSummary = this.formatGoalChains(
+    const goalSummary = this.predicateGoal || this.formatGoalChains(
       this.currentGoalChains && this.currentGoalChains.length > 0
         ? this.currentGoalChains
         : this.goalSequence
@@ -1522,6 +2236,11 @@ class SimulationController {
     updateStats(totalMoves, 'Success');
     showMessage(`Goal sequence (${goalSummary}) achieved with ${totalMoves} ${totalMoves === 1 ? 'move' : 'moves'}.`, 'success');
     logAction(`Goal sequence (${goalSummary}) achieved with ${totalMoves} ${totalMoves === 1 ? 'move' : 'moves'}`, 'system');
+    if (this.commitmentRun) {
+      const { strategy, reconsiderations, wastedMoves } = this.commitmentRun;
+      logAction(`Commitment (${strategy}): ${reconsiderations} ${reconsiderations === 1 ? 'reconsideration' : 'reconsiderations'}, ${wastedMoves} wasted ${wastedMoves === 1 ? 'move' : 'moves'}`, 'system');
+    }
+    this.finishRun('Success', totalMoves);
 
     this.setControlsDisabled(false);
     this.setManualControlsEnabled(true);
@@ -1563,6 +2282,16 @@ class SimulationController {
         break;
       }
 
+      if (this.commitmentRun && !this.pendingReplan) {
+        const trigger = this.findReconsiderationTrigger();
+        if (trigger) {
+          this.reconsider(trigger);
+          if (this.pendingReplan) {
+            continue;
+          }
+        }
+      }
+
       if (!this.activePlan.length) {
         if (this.pendingReplan) {
           continue;
@@ -1582,6 +2311,19 @@ class SimulationController {
         continue;
       }
 
+      // A committed agent still attempts planned moves the world no longer allows
+      if (this.commitmentRun) {
+        this.commitmentRun.movesSinceReconsideration += 1;
+        const [move] = moveBatch;
+        if (!this.world.canMove(move.block, move.to, move.slot ?? null)) {
+          this.commitmentRun.wastedMoves += 1;
+          updateCommitmentStats(this.commitmentRun);
+          logAction(`Wasted move: ${move.block} → ${move.to} is no longer possible`, 'system');
+          this.runEnvironmentAgent();
+          continue;
+        }
+      }
+
       const preparedMoves = moveBatch.map((move) => {
         const agentKey = move?.actor || move?.agent || 'Agent-A';
         const claw = this.getClawForAgent(agentKey) || this.getClawForAgent('Agent-A');
@@ -1609,6 +2351,8 @@ class SimulationController {
         break;
       }
 
+      recordTimelineWorld(moveBatch, this.getWorldStacksSnapshot(), this.executedMoveCount);
+
       // Cancel any active drags before starting animations
       const blocksToAnimate = preparedMoves.map(({ move }) => move.block);
       const hadActiveDrag = blocksToAnimate.some(block => 
@@ -1621,7 +2365,7 @@ class SimulationController {
         await this.wait(50);
       }
 
-      const promises = preparedMoves.map(({ move, claw }) => {
+      const promises = preparedMoves.map(({ move, agentKey, claw }) => {
         const blockToLock = move?.block;
         
         if (blockToLock) {
@@ -1644,9 +2388,13 @@ class SimulationController {
             },
             { 
               durationMs: stepDuration(),
+              speed: this.agentSpeeds[normalizeAgentKey(agentKey)] || 1,
               onConflictDetected: (conflictInfo) => {
                 // Conflict detected - record it and request replan
                 conflictOccurred = true;
+                if (this.runRecord) {
+                  this.runRecord.conflicts += 1;
+                }
                 logAction(`Conflict: ${conflictInfo.block} destination ${conflictInfo.originalDest} blocked, placed on table instead`, 'system');
                 showMessage(`Conflict detected: ${conflictInfo.block} placed on table. Re-planning...`, 'warning');
                 
@@ -1674,6 +2422,8 @@ class SimulationController {
       this.world.updatePositions();
       
       this.executedMoveCount += moveBatch.length;
+      this.noteRunMoves(nextMoveGroup, moveBatch);
+      this.runEnvironmentAgent();
       
       // If a conflict occurred during this batch, handle checkpoint to trigger replan
       if (conflictOccurred) {
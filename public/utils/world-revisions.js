@@ -0,0 +1,160 @@
+/**
+ * World revision history
+ *
+ * Renders the response of GET /worlds/:id/revisions on the Agent Logs page.
+ * Each revision is diffed against the one before it: stacks are compared by
+ * table position (bottom block first) and colours block by block.
+ */
+
+const CHANGE_NOTE = 'text-xs text-brand-dark/80';
+const RESTORE_BUTTON = 'restore-revision inline-flex items-center gap-1 rounded border border-slate-200 bg-white px-3 py-1 text-xs font-semibold text-brand-dark transition hover:bg-brand-primary/10';
+
+const elements = {
+  section: () => document.getElementById('worldRevisions'),
+  title: () => document.getElementById('worldRevisionsTitle'),
+  body: () => document.getElementById('worldRevisionsBody')
+};
+
+const describeStack = (stack = []) => (stack.length ? stack.join('/') : '(empty)');
+
+/**
+ * Positions whose stack differs between two revisions
+ * @param {Array<Array<string>>} before
+ * @param {Array<Array<string>>} after
+ * @returns {Array<string>}
+ */
+export function describeStackChanges(before = [], after = []) {
+  const changes = [];
+  for (let index = 0; index < Math.max(before.length, after.length); index++) {
+    const previous = before[index];
+    const next = after[index];
+    if (!previous) {
+      changes.push(`Stack ${index + 1} added: ${describeStack(next)}`);
+    } else if (!next) {
+      changes.push(`Stack ${index + 1} removed: ${describeStack(previous)}`);
+    } else if (describeStack(previous) !== describeStack(next)) {
+      changes.push(`Stack ${index + 1}: ${describeStack(previous)} → ${describeStack(next)}`);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Blocks whose colour was added, removed or changed between two revisions
+ * @param {Object<string, string>} before
+ * @param {Object<string, string>} after
+ * @returns {Array<{block: string, from: string|null, to: string|null}>}
+ */
+export function describeColourChanges(before = {}, after = {}) {
+  const blocks = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  return blocks
+    .filter(block => before[block] !== after[block])
+    .map(block => ({ block, from: before[block] ?? null, to: after[block] ?? null }));
+}
+
+function createSwatch(colour) {
+  const swatch = document.createElement('span');
+  swatch.className = 'inline-flex h-2 w-2 rounded-full border border-slate-300';
+  swatch.style.backgroundColor = colour;
+  return swatch;
+}
+
+function createColourNote({ block, from, to }) {
+  const note = document.createElement('p');
+  note.className = `${CHANGE_NOTE} flex items-center gap-2`;
+  note.append(`Colour ${block}: `);
+  if (from) note.append(createSwatch(from), ` ${from}`);
+  else note.append('none');
+  note.append(' → ');
+  if (to) note.append(createSwatch(to), ` ${to}`);
+  else note.append('none');
+  return note;
+}
+
+function createChangesCell(revision, previous) {
+  const cell = document.createElement('td');
+  cell.className = 'px-4 py-3';
+
+  const notes = [];
+  if (revision.restoredFrom) {
+    notes.push(`Restored from revision ${revision.restoredFrom}`);
+  }
+  if (!previous) {
+    notes.push('First revision');
+  } else {
+    if (previous.name !== revision.name) notes.push(`Renamed from "${previous.name}"`);
+    notes.push(...describeStackChanges(previous.stacks, revision.stacks));
+    if ((previous.goal ?? null) !== (revision.goal ?? null)) notes.push(`Goal: ${previous.goal || 'none'} → ${revision.goal || 'none'}`);
+  }
+  notes.forEach((text) => {
+    const note = document.createElement('p');
+    note.className = CHANGE_NOTE;
+    note.textContent = text;
+    cell.appendChild(note);
+  });
+
+  const colourChanges = previous ? describeColourChanges(previous.colours, revision.colours) : [];
+  colourChanges.forEach(change => cell.appendChild(createColourNote(change)));
+
+  if (previous && notes.length === 0 && colourChanges.length === 0) {
+    cell.textContent = 'No changes to stacks or colours';
+    cell.classList.add('text-xs', 'italic', 'text-slate-500');
+  }
+  return cell;
+}
+
+/**
+ * Show a world's revisions, newest first; the newest is the world's current state
+ * @param {{id: string, name: string}} world
+ * @param {Array<Object>} revisions
+ * @param {(revision: number) => void} onRestore
+ */
+export function renderWorldRevisions(world, revisions, onRestore) {
+  const section = elements.section();
+  const body = elements.body();
+  if (!section || !body) return;
+
+  section.classList.remove('hidden');
+  elements.title().textContent = `Revisions · ${world.name}`;
+  body.innerHTML = '';
+
+  revisions.forEach((revision, index) => {
+    const row = document.createElement('tr');
+    row.className = 'transition-colors hover:bg-brand-dark/5';
+
+    const number = document.createElement('td');
+    number.className = 'px-4 py-3 font-semibold';
+    number.textContent = index === 0 ? `${revision.revision} · current` : String(revision.revision);
+
+    const saved = document.createElement('td');
+    saved.className = 'px-4 py-3 text-brand-dark/70';
+    saved.textContent = revision.createdAt
+      ? new Date(revision.createdAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+      : '--';
+
+    const stacks = document.createElement('td');
+    stacks.className = 'px-4 py-3';
+    stacks.textContent = (revision.stacks || []).map(describeStack).join(' · ') || '--';
+
+    const actions = document.createElement('td');
+    actions.className = 'px-4 py-3 text-right';
+    if (index > 0) {
+      const restore = document.createElement('button');
+      restore.type = 'button';
+      restore.className = RESTORE_BUTTON;
+      restore.textContent = 'Restore';
+      restore.addEventListener('click', () => onRestore(revision.revision));
+      actions.appendChild(restore);
+    }
+
+    row.append(number, saved, stacks, createChangesCell(revision, revisions[index + 1]), actions);
+    body.appendChild(row);
+  });
+}
+
+/**
+ * Hide the revision history, e.g. when its world is deleted
+ */
+export function hideWorldRevisions() {
+  elements.section()?.classList.add('hidden');
+}